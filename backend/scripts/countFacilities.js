@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Precompute facility counts for every neighborhood boundary
+ *
+ *   node scripts/countFacilities.js [--buffer=<meters>]
+ *
+ * Counts the schools, hospitals and taxi routes inside each neighborhood's
+ * boundary (grown by --buffer, default SPATIAL_JOIN_BUFFER_M) and stores
+ * them in facilityCounts. Also builds the 2dsphere index on boundary.
+ * Same job as POST /api/admin/facility-counts/refresh.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const Neighborhood = require('../src/models/Neighborhood');
+const spatialJoinService = require('../src/services/spatialJoinService');
+
+async function main() {
+  const buffer = process.argv.slice(2).find(arg => arg.startsWith('--buffer='));
+  const bufferM = buffer ? parseInt(buffer.slice('--buffer='.length), 10) : spatialJoinService.getDefaultBuffer();
+  if (Number.isNaN(bufferM) || bufferM < 0) {
+    throw new Error(`Invalid buffer: ${buffer}`);
+  }
+
+  await connectDB();
+  try {
+    await Neighborhood.createIndexes();
+
+    const result = await spatialJoinService.refreshFacilityCounts({ bufferM });
+    console.log(`\nFacility counts stored for ${result.updated} neighborhoods (buffer ${result.bufferM} m)`);
+    console.log(`  ${result.skipped} without a boundary, ${result.failed} failed`);
+
+    if (result.failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+    await spatialJoinService.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Rental listing CSV/JSON import
+ *
+ *   node scripts/csvImport.js sample [out.csv]        Write a sample CSV
+ *   node scripts/csvImport.js import <file> [--dry-run]
+ *
+ * Uses the same validation, dedupe and upsert logic as
+ * POST /api/admin/rentals/import.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const rentalImportService = require('../src/services/rentalImportService');
+
+const SAMPLE_CSV = [
+  'title,location,price,bedrooms,bathrooms,floorSize,parking,propertyType,category,size,furnished,features,lat,lng,petsAllowed,leaseTerm,description',
+  '"Modern 2 bed with sea views",Sea Point,"R 18,500",2,2,85,1,Apartment,Moderate,Medium,Fully furnished,Balcony;Pool;Sea view,-33.9180,18.3870,no,12 months,"Bright apartment close to the promenade"',
+  '"Family home with garden",Rondebosch,32000,4,3,260,2,House,Luxury,Large,Unfurnished,Garden;Braai area;Alarm,-33.9590,18.4740,yes,12 months,"Walking distance to schools and UCT"',
+  '"Compact studio near CBD",Gardens,9500,0,1,32,0,Studio,Budget,Compact,Semi-furnished,Fibre;Security,-33.9350,18.4100,no,Month-to-month,"Ideal for young professionals"'
+].join('\n') + '\n';
+
+async function writeSample(outFile) {
+  if (outFile) {
+    fs.writeFileSync(outFile, SAMPLE_CSV);
+    console.log(`Sample CSV written to ${outFile}`);
+  } else {
+    process.stdout.write(SAMPLE_CSV);
+  }
+}
+
+async function importFile(file, dryRun) {
+  if (!file) {
+    throw new Error('Usage: node scripts/csvImport.js import <file> [--dry-run]');
+  }
+
+  const format = rentalImportService.detectFormat({ filename: file });
+  if (!format) {
+    throw new Error('File must have a .csv or .json extension');
+  }
+
+  const rows = await rentalImportService.parse(fs.readFileSync(path.resolve(file)), format);
+
+  await connectDB();
+  try {
+    const report = await rentalImportService.importRows(rows, { dryRun });
+
+    console.log(`\n${dryRun ? 'Dry run' : 'Import'} of ${report.totalRows} rows from ${file}`);
+    console.log(`  ${dryRun ? 'Would create' : 'Created'}: ${report.created}`);
+    console.log(`  ${dryRun ? 'Would update' : 'Updated'}: ${report.updated}`);
+    console.log(`  Duplicates in file: ${report.duplicates}`);
+    console.log(`  Invalid: ${report.invalid}`);
+
+    report.rows
+      .filter(row => row.status === 'invalid' || row.status === 'duplicate')
+      .forEach(row => {
+        if (row.status === 'duplicate') {
+          console.log(`  Row ${row.row}: duplicate of row ${row.duplicateOf}`);
+        } else {
+          row.errors.forEach(error => console.log(`  Row ${row.row}: ${error.field} - ${error.message}`));
+        }
+      });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  switch (command) {
+    case 'sample':
+      await writeSample(positional[0]);
+      break;
+    case 'import':
+      await importFile(positional[0], dryRun);
+      break;
+    default:
+      console.log('Usage: node scripts/csvImport.js <sample [out.csv] | import <file> [--dry-run]>');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Evaluate AdvancedNLP intent and entity extraction
+ *
+ *   node scripts/evalNlp.js [--path=patterns|ai|combined] [--language=en|af|xh] [--file=eval/nlpQueries.json] [--verbose]
+ *
+ * Scores each extraction path against labelled Cape Town queries (English
+ * unless labelled with another "language") and prints language detection
+ * accuracy, then intent accuracy and per-entity precision and recall:
+ *   patterns - keyword intent fallback and the regex/keyword extractors
+ *   ai       - the configured LLM_PROVIDER alone (skipped when no LLM is ready)
+ *   combined - what parseComplexQuery uses: AI intent, merged entities
+ * Set LLM_PROVIDER=fixture to score recorded completions deterministically.
+ * --verbose lists every query with a wrong intent or entity.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const AdvancedNLP = require('../src/services/advancedNLP');
+const geminiService = require('../src/services/geminiService');
+const { detectLanguage } = require('../src/services/languages');
+
+const ENTITY_TYPES = ['budget', 'location', 'familySize', 'timeframe', 'propertyType', 'priorities', 'lifestyle', 'amenities', 'constraints'];
+const PATHS = ['patterns', 'ai', 'combined'];
+
+/**
+ * Entity values as comparable strings, from either the labels or the
+ * extractor shapes
+ */
+const VALUES = {
+  budget: (budget) => [
+    budget.max && `max:${budget.max}`,
+    budget.min && `min:${budget.min}`
+  ].filter(Boolean),
+  location: (location) => (Array.isArray(location) ? location : location.areas),
+  familySize: (family) => [String(typeof family === 'object' ? family.size : family)],
+  timeframe: (timeframe) => [typeof timeframe === 'object' ? timeframe.urgency : timeframe],
+  propertyType: (type) => [typeof type === 'object' ? type.type : type],
+  priorities: (priorities) => priorities.map(item => (typeof item === 'object' ? item.priority : item)),
+  lifestyle: (lifestyles) => lifestyles.map(item => (typeof item === 'object' ? item.type : item)),
+  amenities: (amenities) => amenities,
+  constraints: (constraints) => constraints
+};
+
+const valuesOf = (type, entity) => new Set(entity ? VALUES[type](entity).map(value => String(value).toLowerCase()) : []);
+
+async function predict(nlp, mode, query) {
+  if (mode === 'patterns') {
+    return { intent: nlp.fallbackIntentAnalysis(query).intent, entities: nlp.extractPatternEntities(query) };
+  }
+  if (mode === 'ai') {
+    const [intent, entities] = await Promise.allSettled([nlp.inferIntent(query), nlp.inferEntities(query)]);
+    return {
+      intent: intent.status === 'fulfilled' ? intent.value.intent : null,
+      entities: entities.status === 'fulfilled' ? entities.value : {},
+      failures: [intent, entities].filter(result => result.status === 'rejected').length
+    };
+  }
+  const [intent, entities] = await Promise.all([nlp.analyzeIntentWithAI(query), nlp.extractEntities(query)]);
+  return { intent: intent.intent, entities };
+}
+
+async function evaluate(nlp, mode, examples, verbose) {
+  const counts = Object.fromEntries(ENTITY_TYPES.map(type => [type, { tp: 0, fp: 0, fn: 0 }]));
+  let correctIntents = 0;
+  let failures = 0;
+
+  for (const example of examples) {
+    const prediction = await predict(nlp, mode, example.query);
+    failures += prediction.failures || 0;
+    const mistakes = [];
+
+    if (prediction.intent === example.intent) {
+      correctIntents++;
+    } else {
+      mistakes.push(`intent ${prediction.intent} (expected ${example.intent})`);
+    }
+
+    ENTITY_TYPES.forEach(type => {
+      const expected = valuesOf(type, example.entities[type]);
+      const predicted = valuesOf(type, prediction.entities[type]);
+      const missed = [...expected].filter(value => !predicted.has(value));
+      const extra = [...predicted].filter(value => !expected.has(value));
+
+      counts[type].tp += expected.size - missed.length;
+      counts[type].fn += missed.length;
+      counts[type].fp += extra.length;
+      if (missed.length || extra.length) {
+        mistakes.push(`${type}${missed.length ? ` missed [${missed.join(', ')}]` : ''}${extra.length ? ` extra [${extra.join(', ')}]` : ''}`);
+      }
+    });
+
+    if (verbose && mistakes.length) {
+      console.log(`  "${example.query}"\n    ${mistakes.join('\n    ')}`);
+    }
+  }
+
+  return { counts, correctIntents, failures };
+}
+
+const ratio = (part, whole) => (whole ? `${(100 * part / whole).toFixed(1)}%` : 'n/a');
+
+function report(mode, examples, { counts, correctIntents, failures }) {
+  console.log(`\n${mode}: intent accuracy ${ratio(correctIntents, examples.length)} (${correctIntents}/${examples.length})${failures ? `, ${failures} failed AI calls` : ''}`);
+  console.log(`  ${'entity'.padEnd(14)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'support'.padStart(9)}`);
+
+  const total = { tp: 0, fp: 0, fn: 0 };
+  ENTITY_TYPES.forEach(type => {
+    const { tp, fp, fn } = counts[type];
+    total.tp += tp;
+    total.fp += fp;
+    total.fn += fn;
+    console.log(`  ${type.padEnd(14)}${ratio(tp, tp + fp).padStart(10)}${ratio(tp, tp + fn).padStart(10)}${String(tp + fn).padStart(9)}`);
+  });
+  console.log(`  ${'all'.padEnd(14)}${ratio(total.tp, total.tp + total.fp).padStart(10)}${ratio(total.tp, total.tp + total.fn).padStart(10)}${String(total.tp + total.fn).padStart(9)}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const file = path.resolve(__dirname, '..', option('file') || 'eval/nlpQueries.json');
+  const modes = option('path') ? option('path').split(',') : PATHS;
+  const verbose = args.includes('--verbose');
+
+  const unknown = modes.filter(mode => !PATHS.includes(mode));
+  if (unknown.length) {
+    throw new Error(`Unknown path(s): ${unknown.join(', ')}`);
+  }
+
+  const language = option('language');
+  const examples = JSON.parse(fs.readFileSync(file, 'utf8'))
+    .map(example => ({ language: 'en', ...example }))
+    .filter(example => !language || example.language === language);
+  const nlp = new AdvancedNLP();
+  const llm = geminiService.getLlm();
+  console.log(`Evaluating ${examples.length} queries from ${path.relative(process.cwd(), file)}`);
+
+  const detected = examples.filter(example => detectLanguage(example.query).language === example.language);
+  console.log(`\nlanguage detection accuracy ${ratio(detected.length, examples.length)} (${detected.length}/${examples.length})`);
+  if (verbose) {
+    examples
+      .filter(example => !detected.includes(example))
+      .forEach(example => console.log(`  "${example.query}" detected as ${detectLanguage(example.query).language} (expected ${example.language})`));
+  }
+
+  for (const mode of modes) {
+    if (mode !== 'patterns' && !llm) {
+      console.log(`\n${mode}: skipped, no LLM is ready (set LLM_PROVIDER and its credentials)`);
+      continue;
+    }
+    if (verbose) console.log(`\n${mode} mistakes:`);
+    report(mode, examples, await evaluate(nlp, mode, examples, verbose));
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
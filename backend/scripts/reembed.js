@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Re-embed neighborhoods and rentals
+ *
+ *   node scripts/reembed.js [--force] [--refit] [--only=neighborhoods|rentals]
+ *
+ * Only documents whose embedding text or provider version changed are
+ * re-embedded unless --force is given. --refit retrains the local
+ * TF-IDF/SVD model (EMBEDDING_PROVIDER=local) before embedding.
+ * Same job as POST /api/admin/embeddings/reembed.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const embeddingJobService = require('../src/services/embeddingJobService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const only = args.find(arg => arg.startsWith('--only='));
+  const targets = only ? only.slice('--only='.length).split(',') : undefined;
+
+  const unknown = (targets || []).filter(target => !embeddingJobService.getTargetNames().includes(target));
+  if (unknown.length) {
+    throw new Error(`Unknown target(s): ${unknown.join(', ')}`);
+  }
+
+  await connectDB();
+  try {
+    const job = await embeddingJobService.runOnce({
+      targets,
+      force: args.includes('--force'),
+      refit: args.includes('--refit')
+    });
+
+    console.log(`\nRe-embed ${job.status} (${job.version})${job.refitted ? ' after refitting the local model' : ''}`);
+    Object.entries(job.progress).forEach(([target, progress]) => {
+      console.log(`  ${target}: ${progress.embedded}/${progress.pending} embedded, ${progress.failed} failed, ${progress.total} total`);
+    });
+    job.errors.forEach(error => console.log(`  ${error.target || 'job'}: ${error.message}`));
+
+    if (job.errors.length) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
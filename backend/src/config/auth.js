@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+class AuthConfig {
+  constructor() {
+    this.accessTokenSecret = process.env.JWT_SECRET;
+    this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET;
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    this.issuer = 'city-insights-ai';
+
+    if (!this.accessTokenSecret || !this.refreshTokenSecret) {
+      // Random per-process secrets keep development usable without ever
+      // shipping a guessable default. Tokens are invalidated on restart.
+      logger.warn('JWT_SECRET/JWT_REFRESH_SECRET not set, using ephemeral secrets');
+      this.accessTokenSecret = this.accessTokenSecret || crypto.randomBytes(48).toString('hex');
+      this.refreshTokenSecret = this.refreshTokenSecret || crypto.randomBytes(48).toString('hex');
+    }
+  }
+}
+
+module.exports = new AuthConfig();
@@ -0,0 +1,68 @@
+const authService = require('../services/authService');
+
+const extractToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim();
+};
+
+const createAuthError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Require a valid access token. Sets req.user = { id, email, role }.
+ * JWT errors are forwarded to the error handler, which maps them to 401.
+ */
+const authenticate = (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return next(createAuthError('Authentication required', 401));
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach req.user when a token is supplied, but allow anonymous requests.
+ * An invalid or expired token is still rejected so clients know to refresh.
+ */
+const optionalAuth = (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restrict a route to users with one of the given roles.
+ * Must run after authenticate.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(createAuthError('Authentication required', 401));
+  }
+  if (!roles.includes(req.user.role)) {
+    return next(createAuthError('Insufficient permissions', 403));
+  }
+  next();
+};
+
+module.exports = { authenticate, optionalAuth, requireRole };
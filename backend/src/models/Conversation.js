@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Parsed intent of user messages, as returned by AdvancedNLP
+  intent: {
+    type: String
+  },
+  confidence: {
+    type: Number
+  },
+  entities: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Neighborhoods and rentals the reply was based on
+  neighborhoodIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood'
+  }],
+  rentalIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HouseRental'
+  }],
+  // Sources cited in the reply as [n]: [{ n, type, id, label }]
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  // Replies stopped by the user are kept with whatever was generated
+  status: {
+    type: String,
+    enum: ['complete', 'cancelled'],
+    default: 'complete'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  messages: [messageSchema],
+  // Model-written summary of messages[0..summarizedCount), which are no
+  // longer sent verbatim as context
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarizedCount: {
+    type: Number,
+    default: 0
+  },
+  // Search criteria gathered across turns and the follow-up question
+  // awaiting an answer, as kept by the dialogue manager
+  dialogue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
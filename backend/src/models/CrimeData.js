@@ -100,6 +100,7 @@ crimeDataSchema.index({ borough: 1, incidentType: 1, date: -1 });
 crimeDataSchema.index({ coordinates: '2dsphere' });
 crimeDataSchema.index({ year: 1, month: 1 });
 crimeDataSchema.index({ category: 1, severity: 1 });
+crimeDataSchema.index({ 'coordinates.lat': 1, 'coordinates.lng': 1 });
 
 // Static method to get crime statistics for a neighborhood
 crimeDataSchema.statics.getNeighborhoodStats = async function(neighborhood, startDate, endDate) {
@@ -215,4 +216,141 @@ crimeDataSchema.statics.compareNeighborhoods = async function(neighborhoods, sta
   return this.aggregate(pipeline);
 };
 
+// Match stage for one neighborhood, or all of them when neighborhood is null
+const periodMatch = (neighborhood, startDate, endDate) => ({
+  ...(neighborhood && { neighborhood }),
+  date: {
+    $gte: startDate,
+    $lte: endDate
+  }
+});
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Static method to break incidents down by time of day and weekday
+crimeDataSchema.statics.getTemporalBreakdown = async function(neighborhood, startDate, endDate) {
+  const counts = {
+    count: { $sum: 1 },
+    violent: countIf({ $eq: ['$category', 'VIOLENT'] }),
+    highSeverity: countIf({ $eq: ['$severity', 'HIGH'] })
+  };
+
+  const pipeline = [
+    {
+      $match: periodMatch(neighborhood, startDate, endDate)
+    },
+    {
+      $facet: {
+        byTimeOfDay: [
+          { $group: { _id: '$timeOfDay', ...counts } }
+        ],
+        byDayOfWeek: [
+          { $group: { _id: '$dayOfWeek', ...counts } }
+        ],
+        byDayAndTime: [
+          {
+            $group: {
+              _id: {
+                dayOfWeek: '$dayOfWeek',
+                timeOfDay: '$timeOfDay'
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to get the share of incidents resolved, by category
+crimeDataSchema.statics.getResolutionRates = async function(neighborhood, startDate, endDate) {
+  const pipeline = [
+    {
+      $match: periodMatch(neighborhood, startDate, endDate)
+    },
+    {
+      $group: {
+        _id: '$category',
+        total: { $sum: 1 },
+        resolved: countIf('$resolved')
+      }
+    },
+    {
+      $sort: { total: -1 }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to count incidents by category in a year and the year
+// before, over the same months
+crimeDataSchema.statics.getYearOverYear = async function(neighborhood, year, throughMonth = 12) {
+  const pipeline = [
+    {
+      $match: {
+        neighborhood: neighborhood,
+        year: { $in: [year - 1, year] },
+        month: { $lte: throughMonth }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          year: '$year',
+          category: '$category'
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to count evening and night incidents per neighborhood
+crimeDataSchema.statics.getAfterDarkCounts = async function(startDate, endDate, neighborhoods = null) {
+  const afterDark = { $in: ['$timeOfDay', ['EVENING', 'NIGHT']] };
+
+  const pipeline = [
+    {
+      $match: {
+        ...(neighborhoods && { neighborhood: { $in: neighborhoods } }),
+        date: {
+          $gte: startDate,
+          $lte: endDate
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$neighborhood',
+        total: { $sum: 1 },
+        evening: countIf({ $eq: ['$timeOfDay', 'EVENING'] }),
+        night: countIf({ $eq: ['$timeOfDay', 'NIGHT'] }),
+        afterDarkViolent: countIf({ $and: [afterDark, { $eq: ['$category', 'VIOLENT'] }] }),
+        afterDarkHighSeverity: countIf({ $and: [afterDark, { $eq: ['$severity', 'HIGH'] }] })
+      }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to find incidents within a bounding box; callers trim the
+// box to a radius
+crimeDataSchema.statics.findInBox = async function({ south, west, north, east }, filter = {}) {
+  return this.find({
+    ...filter,
+    'coordinates.lat': { $gte: south, $lte: north },
+    'coordinates.lng': { $gte: west, $lte: east }
+  })
+    .select('neighborhood incidentType category severity date timeOfDay dayOfWeek resolved coordinates')
+    .sort({ date: -1 })
+    .lean();
+};
+
 module.exports = mongoose.model('CrimeData', crimeDataSchema);
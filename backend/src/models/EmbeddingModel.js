@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Fitted state of a corpus-trained embedding provider (the local TF-IDF/SVD
+// model), kept so query vectors stay comparable across restarts
+const embeddingModelSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vocabulary: [{
+    type: String
+  }],
+  // Float64 IDF weights, one per vocabulary term
+  idf: {
+    type: Buffer,
+    required: true
+  },
+  // Float32 term x component matrix, row-major
+  components: {
+    type: Buffer,
+    required: true
+  },
+  componentCount: {
+    type: Number,
+    required: true
+  },
+  documentCount: {
+    type: Number,
+    required: true
+  },
+  fittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+embeddingModelSchema.index({ provider: 1, fittedAt: -1 });
+
+const toBuffer = (typedArray) => Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+
+// Copy into a fresh ArrayBuffer so the typed array is correctly aligned
+const toTypedArray = (buffer, TypedArray) => new TypedArray(Uint8Array.from(buffer).buffer);
+
+// Static method to persist a provider state
+embeddingModelSchema.statics.saveState = function(provider, state) {
+  return this.findOneAndUpdate(
+    { version: state.version },
+    {
+      provider,
+      version: state.version,
+      vocabulary: state.vocabulary,
+      idf: toBuffer(Float64Array.from(state.idf)),
+      components: toBuffer(state.components),
+      componentCount: state.componentCount,
+      documentCount: state.documentCount,
+      fittedAt: new Date()
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to load the most recently fitted state for a provider
+embeddingModelSchema.statics.loadLatestState = async function(provider) {
+  const doc = await this.findOne({ provider }).sort({ fittedAt: -1 });
+  if (!doc) return null;
+
+  return {
+    version: doc.version,
+    vocabulary: doc.vocabulary,
+    idf: toTypedArray(doc.idf, Float64Array),
+    components: toTypedArray(doc.components, Float32Array),
+    componentCount: doc.componentCount,
+    documentCount: doc.documentCount
+  };
+};
+
+module.exports = mongoose.model('EmbeddingModel', embeddingModelSchema);
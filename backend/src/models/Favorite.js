@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Maps the public item type to the model it references
+const ITEM_MODELS = {
+  neighborhood: 'Neighborhood',
+  rental: 'HouseRental'
+};
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  itemType: {
+    type: String,
+    enum: Object.keys(ITEM_MODELS),
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'itemModel'
+  },
+  itemModel: {
+    type: String,
+    enum: Object.values(ITEM_MODELS)
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 40
+  }]
+}, {
+  timestamps: true
+});
+
+// A user can favorite each item once
+favoriteSchema.index({ user: 1, itemType: 1, itemId: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, tags: 1 });
+
+favoriteSchema.pre('validate', function(next) {
+  this.itemModel = ITEM_MODELS[this.itemType];
+  next();
+});
+
+favoriteSchema.statics.ITEM_MODELS = ITEM_MODELS;
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const vectorIndexService = require('../services/vectorIndexService');
 
 const houseRentalSchema = new mongoose.Schema({
   title: {
@@ -133,6 +134,25 @@ const houseRentalSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  vectorEmbedding: {
+    type: [Number],
+    select: false,
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        return !v || v.length === 768;
+      },
+      message: 'Vector embedding must have exactly 768 dimensions'
+    }
+  },
+  // Provider/version and source-text hash for vectorEmbedding
+  embeddingMeta: {
+    provider: String,
+    version: String,
+    dimensions: Number,
+    textHash: String,
+    embeddedAt: Date
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -153,6 +173,7 @@ houseRentalSchema.index({ bedrooms: 1, price: 1 });
 houseRentalSchema.index({ category: 1, location: 1 });
 houseRentalSchema.index({ coordinates: '2dsphere' });
 houseRentalSchema.index({ 'availability.available': 1 });
+houseRentalSchema.index({ 'embeddingMeta.version': 1 });
 
 // Virtual for price per square meter
 houseRentalSchema.virtual('pricePerSqm').get(function() {
@@ -180,7 +201,103 @@ houseRentalSchema.virtual('bedroomCategory').get(function() {
   return 'Unknown';
 });
 
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Static methods
+
+/**
+ * Build a MongoDB query from the filters accepted by GET /api/house-rentals.
+ * Shared with saved-search alerts so both match listings the same way.
+ * @param {Object} filters - { q, location, minPrice, maxPrice, bedrooms, bathrooms,
+ *   propertyType, category, furnished, petsAllowed, available }
+ * @returns {Object} - MongoDB query
+ */
+houseRentalSchema.statics.buildSearchQuery = function(filters = {}) {
+  const {
+    q,
+    location,
+    minPrice,
+    maxPrice,
+    bedrooms,
+    bathrooms,
+    propertyType,
+    category,
+    furnished,
+    petsAllowed,
+    available
+  } = filters;
+
+  const query = {};
+
+  // Text search
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [
+      { title: pattern },
+      { description: pattern },
+      { location: pattern },
+      { propertyType: pattern }
+    ];
+  }
+
+  if (location) {
+    query.location = new RegExp(escapeRegex(location), 'i');
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) query.price.$gte = Number(minPrice);
+    if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
+  }
+
+  if (bedrooms !== undefined) query.bedrooms = Number(bedrooms);
+  if (bathrooms !== undefined) query.bathrooms = Number(bathrooms);
+  // Saved searches store filters as JSON, so an object here would act as an operator
+  if (propertyType) query.propertyType = String(propertyType);
+  if (category) query.category = String(category);
+  if (furnished) query.furnished = String(furnished);
+  if (petsAllowed !== undefined) query['petPolicy.allowed'] = petsAllowed === true || petsAllowed === 'true';
+  if (available !== undefined) query['availability.available'] = available === true || available === 'true';
+
+  return query;
+};
+
+/**
+ * Hard filters for semantic search. Only uses operators and fields that
+ * Atlas $vectorSearch can pre-filter on (see rental_vector_index in the README).
+ * @param {Object} filters - { minPrice, maxPrice, bedrooms, furnished, petsAllowed }
+ * @returns {Object} - MongoDB query
+ */
+houseRentalSchema.statics.buildVectorFilter = function(filters = {}) {
+  const { minPrice, maxPrice, bedrooms, furnished, petsAllowed } = filters;
+  const conditions = [];
+
+  if (minPrice !== undefined) conditions.push({ price: { $gte: Number(minPrice) } });
+  if (maxPrice !== undefined) conditions.push({ price: { $lte: Number(maxPrice) } });
+  if (bedrooms !== undefined) conditions.push({ bedrooms: { $eq: Number(bedrooms) } });
+  if (furnished) conditions.push({ furnished: { $eq: String(furnished) } });
+  if (petsAllowed !== undefined) {
+    conditions.push({ 'petPolicy.allowed': { $eq: petsAllowed === true || petsAllowed === 'true' } });
+  }
+
+  if (!conditions.length) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// Nearest listings to a query vector that also pass the hard filters
+houseRentalSchema.statics.findSimilar = async function(vectorEmbedding, { limit = 20, filter = {}, version = null } = {}) {
+  return vectorIndexService.search(this, {
+    index: 'rental_vector_index',
+    path: 'vectorEmbedding',
+    queryVector: vectorEmbedding,
+    numCandidates: Math.max(200, limit * 10),
+    limit,
+    version,
+    filter
+  });
+};
+
 houseRentalSchema.statics.getLocationStats = function() {
   return this.aggregate([
     {
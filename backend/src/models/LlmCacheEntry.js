@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const llmCacheEntrySchema = new mongoose.Schema({
+  // sha256 of model + prompt + data fingerprint
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // GeminiService feature that generated the text, e.g. 'trend-analysis'
+  feature: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Tokens the original call used, i.e. what each hit saved
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // Removed by the TTL monitor once passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+llmCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LlmCacheEntry', llmCacheEntrySchema);
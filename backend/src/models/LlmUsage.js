@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Daily usage counters are kept this long
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * LLM usage for one day (UTC), either across the platform (scope 'global')
+ * or for one user (scope is the user id)
+ */
+const llmUsageSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true
+  },
+  // YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  // Calls that reached the model
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Answers served from the cache instead of the model
+  cacheHits: {
+    type: Number,
+    default: 0
+  },
+  tokensSaved: {
+    type: Number,
+    default: 0
+  },
+  // Calls answered with a mock response because a budget was used up
+  degraded: {
+    type: Number,
+    default: 0
+  },
+  // Tokens per GeminiService feature
+  features: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+llmUsageSchema.index({ scope: 1, day: 1 }, { unique: true });
+llmUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('LlmUsage', llmUsageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const vectorIndexService = require('../services/vectorIndexService');
 
 const coordinatesSchema = new mongoose.Schema({
   lat: {
@@ -237,15 +238,16 @@ const neighborhoodSchema = new mongoose.Schema({
     type: coordinatesSchema,
     required: true
   },
-  // Geographic boundary polygon in GeoJSON format
+  // Geographic boundary polygon in GeoJSON format. No defaults, so that
+  // neighborhoods without one stay out of the 2dsphere index
   boundary: {
     type: {
       type: String,
-      enum: ['Polygon'],
-      default: 'Polygon'
+      enum: ['Polygon']
     },
     coordinates: {
       type: [[[Number]]], // Array of arrays of coordinate pairs [lng, lat]
+      default: undefined,
       validate: {
         validator: function(v) {
           // Basic validation for polygon structure
@@ -255,6 +257,15 @@ const neighborhoodSchema = new mongoose.Schema({
       }
     }
   },
+  // Facilities inside the boundary (grown by bufferM), precomputed by the
+  // spatial join service
+  facilityCounts: {
+    schools: Number,
+    hospitals: Number,
+    taxiRoutes: Number,
+    bufferM: Number,
+    computedAt: Date
+  },
   demographics: demographicsSchema,
   housing: housingSchema,
   safety: safetySchema,
@@ -270,6 +281,15 @@ const neighborhoodSchema = new mongoose.Schema({
       message: 'Vector embedding must have exactly 768 dimensions'
     }
   },
+  // Which provider/version produced vectorEmbedding and a hash of the text
+  // it was built from, so stale vectors can be found and re-embedded
+  embeddingMeta: {
+    provider: String,
+    version: String,
+    dimensions: Number,
+    textHash: String,
+    embeddedAt: Date
+  },
   description: {
     type: String,
     trim: true
@@ -295,10 +315,12 @@ const neighborhoodSchema = new mongoose.Schema({
 // Indexes for performance
 neighborhoodSchema.index({ name: 1, borough: 1 }, { unique: true });
 neighborhoodSchema.index({ coordinates: '2dsphere' });
+neighborhoodSchema.index({ boundary: '2dsphere' });
 neighborhoodSchema.index({ 'housing.avgRent': 1 });
 neighborhoodSchema.index({ 'safety.safetyScore': -1 });
 neighborhoodSchema.index({ 'amenities.transitScore': -1 });
 neighborhoodSchema.index({ tags: 1 });
+neighborhoodSchema.index({ 'embeddingMeta.version': 1 });
 
 // Virtual for full address
 neighborhoodSchema.virtual('fullAddress').get(function() {
@@ -317,35 +339,19 @@ neighborhoodSchema.virtual('affordabilityCategory').get(function() {
   return 'Budget';                           // Cape Flats, informal settlements
 });
 
-// Static method to find similar neighborhoods using vector search
-neighborhoodSchema.statics.findSimilar = async function(vectorEmbedding, limit = 10, excludeId = null) {
-  const pipeline = [
-    {
-      $vectorSearch: {
-        index: 'neighborhood_vector_index',
-        path: 'vectorEmbedding',
-        queryVector: vectorEmbedding,
-        numCandidates: 100,
-        limit: limit + (excludeId ? 1 : 0)
-      }
-    },
-    {
-      $addFields: {
-        score: { $meta: 'vectorSearchScore' }
-      }
-    }
-  ];
-
-  if (excludeId) {
-    pipeline.push({
-      $match: {
-        _id: { $ne: excludeId }
-      }
-    });
-    pipeline.push({ $limit: limit });
-  }
-
-  return this.aggregate(pipeline);
+// Static method to find similar neighborhoods using vector search (Atlas, or
+// an in-memory index when $vectorSearch isn't available).
+// Pass the embedding version to ignore vectors from other providers.
+neighborhoodSchema.statics.findSimilar = async function(vectorEmbedding, limit = 10, excludeId = null, version = null) {
+  return vectorIndexService.search(this, {
+    index: 'neighborhood_vector_index',
+    path: 'vectorEmbedding',
+    queryVector: vectorEmbedding,
+    numCandidates: 100,
+    limit,
+    version,
+    excludeId
+  });
 };
 
 module.exports = mongoose.model('Neighborhood', neighborhoodSchema);
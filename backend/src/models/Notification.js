@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Notifications are kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['saved-search-match', 'system'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Type-specific payload, e.g. { savedSearchId, rentalIds } for saved-search matches
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('Notification', notificationSchema);
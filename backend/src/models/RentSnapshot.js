@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// Points aggregated from fewer listings than this are flagged as sparse
+const MIN_SAMPLE_SIZE = 5;
+
+const rentSnapshotSchema = new mongoose.Schema({
+  // Display name of the neighborhood (HouseRental.location)
+  neighborhood: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased name used for matching against Neighborhood.name
+  neighborhoodKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Bedroom count (4 means 4+); null for all listings in the neighborhood
+  bedrooms: {
+    type: Number,
+    min: 0,
+    max: 4,
+    default: null
+  },
+  // First day of the month (UTC) the aggregate describes
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  // How listings were assigned to the period
+  source: {
+    type: String,
+    enum: ['active-listings', 'listing-dates'],
+    default: 'active-listings'
+  },
+  sampleSize: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  avgRent: Number,
+  medianRent: Number,
+  minRent: Number,
+  maxRent: Number,
+  p25Rent: Number,
+  p75Rent: Number,
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+rentSnapshotSchema.index({ neighborhoodKey: 1, bedrooms: 1, periodStart: 1 }, { unique: true });
+rentSnapshotSchema.index({ periodStart: -1 });
+
+rentSnapshotSchema.virtual('sparse').get(function() {
+  return this.sampleSize < MIN_SAMPLE_SIZE;
+});
+
+const toMonthKey = (date) => date.toISOString().slice(0, 7);
+
+const seriesStart = (months) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+};
+
+// Lay snapshots out month by month from startDate, flagging gaps and
+// low-sample months so charts and models can tell how reliable they are
+const buildSeries = (snapshots, startDate, months) => {
+  const byMonth = new Map(snapshots.map(snapshot => [toMonthKey(snapshot.periodStart), snapshot]));
+
+  const series = [];
+  for (let i = 0; i < months; i++) {
+    const period = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + i, 1));
+    const date = toMonthKey(period);
+    const snapshot = byMonth.get(date);
+
+    series.push(snapshot ? {
+      date,
+      avgRent: snapshot.avgRent,
+      medianRent: snapshot.medianRent,
+      p25Rent: snapshot.p25Rent,
+      p75Rent: snapshot.p75Rent,
+      listings: snapshot.sampleSize,
+      sparse: snapshot.sampleSize < MIN_SAMPLE_SIZE,
+      missing: false
+    } : {
+      date,
+      avgRent: null,
+      medianRent: null,
+      listings: 0,
+      sparse: true,
+      missing: true
+    });
+  }
+
+  const missingPoints = series.filter(point => point.missing).length;
+  const sparsePoints = series.filter(point => point.sparse && !point.missing).length;
+  const reliablePoints = months - missingPoints - sparsePoints;
+
+  return {
+    series,
+    dataQuality: {
+      months,
+      reliablePoints,
+      sparsePoints,
+      missingPoints,
+      minSampleSize: MIN_SAMPLE_SIZE,
+      // Fewer than half the months backed by enough listings
+      isSparse: reliablePoints < Math.ceil(months / 2),
+      firstSnapshot: snapshots[0] ? toMonthKey(snapshots[0].periodStart) : null
+    }
+  };
+};
+
+// Static method to get a monthly rent series for a neighborhood
+rentSnapshotSchema.statics.getSeries = async function(neighborhood, { months = 12, bedrooms = null } = {}) {
+  const startDate = seriesStart(months);
+
+  const snapshots = await this.find({
+    neighborhoodKey: neighborhood.toLowerCase().trim(),
+    bedrooms,
+    periodStart: { $gte: startDate }
+  })
+    .sort({ periodStart: 1 })
+    .lean();
+
+  return buildSeries(snapshots, startDate, months);
+};
+
+// Static method to get aligned monthly series for every neighborhood with
+// snapshots, keyed by neighborhoodKey. Index i is the same month in each.
+rentSnapshotSchema.statics.getPanel = async function({ months = 24, bedrooms = null } = {}) {
+  const startDate = seriesStart(months);
+
+  const snapshots = await this.find({
+    bedrooms,
+    periodStart: { $gte: startDate }
+  })
+    .sort({ periodStart: 1 })
+    .lean();
+
+  const grouped = new Map();
+  snapshots.forEach(snapshot => {
+    if (!grouped.has(snapshot.neighborhoodKey)) {
+      grouped.set(snapshot.neighborhoodKey, { neighborhood: snapshot.neighborhood, snapshots: [] });
+    }
+    grouped.get(snapshot.neighborhoodKey).snapshots.push(snapshot);
+  });
+
+  const panel = new Map();
+  grouped.forEach((group, key) => {
+    panel.set(key, {
+      neighborhood: group.neighborhood,
+      ...buildSeries(group.snapshots, startDate, months)
+    });
+  });
+
+  return panel;
+};
+
+rentSnapshotSchema.statics.MIN_SAMPLE_SIZE = MIN_SAMPLE_SIZE;
+
+module.exports = mongoose.model('RentSnapshot', rentSnapshotSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Which explorer the search was saved from
+  scope: {
+    type: String,
+    enum: ['rentals', 'neighborhoods'],
+    default: 'rentals'
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Filter values as sent to the list endpoint of the scope,
+  // e.g. { location, minPrice, maxPrice, bedrooms, category, furnished }
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 40
+  }],
+  lastRunAt: {
+    type: Date
+  },
+  // Notify the user when newly added rentals match (rentals scope only)
+  alertsEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Listings created after this time have not been checked for alerts yet
+  lastCheckedAt: {
+    type: Date
+  },
+  lastAlertedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedSearchSchema.index({ user: 1, updatedAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, scope: 1 });
+
+// Start the alert window when alerts are switched on so existing listings
+// don't all arrive as "new" matches
+savedSearchSchema.pre('save', function(next) {
+  if (this.isModified('alertsEnabled') && this.alertsEnabled) {
+    this.lastCheckedAt = new Date();
+  }
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
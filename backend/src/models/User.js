@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 12;
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false // Never returned unless explicitly requested
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Incremented on logout/password change to revoke outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a plain text password against the stored hash
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Public profile returned by the API
+userSchema.methods.toProfile = function() {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    createdAt: this.createdAt,
+    lastLogin: this.lastLogin
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,248 @@
+const express = require('express');
+const multer = require('multer');
+const { query, body, validationResult } = require('express-validator');
+const rentalImportService = require('../services/rentalImportService');
+const rentSnapshotService = require('../services/rentSnapshotService');
+const spatialJoinService = require('../services/spatialJoinService');
+const embeddingJobService = require('../services/embeddingJobService');
+const vectorIndexService = require('../services/vectorIndexService');
+const llmUsageService = require('../services/llmUsageService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  }
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Report multer errors (e.g. file too large) as client errors
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: 'Upload failed',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * POST /api/admin/rentals/import
+ * Bulk import rental listings from a CSV or JSON upload (multipart field
+ * "file"), or from a JSON body { rentals: [...] }. Rows are validated against
+ * the HouseRental schema, deduped by title + location + price and upserted.
+ * Pass ?dryRun=true to get the report without writing anything.
+ */
+router.post('/rentals/import', [
+  handleUpload,
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('format').optional().isIn(['csv', 'json']),
+  body('rentals').optional().isArray(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { dryRun = false } = req.query;
+
+    let rows;
+    let format;
+    if (req.file) {
+      format = rentalImportService.detectFormat({
+        format: req.query.format,
+        mimetype: req.file.mimetype,
+        filename: req.file.originalname
+      });
+      if (!format) {
+        return res.status(400).json({
+          error: 'Unsupported file type',
+          message: 'Upload a .csv or .json file, or pass ?format=csv|json'
+        });
+      }
+
+      try {
+        rows = await rentalImportService.parse(req.file.buffer, format);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: `Could not parse ${format.toUpperCase()} file`,
+          message: parseError.message
+        });
+      }
+    } else if (Array.isArray(req.body.rentals)) {
+      format = 'json';
+      rows = req.body.rentals;
+    } else {
+      return res.status(400).json({
+        error: 'No rentals provided',
+        message: 'Upload a file in the "file" field or send { "rentals": [...] }'
+      });
+    }
+
+    logger.info(`📥 Rental import by ${req.user.email}: ${rows.length} ${format} rows${dryRun ? ' (dry run)' : ''}`);
+
+    const report = await rentalImportService.importRows(rows, { dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      format,
+      ...report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: 'Import rejected',
+        message: error.message
+      });
+    }
+
+    logger.error('Error importing rentals:', error);
+    res.status(500).json({
+      error: 'Failed to import rentals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/rent-snapshots/capture
+ * Capture this month's rent snapshots now. With ?backfill=true, also build
+ * snapshots for past months from listing creation dates.
+ */
+router.post('/rent-snapshots/capture', [
+  query('backfill').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const current = await rentSnapshotService.captureSnapshots();
+    const backfilled = req.query.backfill ? await rentSnapshotService.backfill() : null;
+
+    res.json({
+      periodStart: current.periodStart,
+      captured: current.snapshots,
+      backfilled: backfilled ? backfilled.snapshots : 0
+    });
+  } catch (error) {
+    logger.error('Error capturing rent snapshots:', error);
+    res.status(500).json({
+      error: 'Failed to capture rent snapshots',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/facility-counts/refresh
+ * Recount the schools, hospitals and taxi routes inside every neighborhood
+ * boundary now. ?bufferM= also counts facilities that close outside it.
+ */
+router.post('/facility-counts/refresh', [
+  query('bufferM').optional().isInt({ min: 0, max: 5000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { bufferM = spatialJoinService.getDefaultBuffer() } = req.query;
+    const result = await spatialJoinService.refreshFacilityCounts({ bufferM });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error refreshing facility counts:', error);
+    res.status(500).json({
+      error: 'Failed to refresh facility counts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/embeddings
+ * Embedding provider, version, stale-vector counts per collection and the
+ * vector search backend in use
+ */
+router.get('/embeddings', async (req, res) => {
+  try {
+    const status = await embeddingJobService.getStatus();
+    res.json({ ...status, vectorSearch: vectorIndexService.getStatus() });
+  } catch (error) {
+    logger.error('Error fetching embedding status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch embedding status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/embeddings/reembed
+ * Start a background job that re-embeds documents whose text or embedding
+ * version changed. force re-embeds everything; refit retrains the local model.
+ */
+router.post('/embeddings/reembed', [
+  body('targets').optional().isArray({ min: 1 }),
+  body('targets.*').isIn(embeddingJobService.getTargetNames()),
+  body('force').optional().isBoolean().toBoolean(),
+  body('refit').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { targets, force = false, refit = false } = req.body;
+
+    const job = embeddingJobService.start({ targets, force, refit });
+    logger.info(`🧭 Re-embed job ${job.id} started by ${req.user.email}`);
+
+    res.status(202).json({ job });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: 'Re-embed job rejected',
+        message: error.message
+      });
+    }
+
+    logger.error('Error starting re-embed job:', error);
+    res.status(500).json({
+      error: 'Failed to start re-embed job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/llm-usage
+ * Token budgets, daily LLM usage for the last `days` days (requests, tokens,
+ * cache hits, calls degraded to mock responses, tokens per feature), today's
+ * heaviest users and response cache stats
+ */
+router.get('/llm-usage', [
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+    res.json(await llmUsageService.getMetrics({ days }));
+  } catch (error) {
+    logger.error('Error fetching LLM usage:', error);
+    res.status(500).json({
+      error: 'Failed to fetch LLM usage',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
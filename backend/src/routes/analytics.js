@@ -2,7 +2,9 @@ const express = require('express');
 const { param, query, body, validationResult } = require('express-validator');
 const Neighborhood = require('../models/Neighborhood');
 const CrimeData = require('../models/CrimeData');
+const RentSnapshot = require('../models/RentSnapshot');
 const geminiService = require('../services/geminiService');
+const { optionalAuth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -21,17 +23,21 @@ const handleValidationErrors = (req, res, next) => {
 
 /**
  * GET /api/analytics/trends/:neighborhood
- * Get trend data for a specific neighborhood
+ * Get trend data for a specific neighborhood. Housing trends come from
+ * monthly RentSnapshot aggregates (optionally for one bedroom count, 4 = 4+)
+ * and include a dataQuality block flagging sparse or missing months.
  */
 router.get('/trends/:neighborhood', [
+  optionalAuth,
   param('neighborhood').isString().trim(),
   query('months').optional().isInt({ min: 1, max: 60 }).toInt(),
   query('metric').optional().isIn(['crime', 'housing', 'demographics']),
+  query('bedrooms').optional().isInt({ min: 0, max: 4 }).toInt(),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { neighborhood } = req.params;
-    const { months = 12, metric = 'crime' } = req.query;
+    const { months = 12, metric = 'crime', bedrooms } = req.query;
 
     // Find the neighborhood
     const neighborhoodData = await Neighborhood.findOne({
@@ -45,26 +51,36 @@ router.get('/trends/:neighborhood', [
     }
 
     let trendData = {};
+    let dataQuality = null;
 
     if (metric === 'crime') {
       // Get crime trend data
       trendData = await CrimeData.getTrendData(neighborhoodData.name, months);
     } else if (metric === 'housing') {
-      // For demo purposes, generate sample housing trend data
-      trendData = generateHousingTrendData(neighborhoodData, months);
+      const rentSeries = await RentSnapshot.getSeries(neighborhoodData.name, {
+        months,
+        bedrooms: bedrooms ?? null
+      });
+      trendData = rentSeries.series;
+      dataQuality = rentSeries.dataQuality;
     } else if (metric === 'demographics') {
       // For demo purposes, generate sample demographic trend data
       trendData = generateDemographicTrendData(neighborhoodData, months);
     }
 
-    // Generate AI analysis of the trends
-    const analysis = await geminiService.analyzeTrends(trendData, neighborhoodData.name);
+    // Generate AI analysis of the trends (skipped when there is nothing to analyze)
+    const hasData = !dataQuality || dataQuality.missingPoints < months;
+    const analysis = hasData
+      ? await geminiService.analyzeTrends(trendData, neighborhoodData.name, { userId: req.user?.id })
+      : null;
 
     res.json({
       neighborhood: neighborhoodData.name,
       metric,
+      ...(metric === 'housing' && { bedrooms: bedrooms ?? null }),
       timeframe: `${months} months`,
       trendData,
+      ...(dataQuality && { dataQuality }),
       analysis,
       lastUpdated: new Date()
     });
@@ -119,11 +135,12 @@ router.post('/compare', [
     comparison.summary = generateComparisonSummary(neighborhoodData, metrics);
 
     // Generate AI insights using specialized comparison prompt
-    const insights = await geminiService.generateComparisonAnalysis(neighborhoodData, metrics);
+    const { analysis, citations } = await geminiService.generateComparisonAnalysis(neighborhoodData, metrics);
 
     res.json({
       comparison,
-      insights,
+      insights: analysis,
+      citations,
       timestamp: new Date()
     });
 
@@ -327,28 +344,6 @@ function generateComparisonSummary(neighborhoods, metrics) {
 }
 
 // Generate sample trend data for demo purposes
-function generateHousingTrendData(neighborhood, months) {
-  const data = [];
-  const baseRent = neighborhood.housing?.avgRent || 3000;
-  
-  for (let i = months; i >= 0; i--) {
-    const date = new Date();
-    date.setMonth(date.getMonth() - i);
-    
-    // Add some realistic variation
-    const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-    const rent = Math.round(baseRent * (1 + variation));
-    
-    data.push({
-      date: date.toISOString().slice(0, 7), // YYYY-MM format
-      avgRent: rent,
-      listings: Math.floor(Math.random() * 50) + 10
-    });
-  }
-  
-  return data;
-}
-
 function generateDemographicTrendData(neighborhood, months) {
   const data = [];
   const basePopulation = neighborhood.demographics?.population || 50000;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * POST /api/auth/signup
+ * Create a new user account
+ */
+router.post('/signup', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 8, max: 128 }),
+  body('name').optional().isString().trim().isLength({ max: 100 }),
+  handleValidationErrors
+], async (req, res) => {
+  const conflict = () => res.status(409).json({
+    error: 'An account with this email already exists'
+  });
+
+  try {
+    const { email, password, name } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return conflict();
+    }
+
+    const user = await User.create({
+      email,
+      password,
+      name,
+      lastLogin: new Date()
+    });
+
+    logger.info(`👤 New user registered: ${user._id}`);
+
+    res.status(201).json({
+      user: user.toProfile(),
+      ...authService.issueTokens(user)
+    });
+  } catch (error) {
+    // Another signup with the same email got in after the findOne above
+    if (error.code === 11000) {
+      return conflict();
+    }
+
+    logger.error('Error registering user:', error);
+    res.status(500).json({
+      error: 'Failed to create account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Authenticate with email and password
+ */
+router.post('/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 1 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email }).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      user: user.toProfile(),
+      ...authService.issueTokens(user)
+    });
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { user, tokens } = await authService.refresh(req.body.refreshToken);
+
+    res.json({
+      user: user.toProfile(),
+      ...tokens
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: error.message
+      });
+    }
+
+    logger.error('Error refreshing token:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke all refresh tokens for the current user
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await authService.revokeTokens(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the current user's profile
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({ user: user.toProfile() });
+  } catch (error) {
+    logger.error('Error fetching current user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const geminiService = require('../services/geminiService');
 const vectorSearchService = require('../services/vectorSearchService');
 const AdvancedNLP = require('../services/advancedNLP');
 const PersonalizationEngine = require('../services/personalizationEngine');
 const ComprehensiveDataService = require('../services/comprehensiveDataService');
+const conversationService = require('../services/conversationService');
+const chatAgent = require('../services/chatAgent');
+const dialogueManager = require('../services/dialogueManager');
 const Neighborhood = require('../models/Neighborhood');
+const { createTranscriber } = require('../services/transcribers');
+const { detectLanguage, translationsOf, mentions, normalizeLanguage } = require('../services/languages');
+const { optionalAuth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -14,6 +21,16 @@ const router = express.Router();
 const advancedNLP = new AdvancedNLP();
 const personalizationEngine = new PersonalizationEngine();
 const comprehensiveDataService = new ComprehensiveDataService();
+const transcriber = createTranscriber();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB, a few minutes of compressed speech
+    files: 1
+  },
+  fileFilter: (req, file, cb) => cb(null, /^(audio|video)\//.test(file.mimetype))
+});
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -27,105 +44,307 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-/**
- * POST /api/chat
- * Handle chat messages and provide AI responses
- */
-router.post('/', [
+// Checks for client-sent dialogue criteria, by the type dialogueManager gives
+const CRITERIA_CHECKS = {
+  number: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+  string: value => typeof value === 'string' && value.length <= 100,
+  strings: value => Array.isArray(value) && value.length <= 20
+    && value.every(item => typeof item === 'string' && item.length <= 100),
+  boolean: value => typeof value === 'boolean'
+};
+
+const criteriaTypes = dialogueManager.getCriteriaTypes();
+
+const criteriaValidators = Object.entries(criteriaTypes).map(([name, type]) =>
+  // null is kept for "asked, no answer", e.g. commuteDestination
+  body(`dialogue.criteria.${name}`).optional({ nullable: true })
+    .custom(CRITERIA_CHECKS[type])
+    .withMessage(`Must be ${type === 'strings' ? 'a list of strings' : `a ${type}`}`)
+);
+
+const chatValidators = [
+  optionalAuth,
   body('message').isString().trim().isLength({ min: 1, max: 1000 }),
   body('context').optional().isArray({ max: 10 }),
   body('sessionId').optional().isString().trim(),
+  body('conversationId').optional().isMongoId(),
+  body('language').optional().isString().trim(),
+  body('dialogue').optional().isObject(),
+  body('dialogue.criteria').optional().isObject()
+    .custom(criteria => Object.keys(criteria).every(name => Object.hasOwn(criteriaTypes, name)))
+    .withMessage(`Criteria must be among: ${Object.keys(criteriaTypes).join(', ')}`),
+  ...criteriaValidators,
+  body('dialogue.pendingSlot').optional({ nullable: true }).isIn(dialogueManager.getSlotNames()),
+  body('dialogue.asked').optional().isArray({ max: 10 }),
+  body('dialogue.referenceRent').optional({ nullable: true }).isFloat({ min: 0 }),
   handleValidationErrors
-], async (req, res) => {
+];
+
+// Report multer errors (e.g. file too large) as client errors
+const handleUpload = (req, res, next) => {
+  upload.single('audio')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: 'Upload failed',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// Bedroom counts as keys of housing.rentByBedroom; four or more use fourBed
+const BEDROOM_RENT_KEYS = ['studio', 'oneBed', 'twoBed', 'threeBed', 'fourBed'];
+
+/**
+ * POST /api/chat
+ * Handle chat messages and provide AI responses.
+ * Questions about schools, hospitals, taxi routes, rentals, crime or rent
+ * forecasts are answered from the platform's data through tool calls, with
+ * the sources listed in `citations`.
+ * Personalization is only applied for authenticated users. Their turns are
+ * saved to a conversation (a new one unless conversationId is given) whose
+ * history replaces the client-sent context.
+ * Replies come in the language of the message (English, Afrikaans or
+ * isiXhosa); `language`, e.g. the UI language, is used when the message
+ * alone does not tell.
+ * Searches are refined across turns: vague ones get a follow-up question
+ * about a missing detail (budget, bedrooms, commute, schools), and messages
+ * like "cheaper" adjust the previous criteria. The resulting `dialogue`
+ * ({ criteria, pendingSlot, asked, referenceRent }) is returned with each
+ * reply; sending it back, edited or not, continues the search. Saved
+ * conversations keep it server-side.
+ */
+router.post('/', chatValidators, async (req, res) => {
   try {
-    const { message, context = [], sessionId } = req.body;
-    const userId = sessionId; // Use sessionId as userId for personalization
+    const { message, context = [], sessionId, conversationId } = req.body;
+    const userId = req.user?.id || null;
+    const language = detectLanguage(message, req.body.language).language;
+    const conversation = await openConversation(userId, conversationId);
+    const history = conversation ? conversationService.buildContext(conversation) : context;
 
     logger.info(`🚀 Revolutionary Chat - Session: ${sessionId}, Message: "${message}"`);
 
     // Use Advanced NLP to parse the query
     const parsedQuery = await advancedNLP.parseComplexQuery(message);
-    logger.info(`🧠 Parsed intent: ${parsedQuery.intent.intent}, confidence: ${parsedQuery.confidence}`);
+    logger.info(`🧠 Parsed intent: ${parsedQuery.intent}, confidence: ${parsedQuery.confidence}`);
+    const state = updateDialogue(req.body.dialogue || conversation?.dialogue, parsedQuery, message);
 
-    let relevantData = null;
-    let response;
-    let personalizedResults = null;
+    const { matches, plan, agentRun, dialogue } = await planAnswer(message, parsedQuery, userId, history, { language, dialogue: state });
+    const response = await plan.generate();
 
-    if (parsedQuery.intent.intent === 'search' || parsedQuery.intent.intent === 'recommend') {
-      // Get all neighborhoods for intelligent filtering
-      const allNeighborhoods = await Neighborhood.find({});
+    await learnFromChat(userId, message, response, parsedQuery);
+    const savedConversationId = await saveTurn(conversation, {
+      userId,
+      message,
+      parsedQuery,
+      response,
+      ...getReferences(matches, agentRun),
+      dialogue: dialogueManager.persistable(dialogue)
+    });
 
-      // Apply intelligent filtering based on parsed criteria
-      const filteredNeighborhoods = await applyIntelligentFiltering(
-        allNeighborhoods,
-        parsedQuery.searchCriteria
-      );
+    logger.info(`✅ Revolutionary chat response generated for session: ${sessionId}`);
 
-      logger.info(`🎯 Filtered to ${filteredNeighborhoods.length} neighborhoods from ${allNeighborhoods.length}`);
+    res.json({
+      response,
+      understanding: formatUnderstanding(parsedQuery),
+      relevantNeighborhoods: matches.relevantData ? matches.relevantData.slice(0, 3) : null,
+      personalized: !!matches.personalizedResults?.profile,
+      userProfile: matches.personalizedResults?.profile || null,
+      confidence: parsedQuery.confidence || 0.8,
+      toolCalls: agentRun ? agentRun.toolCalls : [],
+      citations: agentRun ? agentRun.citations : [],
+      dialogue: formatDialogue(dialogue),
+      language,
+      sessionId,
+      conversationId: savedConversationId
+    });
 
-      if (filteredNeighborhoods.length > 0) {
-        // Get personalized recommendations
-        personalizedResults = await personalizationEngine.getPersonalizedRecommendations(
-          userId,
-          filteredNeighborhoods,
-          5
-        );
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
 
-        relevantData = personalizedResults.recommendations;
+    logger.error('Error in revolutionary chat:', error);
+    res.status(500).json({
+      error: 'Failed to process chat message',
+      message: error.message
+    });
+  }
+});
 
-        // Learn from this interaction
-        await personalizationEngine.learnFromInteraction(userId, {
-          type: 'search',
-          data: parsedQuery.searchCriteria,
-          context: { query: message, timestamp: new Date() }
-        });
+/**
+ * POST /api/chat/stream
+ * Same as POST /api/chat, streamed as Server-Sent Events: `understanding`
+ * once the query is parsed, `neighborhoods` once matches are ranked (or
+ * `tool` as each data lookup starts and finishes), `token` for each chunk of
+ * the reply, then `done` (or `error`). Closing the connection cancels
+ * generation.
+ */
+router.post('/stream', chatValidators, async (req, res) => {
+  const { message, context = [], sessionId, conversationId } = req.body;
+  const userId = req.user?.id || null;
+  const language = detectLanguage(message, req.body.language).language;
+  const controller = new AbortController();
+
+  // Resolve the conversation before the stream starts so a bad id is a
+  // plain JSON error
+  let conversation;
+  try {
+    conversation = await openConversation(userId, conversationId);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error loading conversation:', error);
+    return res.status(500).json({
+      error: 'Failed to process chat message',
+      message: error.message
+    });
+  }
+  const history = conversation ? conversationService.buildContext(conversation) : context;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform also keeps compression() from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    logger.info(`🚀 Streaming Chat - Session: ${sessionId}, Message: "${message}"`);
 
-        // Generate response with available data
-        if (relevantData.length > 0) {
-          response = await generateBasicResponse(message, parsedQuery, personalizedResults, context);
-        } else {
-          response = "I couldn't find any neighborhoods matching your specific criteria. Could you try adjusting your budget or requirements?";
-        }
-      } else {
-        response = await geminiService.generateEnhancedChatResponse(
-          `No neighborhoods found matching: ${message}. Please suggest alternatives or ask for different criteria.`,
-          context
-        );
+    const parsedQuery = await advancedNLP.parseComplexQuery(message);
+    if (controller.signal.aborted) return;
+    const state = updateDialogue(req.body.dialogue || conversation?.dialogue, parsedQuery, message);
+    sendEvent(res, 'understanding', {
+      ...formatUnderstanding(parsedQuery),
+      confidence: parsedQuery.confidence || 0.8
+    });
+
+    const { matches, plan, agentRun, dialogue } = await planAnswer(message, parsedQuery, userId, history, {
+      language,
+      dialogue: state,
+      onTool: (toolCall) => {
+        if (!controller.signal.aborted) sendEvent(res, 'tool', toolCall);
       }
-    } else {
-      // General chat response
-      response = await geminiService.generateEnhancedChatResponse(message, context);
+    });
+    if (controller.signal.aborted) return;
+    if (!agentRun) {
+      sendEvent(res, 'neighborhoods', {
+        relevantNeighborhoods: matches.relevantData ? matches.relevantData.slice(0, 3) : null,
+        personalized: !!matches.personalizedResults?.profile,
+        userProfile: matches.personalizedResults?.profile || null
+      });
     }
 
-    // Learn from chat interaction
-    if (userId) {
-      await personalizationEngine.learnFromInteraction(userId, {
-        type: 'chat',
-        data: { message, response, parsedQuery },
-        context: { timestamp: new Date() }
-      });
+    let response = '';
+    for await (const text of plan.stream(controller.signal)) {
+      if (controller.signal.aborted) break;
+      response += text;
+      sendEvent(res, 'token', { text });
     }
 
-    logger.info(`✅ Revolutionary chat response generated for session: ${sessionId}`);
+    if (controller.signal.aborted) {
+      logger.info(`⏹️ Chat stream cancelled for session: ${sessionId}`);
+      // The client only learns the id of a new conversation from `done`, so
+      // only existing conversations keep cancelled turns
+      if (conversation) {
+        await saveTurn(conversation, {
+          userId,
+          message,
+          parsedQuery,
+          response,
+          ...getReferences(matches, agentRun),
+          status: 'cancelled',
+          dialogue: dialogueManager.persistable(dialogue)
+        });
+      }
+      return;
+    }
 
-    res.json({
+    await learnFromChat(userId, message, response, parsedQuery);
+    const savedConversationId = await saveTurn(conversation, {
+      userId,
+      message,
+      parsedQuery,
+      response,
+      ...getReferences(matches, agentRun),
+      dialogue: dialogueManager.persistable(dialogue)
+    });
+
+    sendEvent(res, 'done', {
       response,
-      understanding: {
-        intent: parsedQuery.intent,
-        entities: parsedQuery.entities,
-        explanation: parsedQuery.naturalLanguageExplanation
-      },
-      relevantNeighborhoods: relevantData ? relevantData.slice(0, 3) : null,
-      personalized: !!personalizedResults,
-      userProfile: personalizedResults?.profile || null,
       confidence: parsedQuery.confidence || 0.8,
-      sessionId
+      toolCalls: agentRun ? agentRun.toolCalls : [],
+      citations: agentRun ? agentRun.citations : [],
+      dialogue: formatDialogue(dialogue),
+      language,
+      sessionId,
+      conversationId: savedConversationId
     });
+    logger.info(`✅ Streamed chat response for session: ${sessionId}`);
+  } catch (error) {
+    logger.error('Error in streaming chat:', error);
+    if (!controller.signal.aborted) {
+      sendEvent(res, 'error', {
+        error: 'Failed to process chat message',
+        message: error.message
+      });
+    }
+  } finally {
+    if (!res.writableEnded) res.end();
+  }
+});
 
+/**
+ * POST /api/chat/transcribe
+ * Transcribe a recorded voice message (multipart field "audio") for browsers
+ * without built-in speech recognition. `language` is a hint; the
+ * transcriber is chosen with TRANSCRIBER.
+ */
+router.post('/transcribe', [
+  optionalAuth,
+  handleUpload,
+  body('language').optional().isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Attach the recording as an audio file in the "audio" field'
+      });
+    }
+
+    const language = normalizeLanguage(req.body.language);
+    const result = await transcriber.transcribe({
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      filename: req.file.originalname,
+      language
+    });
+
+    res.json({
+      text: result.text,
+      language: result.text ? detectLanguage(result.text, result.language || language).language : language,
+      transcriber: transcriber.name
+    });
   } catch (error) {
-    logger.error('Error in revolutionary chat:', error);
+    logger.error('Error transcribing voice message:', error);
     res.status(500).json({
-      error: 'Failed to process chat message',
+      error: 'Failed to transcribe voice message',
       message: error.message
     });
   }
@@ -318,8 +537,11 @@ function extractSearchCriteria(message) {
     criteria.borough = foundArea;
   }
 
-  // Extract characteristics
-  if (lowerMessage.includes('family') || lowerMessage.includes('kids') || lowerMessage.includes('children')) {
+  // Extract characteristics, in English, Afrikaans or isiXhosa
+  const says = (keywords, concept) => [...keywords, ...translationsOf(concept)]
+    .some(keyword => mentions(lowerMessage, keyword));
+
+  if (says(['family', 'kids', 'children'], 'family')) {
     criteria.familyFriendly = true;
   }
 
@@ -327,19 +549,19 @@ function extractSearchCriteria(message) {
     criteria.youngProfessionals = true;
   }
 
-  if (lowerMessage.includes('safe') || lowerMessage.includes('safety') || lowerMessage.includes('secure')) {
+  if (says(['safe', 'safety', 'secure'], 'safety')) {
     criteria.minSafetyScore = 7;
   }
 
-  if (lowerMessage.includes('quiet') || lowerMessage.includes('peaceful')) {
+  if (says(['quiet', 'peaceful'], 'quiet')) {
     criteria.quiet = true;
   }
 
-  if (lowerMessage.includes('transit') || lowerMessage.includes('subway') || lowerMessage.includes('transportation')) {
+  if (says(['transit', 'subway', 'transportation'], 'transport')) {
     criteria.transitAccess = true;
   }
 
-  if (lowerMessage.includes('cultural') || lowerMessage.includes('arts') || lowerMessage.includes('museum')) {
+  if (says(['cultural', 'arts', 'museum'], 'cultural')) {
     criteria.cultural = true;
   }
 
@@ -348,12 +570,18 @@ function extractSearchCriteria(message) {
 
 /**
  * Apply intelligent filtering based on parsed search criteria
+ * @param {Object} commuteFrom - Coordinates of the commute destination, if known
  */
-async function applyIntelligentFiltering(neighborhoods, criteria) {
+async function applyIntelligentFiltering(neighborhoods, criteria, commuteFrom = null) {
+  const commuteRadius = dialogueManager.getCommuteRadiusKm(criteria) * 1000;
+
   return neighborhoods.filter(neighborhood => {
-    // Budget filtering with currency conversion
+    // Budget filtering with currency conversion, against the rent for the
+    // bedroom count when one is known
     if (criteria.maxRent) {
-      const neighborhoodRent = neighborhood.housing?.avgRent || 0;
+      const bedroomKey = criteria.bedrooms !== undefined ? BEDROOM_RENT_KEYS[Math.min(criteria.bedrooms, 4)] : null;
+      const neighborhoodRent = (bedroomKey && neighborhood.housing?.rentByBedroom?.[bedroomKey]?.avg)
+        || neighborhood.housing?.avgRent || 0;
       let maxBudget = criteria.maxRent;
 
       // Convert USD to ZAR if needed (approximate rate: 1 USD = 18 ZAR)
@@ -402,6 +630,25 @@ async function applyIntelligentFiltering(neighborhoods, criteria) {
       }
     }
 
+    // Coastal filtering
+    if (criteria.nearSea) {
+      const coastal = (neighborhood.amenities?.beaches || 0) > 0 ||
+        (neighborhood.tags || []).some(tag => /beach|coast|sea|ocean/i.test(tag));
+      if (!coastal) {
+        return false;
+      }
+    }
+
+    // Commute filtering
+    if (commuteFrom) {
+      if (!neighborhood.coordinates) {
+        return false;
+      }
+      if (comprehensiveDataService.calculateDistance(neighborhood.coordinates, commuteFrom) > commuteRadius) {
+        return false;
+      }
+    }
+
     // Property type filtering
     if (criteria.propertyType) {
       // This would need property type data in neighborhoods
@@ -504,13 +751,276 @@ function createRichContext(comprehensiveData, personalizedResults, parsedQuery)
 }
 
 /**
- * Generate basic response without comprehensive data
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Fold a message into the search dialogue and search with the accumulated
+ * criteria
+ */
+function updateDialogue(state, parsedQuery, message) {
+  const dialogue = dialogueManager.update(state, parsedQuery, message);
+
+  if (dialogue.isSearch) {
+    parsedQuery.searchCriteria = dialogue.criteria;
+    parsedQuery.naturalLanguageExplanation = advancedNLP.generateExplanation(dialogue.criteria);
+  }
+
+  return dialogue;
+}
+
+/**
+ * Dialogue state for the client, with the adjustments made this turn
+ */
+function formatDialogue(dialogue) {
+  return {
+    ...dialogueManager.persistable(dialogue),
+    refinements: dialogue.refinements
+  };
+}
+
+/**
+ * Coordinates of a commute destination: the neighborhood of that name, or
+ * the centre of the neighborhoods in the area it names
+ * @returns {Object|null} - { lat, lng }
+ */
+function resolveCommuteDestination(neighborhoods, destination) {
+  if (!destination) return null;
+
+  const name = destination.toLowerCase();
+  const exact = neighborhoods.filter(n => n.name?.toLowerCase() === name);
+  const places = (exact.length ? exact : neighborhoods.filter(n =>
+    n.name?.toLowerCase().includes(name) || n.borough?.toLowerCase().includes(name)
+  )).filter(n => n.coordinates);
+
+  if (!places.length) {
+    logger.info(`🧭 Unknown commute destination "${destination}", not filtering by commute`);
+    return null;
+  }
+
+  return {
+    lat: places.reduce((sum, n) => sum + n.coordinates.lat, 0) / places.length,
+    lng: places.reduce((sum, n) => sum + n.coordinates.lng, 0) / places.length
+  };
+}
+
+function formatUnderstanding(parsedQuery) {
+  return {
+    intent: parsedQuery.intent,
+    entities: parsedQuery.entities,
+    explanation: parsedQuery.naturalLanguageExplanation
+  };
+}
+
+/**
+ * Filter and rank neighborhoods for search and recommend intents
+ * @returns {Promise<Object>} - { isSearch, filteredCount, relevantData, personalizedResults }
+ */
+async function findRelevantNeighborhoods(message, parsedQuery, userId, isSearch) {
+  if (!isSearch) {
+    return { isSearch, filteredCount: 0, relevantData: null, personalizedResults: null };
+  }
+
+  // Get all neighborhoods for intelligent filtering
+  const allNeighborhoods = await Neighborhood.find({});
+
+  // Apply intelligent filtering based on parsed criteria
+  const filteredNeighborhoods = await applyIntelligentFiltering(
+    allNeighborhoods,
+    parsedQuery.searchCriteria,
+    resolveCommuteDestination(allNeighborhoods, parsedQuery.searchCriteria.commuteDestination)
+  );
+
+  logger.info(`🎯 Filtered to ${filteredNeighborhoods.length} neighborhoods from ${allNeighborhoods.length}`);
+
+  if (filteredNeighborhoods.length === 0) {
+    return { isSearch, filteredCount: 0, relevantData: null, personalizedResults: null };
+  }
+
+  const candidates = filteredNeighborhoods.map(n => n.toObject());
+  let personalizedResults;
+
+  if (userId) {
+    // Get personalized recommendations
+    personalizedResults = await personalizationEngine.getPersonalizedRecommendations(
+      userId,
+      candidates,
+      5
+    );
+
+    // Learn from this interaction
+    await personalizationEngine.learnFromInteraction(userId, {
+      type: 'search',
+      data: parsedQuery.searchCriteria,
+      context: { query: message, timestamp: new Date() }
+    });
+  } else {
+    personalizedResults = personalizationEngine.getFallbackRecommendations(candidates, 5);
+  }
+
+  return {
+    isSearch,
+    filteredCount: filteredNeighborhoods.length,
+    relevantData: personalizedResults.recommendations,
+    personalizedResults
+  };
+}
+
+/**
+ * Choose between the tool-calling agent, a follow-up question and
+ * neighborhood ranking. Messages the tool router recognizes go to the agent,
+ * as do non-search messages when Gemini is available to decide on tools
+ * itself. Vague searches get a question about a missing detail first.
+ * @returns {Promise<Object>} - { matches, plan, agentRun, dialogue }, where
+ *   plan has generate() and stream(), agentRun is null for neighborhood
+ *   ranking and dialogue is the state to keep for the next turn
  */
-async function generateBasicResponse(message, parsedQuery, personalizedResults, context) {
+async function planAnswer(message, parsedQuery, userId, context, { onTool, language = 'en', dialogue } = {}) {
+  const routedCalls = await chatAgent.route(message);
+  const isSearch = dialogue.isSearch;
+  const noMatches = { isSearch: false, filteredCount: 0, relevantData: null, personalizedResults: null };
+
+  if (routedCalls.length || (!isSearch && chatAgent.hasModel())) {
+    const agentRun = chatAgent.createRun(message, context, { routedCalls, onTool, userId, language });
+    return { matches: noMatches, plan: agentRun, agentRun, dialogue };
+  }
+
+  const question = isSearch ? dialogueManager.nextQuestion(dialogue, language) : null;
+  if (question) {
+    logger.info(`❓ Asking for ${question.slot} before searching`);
+    return {
+      matches: noMatches,
+      plan: fixedReply(question.text),
+      agentRun: null,
+      dialogue: dialogueManager.ask(dialogue, question.slot)
+    };
+  }
+
+  const matches = await findRelevantNeighborhoods(message, parsedQuery, userId, isSearch);
+  return {
+    matches,
+    plan: planResponse(message, parsedQuery, matches, context, userId, language),
+    agentRun: null,
+    dialogue: {
+      ...dialogue,
+      // What "cheaper" is relative to when no budget was given
+      referenceRent: matches.relevantData?.[0]?.housing?.avgRent || dialogue.referenceRent
+    }
+  };
+}
+
+/**
+ * A reply plan for text known up front
+ */
+function fixedReply(text) {
+  return {
+    generate: async () => text,
+    stream: async function* () { yield text; }
+  };
+}
+
+/**
+ * Neighborhoods, rentals and sources a reply was based on
+ */
+function getReferences(matches, agentRun) {
+  if (agentRun) {
+    return { ...agentRun.getReferences(), citations: agentRun.citations };
+  }
+  return {
+    neighborhoodIds: (matches.relevantData || []).slice(0, 3).map(neighborhood => neighborhood._id),
+    rentalIds: [],
+    citations: []
+  };
+}
+
+/**
+ * Decide how to answer. Returns generate() for the full reply and stream()
+ * for the same reply in chunks.
+ */
+function planResponse(message, parsedQuery, matches, context, userId, language) {
+  const enhanced = (prompt) => ({
+    generate: () => geminiService.generateEnhancedChatResponse(prompt, context, null, { userId, language }),
+    stream: (signal) => geminiService.streamEnhancedChatResponse(prompt, context, null, { signal, userId, language })
+  });
+
+  if (!matches.isSearch) {
+    // General chat response
+    return enhanced(message);
+  }
+
+  if (matches.filteredCount === 0) {
+    return enhanced(`No neighborhoods found matching: ${message}. Please suggest alternatives or ask for different criteria.`);
+  }
+
+  if (!matches.relevantData.length) {
+    return fixedReply("I couldn't find any neighborhoods matching your specific criteria. Could you try adjusting your budget or requirements?");
+  }
+
+  // Generate response with available data
+  const prompt = buildBasicPrompt(message, parsedQuery, matches.personalizedResults);
+  return {
+    generate: () => geminiService.generateChatResponse(prompt, context, null, { userId, language }),
+    stream: (signal) => geminiService.streamChatResponse(prompt, context, null, { signal, userId, language })
+  };
+}
+
+/**
+ * Conversation to continue, if any. Anonymous chats use the client's context.
+ * @throws {Error} - 401 for anonymous users, 404 for unknown conversations
+ */
+async function openConversation(userId, conversationId) {
+  if (!conversationId) return null;
+
+  if (!userId) {
+    const error = new Error('Sign in to continue a saved conversation');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  return conversationService.get(userId, conversationId);
+}
+
+/**
+ * Save a signed-in user's turn and summarize older turns in the background.
+ * A failed save is logged rather than losing the reply.
+ * @returns {Promise<string|null>} - Conversation id
+ */
+async function saveTurn(conversation, { userId, ...turn }) {
+  if (!userId) return null;
+
   try {
-    const topNeighborhood = personalizedResults.recommendations[0];
+    const conversationId = await conversationService.appendTurn(conversation, { userId, ...turn });
+
+    conversationService.compact(conversationId)
+      .catch(error => logger.error('Error summarizing conversation:', error));
+
+    return conversationId;
+  } catch (error) {
+    logger.error('Error saving conversation turn:', error);
+    return conversation ? String(conversation._id) : null;
+  }
+}
+
+async function learnFromChat(userId, message, response, parsedQuery) {
+  if (!userId) return;
 
-    const prompt = `You are an expert Cape Town real estate advisor.
+  await personalizationEngine.learnFromInteraction(userId, {
+    type: 'chat',
+    data: { message, response, parsedQuery },
+    context: { timestamp: new Date() }
+  });
+}
+
+/**
+ * Build the prompt for a reply about the top recommendation
+ */
+function buildBasicPrompt(message, parsedQuery, personalizedResults) {
+  const topNeighborhood = personalizedResults.recommendations[0];
+
+  return `You are an expert Cape Town real estate advisor.
 
 USER QUERY: "${message}"
 
@@ -534,14 +1044,6 @@ INSTRUCTIONS:
 5. If budget doesn't match, suggest realistic alternatives
 
 Respond naturally and helpfully, using the specific data provided.`;
-
-    const response = await geminiService.generateChatResponse(prompt, context);
-    return response;
-
-  } catch (error) {
-    logger.error('Error generating basic response:', error);
-    return "I found some great neighborhoods for you, but I'm having trouble explaining the details right now. Please try asking again.";
-  }
 }
 
 module.exports = router;
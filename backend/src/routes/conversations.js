@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const conversationService = require('../services/conversationService');
+const { authenticate } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+router.use(authenticate);
+
+/**
+ * GET /api/conversations
+ * List the current user's chat conversations, most recent first
+ */
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const { conversations, total } = await conversationService.list(req.user.id, { limit, offset });
+
+    res.json({
+      conversations,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + conversations.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversations:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with its messages, to resume it
+ */
+router.get('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const conversation = await conversationService.getWithReferences(req.user.id, req.params.id);
+    res.json({ conversation });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error fetching conversation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Rename a conversation
+ */
+router.patch('/:id', [
+  param('id').isMongoId(),
+  body('title').isString().trim().isLength({ min: 1, max: 100 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const conversation = await conversationService.rename(req.user.id, req.params.id, req.body.title);
+    res.json({ conversation });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error renaming conversation:', error);
+    res.status(500).json({
+      error: 'Failed to rename conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation
+ */
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    await conversationService.remove(req.user.id, req.params.id);
+
+    logger.info(`🗑️ Deleted conversation ${req.params.id} for user: ${req.user.id}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error deleting conversation:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const crimeHotspotService = require('../services/crimeHotspotService');
+const crimeStatsService = require('../services/crimeStatsService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Comma-separated query value of enum members, e.g. ?category=VIOLENT,PROPERTY
+const enumList = (field, values) => query(field)
+  .optional()
+  .customSanitizer(value => String(value).split(',').map(item => item.trim().toUpperCase()).filter(Boolean))
+  .custom(items => items.every(item => values.includes(item)))
+  .withMessage(`${field} must be one or more of ${values.join(', ')}`);
+
+const { categories, severities, timesOfDay } = crimeHotspotService.getFilterOptions();
+
+// Error response for a crime request; action reads "Failed to <action>"
+const handleError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message
+    });
+  }
+
+  logger.error(`Failed to ${action}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+};
+
+const neighborhoodParam = param('neighborhood').isString().trim().notEmpty();
+const monthsQuery = query('months').optional().isInt({ min: 1, max: 60 }).toInt();
+
+/**
+ * GET /api/crime/hotspots
+ * Kernel density grid and DBSCAN clusters of incidents, filtered by
+ * category, severity, time of day and date range
+ */
+router.get('/hotspots', [
+  enumList('category', categories),
+  enumList('severity', severities),
+  enumList('timeOfDay', timesOfDay),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional()
+    // A bare date includes the whole day
+    .customSanitizer(value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value))
+    .isISO8601().toDate(),
+  query('method').optional().isIn(['kde', 'dbscan', 'both']),
+  query('cellM').optional().isInt({ min: 100, max: 2000 }).toInt(),
+  query('bandwidthM').optional().isInt({ min: 100, max: 5000 }).toInt(),
+  query('epsM').optional().isInt({ min: 50, max: 2000 }).toInt(),
+  query('minPoints').optional().isInt({ min: 2, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { category, severity, timeOfDay, from, to, method, cellM, bandwidthM, epsM, minPoints } = req.query;
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        error: 'from must be before to'
+      });
+    }
+
+    const filters = { categories: category, severities: severity, timesOfDay: timeOfDay, from, to };
+    const result = await crimeHotspotService.getHotspots(filters, { method, cellM, bandwidthM, epsM, minPoints });
+
+    res.json({
+      ...result,
+      filters: {
+        category: category || [],
+        severity: severity || [],
+        timeOfDay: timeOfDay || [],
+        from: from || null,
+        to: to || null
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'find crime hotspots');
+  }
+});
+
+/**
+ * GET /api/crime/near
+ * Incidents within `radius` meters of a point, nearest first
+ */
+router.get('/near', [
+  query('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  query('lng').isFloat({ min: -180, max: 180 }).toFloat(),
+  query('radius').optional().isInt({ min: 50, max: 5000 }).toInt(),
+  monthsQuery,
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  enumList('category', categories),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { lat, lng, radius, months, limit, category } = req.query;
+    const result = await crimeStatsService.findNear({ lat, lng }, { radiusM: radius, months, limit, categories: category });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'find incidents near a point');
+  }
+});
+
+/**
+ * GET /api/crime/compare
+ * Incidents by category for 2-5 comma-separated neighborhoods
+ */
+router.get('/compare', [
+  query('neighborhoods')
+    .customSanitizer(value => String(value || '').split(',').map(name => name.trim()).filter(Boolean))
+    .custom(names => names.length >= 2 && names.length <= 5)
+    .withMessage('neighborhoods must list 2 to 5 names'),
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { neighborhoods, months } = req.query;
+    const result = await crimeStatsService.compare(neighborhoods, { months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'compare neighborhoods');
+  }
+});
+
+/**
+ * GET /api/crime/safe-at-night
+ * Neighborhoods ranked by evening and night incidents, safest first
+ */
+router.get('/safe-at-night', [
+  monthsQuery,
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { months = 12, limit } = req.query;
+    const profiles = await crimeStatsService.getNightProfiles({ months });
+
+    res.json({
+      months,
+      neighborhoods: limit ? profiles.slice(0, limit) : profiles,
+      total: profiles.length,
+      methodology: {
+        description: 'Neighborhoods ranked by evening (18:00-22:00) and night (22:00-06:00) incidents, with violent incidents counted twice',
+        score: 'Share of neighborhoods with more after-dark incidents, from 0 (most) to 100 (fewest)',
+        limitations: ['Counts are not adjusted for population or area']
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'rank neighborhoods by night safety');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/stats
+ * Incidents by category over the last `months`
+ */
+router.get('/neighborhoods/:neighborhood/stats', [
+  neighborhoodParam,
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getStats(req.params.neighborhood, { months: req.query.months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get crime statistics');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/trends
+ * Monthly incidents by category
+ */
+router.get('/neighborhoods/:neighborhood/trends', [
+  neighborhoodParam,
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getTrends(req.params.neighborhood, { months: req.query.months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get crime trends');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/temporal
+ * Incidents by time-of-day band, by weekday and by both
+ */
+router.get('/neighborhoods/:neighborhood/temporal', [
+  neighborhoodParam,
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getTemporalProfile(req.params.neighborhood, { months: req.query.months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get temporal crime profile');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/resolution
+ * Share of incidents resolved, by category, against the city-wide rate
+ */
+router.get('/neighborhoods/:neighborhood/resolution', [
+  neighborhoodParam,
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getResolutionRates(req.params.neighborhood, { months: req.query.months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get resolution rates');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/year-over-year
+ * Incidents in `year` (default this year) against the year before
+ */
+router.get('/neighborhoods/:neighborhood/year-over-year', [
+  neighborhoodParam,
+  query('year').optional().isInt({ min: 2001, max: 2030 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getYearOverYear(req.params.neighborhood, { year: req.query.year });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get year-over-year change');
+  }
+});
+
+/**
+ * GET /api/crime/neighborhoods/:neighborhood/night-safety
+ * Evening and night incidents, riskiest nights and rank against the city
+ */
+router.get('/neighborhoods/:neighborhood/night-safety', [
+  neighborhoodParam,
+  monthsQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await crimeStatsService.getNightSafety(req.params.neighborhood, { months: req.query.months });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'get night safety profile');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Favorite = require('../models/Favorite');
+const { authenticate } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Normalize tags to a de-duplicated lowercase list
+const normalizeTags = (tags = []) => [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+// Shape a favorite (with a populated item) for the API
+const formatFavorite = (favorite) => {
+  const populated = favorite.itemId && favorite.itemId._id;
+  return {
+    id: favorite._id,
+    itemType: favorite.itemType,
+    itemId: populated ? favorite.itemId._id : favorite.itemId,
+    item: populated ? favorite.itemId : null,
+    notes: favorite.notes,
+    tags: favorite.tags,
+    createdAt: favorite.createdAt,
+    updatedAt: favorite.updatedAt
+  };
+};
+
+const itemValidators = [
+  body('itemType').isIn(Object.keys(Favorite.ITEM_MODELS)),
+  body('itemId').isMongoId(),
+  body('notes').optional().isString().isLength({ max: 2000 }),
+  body('tags').optional().isArray({ max: 20 }),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 40 })
+];
+
+router.use(authenticate);
+
+/**
+ * GET /api/favorites
+ * List the current user's favorites, optionally filtered by type or tag
+ */
+router.get('/', [
+  query('type').optional().isIn(Object.keys(Favorite.ITEM_MODELS)),
+  query('tag').optional().isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { type, tag } = req.query;
+
+    const filter = { user: req.user.id };
+    if (type) filter.itemType = type;
+    if (tag) filter.tags = tag;
+
+    const favorites = await Favorite.find(filter)
+      .sort({ createdAt: -1 })
+      .populate({ path: 'itemId', select: '-vectorEmbedding' });
+
+    res.json({
+      favorites: favorites.map(formatFavorite),
+      total: favorites.length
+    });
+  } catch (error) {
+    logger.error('Error fetching favorites:', error);
+    res.status(500).json({
+      error: 'Failed to fetch favorites',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/favorites
+ * Add an item to favorites (idempotent; updates notes/tags if already saved)
+ */
+router.post('/', [
+  ...itemValidators,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { itemType, itemId, notes, tags } = req.body;
+
+    const update = { $setOnInsert: { itemModel: Favorite.ITEM_MODELS[itemType] } };
+    if (notes !== undefined) update.$set = { ...update.$set, notes };
+    if (tags !== undefined) update.$set = { ...update.$set, tags: normalizeTags(tags) };
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { user: req.user.id, itemType, itemId },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate({ path: 'itemId', select: '-vectorEmbedding' });
+
+    res.status(201).json({ favorite: formatFavorite(favorite) });
+  } catch (error) {
+    logger.error('Error adding favorite:', error);
+    res.status(500).json({
+      error: 'Failed to add favorite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/favorites/merge
+ * Merge favorites kept locally before signing in into the user's account
+ */
+router.post('/merge', [
+  body('neighborhoods').optional().isArray({ max: 500 }),
+  body('neighborhoods.*').isMongoId(),
+  body('rentals').optional().isArray({ max: 500 }),
+  body('rentals.*').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { neighborhoods = [], rentals = [] } = req.body;
+
+    const items = [
+      ...neighborhoods.map(itemId => ({ itemType: 'neighborhood', itemId })),
+      ...rentals.map(itemId => ({ itemType: 'rental', itemId }))
+    ];
+
+    let merged = 0;
+    if (items.length > 0) {
+      const result = await Favorite.bulkWrite(items.map(({ itemType, itemId }) => ({
+        updateOne: {
+          filter: { user: req.user.id, itemType, itemId },
+          update: {
+            $setOnInsert: {
+              itemModel: Favorite.ITEM_MODELS[itemType],
+              notes: '',
+              tags: []
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+      merged = result.upsertedCount;
+    }
+
+    logger.info(`⭐ Merged ${merged} local favorites for user: ${req.user.id}`);
+
+    const favorites = await Favorite.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate({ path: 'itemId', select: '-vectorEmbedding' });
+
+    res.json({
+      merged,
+      favorites: favorites.map(formatFavorite),
+      total: favorites.length
+    });
+  } catch (error) {
+    logger.error('Error merging favorites:', error);
+    res.status(500).json({
+      error: 'Failed to merge favorites',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/favorites/:id
+ * Update notes or tags on a favorite
+ */
+router.patch('/:id', [
+  param('id').isMongoId(),
+  body('notes').optional().isString().isLength({ max: 2000 }),
+  body('tags').optional().isArray({ max: 20 }),
+  body('tags.*').optional().isString().trim().isLength({ min: 1, max: 40 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { notes, tags } = req.body;
+
+    const update = {};
+    if (notes !== undefined) update.notes = notes;
+    if (tags !== undefined) update.tags = normalizeTags(tags);
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).populate({ path: 'itemId', select: '-vectorEmbedding' });
+
+    if (!favorite) {
+      return res.status(404).json({
+        error: 'Favorite not found'
+      });
+    }
+
+    res.json({ favorite: formatFavorite(favorite) });
+  } catch (error) {
+    logger.error('Error updating favorite:', error);
+    res.status(500).json({
+      error: 'Failed to update favorite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/favorites/item/:itemType/:itemId
+ * Remove a favorite by the item it references
+ */
+router.delete('/item/:itemType/:itemId', [
+  param('itemType').isIn(Object.keys(Favorite.ITEM_MODELS)),
+  param('itemId').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { itemType, itemId } = req.params;
+
+    const result = await Favorite.deleteOne({ user: req.user.id, itemType, itemId });
+
+    res.json({ success: true, deleted: result.deletedCount });
+  } catch (error) {
+    logger.error('Error removing favorite:', error);
+    res.status(500).json({
+      error: 'Failed to remove favorite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/favorites/:id
+ * Remove a favorite
+ */
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!favorite) {
+      return res.status(404).json({
+        error: 'Favorite not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing favorite:', error);
+    res.status(500).json({
+      error: 'Failed to remove favorite',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/favorites
+ * Remove all of the current user's favorites
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const result = await Favorite.deleteMany({ user: req.user.id });
+
+    res.json({ success: true, deleted: result.deletedCount });
+  } catch (error) {
+    logger.error('Error clearing favorites:', error);
+    res.status(500).json({
+      error: 'Failed to clear favorites',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require('express');
 const { query, param, body } = require('express-validator');
 const HouseRental = require('../models/HouseRental');
 const RentalIntegrationService = require('../services/rentalIntegrationService');
-const GeminiService = require('../services/geminiService');
-const logger = require('../utils/logger');
+const geminiService = require('../services/geminiService');
+const vectorSearchService = require('../services/vectorSearchService');
+const { optionalAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -33,6 +35,7 @@ router.get('/', [
   query('propertyType').optional().isString().trim(),
   query('category').optional().isIn(['Budget', 'Moderate', 'Luxury', 'Ultra-Luxury']),
   query('furnished').optional().isIn(['Unfurnished', 'Semi-furnished', 'Fully furnished']),
+  query('petsAllowed').optional().isBoolean().toBoolean(),
   query('available').optional().isBoolean(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('offset').optional().isInt({ min: 0 }).toInt(),
@@ -51,6 +54,7 @@ router.get('/', [
       propertyType,
       category,
       furnished,
+      petsAllowed,
       available,
       limit = 20,
       offset = 0,
@@ -58,35 +62,19 @@ router.get('/', [
       sortOrder = 'asc'
     } = req.query;
 
-    // Build query
-    const query = {};
-
-    // Text search
-    if (q) {
-      query.$or = [
-        { title: new RegExp(q, 'i') },
-        { description: new RegExp(q, 'i') },
-        { location: new RegExp(q, 'i') },
-        { propertyType: new RegExp(q, 'i') }
-      ];
-    }
-
-    if (location) {
-      query.location = new RegExp(location, 'i');
-    }
-    
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      query.price = {};
-      if (minPrice !== undefined) query.price.$gte = minPrice;
-      if (maxPrice !== undefined) query.price.$lte = maxPrice;
-    }
-    
-    if (bedrooms !== undefined) query.bedrooms = bedrooms;
-    if (bathrooms !== undefined) query.bathrooms = bathrooms;
-    if (propertyType) query.propertyType = propertyType;
-    if (category) query.category = category;
-    if (furnished) query.furnished = furnished;
-    if (available !== undefined) query['availability.available'] = available;
+    const query = HouseRental.buildSearchQuery({
+      q,
+      location,
+      minPrice,
+      maxPrice,
+      bedrooms,
+      bathrooms,
+      propertyType,
+      category,
+      furnished,
+      petsAllowed,
+      available
+    });
 
     // Build sort
     const sort = {};
@@ -120,6 +108,7 @@ router.get('/', [
         propertyType,
         category,
         furnished,
+        petsAllowed,
         available
       }
     });
@@ -230,6 +219,44 @@ router.get('/search', [
   }
 });
 
+/**
+ * GET /api/house-rentals/semantic-search
+ * Natural-language listing search ("sunny flat near the sea with a garden for
+ * my dog") ranked by vector similarity, with hard filters on price, bedrooms,
+ * furnishing and pet policy
+ */
+router.get('/semantic-search', [
+  query('q').isString().trim().isLength({ min: 1, max: 500 }),
+  query('minPrice').optional().isInt({ min: 0 }).toInt(),
+  query('maxPrice').optional().isInt({ min: 0 }).toInt(),
+  query('bedrooms').optional().isInt({ min: 0, max: 10 }).toInt(),
+  query('furnished').optional().isIn(['Unfurnished', 'Semi-furnished', 'Fully furnished']),
+  query('petsAllowed').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { q, minPrice, maxPrice, bedrooms, furnished, petsAllowed, limit = 20 } = req.query;
+    const filters = { minPrice, maxPrice, bedrooms, furnished, petsAllowed };
+
+    const { rentals, searchType } = await vectorSearchService.searchRentals(q, filters, limit);
+
+    res.json({
+      query: q,
+      filters,
+      searchType,
+      rentals,
+      count: rentals.length
+    });
+  } catch (error) {
+    logger.error('Error in semantic rental search:', error);
+    res.status(500).json({
+      error: 'Failed to search house rentals',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/house-rentals/:id
  * Get specific rental by ID
@@ -316,6 +343,7 @@ router.get('/location/:location', [
  * Get AI-powered rental recommendations
  */
 router.post('/recommendations', [
+  optionalAuth,
   body('maxBudget').optional().isInt({ min: 0 }).toInt(),
   body('bedrooms').optional().isInt({ min: 0, max: 10 }).toInt(),
   body('preferredLocations').optional().isArray(),
@@ -326,7 +354,6 @@ router.post('/recommendations', [
 ], async (req, res) => {
   try {
     const rentalService = new RentalIntegrationService();
-    const geminiService = new GeminiService();
 
     const criteria = req.body;
 
@@ -337,7 +364,8 @@ router.post('/recommendations', [
     const aiAnalysis = await geminiService.generateChatResponse(
       `Analyze these rental recommendations for someone with budget R${criteria.maxBudget || 'flexible'}, looking for ${criteria.bedrooms || 'any'} bedrooms in Cape Town. Explain why these properties are good matches and provide insights about the locations.`,
       [],
-      null
+      null,
+      { userId: req.user?.id }
     );
 
     res.json({
@@ -361,7 +389,6 @@ router.post('/recommendations', [
 router.get('/market-insights', async (req, res) => {
   try {
     const rentalService = new RentalIntegrationService();
-    const geminiService = new GeminiService();
 
     // Get market insights
     const insights = await rentalService.getRentalMarketInsights();
@@ -398,7 +425,6 @@ router.get('/neighborhood/:neighborhood', [
   try {
     const { neighborhood } = req.params;
     const rentalService = new RentalIntegrationService();
-    const geminiService = new GeminiService();
 
     // Get neighborhood rental data
     const rentalData = await rentalService.getNeighborhoodRentalData(neighborhood);
@@ -1,8 +1,10 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { query, body, validationResult } = require('express-validator');
 const ComprehensiveDataService = require('../services/comprehensiveDataService');
+const taxiJourneyPlanner = require('../services/taxiJourneyPlanner');
 const geminiService = require('../services/geminiService');
 const Neighborhood = require('../models/Neighborhood');
+const { optionalAuth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -204,6 +206,7 @@ router.get('/healthcare-access', async (req, res) => {
  * Get neighborhood livability rankings based on comprehensive data
  */
 router.get('/livability-ranking', [
+  optionalAuth,
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   handleValidationErrors
 ], async (req, res) => {
@@ -249,7 +252,8 @@ router.get('/livability-ranking', [
     const rankingAnalysis = await geminiService.generateChatResponse(
       `Analyze these neighborhood livability rankings for Cape Town. Explain what makes the top neighborhoods score well and identify patterns in education, healthcare, and transport access.`,
       [],
-      rankedNeighborhoods.slice(0, 5)
+      rankedNeighborhoods.slice(0, 5),
+      { userId: req.user?.id }
     );
 
     res.json({
@@ -349,4 +353,87 @@ router.get('/family-friendly', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/insights/isochrone
+ * Area reachable from a place (rank or neighborhood name, or "lat,lng")
+ * within `minutes` by minibus taxi and on foot, as GeoJSON time bands
+ */
+router.get('/isochrone', [
+  query('from').isString().trim().notEmpty(),
+  query('minutes').optional().isInt({ min: 10, max: 120 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { from, minutes = 60 } = req.query;
+    const result = await taxiJourneyPlanner.isochrone(from, { minutes });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error generating isochrone:', error);
+    res.status(500).json({
+      error: 'Failed to generate isochrone',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/insights/commute
+ * Score every neighborhood by its commute time to a workplace by minibus
+ * taxi and on foot
+ */
+router.post('/commute', [
+  body('workplace').isString().trim().notEmpty(),
+  body('maxMinutes').optional().isInt({ min: 10, max: 120 }).toInt(),
+  body('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { workplace, maxMinutes = 60, limit } = req.body;
+    const result = await taxiJourneyPlanner.commuteScores(workplace, { maxMinutes });
+    const neighborhoods = limit ? result.neighborhoods.slice(0, limit) : result.neighborhoods;
+    const assumptions = taxiJourneyPlanner.TRAVEL_ASSUMPTIONS;
+
+    res.json({
+      workplace: result.workplace,
+      maxMinutes: result.maxMinutes,
+      neighborhoods,
+      reachable: result.neighborhoods.filter(n => n.commuteMinutes !== null).length,
+      total: result.neighborhoods.length,
+      methodology: {
+        description: `Commute times by minibus taxi and on foot, scored from 100 at the workplace down to 0 at ${maxMinutes} minutes`,
+        assumptions: [
+          `Taxis average ${assumptions.taxiSpeedKmh} km/h, with a ${assumptions.waitMinutesPerTaxi} minute wait for each taxi boarded`,
+          `Walking at ${assumptions.walkSpeedKmh} km/h, up to ${assumptions.accessRadiusM / 1000} km to or from a route`,
+          `Transfers where two routes pass within ${assumptions.transferRadiusM} m of each other`
+        ]
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error scoring commutes:', error);
+    res.status(500).json({
+      error: 'Failed to score commutes',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -37,6 +37,8 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.get('/', [
   query('borough').optional().isString().trim(),
+  query('ids').optional().toArray(),
+  query('ids.*').optional().isMongoId(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('offset').optional().isInt({ min: 0 }).toInt(),
   query('sortBy').optional().isIn(['name', 'avgRent', 'safetyScore', 'transitScore']),
@@ -46,6 +48,7 @@ router.get('/', [
   try {
     const {
       borough,
+      ids,
       limit = 20,
       offset = 0,
       sortBy = 'name',
@@ -57,6 +60,9 @@ router.get('/', [
     if (borough) {
       query.borough = new RegExp(borough, 'i');
     }
+    if (ids && ids.length > 0) {
+      query._id = { $in: ids };
+    }
 
     // Build sort object
     const sort = {};
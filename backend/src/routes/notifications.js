@@ -0,0 +1,164 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authenticate } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+router.use(authenticate);
+
+/**
+ * GET /api/notifications
+ * List the current user's notifications, newest first
+ */
+router.get('/', [
+  query('unread').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { unread, limit = 20, offset = 0 } = req.query;
+
+    const filter = { user: req.user.id };
+    if (unread) filter.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(offset)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user.id, read: false })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching notifications:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notifications',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications, for badge polling
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    logger.error('Error counting notifications:', error);
+    res.status(500).json({
+      error: 'Failed to count notifications',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every notification as read
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({ success: true, updated: result.modifiedCount });
+  } catch (error) {
+    logger.error('Error marking notifications read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark a notification as read
+ */
+router.patch('/:id/read', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    logger.error('Error marking notification read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notification as read',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ * Delete a notification
+ */
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting notification:', error);
+    res.status(500).json({
+      error: 'Failed to delete notification',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const PredictiveAnalytics = require('../services/predictiveAnalytics');
 const AdvancedNLP = require('../services/advancedNLP');
 const geminiService = require('../services/geminiService');
 const Neighborhood = require('../models/Neighborhood');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -31,12 +32,13 @@ const handleValidationErrors = (req, res, next) => {
  * Revolutionary natural language search with AI understanding
  */
 router.post('/smart-search', [
+  optionalAuth,
   body('query').isString().trim().isLength({ min: 3, max: 500 }),
-  body('userId').optional().isString().trim(),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { query, userId } = req.body;
+    const { query } = req.body;
+    const userId = req.user?.id || null;
 
     logger.info(`🧠 Smart search query: "${query}" from user: ${userId}`);
 
@@ -147,7 +149,11 @@ router.get('/predict-prices/:neighborhoodId', [
         current: predictions.currentPrice,
         predictions: predictions.predictions,
         factors: predictions.factors,
-        confidence: predictions.confidence
+        confidence: predictions.confidence,
+        accuracy: predictions.accuracy,
+        model: predictions.model,
+        history: predictions.history,
+        historyQuality: predictions.historyQuality
       },
       gentrificationRisk,
       aiAnalysis,
@@ -164,18 +170,43 @@ router.get('/predict-prices/:neighborhoodId', [
   }
 });
 
+/**
+ * GET /api/revolutionary/forecast-accuracy
+ * Walk-forward backtest error (MAPE) of the rent forecast per neighborhood
+ */
+router.get('/forecast-accuracy', [
+  query('neighborhood').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('refresh').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { neighborhood, refresh = false } = req.query;
+
+    const accuracy = await predictiveAnalytics.getForecastAccuracy({ neighborhood, refresh });
+
+    res.json(accuracy);
+  } catch (error) {
+    logger.error('Error fetching forecast accuracy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch forecast accuracy',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/revolutionary/personalized-recommendations
  * Get AI-powered personalized neighborhood recommendations
  */
 router.post('/personalized-recommendations', [
-  body('userId').isString().trim(),
+  authenticate,
   body('preferences').optional().isObject(),
   body('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { userId, preferences = {}, limit = 10 } = req.body;
+    const { preferences = {}, limit = 10 } = req.body;
+    const userId = req.user.id;
 
     logger.info(`🎯 Getting personalized recommendations for user: ${userId}`);
 
@@ -232,14 +263,15 @@ router.post('/personalized-recommendations', [
  * Advanced conversational AI with context and learning
  */
 router.post('/ai-conversation', [
+  optionalAuth,
   body('message').isString().trim().isLength({ min: 1, max: 1000 }),
-  body('userId').optional().isString().trim(),
   body('context').optional().isArray(),
   body('neighborhoodContext').optional().isObject(),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { message, userId, context = [], neighborhoodContext } = req.body;
+    const { message, context = [], neighborhoodContext } = req.body;
+    const userId = req.user?.id || null;
 
     logger.info(`🤖 AI conversation: "${message}" from user: ${userId}`);
 
@@ -332,7 +364,7 @@ router.get('/market-intelligence', [
       })
     );
 
-    const validPredictions = marketPredictions.filter(p => p !== null);
+    const validPredictions = marketPredictions.filter(p => p !== null && p.predictedGrowth && p.currentPrice);
 
     // Generate AI market analysis
     const marketAnalysis = await geminiService.generateChatResponse(
@@ -397,13 +429,27 @@ function generateInvestmentInsights(predictions, gentrificationRisk) {
   const insights = [];
 
   const finalPrediction = predictions.predictions[predictions.predictions.length - 1];
-  const totalGrowth = ((finalPrediction.predictedPrice - predictions.currentPrice) / predictions.currentPrice) * 100;
+  if (finalPrediction && predictions.currentPrice) {
+    const totalGrowth = ((finalPrediction.predictedPrice - predictions.currentPrice) / predictions.currentPrice) * 100;
+
+    if (totalGrowth > 20) {
+      insights.push({
+        type: 'opportunity',
+        message: `Strong investment potential with ${totalGrowth.toFixed(1)}% predicted growth`,
+        confidence: predictions.confidence
+      });
+    }
+  }
 
-  if (totalGrowth > 20) {
+  if (!predictions.accuracy) {
     insights.push({
-      type: 'opportunity',
-      message: `Strong investment potential with ${totalGrowth.toFixed(1)}% predicted growth`,
-      confidence: predictions.confidence
+      type: 'warning',
+      message: 'Not enough rent history to backtest this forecast - treat it as indicative only'
+    });
+  } else if (predictions.accuracy.mape > predictions.accuracy.naiveMape) {
+    insights.push({
+      type: 'warning',
+      message: `Forecast error (${predictions.accuracy.mape}% MAPE) has not beaten assuming rents stay flat (${predictions.accuracy.naiveMape}%)`
     });
   }
 
@@ -458,11 +504,15 @@ function calculateMarketMetrics(predictions) {
     return sum + growth;
   }, 0) / predictions.length;
 
-  const avgConfidence = predictions.reduce((sum, p) => sum + p.confidence, 0) / predictions.length;
+  // Confidence is only available for backtested neighborhoods
+  const scored = predictions.filter(p => p.confidence !== null);
+  const avgConfidence = scored.length
+    ? scored.reduce((sum, p) => sum + p.confidence, 0) / scored.length
+    : null;
 
   return {
     averageGrowthRate: avgGrowth.toFixed(2),
-    averageConfidence: avgConfidence.toFixed(1),
+    averageConfidence: avgConfidence === null ? null : avgConfidence.toFixed(1),
     totalNeighborhoods: predictions.length,
     highGrowthAreas: predictions.filter(p => {
       const growth = ((p.predictedGrowth.predictedPrice - p.currentPrice) / p.currentPrice) * 100;
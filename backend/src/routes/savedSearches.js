@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const savedSearchAlertService = require('../services/savedSearchAlertService');
+const { authenticate } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Normalize tags to a de-duplicated lowercase list
+const normalizeTags = (tags = []) => [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+const EDITABLE_FIELDS = ['name', 'scope', 'query', 'filters', 'notes', 'tags', 'alertsEnabled'];
+
+const pickEditable = (source) => {
+  const update = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      update[field] = field === 'tags' ? normalizeTags(source[field]) : source[field];
+    }
+  });
+  return update;
+};
+
+const savedSearchValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('scope').optional().isIn(['rentals', 'neighborhoods']),
+    body('query').optional().isString().trim().isLength({ max: 500 }),
+    body('filters').optional().isObject(),
+    body('notes').optional().isString().isLength({ max: 2000 }),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').optional().isString().trim().isLength({ min: 1, max: 40 }),
+    body('alertsEnabled').optional().isBoolean().toBoolean()
+  ];
+};
+
+router.use(authenticate);
+
+/**
+ * GET /api/saved-searches
+ * List the current user's saved searches
+ */
+router.get('/', [
+  query('scope').optional().isIn(['rentals', 'neighborhoods']),
+  query('tag').optional().isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { scope, tag } = req.query;
+
+    const filter = { user: req.user.id };
+    if (scope) filter.scope = scope;
+    if (tag) filter.tags = tag;
+
+    const savedSearches = await SavedSearch.find(filter).sort({ updatedAt: -1 });
+
+    res.json({
+      savedSearches,
+      total: savedSearches.length
+    });
+  } catch (error) {
+    logger.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/saved-searches/:id
+ * Get a saved search
+ */
+router.get('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+
+    res.json({ savedSearch });
+  } catch (error) {
+    logger.error('Error fetching saved search:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved search',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/saved-searches
+ * Save a search
+ */
+router.post('/', [
+  ...savedSearchValidators(false),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.create({
+      ...pickEditable(req.body),
+      user: req.user.id
+    });
+
+    logger.info(`🔖 Saved search "${savedSearch.name}" for user: ${req.user.id}`);
+
+    res.status(201).json({ savedSearch });
+  } catch (error) {
+    logger.error('Error saving search:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/saved-searches/:id
+ * Update a saved search
+ */
+router.patch('/:id', [
+  param('id').isMongoId(),
+  ...savedSearchValidators(true),
+  body('lastRunAt').optional().isISO8601().toDate(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+
+    // Saved through the document so enabling alerts resets the alert window
+    savedSearch.set(pickEditable(req.body));
+    if (req.body.lastRunAt) savedSearch.lastRunAt = req.body.lastRunAt;
+    await savedSearch.save();
+
+    res.json({ savedSearch });
+  } catch (error) {
+    logger.error('Error updating saved search:', error);
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/saved-searches/:id/check
+ * Check a saved search for new matching rentals now instead of waiting
+ * for the scheduled run
+ */
+router.post('/:id/check', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+
+    if (savedSearch.scope !== 'rentals') {
+      return res.status(400).json({
+        error: 'Alerts are only available for rental searches'
+      });
+    }
+
+    const newMatches = await savedSearchAlertService.checkSavedSearch(savedSearch);
+
+    res.json({ savedSearch, newMatches });
+  } catch (error) {
+    logger.error('Error checking saved search:', error);
+    res.status(500).json({
+      error: 'Failed to check saved search',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Delete a saved search
+ */
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { query, validationResult } = require('express-validator');
 const Neighborhood = require('../models/Neighborhood');
 const vectorSearchService = require('../services/vectorSearchService');
+const hybridSearchService = require('../services/hybridSearchService');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -20,7 +21,8 @@ const handleValidationErrors = (req, res, next) => {
 
 /**
  * GET /api/search
- * General search endpoint with multiple search methods
+ * General search endpoint with multiple search methods. Hybrid search fuses
+ * keyword, filter-fit and vector rankings and explains each result.
  */
 router.get('/', [
   query('q').optional().isString().trim().isLength({ min: 1, max: 200 }),
@@ -32,6 +34,11 @@ router.get('/', [
   query('minTransitScore').optional().isInt({ min: 0, max: 100 }),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   query('searchType').optional().isIn(['text', 'filters', 'hybrid']),
+  query('fusion').optional().isIn(['rrf', 'weighted']),
+  query('keywordWeight').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  query('filterWeight').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  query('vectorWeight').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  query('strict').optional().isBoolean().toBoolean(),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -44,10 +51,16 @@ router.get('/', [
       maxSafetyScore,
       minTransitScore,
       limit = 20,
-      searchType = 'hybrid'
+      searchType = 'hybrid',
+      fusion = 'rrf',
+      keywordWeight,
+      filterWeight,
+      vectorWeight,
+      strict = false
     } = req.query;
 
     let results = [];
+    let ranking;
 
     if (searchType === 'text' && q) {
       // Vector search using text query
@@ -64,32 +77,33 @@ router.get('/', [
         limit
       });
     } else {
-      // Hybrid search: combine text search with filters
-      if (q) {
-        // Start with vector search
-        const vectorResults = await vectorSearchService.searchByQuery(q, limit * 2);
-        
-        // Apply filters to vector results
-        results = applyFiltersToResults(vectorResults, {
-          borough,
-          minRent,
-          maxRent,
-          minSafetyScore,
-          maxSafetyScore,
-          minTransitScore
-        }).slice(0, limit);
-      } else {
-        // Just use filters
-        results = await searchWithFilters({
-          borough,
-          minRent,
-          maxRent,
-          minSafetyScore,
-          maxSafetyScore,
-          minTransitScore,
-          limit
-        });
-      }
+      // Hybrid search: fuse keyword, filter-fit and vector rankings
+      const weights = {};
+      if (keywordWeight !== undefined) weights.keyword = keywordWeight;
+      if (filterWeight !== undefined) weights.filters = filterWeight;
+      if (vectorWeight !== undefined) weights.vector = vectorWeight;
+
+      const hybrid = await hybridSearchService.search({
+        q,
+        borough,
+        minRent,
+        maxRent,
+        minSafetyScore,
+        maxSafetyScore,
+        minTransitScore,
+        limit,
+        fusion,
+        weights,
+        strict
+      });
+
+      results = hybrid.results;
+      ranking = {
+        fusion: hybrid.fusion,
+        weights: hybrid.weights,
+        strict,
+        rankers: hybrid.rankers
+      };
     }
 
     res.json({
@@ -103,6 +117,7 @@ router.get('/', [
         minTransitScore
       },
       searchType,
+      ...(ranking && { ranking }),
       results,
       count: results.length,
       timestamp: new Date()
@@ -296,42 +311,4 @@ async function searchWithFilters(filters) {
     .sort({ 'safety.safetyScore': -1, 'amenities.transitScore': -1 });
 }
 
-function applyFiltersToResults(results, filters) {
-  return results.filter(neighborhood => {
-    // Borough filter
-    if (filters.borough && 
-        !neighborhood.borough.toLowerCase().includes(filters.borough.toLowerCase())) {
-      return false;
-    }
-
-    // Rent filters
-    if (filters.minRent && 
-        (!neighborhood.housing?.avgRent || neighborhood.housing.avgRent < parseInt(filters.minRent))) {
-      return false;
-    }
-    if (filters.maxRent && 
-        (!neighborhood.housing?.avgRent || neighborhood.housing.avgRent > parseInt(filters.maxRent))) {
-      return false;
-    }
-
-    // Safety filters
-    if (filters.minSafetyScore && 
-        (!neighborhood.safety?.safetyScore || neighborhood.safety.safetyScore < parseFloat(filters.minSafetyScore))) {
-      return false;
-    }
-    if (filters.maxSafetyScore && 
-        (!neighborhood.safety?.safetyScore || neighborhood.safety.safetyScore > parseFloat(filters.maxSafetyScore))) {
-      return false;
-    }
-
-    // Transit filter
-    if (filters.minTransitScore && 
-        (!neighborhood.amenities?.transitScore || neighborhood.amenities.transitScore < parseInt(filters.minTransitScore))) {
-      return false;
-    }
-
-    return true;
-  });
-}
-
 module.exports = router;
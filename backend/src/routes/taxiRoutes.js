@@ -1,6 +1,7 @@
 const express = require('express');
 const { MongoClient } = require('mongodb');
 const { query, param, body, validationResult } = require('express-validator');
+const taxiJourneyPlanner = require('../services/taxiJourneyPlanner');
 const { logger } = require('../utils/logger');
 
 // Validation middleware
@@ -202,6 +203,42 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/taxi-routes/plan
+ * Plan a minibus taxi journey between two places (rank or neighborhood
+ * names, or "lat,lng"). Itineraries are ranked by distance, walking and
+ * number of transfers.
+ */
+router.get('/plan', [
+  query('from').isString().trim().notEmpty(),
+  query('to').isString().trim().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 5 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { from, to, limit = 3 } = req.query;
+    const plan = await taxiJourneyPlanner.plan(from, to, { limit });
+
+    res.json({
+      ...plan,
+      total: plan.itineraries.length
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error planning taxi journey:', error);
+    res.status(500).json({
+      error: 'Failed to plan taxi journey',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/taxi-routes/:id
  * Get specific taxi route by ID
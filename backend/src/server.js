@@ -11,6 +11,7 @@ const { logger } = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const neighborhoodRoutes = require('./routes/neighborhoods');
 const analyticsRoutes = require('./routes/analytics');
 const chatRoutes = require('./routes/chat');
@@ -21,6 +22,16 @@ const schoolRoutes = require('./routes/schools');
 const insightsRoutes = require('./routes/insights');
 const revolutionaryRoutes = require('./routes/revolutionary');
 const houseRentalRoutes = require('./routes/houseRentals');
+const favoritesRoutes = require('./routes/favorites');
+const savedSearchesRoutes = require('./routes/savedSearches');
+const notificationsRoutes = require('./routes/notifications');
+const conversationsRoutes = require('./routes/conversations');
+const adminRoutes = require('./routes/admin');
+const crimeRoutes = require('./routes/crime');
+const savedSearchAlertService = require('./services/savedSearchAlertService');
+const rentSnapshotService = require('./services/rentSnapshotService');
+const spatialJoinService = require('./services/spatialJoinService');
+const taxiJourneyPlanner = require('./services/taxiJourneyPlanner');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -46,6 +57,15 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Stricter limit on credential endpoints to slow down brute-force attempts
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many authentication attempts, please try again later.'
+});
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/signup', authLimiter);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -67,6 +87,7 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/neighborhoods', neighborhoodRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/chat', chatRoutes);
@@ -77,6 +98,12 @@ app.use('/api/schools', schoolRoutes);
 app.use('/api/insights', insightsRoutes);
 app.use('/api/revolutionary', revolutionaryRoutes);
 app.use('/api/house-rentals', houseRentalRoutes);
+app.use('/api/favorites', favoritesRoutes);
+app.use('/api/saved-searches', savedSearchesRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/conversations', conversationsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/crime', crimeRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -90,21 +117,41 @@ app.use('*', (req, res) => {
 app.use(errorHandler);
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Stop the scheduled jobs and close the spatial join and taxi planner
+// connections, then exit
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+  savedSearchAlertService.stop();
+  rentSnapshotService.stop();
+  spatialJoinService.stop();
+
+  try {
+    await spatialJoinService.disconnect();
+  } catch (error) {
+    logger.error('Error closing the spatial join connection:', error);
+  }
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
+  try {
+    await taxiJourneyPlanner.disconnect();
+  } catch (error) {
+    logger.error('Error closing the taxi planner connection:', error);
+  }
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 async function startServer() {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Background jobs
+    savedSearchAlertService.start();
+    rentSnapshotService.start();
+    spatialJoinService.start();
     
     app.listen(PORT, () => {
       logger.info(`🚀 City Insights AI Backend running on port ${PORT}`);
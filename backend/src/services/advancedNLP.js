@@ -1,6 +1,22 @@
 const geminiService = require('./geminiService');
+const {
+  INTENTS,
+  PRIORITIES,
+  LIFESTYLES,
+  PROPERTY_TYPES,
+  AMENITIES,
+  CONSTRAINTS,
+  INTENT_RESPONSE_SCHEMA,
+  ENTITY_RESPONSE_SCHEMA,
+  intentSchema,
+  entitiesSchema
+} = require('./nlpSchemas');
+const { mentions, withTranslations, translationsOf, detectLanguage, findSuburbAliases } = require('./languages');
 const { logger } = require('../utils/logger');
 
+// Confidence given to entities the model extracted
+const AI_ENTITY_CONFIDENCE = 0.75;
+
 class AdvancedNLP {
   constructor() {
     this.intentPatterns = this.initializeIntentPatterns();
@@ -12,7 +28,7 @@ class AdvancedNLP {
    */
   async parseComplexQuery(query) {
     try {
-      // Use Gemini for advanced intent recognition
+      // Use the LLM for advanced intent recognition
       const intentAnalysis = await this.analyzeIntentWithAI(query);
       
       // Extract entities using pattern matching + AI
@@ -23,8 +39,10 @@ class AdvancedNLP {
       
       return {
         originalQuery: query,
+        language: detectLanguage(query).language,
         intent: intentAnalysis.intent,
         confidence: intentAnalysis.confidence,
+        specificity: intentAnalysis.specificity,
         entities,
         searchCriteria: criteria,
         naturalLanguageExplanation: this.generateExplanation(criteria)
@@ -37,40 +55,59 @@ class AdvancedNLP {
   }
 
   async analyzeIntentWithAI(query) {
-    const prompt = `Analyze this real estate search query and identify the intent and key requirements:
+    try {
+      return await this.inferIntent(query);
+    } catch (error) {
+      logger.warn('AI intent analysis failed, using fallback:', error);
+      return this.fallbackIntentAnalysis(query);
+    }
+  }
+
+  /**
+   * Intent analysis from the model, validated against intentSchema
+   * @throws {Error} - When the model is unavailable or its output stays invalid
+   */
+  async inferIntent(query) {
+    const prompt = `Analyze this Cape Town real estate search query and identify the intent and key requirements:
 
 Query: "${query}"
 
+The query may be in English, Afrikaans or isiXhosa; primaryGoal is always in English.
+
 Respond with a JSON object containing:
 {
-  "intent": "search|compare|analyze|recommend|predict",
-  "confidence": 0.0-1.0,
+  "intent": one of ${INTENTS.map(intent => `"${intent}"`).join(', ')},
+  "confidence": number from 0.0 to 1.0,
   "primaryGoal": "brief description",
-  "urgency": "low|medium|high",
-  "specificity": "vague|specific|very_specific",
+  "urgency": "low" | "medium" | "high",
+  "specificity": "vague" | "specific" | "very_specific",
   "familyContext": true/false,
   "investmentContext": true/false,
   "budgetMentioned": true/false,
   "locationSpecific": true/false
 }`;
 
-    try {
-      const response = await geminiService.generateChatResponse(prompt, []);
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      return this.fallbackIntentAnalysis(query);
-    } catch (error) {
-      logger.warn('AI intent analysis failed, using fallback:', error);
-      return this.fallbackIntentAnalysis(query);
-    }
+    return geminiService.generateJson(prompt, intentSchema, {
+      feature: 'nlp-intent',
+      responseSchema: INTENT_RESPONSE_SCHEMA
+    });
   }
 
   async extractEntities(query) {
-    const entities = {
+    const entities = this.extractPatternEntities(query);
+
+    // Use AI for complex entity extraction
+    const aiEntities = await this.extractEntitiesWithAI(query);
+    
+    // Merge AI results with pattern-based extraction
+    return this.mergeEntityResults(entities, aiEntities);
+  }
+
+  /**
+   * Entities found by the keyword and regex extractors alone
+   */
+  extractPatternEntities(query) {
+    return {
       budget: this.extractBudget(query),
       location: this.extractLocation(query),
       familySize: this.extractFamilySize(query),
@@ -81,44 +118,44 @@ Respond with a JSON object containing:
       amenities: this.extractAmenities(query),
       constraints: this.extractConstraints(query)
     };
-
-    // Use AI for complex entity extraction
-    const aiEntities = await this.extractEntitiesWithAI(query);
-    
-    // Merge AI results with pattern-based extraction
-    return this.mergeEntityResults(entities, aiEntities);
   }
 
   extractBudget(query) {
     const budgetPatterns = [
+      // Ranges first, so "between R6000 and R9000" keeps its minimum
+      /(?:between|tussen|phakathi kwe-?)\s*r?\s?(\d+(?:,\d{3})*(?:k|000)?)\s*(?:and|to|en|tot|ne-?|-)\s*r?\s?(\d+(?:,\d{3})*(?:k|000)?)/i,
+
       // ZAR patterns
       /(?:under|below|max|maximum|up to)\s*r?(\d+(?:,\d{3})*(?:k|000)?)/i,
       /r?(\d+(?:,\d{3})*(?:k|000)?)\s*(?:budget|max|maximum|limit)/i,
-      /between\s*r?(\d+(?:,\d{3})*(?:k|000)?)\s*(?:and|to|-)\s*r?(\d+(?:,\d{3})*(?:k|000)?)/i,
       /r(\d+(?:,\d{3})*(?:k|000)?)\s*(?:per month|monthly|\/month)/i,
+
+      // Afrikaans ("onder R8000", "R8000 per maand") and isiXhosa
+      // ("ngaphantsi kwe-R8000", "R8000 ngenyanga")
+      /(?:onder|minder as|hoogstens|maksimum|tot|ngaphantsi kwe-?|ukuya kwi-?|engadluli kwi-?)\s*r?(\d+(?:,\d{3})*(?:k|000)?)/i,
+      /r(\d+(?:,\d{3})*(?:k|000)?)\s*(?:per maand|ngenyanga|pm)\b/i,
       
       // USD patterns for comparison
       /(?:under|below|max|maximum|up to)\s*\$(\d+(?:,\d{3})*(?:k|000)?)/i,
       /\$(\d+(?:,\d{3})*(?:k|000)?)\s*(?:budget|max|maximum|limit)/i
     ];
 
+    // Thousands separated by spaces, as in "R8 000", read as one amount
+    const text = query.replace(/(\d)[\s\u00a0](?=\d{3}\b)/g, '$1');
+
+    const parseAmount = (value) => {
+      const amount = value.replace(/,/g, '');
+      return amount.endsWith('k') ? parseInt(amount.slice(0, -1)) * 1000 : parseInt(amount);
+    };
+
     for (const pattern of budgetPatterns) {
-      const match = query.match(pattern);
+      const match = text.match(pattern);
       if (match) {
-        let amount = match[1].replace(/,/g, '');
-        if (amount.endsWith('k')) {
-          amount = parseInt(amount.slice(0, -1)) * 1000;
-        } else if (amount.endsWith('000')) {
-          amount = parseInt(amount.slice(0, -3)) * 1000;
-        } else {
-          amount = parseInt(amount);
-        }
-        
         const currency = query.includes('$') ? 'USD' : 'ZAR';
         
         return {
-          max: amount,
-          min: match[2] ? parseInt(match[2].replace(/,/g, '').replace(/k$/, '000')) : 0,
+          max: parseAmount(match[2] || match[1]),
+          min: match[2] ? parseAmount(match[1]) : 0,
           currency,
           confidence: 0.9
         };
@@ -144,10 +181,17 @@ Respond with a JSON object containing:
       'near cbd', 'close to city', 'suburban', 'coastal', 'mountain view'
     ];
 
+    // Whole names only, so "ngenyanga" (isiXhosa "per month") is not Nyanga
     const foundLocations = locations.filter(loc => 
-      query.toLowerCase().includes(loc.toLowerCase())
+      mentions(query.toLowerCase(), loc.toLowerCase())
     );
 
+    // Afrikaans names, isiXhosa locatives ("eKhayelitsha") and short forms
+    findSuburbAliases(query, locations).forEach(name => {
+      const area = name.toLowerCase();
+      if (!foundLocations.includes(area)) foundLocations.push(area);
+    });
+
     if (foundLocations.length > 0) {
       return {
         areas: foundLocations,
@@ -162,7 +206,10 @@ Respond with a JSON object containing:
   extractFamilySize(query) {
     const familyPatterns = [
       /family of (\d+)/i,
-      /(\d+) (?:people|person|adults?|kids?|children)/i,
+      /(?:gesin|familie) van (\d+)/i,
+      /(?:usapho|intsapho) (?:lwaba-?|lwabantu aba-?)(\d+)/i,
+      /(\d+) (?:people|person|adults?|kids?|children|mense|persone|kinders)/i,
+      /(?:abantu|abantwana) aba-?(\d+)/i,
       /couple with (\d+) (?:kids?|children)/i,
       /(\d+)(?:-| )bedroom/i,
       /single person/i,
@@ -191,19 +238,23 @@ Respond with a JSON object containing:
       /(?:in|within|by) (\d+) (?:months?|years?)/i,
       /next (\d+) (?:months?|years?)/i,
       /(?:asap|immediately|urgent|soon)/i,
-      /(?:flexible|no rush|eventually)/i
+      /(?:flexible|no rush|eventually)/i,
+      /(?:binne|oor) (\d+) (?:maande?|jaar)/i,
+      /(?:dringend|so gou moontlik|onmiddellik|ngokukhawuleza|ngoku nje)/i,
+      /(?:buigsaam|geen haas|akungxamiseki)/i
     ];
 
     for (const pattern of timePatterns) {
       const match = query.match(pattern);
       if (match) {
-        if (query.includes('asap') || query.includes('urgent')) {
+        const lower = query.toLowerCase();
+        if (['asap', 'urgent', 'dringend', 'so gou moontlik', 'onmiddellik', 'ngokukhawuleza', 'ngoku nje'].some(word => lower.includes(word))) {
           return { urgency: 'high', timeframe: 'immediate', confidence: 0.9 };
-        } else if (query.includes('flexible') || query.includes('no rush')) {
+        } else if (['flexible', 'no rush', 'buigsaam', 'geen haas', 'akungxamiseki'].some(word => lower.includes(word))) {
           return { urgency: 'low', timeframe: 'flexible', confidence: 0.8 };
         } else {
           const number = parseInt(match[1]);
-          const unit = query.includes('month') ? 'months' : 'years';
+          const unit = /month|maand/i.test(query) ? 'months' : 'years';
           return { 
             urgency: number <= 3 ? 'high' : number <= 12 ? 'medium' : 'low',
             timeframe: `${number} ${unit}`,
@@ -217,7 +268,7 @@ Respond with a JSON object containing:
   }
 
   extractPriorities(query) {
-    const priorityKeywords = {
+    const priorityKeywords = withTranslations({
       safety: ['safe', 'security', 'low crime', 'secure'],
       schools: ['schools', 'education', 'kids', 'children', 'family'],
       transport: ['transport', 'commute', 'subway', 'bus', 'taxi', 'walkable'],
@@ -226,13 +277,13 @@ Respond with a JSON object containing:
       modern: ['modern', 'new', 'contemporary', 'updated'],
       affordable: ['cheap', 'affordable', 'budget', 'value'],
       luxury: ['luxury', 'upscale', 'premium', 'high-end']
-    };
+    });
 
     const foundPriorities = [];
     const lowerQuery = query.toLowerCase();
 
     Object.entries(priorityKeywords).forEach(([priority, keywords]) => {
-      const matches = keywords.filter(keyword => lowerQuery.includes(keyword));
+      const matches = keywords.filter(keyword => mentions(lowerQuery, keyword));
       if (matches.length > 0) {
         foundPriorities.push({
           priority,
@@ -246,19 +297,19 @@ Respond with a JSON object containing:
   }
 
   extractLifestyle(query) {
-    const lifestylePatterns = {
+    const lifestylePatterns = withTranslations({
       urban: ['city life', 'urban', 'downtown', 'bustling', 'vibrant'],
       suburban: ['suburban', 'family-friendly', 'residential', 'quiet'],
       coastal: ['beach', 'ocean', 'coastal', 'waterfront', 'sea view'],
       mountain: ['mountain', 'hiking', 'nature', 'outdoor'],
       cultural: ['cultural', 'arts', 'museums', 'galleries', 'historic']
-    };
+    });
 
     const lowerQuery = query.toLowerCase();
     const lifestyles = [];
 
     Object.entries(lifestylePatterns).forEach(([lifestyle, keywords]) => {
-      const matches = keywords.filter(keyword => lowerQuery.includes(keyword));
+      const matches = keywords.filter(keyword => mentions(lowerQuery, keyword));
       if (matches.length > 0) {
         lifestyles.push({
           type: lifestyle,
@@ -271,19 +322,19 @@ Respond with a JSON object containing:
   }
 
   extractPropertyType(query) {
-    const propertyTypes = {
+    const propertyTypes = withTranslations({
       apartment: ['apartment', 'flat', 'unit'],
       house: ['house', 'home', 'villa'],
       townhouse: ['townhouse', 'townhome'],
       studio: ['studio', 'bachelor'],
       penthouse: ['penthouse'],
       cottage: ['cottage', 'garden cottage']
-    };
+    });
 
     const lowerQuery = query.toLowerCase();
 
     for (const [type, keywords] of Object.entries(propertyTypes)) {
-      if (keywords.some(keyword => lowerQuery.includes(keyword))) {
+      if (keywords.some(keyword => mentions(lowerQuery, keyword))) {
         return { type, confidence: 0.8 };
       }
     }
@@ -292,7 +343,7 @@ Respond with a JSON object containing:
   }
 
   extractAmenities(query) {
-    const amenityKeywords = {
+    const amenityKeywords = withTranslations({
       parking: ['parking', 'garage', 'car space'],
       pool: ['pool', 'swimming'],
       gym: ['gym', 'fitness', 'exercise'],
@@ -300,13 +351,13 @@ Respond with a JSON object containing:
       security: ['security', 'gated', 'access control'],
       petFriendly: ['pet', 'dog', 'cat', 'animal'],
       furnished: ['furnished', 'furniture included']
-    };
+    });
 
     const lowerQuery = query.toLowerCase();
     const amenities = [];
 
     Object.entries(amenityKeywords).forEach(([amenity, keywords]) => {
-      if (keywords.some(keyword => lowerQuery.includes(keyword))) {
+      if (keywords.some(keyword => mentions(lowerQuery, keyword))) {
         amenities.push(amenity);
       }
     });
@@ -317,17 +368,18 @@ Respond with a JSON object containing:
   extractConstraints(query) {
     const constraints = [];
     const lowerQuery = query.toLowerCase();
+    const translated = (constraint) => translationsOf(constraint).some(term => mentions(lowerQuery, term));
 
-    if (lowerQuery.includes('no pets') || lowerQuery.includes('pet-free')) {
+    if (lowerQuery.includes('no pets') || lowerQuery.includes('pet-free') || translated('no_pets')) {
       constraints.push('no_pets');
     }
-    if (lowerQuery.includes('no smoking') || lowerQuery.includes('non-smoking')) {
+    if (lowerQuery.includes('no smoking') || lowerQuery.includes('non-smoking') || translated('no_smoking')) {
       constraints.push('no_smoking');
     }
-    if (lowerQuery.includes('ground floor') || lowerQuery.includes('no stairs')) {
+    if (lowerQuery.includes('ground floor') || lowerQuery.includes('no stairs') || translated('ground_floor')) {
       constraints.push('ground_floor');
     }
-    if (lowerQuery.includes('short term') || lowerQuery.includes('temporary')) {
+    if (lowerQuery.includes('short term') || lowerQuery.includes('temporary') || translated('short_term')) {
       constraints.push('short_term');
     }
 
@@ -335,43 +387,94 @@ Respond with a JSON object containing:
   }
 
   async extractEntitiesWithAI(query) {
-    const prompt = `Extract specific entities from this real estate query:
+    try {
+      return await this.inferEntities(query);
+    } catch (error) {
+      logger.warn('AI entity extraction failed:', error);
+    }
+
+    return {};
+  }
+
+  /**
+   * Entities extracted by the model, in the same shapes as the pattern
+   * extractors' (entities it did not find are left out)
+   * @throws {Error} - When the model is unavailable or its output stays invalid
+   */
+  async inferEntities(query) {
+    const prompt = `Extract entities from this Cape Town real estate query:
 
 Query: "${query}"
 
-Identify and extract:
-1. Budget range (min/max amounts and currency)
-2. Location preferences (specific areas, general regions)
-3. Family composition (number of people, ages if mentioned)
-4. Property requirements (bedrooms, bathrooms, type)
-5. Lifestyle preferences (urban/suburban/coastal etc.)
-6. Must-have amenities
-7. Deal-breakers or constraints
+The query may be in English, Afrikaans or isiXhosa. Answer with the English values listed below, and name areas as they are known in English ("Seepunt" is sea point, "eKhayelitsha" is khayelitsha).
+
+Respond with a JSON object with these keys, using null or [] for anything the query does not mention:
+- "budget": { "min", "max", "currency": "ZAR" or "USD" } monthly rent; R12k means 12000
+- "location": { "areas": [lowercase Cape Town suburbs or regions named in the query] }
+- "familySize": { "size": people in the household, "kids", "type": "single", "couple" or "family" }
+- "timeframe": { "urgency": "low", "medium" or "high", "timeframe": e.g. "immediate", "3 months", "flexible" }
+- "propertyType": one of ${PROPERTY_TYPES.join(', ')}
+- "priorities": any of ${PRIORITIES.join(', ')}
+- "lifestyle": any of ${LIFESTYLES.join(', ')}
+- "amenities": any of ${AMENITIES.join(', ')}
+- "constraints": any of ${CONSTRAINTS.join(', ')}`;
+
+    const entities = await geminiService.generateJson(prompt, entitiesSchema, {
+      feature: 'nlp-entities',
+      responseSchema: ENTITY_RESPONSE_SCHEMA
+    });
+    return this.fromAIEntities(entities);
+  }
 
-Respond with a JSON object containing the extracted entities.`;
+  fromAIEntities(entities) {
+    const confidence = AI_ENTITY_CONFIDENCE;
+    const result = {};
 
-    try {
-      const response = await geminiService.generateChatResponse(prompt, []);
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      logger.warn('AI entity extraction failed:', error);
+    if (entities.budget && (entities.budget.max || entities.budget.min)) {
+      result.budget = {
+        max: entities.budget.max,
+        min: entities.budget.min || 0,
+        currency: entities.budget.currency,
+        confidence
+      };
+    }
+    if (entities.location?.areas.length) {
+      const areas = entities.location.areas;
+      result.location = { areas, specificity: areas.length === 1 ? 'specific' : 'multiple', confidence };
+    }
+    if (entities.familySize) {
+      result.familySize = { ...entities.familySize, confidence };
+    }
+    if (entities.timeframe) {
+      result.timeframe = { ...entities.timeframe, confidence };
+    }
+    if (entities.propertyType) {
+      result.propertyType = { type: entities.propertyType, confidence };
+    }
+    if (entities.priorities.length) {
+      result.priorities = entities.priorities.map(priority => ({ priority, keywords: [], confidence }));
+    }
+    if (entities.lifestyle.length) {
+      result.lifestyle = entities.lifestyle.map(type => ({ type, confidence }));
+    }
+    if (entities.amenities.length) {
+      result.amenities = entities.amenities;
+    }
+    if (entities.constraints.length) {
+      result.constraints = entities.constraints;
     }
 
-    return {};
+    return result;
   }
 
   mergeEntityResults(patternEntities, aiEntities) {
     // Merge pattern-based and AI-based entity extraction
     const merged = { ...patternEntities };
 
-    // AI results can override or supplement pattern results
+    // AI results fill gaps and override low-confidence pattern matches
     Object.entries(aiEntities).forEach(([key, value]) => {
-      if (value && (!merged[key] || merged[key].confidence < 0.7)) {
-        merged[key] = { ...value, source: 'ai' };
+      if (!merged[key] || merged[key].confidence < 0.7) {
+        merged[key] = Array.isArray(value) ? value : { ...value, source: 'ai' };
       }
     });
 
@@ -470,6 +573,18 @@ Respond with a JSON object containing the extracted entities.`;
       parts.push(`Looking in ${criteria.preferredAreas.join(', ')}`);
     }
 
+    if (criteria.bedrooms !== undefined) {
+      parts.push(criteria.bedrooms === 0 ? 'Studio' : `${criteria.bedrooms} bedroom${criteria.bedrooms === 1 ? '' : 's'}`);
+    }
+
+    if (criteria.commuteDestination) {
+      parts.push(`Commuting to ${criteria.commuteDestination}`);
+    }
+
+    if (criteria.nearSea) {
+      parts.push('Close to the sea');
+    }
+
     if (criteria.familyFriendly) {
       parts.push(`Family-friendly with good schools`);
     }
@@ -490,19 +605,24 @@ Respond with a JSON object containing the extracted entities.`;
   fallbackIntentAnalysis(query) {
     const lowerQuery = query.toLowerCase();
     
+    const says = (intent) => lowerQuery.includes(intent) || translationsOf(intent).some(term => mentions(lowerQuery, term));
+
+    // Vague queries name nothing to search on; the dialogue manager asks for more
+    const found = Object.values(this.extractPatternEntities(query)).filter(Boolean).length;
+
     let intent = 'search';
-    if (lowerQuery.includes('compare')) intent = 'compare';
-    else if (lowerQuery.includes('analyze')) intent = 'analyze';
-    else if (lowerQuery.includes('recommend')) intent = 'recommend';
-    else if (lowerQuery.includes('predict')) intent = 'predict';
+    if (says('compare')) intent = 'compare';
+    else if (says('analyze')) intent = 'analyze';
+    else if (says('recommend')) intent = 'recommend';
+    else if (says('predict')) intent = 'predict';
 
     return {
       intent,
       confidence: 0.6,
       primaryGoal: 'neighborhood search',
       urgency: 'medium',
-      specificity: 'moderate',
-      familyContext: lowerQuery.includes('family') || lowerQuery.includes('kids'),
+      specificity: found === 0 ? 'vague' : found < 3 ? 'specific' : 'very_specific',
+      familyContext: lowerQuery.includes('family') || lowerQuery.includes('kids') || translationsOf('family').some(term => mentions(lowerQuery, term)),
       investmentContext: lowerQuery.includes('invest') || lowerQuery.includes('buy'),
       budgetMentioned: /\d+/.test(query),
       locationSpecific: false
@@ -510,12 +630,19 @@ Respond with a JSON object containing the extracted entities.`;
   }
 
   fallbackParsing(query) {
+    const intentAnalysis = this.fallbackIntentAnalysis(query);
+    const entities = this.extractPatternEntities(query);
+    const criteria = this.buildSearchCriteria(intentAnalysis, entities);
+
     return {
       originalQuery: query,
-      intent: { intent: 'search', confidence: 0.5 },
-      entities: this.extractEntities(query),
-      searchCriteria: { query: query.toLowerCase() },
-      naturalLanguageExplanation: `Searching for: ${query}`
+      language: detectLanguage(query).language,
+      intent: intentAnalysis.intent,
+      confidence: 0.5,
+      specificity: intentAnalysis.specificity,
+      entities,
+      searchCriteria: criteria,
+      naturalLanguageExplanation: this.generateExplanation(criteria)
     };
   }
 
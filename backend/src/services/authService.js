@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+class AuthService {
+  /**
+   * Issue an access/refresh token pair for a user
+   * @param {Object} user - User document
+   * @returns {Object} - Tokens and expiry information
+   */
+  issueTokens(user) {
+    const subject = user._id.toString();
+
+    const accessToken = jwt.sign(
+      { email: user.email, role: user.role, type: 'access' },
+      authConfig.accessTokenSecret,
+      {
+        subject,
+        issuer: authConfig.issuer,
+        expiresIn: authConfig.accessTokenExpiresIn
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      { tokenVersion: user.tokenVersion, type: 'refresh' },
+      authConfig.refreshTokenSecret,
+      {
+        subject,
+        issuer: authConfig.issuer,
+        expiresIn: authConfig.refreshTokenExpiresIn
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: authConfig.accessTokenExpiresIn
+    };
+  }
+
+  /**
+   * Verify an access token and return the authenticated principal
+   * @param {string} token - JWT access token
+   * @returns {Object} - { id, email, role }
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, authConfig.accessTokenSecret, {
+      issuer: authConfig.issuer
+    });
+
+    if (payload.type !== 'access') {
+      throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+
+    return {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - JWT refresh token
+   * @returns {Promise<Object>} - { user, tokens }
+   */
+  async refresh(refreshToken) {
+    const payload = jwt.verify(refreshToken, authConfig.refreshTokenSecret, {
+      issuer: authConfig.issuer
+    });
+
+    if (payload.type !== 'refresh') {
+      throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.tokenVersion) {
+      logger.warn(`Rejected revoked refresh token for user: ${payload.sub}`);
+      throw new jwt.JsonWebTokenError('Refresh token revoked');
+    }
+
+    return {
+      user,
+      tokens: this.issueTokens(user)
+    };
+  }
+
+  /**
+   * Revoke all outstanding refresh tokens for a user
+   * @param {string} userId - User ID
+   */
+  async revokeTokens(userId) {
+    await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  }
+}
+
+module.exports = new AuthService();
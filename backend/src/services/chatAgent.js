@@ -0,0 +1,281 @@
+const Neighborhood = require('../models/Neighborhood');
+const geminiService = require('./geminiService');
+const { getToolDeclarations, getToolLabel, executeTool } = require('./chatTools');
+const { routeMessage } = require('./toolRouter');
+const { CitationList } = require('./citations');
+const llmUsageService = require('./llmUsageService');
+const { replyInstruction, localizeOfflineReply } = require('./languages');
+const { logger } = require('../utils/logger');
+
+// Function-calling rounds before the model has to answer with what it has
+const MAX_TOOL_ROUNDS = 4;
+
+// How long the neighborhood names used for routing are cached
+const NAMES_TTL_MS = 10 * 60 * 1000;
+
+const AGENT_INSTRUCTIONS = `You answer questions about Cape Town neighborhoods using this platform's own data.
+Call the tools for any fact about schools, hospitals, minibus taxi routes, rental listings, crime or rent forecasts; never state such facts from memory.
+Every item in a tool result has a "source" number. Cite each fact you use with its number in square brackets, e.g. "Groote Schuur Hospital is 2.1 km away [1]".
+If a tool returns an error or no results, say so plainly instead of guessing.`;
+
+const formatRand = (value) => (value === null || value === undefined ? 'N/A' : `R${Math.round(value).toLocaleString('en-ZA')}`);
+
+/**
+ * Reply templates for mock mode, one per tool. Each turns a tool result into
+ * markdown that cites the same sources the model would.
+ */
+const REPLY_TEMPLATES = {
+  find_nearby_schools: (result) => [
+    `**Schools within ${result.radiusKm} km of ${result.neighborhood}** (${result.total} found):`,
+    ...result.schools.map(school => `- ${school.name} — ${school.type || 'school'}${school.medium ? `, ${school.medium}` : ''}, ${school.distanceKm} km [${school.source}]`)
+  ],
+  find_nearby_hospitals: (result) => [
+    `**Hospitals and clinics within ${result.radiusKm} km of ${result.neighborhood}** (${result.total} found):`,
+    ...result.hospitals.map(hospital => `- ${hospital.name} — ${hospital.classification || 'facility'}, ${hospital.distanceKm} km${hospital.contact ? `, tel. ${hospital.contact}` : ''} [${hospital.source}]`)
+  ],
+  find_taxi_routes: (result) => [
+    result.neighborhood
+      ? `**Minibus taxi routes serving ${result.neighborhood}** (${result.total} found):`
+      : `**Minibus taxi routes${result.origin ? ` from ${result.origin}` : ''}${result.destination ? ` to ${result.destination}` : ''}** (${result.total} found):`,
+    ...result.routes.map(route => `- ${route.origin} → ${route.destination} [${route.source}]`)
+  ],
+  search_rentals: (result) => [
+    `**Matching rentals** (${result.total} found, cheapest first):`,
+    ...result.rentals.map(rental => `- ${rental.title}, ${rental.location} — ${formatRand(rental.price)}/month, ${rental.bedrooms} bed${rental.petsAllowed ? ', pets allowed' : ''} [${rental.source}]`)
+  ],
+  get_crime_stats: (result) => [
+    `**Crime in ${result.neighborhood}, last ${result.months} months:** ${result.totalIncidents} reported incidents [${result.source}]`,
+    ...result.byCategory.slice(0, 5).map(({ category, count }) => `- ${category}: ${count}`),
+    ...(result.safetyScore !== null ? [`Safety score: ${result.safetyScore}/10`] : [])
+  ],
+  predict_rent: (result) => [
+    `**Rent forecast for ${result.neighborhood}:** from ${formatRand(result.currentPrice)} now to about ${formatRand(result.predictedPrice)} in ${result.months} months (80% range ${formatRand(result.lower80)}–${formatRand(result.upper80)}) [${result.source}]`,
+    ...(result.annualGrowthPercent !== null ? [`Expected growth: ${result.annualGrowthPercent}% a year`] : []),
+    result.confidence !== null ? `Model confidence: ${result.confidence}%` : 'There is not enough rent history yet to score this forecast.'
+  ]
+};
+
+function composeReply(results) {
+  return results
+    .map(({ name, args, result }) => {
+      if (result.error) {
+        return `I couldn't complete "${getToolLabel(name).toLowerCase()}"${args.neighborhood ? ` for ${args.neighborhood}` : ''}: ${result.error}.`;
+      }
+      return REPLY_TEMPLATES[name](result).join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * One answer from the agent. Exposes generate() and stream(signal) like the
+ * other reply plans in routes/chat.js, and collects the tool calls made and
+ * the sources cited along the way.
+ */
+class AgentRun {
+  constructor(message, context, { routedCalls = [], onTool = () => {}, userId = null, language = 'en' } = {}) {
+    this.message = message;
+    this.context = context;
+    this.routedCalls = routedCalls;
+    this.onTool = onTool;
+    this.userId = userId;
+    this.language = language;
+    this.toolCalls = [];
+    this.sources = new CitationList();
+    this.neighborhoodIds = new Set();
+  }
+
+  get citations() {
+    return this.sources.citations;
+  }
+
+  /**
+   * Ids of the neighborhoods and rentals the answer drew on
+   */
+  getReferences() {
+    return {
+      neighborhoodIds: [...this.neighborhoodIds],
+      rentalIds: this.citations.filter(citation => citation.type === 'rental').map(citation => citation.id)
+    };
+  }
+
+  async generate() {
+    let response = '';
+    for await (const text of this.stream()) {
+      response += text;
+    }
+    return response;
+  }
+
+  /**
+   * Answer with LLM function calling, or with the tool router when the
+   * model is unavailable or fails before sending anything
+   * @returns {AsyncGenerator<string>} - Response text chunks
+   */
+  async *stream(signal) {
+    const llm = geminiService.getLlm();
+
+    if (llm) {
+      let started = false;
+      try {
+        for await (const text of this.streamWithModel(llm, signal)) {
+          started = true;
+          yield text;
+        }
+        return;
+      } catch (error) {
+        if (signal?.aborted) return;
+        if (started) throw error;
+        logger.error('Error in tool-calling chat, using the tool router:', error);
+        this.toolCalls = [];
+        this.sources = new CitationList();
+        this.neighborhoodIds.clear();
+      }
+    }
+
+    yield* this.streamWithRouter(signal);
+  }
+
+  async *streamWithModel(llm, signal) {
+    const contents = [{ role: 'user', parts: [{ text: this.buildPrompt() }] }];
+    const tools = [{ functionDeclarations: getToolDeclarations() }];
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      // Messages the router recognizes need data, so the first turn must
+      // call a tool; the last turn must answer
+      let mode = 'AUTO';
+      if (round === MAX_TOOL_ROUNDS) mode = 'NONE';
+      else if (round === 0 && this.routedCalls.length) mode = 'ANY';
+
+      await llmUsageService.assertBudget(this.userId, 'chat-agent');
+      const result = llm.stream({
+        contents,
+        tools,
+        toolConfig: { functionCallingConfig: { mode } }
+      }, { signal });
+
+      let reply = '';
+      for await (const text of result.stream) {
+        if (text) {
+          reply += text;
+          yield text;
+        }
+      }
+
+      const response = await result.response;
+      await geminiService.recordUsage(response, {
+        userId: this.userId,
+        feature: 'chat-agent',
+        prompt: JSON.stringify(contents),
+        text: reply
+      });
+      const calls = response.functionCalls;
+      if (!calls.length) return;
+
+      contents.push(response.content);
+      const parts = [];
+      for (const call of calls) {
+        if (signal?.aborted) return;
+        parts.push({
+          functionResponse: {
+            name: call.name,
+            response: await this.callTool(call.name, call.args || {})
+          }
+        });
+      }
+      contents.push({ role: 'function', parts });
+    }
+  }
+
+  async *streamWithRouter(signal) {
+    if (!this.routedCalls.length) {
+      yield* geminiService.chunkText(localizeOfflineReply(geminiService.generateMockChatResponse(this.message), this.language));
+      return;
+    }
+
+    logger.info(`🧭 Routed chat to tools: ${this.routedCalls.map(call => call.name).join(', ')}`);
+
+    const results = [];
+    for (const call of this.routedCalls) {
+      if (signal?.aborted) return;
+      results.push({ ...call, result: await this.callTool(call.name, call.args) });
+    }
+
+    yield* geminiService.chunkText(localizeOfflineReply(composeReply(results), this.language));
+  }
+
+  async callTool(name, args) {
+    const record = { name, args, status: 'running' };
+    this.toolCalls.push(record);
+    this.onTool({ ...record, label: getToolLabel(name) });
+
+    let result;
+    try {
+      result = await executeTool(name, args, {
+        cite: (source) => this.sources.cite(source),
+        onNeighborhood: (neighborhood) => this.neighborhoodIds.add(String(neighborhood._id))
+      });
+    } catch (error) {
+      logger.error(`Chat tool ${name} failed:`, error);
+      result = { error: 'the data source is unavailable right now' };
+    }
+
+    record.status = result.error ? 'error' : 'done';
+    if (result.error) record.error = result.error;
+    this.onTool({ ...record, label: getToolLabel(name) });
+
+    return result;
+  }
+
+  buildPrompt() {
+    return `${geminiService.systemPrompts.chatAssistant}\n\n${AGENT_INSTRUCTIONS}\n\n`
+      + geminiService.formatConversationContext(this.context)
+      + replyInstruction(this.language)
+      + `User: ${this.message}\nAssistant:`;
+  }
+}
+
+/**
+ * Tool-calling chat agent grounded in the platform's own data
+ */
+class ChatAgent {
+  constructor() {
+    this.neighborhoodNames = null;
+    this.namesLoadedAt = 0;
+  }
+
+  hasModel() {
+    return !!geminiService.getLlm();
+  }
+
+  async getNeighborhoodNames() {
+    if (!this.neighborhoodNames || Date.now() - this.namesLoadedAt > NAMES_TTL_MS) {
+      this.neighborhoodNames = await Neighborhood.distinct('name');
+      this.namesLoadedAt = Date.now();
+    }
+    return this.neighborhoodNames;
+  }
+
+  /**
+   * Tool calls the deterministic router picks for a message
+   * @returns {Promise<Array>} - [{ name, args }]
+   */
+  async route(message) {
+    return routeMessage(message, await this.getNeighborhoodNames());
+  }
+
+  /**
+   * Plan an answer that may call tools
+   * @param {string} message - User message
+   * @param {Array} context - Conversation context
+   * @param {Object} options - { routedCalls, onTool, userId, language }.
+   *   routedCalls come from route(); onTool receives { name, args, label,
+   *   status, error } as each tool starts and finishes; userId is charged for
+   *   the model's tokens; language is the one to reply in.
+   * @returns {AgentRun}
+   */
+  createRun(message, context = [], options = {}) {
+    return new AgentRun(message, context, options);
+  }
+}
+
+module.exports = new ChatAgent();
@@ -0,0 +1,377 @@
+const { SchemaType } = require('@google/generative-ai');
+const Neighborhood = require('../models/Neighborhood');
+const HouseRental = require('../models/HouseRental');
+const CrimeData = require('../models/CrimeData');
+const ComprehensiveDataService = require('./comprehensiveDataService');
+const PredictiveAnalytics = require('./predictiveAnalytics');
+
+const dataService = new ComprehensiveDataService();
+const predictiveAnalytics = new PredictiveAnalytics();
+
+// Most items a tool returns to the model
+const MAX_ITEMS = 10;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toolError = (message) => {
+  const error = new Error(message);
+  error.isToolError = true;
+  return error;
+};
+
+/**
+ * Find a neighborhood by name, preferring an exact match over a partial one,
+ * and report it through context.onNeighborhood
+ * @throws {Error} - Tool error when no neighborhood matches
+ */
+async function resolveNeighborhood(name, context) {
+  if (!name || !String(name).trim()) {
+    throw toolError('A neighborhood name is required');
+  }
+
+  const pattern = escapeRegex(String(name).trim());
+  const findByName = (regex) => Neighborhood.findOne({ name: regex }).select('-vectorEmbedding').lean();
+  const neighborhood = await findByName(new RegExp(`^${pattern}$`, 'i'))
+    || await findByName(new RegExp(pattern, 'i'));
+
+  if (!neighborhood) {
+    throw toolError(`No neighborhood called "${name}" was found`);
+  }
+  if (!neighborhood.coordinates) {
+    throw toolError(`${neighborhood.name} has no location on record`);
+  }
+
+  if (context.onNeighborhood) context.onNeighborhood(neighborhood);
+  return neighborhood;
+}
+
+const neighborhoodParam = {
+  type: SchemaType.STRING,
+  description: 'Cape Town neighborhood or suburb name, e.g. "Rondebosch"'
+};
+
+const limitParam = {
+  type: SchemaType.INTEGER,
+  description: `Maximum number of results (1-${MAX_ITEMS})`
+};
+
+/**
+ * Tools the chat agent can call. Each has a Gemini function declaration and
+ * execute(args, { cite, onNeighborhood }), where cite(source) registers a
+ * source (see CitationList) and returns the number the reply should cite it
+ * by. Results are plain JSON for the model; every fact in them carries the
+ * citation number of its source.
+ */
+const TOOLS = {
+  find_nearby_schools: {
+    label: 'Looking up schools',
+    declaration: {
+      description: 'Public schools near a Cape Town neighborhood, nearest first, with type, medium of instruction and distance.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          neighborhood: neighborhoodParam,
+          radiusKm: { type: SchemaType.NUMBER, description: 'Search radius in kilometres (default 2, max 20)' },
+          limit: limitParam
+        },
+        required: ['neighborhood']
+      }
+    },
+    async execute(args, context) {
+      const neighborhood = await resolveNeighborhood(args.neighborhood, context);
+      const radiusKm = clamp(args.radiusKm, 0.1, 20, 2);
+      const limit = clamp(args.limit, 1, MAX_ITEMS, 5);
+
+      await dataService.connect();
+      const schools = await dataService.getNearbySchools(neighborhood.coordinates, radiusKm * 1000);
+
+      return {
+        neighborhood: neighborhood.name,
+        radiusKm,
+        total: schools.length,
+        schools: schools.slice(0, limit).map(school => ({
+          source: context.cite({ type: 'school', id: String(school.id), label: school.name, neighborhood: neighborhood.name }),
+          name: school.name,
+          type: school.type,
+          medium: school.medium,
+          distanceKm: round(school.distance / 1000)
+        }))
+      };
+    }
+  },
+
+  find_nearby_hospitals: {
+    label: 'Looking up hospitals and clinics',
+    declaration: {
+      description: 'Hospitals and clinics near a Cape Town neighborhood, nearest first, with classification, phone number and distance.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          neighborhood: neighborhoodParam,
+          radiusKm: { type: SchemaType.NUMBER, description: 'Search radius in kilometres (default 5, max 20)' },
+          limit: limitParam
+        },
+        required: ['neighborhood']
+      }
+    },
+    async execute(args, context) {
+      const neighborhood = await resolveNeighborhood(args.neighborhood, context);
+      const radiusKm = clamp(args.radiusKm, 0.1, 20, 5);
+      const limit = clamp(args.limit, 1, MAX_ITEMS, 5);
+
+      await dataService.connect();
+      const hospitals = await dataService.getNearbyHospitals(neighborhood.coordinates, radiusKm * 1000);
+
+      return {
+        neighborhood: neighborhood.name,
+        radiusKm,
+        total: hospitals.length,
+        hospitals: hospitals.slice(0, limit).map(hospital => ({
+          source: context.cite({ type: 'hospital', id: String(hospital.id), label: hospital.name, neighborhood: neighborhood.name }),
+          name: hospital.name,
+          classification: hospital.classification,
+          contact: hospital.contact,
+          distanceKm: round(hospital.distance / 1000)
+        }))
+      };
+    }
+  },
+
+  find_taxi_routes: {
+    label: 'Looking up minibus taxi routes',
+    declaration: {
+      description: 'Minibus taxi routes serving a neighborhood, or matching an origin and/or destination name.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          neighborhood: { ...neighborhoodParam, description: 'Neighborhood the routes should pass near' },
+          origin: { type: SchemaType.STRING, description: 'Route origin name, e.g. "Bellville"' },
+          destination: { type: SchemaType.STRING, description: 'Route destination name, e.g. "Cape Town CBD"' },
+          limit: limitParam
+        }
+      }
+    },
+    async execute(args, context) {
+      const limit = clamp(args.limit, 1, MAX_ITEMS, 5);
+      await dataService.connect();
+
+      let neighborhood = null;
+      let routes;
+      if (args.neighborhood) {
+        neighborhood = await resolveNeighborhood(args.neighborhood, context);
+        routes = await dataService.getNearbyTaxiRoutes(neighborhood.coordinates);
+      } else if (args.origin || args.destination) {
+        routes = await dataService.searchTaxiRoutes({ origin: args.origin, destination: args.destination }, 20);
+      } else {
+        throw toolError('Give a neighborhood, an origin or a destination');
+      }
+
+      return {
+        neighborhood: neighborhood ? neighborhood.name : undefined,
+        origin: args.origin,
+        destination: args.destination,
+        total: routes.length,
+        routes: routes.slice(0, limit).map(route => ({
+          source: context.cite({ type: 'taxi-route', id: String(route.id), label: `${route.origin} → ${route.destination}` }),
+          origin: route.origin,
+          destination: route.destination
+        }))
+      };
+    }
+  },
+
+  search_rentals: {
+    label: 'Searching rental listings',
+    declaration: {
+      description: 'Rental listings matching a location and hard filters, cheapest first.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          location: { type: SchemaType.STRING, description: 'Suburb or area, e.g. "Sea Point"' },
+          minPrice: { type: SchemaType.NUMBER, description: 'Minimum monthly rent in rand' },
+          maxPrice: { type: SchemaType.NUMBER, description: 'Maximum monthly rent in rand' },
+          bedrooms: { type: SchemaType.INTEGER, description: 'Exact number of bedrooms' },
+          furnished: {
+            type: SchemaType.STRING,
+            format: 'enum',
+            enum: ['Unfurnished', 'Semi-furnished', 'Fully furnished']
+          },
+          petsAllowed: { type: SchemaType.BOOLEAN, description: 'Only listings that allow pets' },
+          limit: limitParam
+        }
+      }
+    },
+    async execute(args, context) {
+      const limit = clamp(args.limit, 1, MAX_ITEMS, 5);
+      const query = HouseRental.buildSearchQuery({
+        location: args.location,
+        minPrice: args.minPrice,
+        maxPrice: args.maxPrice,
+        bedrooms: args.bedrooms,
+        furnished: args.furnished,
+        petsAllowed: args.petsAllowed ? true : undefined
+      });
+
+      const [rentals, total] = await Promise.all([
+        HouseRental.find(query)
+          .select('title location price bedrooms bathrooms propertyType furnished petPolicy.allowed dataSource')
+          .sort({ price: 1 })
+          .limit(limit)
+          .lean(),
+        HouseRental.countDocuments(query)
+      ]);
+
+      return {
+        total,
+        rentals: rentals.map(rental => ({
+          source: context.cite({
+            type: 'rental',
+            id: String(rental._id),
+            label: rental.title,
+            dataSource: rental.dataSource
+          }),
+          title: rental.title,
+          location: rental.location,
+          price: rental.price,
+          bedrooms: rental.bedrooms,
+          bathrooms: rental.bathrooms,
+          propertyType: rental.propertyType,
+          furnished: rental.furnished,
+          petsAllowed: !!rental.petPolicy?.allowed
+        }))
+      };
+    }
+  },
+
+  get_crime_stats: {
+    label: 'Checking crime statistics',
+    declaration: {
+      description: 'Reported crime incidents in a neighborhood over recent months, by category.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          neighborhood: neighborhoodParam,
+          months: { type: SchemaType.INTEGER, description: 'How many months back to count (default 12, max 60)' }
+        },
+        required: ['neighborhood']
+      }
+    },
+    async execute(args, context) {
+      const neighborhood = await resolveNeighborhood(args.neighborhood, context);
+      const months = clamp(args.months, 1, 60, 12);
+
+      const endDate = new Date();
+      const startDate = new Date(endDate);
+      startDate.setMonth(startDate.getMonth() - months);
+
+      const [stats] = await CrimeData.getNeighborhoodStats(neighborhood.name, startDate, endDate);
+
+      return {
+        source: context.cite({
+          type: 'crime-stats',
+          id: String(neighborhood._id),
+          label: `Crime records for ${neighborhood.name}, last ${months} months`,
+          neighborhood: neighborhood.name
+        }),
+        neighborhood: neighborhood.name,
+        months,
+        totalIncidents: stats ? stats.totalIncidents : 0,
+        byCategory: stats
+          ? stats.byCategory
+            .map(({ category, count }) => ({ category, count }))
+            .sort((a, b) => b.count - a.count)
+          : [],
+        safetyScore: neighborhood.safety?.safetyScore ?? null
+      };
+    }
+  },
+
+  predict_rent: {
+    label: 'Forecasting rents',
+    declaration: {
+      description: 'Median rent forecast for a neighborhood with an 80% prediction interval and the backtested model confidence.',
+      parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+          neighborhood: neighborhoodParam,
+          months: { type: SchemaType.INTEGER, description: 'Forecast horizon in months (default 12, max 36)' }
+        },
+        required: ['neighborhood']
+      }
+    },
+    async execute(args, context) {
+      const neighborhood = await resolveNeighborhood(args.neighborhood, context);
+      const months = clamp(args.months, 1, 36, 12);
+
+      const forecast = await predictiveAnalytics.predictPriceTrends(neighborhood._id, months);
+      const last = forecast.predictions[forecast.predictions.length - 1];
+
+      return {
+        source: context.cite({
+          type: 'forecast',
+          id: String(neighborhood._id),
+          label: `Rent forecast for ${neighborhood.name}`,
+          neighborhood: neighborhood.name
+        }),
+        neighborhood: forecast.neighborhood,
+        currentPrice: forecast.currentPrice,
+        months,
+        predictedPrice: last ? last.predictedPrice : null,
+        lower80: last ? last.lower80 : null,
+        upper80: last ? last.upper80 : null,
+        annualGrowthPercent: forecast.model.annualGrowth === null ? null : round(forecast.model.annualGrowth * 100),
+        confidence: forecast.confidence
+      };
+    }
+  }
+};
+
+/**
+ * Gemini function declarations for every tool
+ */
+function getToolDeclarations() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({ name, ...tool.declaration }));
+}
+
+function hasTool(name) {
+  return Object.prototype.hasOwnProperty.call(TOOLS, name);
+}
+
+function getToolLabel(name) {
+  return hasTool(name) ? TOOLS[name].label : name;
+}
+
+/**
+ * Run a tool. Bad arguments and missing data come back as { error } for the
+ * model to read; other failures are thrown.
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model or the router
+ * @param {Object} context - { cite, onNeighborhood }
+ * @returns {Promise<Object>} - Tool result
+ */
+async function executeTool(name, args = {}, context) {
+  if (!hasTool(name)) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  try {
+    return await TOOLS[name].execute(args, context);
+  } catch (error) {
+    if (error.isToolError) return { error: error.message };
+    throw error;
+  }
+}
+
+module.exports = {
+  getToolDeclarations,
+  getToolLabel,
+  hasTool,
+  executeTool
+};
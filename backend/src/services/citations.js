@@ -0,0 +1,100 @@
+// Dataset each kind of source comes from, for records without their own
+// dataSource. Names match overview.dataSourcesUsed in market insights.
+const DATA_SOURCES = {
+  neighborhood: 'neighborhoods',
+  school: 'schools',
+  hospital: 'hospitals',
+  rental: 'rentals',
+  'taxi-route': 'taxi_routes',
+  'crime-stats': 'crime_data',
+  forecast: 'rent_snapshots'
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Numbered sources behind an AI-generated answer. Facts are shown to the
+ * model tagged with their number ("7.2 [3]") and the model keeps the tag
+ * next to each claim it makes from them, so every claim in the reply can be
+ * traced back to the record it came from.
+ *
+ * A citation is { n, type, id, label, dataSource } plus, where it applies,
+ * the neighborhood it concerns and the field and value cited.
+ */
+class CitationList {
+  constructor() {
+    this.citations = [];
+  }
+
+  /**
+   * Register a source and return the number it is cited by
+   * @param {Object} source - { type, id, label, neighborhood, field, value, dataSource }
+   */
+  cite(source) {
+    const existing = this.citations.find(citation =>
+      citation.type === source.type && citation.id === source.id && citation.field === source.field
+    );
+    if (existing) return existing.n;
+
+    const n = this.citations.length + 1;
+    this.citations.push({
+      n,
+      ...source,
+      dataSource: source.dataSource || DATA_SOURCES[source.type] || null
+    });
+    return n;
+  }
+
+  /**
+   * A value followed by the tag of its source, e.g. "R12,500 [2]"
+   */
+  tag(text, source) {
+    return `${text} [${this.cite(source)}]`;
+  }
+
+  /**
+   * A neighborhood field as "value [n]", or the fallback (uncited) when the
+   * field is missing
+   * @param {Object} neighborhood - Neighborhood document
+   * @param {string} field - Dotted path, e.g. 'safety.safetyScore'
+   * @param {string} label - What the field is, e.g. 'safety score'
+   * @param {Object} options - { format, fallback }
+   */
+  field(neighborhood, field, label, { format = String, fallback = 'N/A' } = {}) {
+    const value = getPath(neighborhood, field);
+    if (value === null || value === undefined) return fallback;
+
+    return this.tag(format(value), {
+      type: 'neighborhood',
+      id: String(neighborhood._id),
+      neighborhood: neighborhood.name,
+      label: `${neighborhood.name} ${label}`,
+      field,
+      value,
+      dataSource: neighborhood.dataSource
+    });
+  }
+
+  /**
+   * A figure computed across a whole dataset as "value [n]"
+   * @param {string} id - Stable name of the figure, e.g. 'crime.totalCrimes'
+   * @param {string} label - What the figure is
+   * @param {*} value - The figure
+   * @param {Object} options - { dataSource, format }
+   */
+  aggregate(id, label, value, { dataSource, format = String } = {}) {
+    return this.tag(format(value), { type: 'aggregate', id, label, value, dataSource });
+  }
+
+  /**
+   * Citations whose tags appear in the text. When the model dropped every
+   * tag, all sources it was given are returned so provenance is not lost.
+   */
+  usedIn(text = '') {
+    const used = new Set([...String(text).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    const cited = this.citations.filter(citation => used.has(citation.n));
+    return cited.length ? cited : this.citations;
+  }
+}
+
+module.exports = { CitationList };
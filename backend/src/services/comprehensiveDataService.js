@@ -1,6 +1,8 @@
 const { MongoClient } = require('mongodb');
 const { logger } = require('../utils/logger');
+const { distanceM } = require('../utils/geo');
 const CrimeData = require('../models/CrimeData');
+const spatialJoinService = require('./spatialJoinService');
 
 class ComprehensiveDataService {
   constructor() {
@@ -23,29 +25,41 @@ class ComprehensiveDataService {
   }
 
   /**
-   * Get comprehensive data for a neighborhood including schools, hospitals, and transport
+   * Get comprehensive data for a neighborhood including schools, hospitals, and transport.
+   * Facilities are joined to the neighborhood's boundary when it has one, so
+   * adjacent suburbs don't share them; the radii only apply without a boundary.
    * @param {Object} neighborhood - Neighborhood data
    * @param {number} schoolRadius - Radius for school search in meters (default: 2000)
    * @param {number} hospitalRadius - Radius for hospital search in meters (default: 5000)
+   * @param {Object} options - { bufferM } distance outside the boundary still counted
    * @returns {Promise<Object>} - Comprehensive neighborhood data
    */
-  async getComprehensiveNeighborhoodData(neighborhood, schoolRadius = 2000, hospitalRadius = 5000) {
+  async getComprehensiveNeighborhoodData(neighborhood, schoolRadius = 2000, hospitalRadius = 5000, { bufferM = spatialJoinService.getDefaultBuffer() } = {}) {
     try {
       await this.connect();
-      const db = this.client.db();
 
-      const [schools, hospitals, taxiRoutes] = await Promise.all([
-        this.getNearbySchools(neighborhood.coordinates, schoolRadius),
-        this.getNearbyHospitals(neighborhood.coordinates, hospitalRadius),
-        this.getNearbyTaxiRoutes(neighborhood.coordinates)
-      ]);
+      const byBoundary = spatialJoinService.hasBoundary(neighborhood);
+      const [schools, hospitals, taxiRoutes] = await Promise.all(byBoundary
+        ? [
+          this.getSchoolsWithin(neighborhood, bufferM),
+          this.getHospitalsWithin(neighborhood, bufferM),
+          this.getTaxiRoutesWithin(neighborhood, bufferM)
+        ]
+        : [
+          this.getNearbySchools(neighborhood.coordinates, schoolRadius),
+          this.getNearbyHospitals(neighborhood.coordinates, hospitalRadius),
+          this.getNearbyTaxiRoutes(neighborhood.coordinates)
+        ]);
 
       const analysis = {
         neighborhood,
         education: this.analyzeEducationAccess(schools),
         healthcare: this.analyzeHealthcareAccess(hospitals),
         transport: this.analyzeTransportAccess(taxiRoutes),
-        livabilityScore: this.calculateLivabilityScore(schools, hospitals, taxiRoutes, neighborhood)
+        livabilityScore: this.calculateLivabilityScore(schools, hospitals, taxiRoutes, neighborhood),
+        spatialJoin: byBoundary
+          ? { method: 'boundary', bufferM }
+          : { method: 'radius', schoolRadius, hospitalRadius, taxiRouteRadius: 3000 }
       };
 
       return analysis;
@@ -73,7 +87,19 @@ class ComprehensiveDataService {
       }
     }).toArray();
 
-    return schools.map(school => ({
+    return schools.map(school => this.toSchool(school, coordinates));
+  }
+
+  /**
+   * Get schools inside a neighborhood's boundary
+   */
+  async getSchoolsWithin(neighborhood, bufferM) {
+    const schools = await spatialJoinService.findWithin('schools', neighborhood, { bufferM });
+    return schools.map(school => this.toSchool(school, neighborhood.coordinates));
+  }
+
+  toSchool(school, coordinates) {
+    return {
       id: school.properties.EMIS,
       name: school.properties.NAME,
       type: school.properties.SCHOOLTYPE,
@@ -85,7 +111,7 @@ class ComprehensiveDataService {
         lng: school.geometry.coordinates[0],
         lat: school.geometry.coordinates[1]
       })
-    }));
+    };
   }
 
   /**
@@ -106,7 +132,19 @@ class ComprehensiveDataService {
       }
     }).toArray();
 
-    return hospitals.map(hospital => ({
+    return hospitals.map(hospital => this.toHospital(hospital, coordinates));
+  }
+
+  /**
+   * Get hospitals inside a neighborhood's boundary
+   */
+  async getHospitalsWithin(neighborhood, bufferM) {
+    const hospitals = await spatialJoinService.findWithin('hospitals', neighborhood, { bufferM });
+    return hospitals.map(hospital => this.toHospital(hospital, neighborhood.coordinates));
+  }
+
+  toHospital(hospital, coordinates) {
+    return {
       id: hospital.properties.OBJECTID,
       name: hospital.properties.NAME,
       classification: hospital.properties.CLASSIFICATION,
@@ -118,7 +156,7 @@ class ComprehensiveDataService {
         lng: hospital.geometry.coordinates[0],
         lat: hospital.geometry.coordinates[1]
       })
-    }));
+    };
   }
 
   /**
@@ -140,6 +178,42 @@ class ComprehensiveDataService {
       }
     }).limit(20).toArray();
 
+    return routes.map(route => this.toTaxiRoute(route));
+  }
+
+  /**
+   * Get taxi routes crossing a neighborhood's boundary
+   */
+  async getTaxiRoutesWithin(neighborhood, bufferM) {
+    const routes = await spatialJoinService.findWithin('taxiRoutes', neighborhood, {
+      bufferM,
+      projection: { properties: 1, geometry: 1 }
+    });
+    return routes.map(route => this.toTaxiRoute(route));
+  }
+
+  toTaxiRoute(route) {
+    return {
+      id: route.properties.OBJECTID,
+      origin: route.properties.ORGN,
+      destination: route.properties.DSTN,
+      length: route.properties.SHAPE_Length
+    };
+  }
+
+  /**
+   * Find taxi routes by origin and/or destination name
+   */
+  async searchTaxiRoutes({ origin, destination } = {}, limit = 20) {
+    const collection = this.client.db().collection('taxi_routes');
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const query = {};
+    if (origin) query['properties.ORGN'] = new RegExp(escape(origin), 'i');
+    if (destination) query['properties.DSTN'] = new RegExp(escape(destination), 'i');
+
+    const routes = await collection.find(query).limit(limit).toArray();
+
     return routes.map(route => ({
       id: route.properties.OBJECTID,
       origin: route.properties.ORGN,
@@ -265,18 +339,7 @@ class ComprehensiveDataService {
    * Calculate distance between two coordinates (Haversine formula)
    */
   calculateDistance(coord1, coord2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = coord1.lat * Math.PI/180;
-    const φ2 = coord2.lat * Math.PI/180;
-    const Δφ = (coord2.lat-coord1.lat) * Math.PI/180;
-    const Δλ = (coord2.lng-coord1.lng) * Math.PI/180;
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-    return Math.round(R * c); // Distance in meters
+    return Math.round(distanceM(coord1, coord2)); // Distance in meters
   }
 
   /**
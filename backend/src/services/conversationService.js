@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const geminiService = require('./geminiService');
+const { logger } = require('../utils/logger');
+
+// Most recent messages always sent to the model verbatim
+const RECENT_MESSAGES = 6;
+
+// Older messages are folded into the summary once this many are waiting,
+// so the prompt never carries more than RECENT_MESSAGES + SUMMARY_BATCH
+const SUMMARY_BATCH = 4;
+
+// New conversations are titled with the start of their first message
+const TITLE_LENGTH = 60;
+
+// Neighborhood fields returned with resumed conversations
+const NEIGHBORHOOD_FIELDS = 'name borough coordinates housing.avgRent safety.safetyScore amenities.transitScore amenities.walkabilityScore';
+
+const notFound = () => {
+  const error = new Error('Conversation not found');
+  error.statusCode = 404;
+  return error;
+};
+
+const titleFrom = (message) => {
+  const text = message.replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 3).trim()}...` : text;
+};
+
+/**
+ * Server-side chat history for signed-in users. Stores each turn with its
+ * parsed intent and the listings it referenced, and keeps the context sent
+ * to the model bounded by summarizing older turns.
+ */
+class ConversationService {
+  /**
+   * A user's conversations, most recently active first, without messages
+   * @param {string} userId - Owner
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { conversations, total }
+   */
+  async list(userId, { limit = 20, offset = 0 } = {}) {
+    const user = new mongoose.Types.ObjectId(userId);
+    const [conversations, total] = await Promise.all([
+      Conversation.aggregate([
+        { $match: { user } },
+        { $sort: { lastMessageAt: -1 } },
+        { $skip: offset },
+        { $limit: limit },
+        {
+          $project: {
+            title: 1,
+            lastMessageAt: 1,
+            createdAt: 1,
+            messageCount: { $size: '$messages' },
+            preview: {
+              $substrCP: [{ $ifNull: [{ $arrayElemAt: ['$messages.content', -1] }, ''] }, 0, 120]
+            }
+          }
+        }
+      ]),
+      Conversation.countDocuments({ user })
+    ]);
+
+    return { conversations, total };
+  }
+
+  /**
+   * Load a conversation owned by the user
+   * @throws {Error} - 404 when it does not exist or belongs to someone else
+   */
+  async get(userId, conversationId) {
+    const conversation = await Conversation.findOne({ _id: conversationId, user: userId });
+    if (!conversation) throw notFound();
+    return conversation;
+  }
+
+  /**
+   * Load a conversation for display, with referenced neighborhoods populated
+   */
+  async getWithReferences(userId, conversationId) {
+    const conversation = await Conversation.findOne({ _id: conversationId, user: userId })
+      .populate('messages.neighborhoodIds', NEIGHBORHOOD_FIELDS)
+      .lean();
+    if (!conversation) throw notFound();
+
+    conversation.messages = conversation.messages.map(({ neighborhoodIds = [], ...message }) => ({
+      ...message,
+      neighborhoodIds: neighborhoodIds.filter(Boolean).map(neighborhood => neighborhood._id),
+      neighborhoods: neighborhoodIds.filter(Boolean)
+    }));
+    return conversation;
+  }
+
+  async rename(userId, conversationId, title) {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: conversationId, user: userId },
+      { $set: { title } },
+      { new: true, projection: { messages: 0 } }
+    );
+    if (!conversation) throw notFound();
+    return conversation;
+  }
+
+  async remove(userId, conversationId) {
+    const conversation = await Conversation.findOneAndDelete({ _id: conversationId, user: userId });
+    if (!conversation) throw notFound();
+    return conversation;
+  }
+
+  /**
+   * Context for the next reply: the summary of older turns, if any, followed
+   * by the messages it does not cover
+   * @param {Object} conversation - Conversation document
+   * @returns {Array} - [{ role, content }] in the shape chat prompts expect
+   */
+  buildContext(conversation) {
+    const context = conversation.messages
+      .slice(conversation.summarizedCount)
+      .filter(message => message.content)
+      .map(({ role, content }) => ({ role, content }));
+
+    return conversation.summary
+      ? [{ role: 'summary', content: conversation.summary }, ...context]
+      : context;
+  }
+
+  /**
+   * Record a user message and the reply to it, starting a new conversation
+   * when there is none
+   * @param {Object|null} conversation - Existing conversation document
+   * @param {Object} turn - { userId, message, parsedQuery, response, neighborhoodIds,
+   *   rentalIds, citations, status, dialogue }
+   * @returns {Promise<string>} - Conversation id
+   */
+  async appendTurn(conversation, {
+    userId,
+    message,
+    parsedQuery,
+    response,
+    neighborhoodIds = [],
+    rentalIds = [],
+    citations = [],
+    status = 'complete',
+    dialogue
+  }) {
+    const messages = [
+      {
+        role: 'user',
+        content: message,
+        intent: parsedQuery?.intent,
+        confidence: parsedQuery?.confidence,
+        entities: parsedQuery?.entities
+      },
+      {
+        role: 'assistant',
+        content: response,
+        neighborhoodIds,
+        rentalIds,
+        citations,
+        status
+      }
+    ];
+
+    if (!conversation) {
+      const created = await Conversation.create({
+        user: userId,
+        title: titleFrom(message),
+        messages,
+        dialogue
+      });
+      return String(created._id);
+    }
+
+    // $push rather than save() so concurrent turns and compaction don't
+    // overwrite each other
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $push: { messages: { $each: messages } },
+        $set: { lastMessageAt: new Date(), ...(dialogue && { dialogue }) }
+      }
+    );
+    return String(conversation._id);
+  }
+
+  /**
+   * Summarize older turns once enough have built up outside the recent window
+   * @param {string} conversationId - Conversation to compact
+   */
+  async compact(conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) return;
+
+    const { summarizedCount } = conversation;
+    const cutoff = conversation.messages.length - RECENT_MESSAGES;
+    if (cutoff - summarizedCount < SUMMARY_BATCH) return;
+
+    const older = conversation.messages
+      .slice(summarizedCount, cutoff)
+      .map(({ role, content }) => ({ role, content }));
+    const summary = await geminiService.summarizeConversation(conversation.summary, older);
+
+    // Skip the write if another request compacted in the meantime
+    await Conversation.updateOne(
+      { _id: conversation._id, summarizedCount },
+      { $set: { summary, summarizedCount: cutoff } }
+    );
+
+    logger.info(`🗜️ Summarized ${older.length} messages of conversation ${conversationId}`);
+  }
+}
+
+module.exports = new ConversationService();
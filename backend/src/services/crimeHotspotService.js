@@ -0,0 +1,315 @@
+const CrimeData = require('../models/CrimeData');
+const { logger } = require('../utils/logger');
+const { projection } = require('../utils/geo');
+
+// Incidents read per request, most recent first
+const MAX_INCIDENTS = 20000;
+
+// Kernel density grid cell size and Gaussian bandwidth, in meters
+const DEFAULT_CELL_M = 250;
+const DEFAULT_BANDWIDTH_M = 500;
+
+// Kernels are cut off at this many bandwidths from the incident
+const KERNEL_CUTOFF = 3;
+
+// Most cells a kernel may reach from its incident's cell in each direction,
+// which bounds the work per incident to (2 * 15 + 1)² cells
+const MAX_KERNEL_REACH = 15;
+
+// Cells below this share of the densest cell are left out of the grid
+const MIN_DENSITY_RATIO = 0.05;
+
+// Most grid cells returned; the densest are kept, which bounds the response
+// size whatever the cell size
+const MAX_DENSITY_CELLS = 5000;
+
+// DBSCAN neighbourhood radius in meters and incidents needed to seed a cluster
+const DEFAULT_EPS_M = 300;
+const DEFAULT_MIN_POINTS = 8;
+
+// How much each incident counts towards density, by severity
+const SEVERITY_WEIGHTS = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+const round = (value, digits = 6) => Number(value.toFixed(digits));
+
+/**
+ * Incidents bucketed into square cells so neighbours within one cell size are
+ * found by checking the surrounding nine cells
+ */
+class CellIndex {
+  constructor(points, size) {
+    this.points = points;
+    this.size = size;
+    this.cells = new Map();
+    points.forEach((point, i) => {
+      const key = this.keyOf(point.xy);
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(i);
+    });
+  }
+
+  keyOf([x, y]) {
+    return `${Math.floor(x / this.size)}:${Math.floor(y / this.size)}`;
+  }
+
+  within(i, radius) {
+    const [x, y] = this.points[i].xy;
+    const cx = Math.floor(x / this.size);
+    const cy = Math.floor(y / this.size);
+    const found = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const j of this.cells.get(`${cx + dx}:${cy + dy}`) || []) {
+          const [px, py] = this.points[j].xy;
+          if (Math.hypot(px - x, py - y) <= radius) found.push(j);
+        }
+      }
+    }
+    return found;
+  }
+}
+
+// Count of each value of a field, largest first
+const tally = (incidents, field) => {
+  const counts = {};
+  incidents.forEach(incident => {
+    counts[incident[field]] = (counts[incident[field]] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => ({ value, count }));
+};
+
+/**
+ * Finds where crime concentrates. Incidents matching the filters are
+ * projected to meters and summarised two ways: a kernel density grid for a
+ * heatmap, weighting each incident by severity, and DBSCAN clusters of
+ * incidents that lie within eps of enough others, each described by its
+ * centre, extent and dominant categories and times.
+ */
+class CrimeHotspotService {
+  getFilterOptions() {
+    return {
+      categories: CrimeData.schema.path('category').enumValues,
+      severities: CrimeData.schema.path('severity').enumValues,
+      timesOfDay: CrimeData.schema.path('timeOfDay').enumValues
+    };
+  }
+
+  /**
+   * Mongo filter for incidents matching hotspot filters
+   * @param {Object} filters - { categories, severities, timesOfDay, from, to }
+   */
+  buildFilter({ categories, severities, timesOfDay, from, to } = {}) {
+    const filter = {};
+    if (categories?.length) filter.category = { $in: categories };
+    if (severities?.length) filter.severity = { $in: severities };
+    if (timesOfDay?.length) filter.timeOfDay = { $in: timesOfDay };
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+    return filter;
+  }
+
+  /**
+   * Kernel density of incidents over a square grid
+   * @returns {Object} - GeoJSON FeatureCollection of cells with density (weighted incidents per km²) and intensity (0-1)
+   */
+  densityGrid(points, { toLatLng }, { cellM, bandwidthM }) {
+    const cutoff = bandwidthM * KERNEL_CUTOFF;
+    const reach = Math.ceil(cutoff / cellM);
+    const norm = 1 / (2 * Math.PI * bandwidthM * bandwidthM);
+    const densities = new Map();
+
+    points.forEach(({ xy: [x, y], weight }) => {
+      const cx = Math.floor(x / cellM);
+      const cy = Math.floor(y / cellM);
+      for (let i = cx - reach; i <= cx + reach; i++) {
+        for (let j = cy - reach; j <= cy + reach; j++) {
+          const distance = Math.hypot((i + 0.5) * cellM - x, (j + 0.5) * cellM - y);
+          if (distance > cutoff) continue;
+          const key = `${i}:${j}`;
+          const kernel = weight * norm * Math.exp(-(distance * distance) / (2 * bandwidthM * bandwidthM));
+          densities.set(key, (densities.get(key) || 0) + kernel);
+        }
+      }
+    });
+
+    // A spread of every value overflows the stack on large grids
+    let max = 0;
+    densities.forEach(density => {
+      if (density > max) max = density;
+    });
+    const dense = [];
+    densities.forEach((density, key) => {
+      if (density >= max * MIN_DENSITY_RATIO) dense.push([key, density]);
+    });
+    dense.sort((a, b) => b[1] - a[1]);
+
+    const features = dense.slice(0, MAX_DENSITY_CELLS).map(([key, density]) => {
+      const [i, j] = key.split(':').map(Number);
+      const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1], [i, j]]
+        .map(([ci, cj]) => toLatLng([ci * cellM, cj * cellM]))
+        .map(({ lat, lng }) => [round(lng), round(lat)]);
+
+      return {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [corners] },
+        properties: {
+          density: round(density * 1e6, 2),
+          intensity: round(density / max, 3)
+        }
+      };
+    });
+
+    return { type: 'FeatureCollection', features, truncated: dense.length > MAX_DENSITY_CELLS };
+  }
+
+  /**
+   * DBSCAN over projected incidents
+   * @returns {Array<number>} - Cluster number per point, -1 for noise
+   */
+  dbscan(points, { epsM, minPoints }) {
+    const index = new CellIndex(points, epsM);
+    const labels = new Array(points.length).fill(undefined);
+    // Marked when a point is queued, so a dense cluster queues each point once
+    const queued = new Uint8Array(points.length);
+    let cluster = 0;
+
+    for (let i = 0; i < points.length; i++) {
+      if (labels[i] !== undefined) continue;
+
+      const neighbours = index.within(i, epsM);
+      if (neighbours.length < minPoints) {
+        labels[i] = -1;
+        continue;
+      }
+
+      labels[i] = cluster;
+      queued[i] = 1;
+      const queue = [];
+      const enqueue = (k) => {
+        if (queued[k] || (labels[k] !== undefined && labels[k] !== -1)) return;
+        queued[k] = 1;
+        queue.push(k);
+      };
+      neighbours.forEach(enqueue);
+
+      while (queue.length) {
+        const j = queue.pop();
+        // Noise already failed the core test, so it joins as a border point
+        const border = labels[j] === -1;
+        labels[j] = cluster;
+        if (border) continue;
+
+        const reachable = index.within(j, epsM);
+        if (reachable.length >= minPoints) reachable.forEach(enqueue);
+      }
+      cluster += 1;
+    }
+
+    return labels;
+  }
+
+  /**
+   * Summary of each DBSCAN cluster, largest first
+   */
+  describeClusters(points, labels, { toLatLng }) {
+    const groups = new Map();
+    labels.forEach((label, i) => {
+      if (label === -1) return;
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(points[i]);
+    });
+
+    return [...groups.values()]
+      .map(members => {
+        const cx = members.reduce((sum, { xy }) => sum + xy[0], 0) / members.length;
+        const cy = members.reduce((sum, { xy }) => sum + xy[1], 0) / members.length;
+        const distances = members.map(({ xy }) => Math.hypot(xy[0] - cx, xy[1] - cy)).sort((a, b) => a - b);
+        const centre = toLatLng([cx, cy]);
+        const incidents = members.map(({ incident }) => incident);
+
+        return {
+          center: { lat: round(centre.lat), lng: round(centre.lng) },
+          // Covers 90% of the cluster so a few stragglers don't inflate it
+          radiusM: Math.round(distances[Math.floor((distances.length - 1) * 0.9)]),
+          count: members.length,
+          weight: members.reduce((sum, { weight }) => sum + weight, 0),
+          categories: tally(incidents, 'category'),
+          severities: tally(incidents, 'severity'),
+          topIncidentTypes: tally(incidents, 'incidentType').slice(0, 3),
+          peakTimeOfDay: tally(incidents, 'timeOfDay')[0].value,
+          peakDayOfWeek: tally(incidents, 'dayOfWeek')[0].value,
+          neighborhoods: tally(incidents, 'neighborhood').slice(0, 3).map(({ value }) => value)
+        };
+      })
+      .sort((a, b) => b.weight - a.weight)
+      .map((cluster, i) => ({ id: i + 1, ...cluster }));
+  }
+
+  /**
+   * Density grid and clusters for incidents matching the filters
+   * @param {Object} filters - { categories, severities, timesOfDay, from, to }
+   * @param {Object} options - { method: 'kde' | 'dbscan' | 'both', cellM, bandwidthM, epsM, minPoints }
+   * @returns {Promise<Object>} - { total, truncated, density, clusters, noise, parameters }
+   * @throws {Error} - With statusCode 400 when bandwidthM is too large for cellM
+   */
+  async getHotspots(filters = {}, {
+    method = 'both',
+    cellM = DEFAULT_CELL_M,
+    bandwidthM = DEFAULT_BANDWIDTH_M,
+    epsM = DEFAULT_EPS_M,
+    minPoints = DEFAULT_MIN_POINTS
+  } = {}) {
+    if (method !== 'dbscan' && Math.ceil((bandwidthM * KERNEL_CUTOFF) / cellM) > MAX_KERNEL_REACH) {
+      const error = new Error(`bandwidthM must be at most ${Math.floor((MAX_KERNEL_REACH * cellM) / KERNEL_CUTOFF)} for cellM ${cellM}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const started = Date.now();
+    const incidents = await CrimeData.find(this.buildFilter(filters))
+      .select('coordinates category severity incidentType timeOfDay dayOfWeek neighborhood')
+      .sort({ date: -1 })
+      .limit(MAX_INCIDENTS + 1)
+      .lean();
+
+    const truncated = incidents.length > MAX_INCIDENTS;
+    if (truncated) incidents.pop();
+
+    const located = incidents.filter(({ coordinates }) => Number.isFinite(coordinates?.lat) && Number.isFinite(coordinates?.lng));
+    const originLat = located.length
+      ? located.reduce((sum, { coordinates }) => sum + coordinates.lat, 0) / located.length
+      : 0;
+    const project = projection(originLat);
+    const points = located.map(incident => ({
+      incident,
+      xy: project.toXY(incident.coordinates),
+      weight: SEVERITY_WEIGHTS[incident.severity] || SEVERITY_WEIGHTS.MEDIUM
+    }));
+
+    const result = {
+      total: points.length,
+      truncated,
+      parameters: { method, cellM, bandwidthM, epsM, minPoints, maxDensityCells: MAX_DENSITY_CELLS, severityWeights: SEVERITY_WEIGHTS }
+    };
+
+    if (method !== 'dbscan') {
+      result.density = this.densityGrid(points, project, { cellM, bandwidthM });
+    }
+
+    if (method !== 'kde') {
+      const labels = this.dbscan(points, { epsM, minPoints });
+      result.clusters = this.describeClusters(points, labels, project);
+      result.noise = labels.filter(label => label === -1).length;
+    }
+
+    logger.info(`🚨 Crime hotspots for ${points.length} incidents in ${Date.now() - started}ms`);
+    return result;
+  }
+}
+
+module.exports = new CrimeHotspotService();
@@ -0,0 +1,351 @@
+const CrimeData = require('../models/CrimeData');
+const Neighborhood = require('../models/Neighborhood');
+const { distanceM, degreesFor } = require('../utils/geo');
+
+// Clock hours covered by each CrimeData.timeOfDay band
+const HOUR_BANDS = {
+  MORNING: '06:00-12:00',
+  AFTERNOON: '12:00-18:00',
+  EVENING: '18:00-22:00',
+  NIGHT: '22:00-06:00'
+};
+
+const DAYS_OF_WEEK = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+// After-dark violent incidents count this many times towards night risk
+const VIOLENT_NIGHT_WEIGHT = 2;
+
+// Night safety score thresholds, highest first
+const NIGHT_RATINGS = [
+  { min: 75, rating: 'Safer than most at night' },
+  { min: 50, rating: 'About average at night' },
+  { min: 25, rating: 'Less safe than most at night' },
+  { min: 0, rating: 'Among the least safe at night' }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Percentage rounded to one decimal, or null without a base
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+const change = (current, previous) => ({
+  current,
+  previous,
+  change: current - previous,
+  changePercent: percent(current - previous, previous)
+});
+
+const periodStart = (months) => {
+  const startDate = new Date();
+  startDate.setMonth(startDate.getMonth() - months);
+  return startDate;
+};
+
+/**
+ * Per-neighborhood crime profiles built on the CrimeData statics: when
+ * incidents happen (time-of-day band and weekday), how many are resolved,
+ * how this year compares with last, what happened near a point, and how a
+ * neighborhood ranks for incidents after dark.
+ */
+class CrimeStatsService {
+  /**
+   * Neighborhood matching a name, case-insensitively
+   * @throws {Error} - statusCode 404 when there is none
+   */
+  async resolveNeighborhood(name) {
+    const neighborhood = await Neighborhood.findOne({ name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') })
+      || await Neighborhood.findOne({ name: new RegExp(escapeRegex(name.trim()), 'i') });
+
+    if (!neighborhood) {
+      const error = new Error(`Neighborhood not found: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return neighborhood;
+  }
+
+  /**
+   * Incidents by category over the last few months
+   */
+  async getStats(name, { months = 12 } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const [stats] = await CrimeData.getNeighborhoodStats(neighborhood.name, periodStart(months), new Date());
+
+    return {
+      neighborhood: neighborhood.name,
+      months,
+      totalIncidents: stats?.totalIncidents || 0,
+      byCategory: (stats?.byCategory || [])
+        .map(({ category, count }) => ({ category, count }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+
+  /**
+   * Monthly incident counts by category
+   */
+  async getTrends(name, { months = 12 } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const trends = await CrimeData.getTrendData(neighborhood.name, months);
+
+    return {
+      neighborhood: neighborhood.name,
+      months,
+      trends: trends.map(({ _id, count }) => ({ ..._id, count }))
+    };
+  }
+
+  /**
+   * Incidents by time-of-day band, by weekday and by both
+   */
+  async getTemporalProfile(name, { months = 12 } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const [breakdown] = await CrimeData.getTemporalBreakdown(neighborhood.name, periodStart(months), new Date());
+    const total = breakdown.byTimeOfDay.reduce((sum, { count }) => sum + count, 0);
+
+    const describe = (groups, field, keys) => keys.map(key => {
+      const group = groups.find(({ _id }) => _id === key) || { count: 0, violent: 0, highSeverity: 0 };
+      return {
+        [field]: key,
+        ...(field === 'timeOfDay' && { hours: HOUR_BANDS[key] }),
+        count: group.count,
+        share: percent(group.count, total),
+        violent: group.violent,
+        highSeverity: group.highSeverity
+      };
+    });
+
+    const hourBands = describe(breakdown.byTimeOfDay, 'timeOfDay', Object.keys(HOUR_BANDS));
+    const weekdays = describe(breakdown.byDayOfWeek, 'dayOfWeek', DAYS_OF_WEEK);
+
+    const matrix = DAYS_OF_WEEK.map(dayOfWeek => ({
+      dayOfWeek,
+      ...Object.fromEntries(Object.keys(HOUR_BANDS).map(timeOfDay => [
+        timeOfDay,
+        breakdown.byDayAndTime.find(({ _id }) => _id.dayOfWeek === dayOfWeek && _id.timeOfDay === timeOfDay)?.count || 0
+      ]))
+    }));
+
+    const busiest = (items, key) => (total ? items.reduce((top, item) => (item.count > top.count ? item : top))[key] : null);
+
+    return {
+      neighborhood: neighborhood.name,
+      months,
+      totalIncidents: total,
+      hourBands,
+      weekdays,
+      matrix,
+      peakTimeOfDay: busiest(hourBands, 'timeOfDay'),
+      peakDayOfWeek: busiest(weekdays, 'dayOfWeek')
+    };
+  }
+
+  /**
+   * Share of incidents resolved, by category, against the city-wide rate
+   */
+  async getResolutionRates(name, { months = 12 } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const startDate = periodStart(months);
+    const endDate = new Date();
+    const [local, city] = await Promise.all([
+      CrimeData.getResolutionRates(neighborhood.name, startDate, endDate),
+      CrimeData.getResolutionRates(null, startDate, endDate)
+    ]);
+
+    const sum = (groups, field) => groups.reduce((total, group) => total + group[field], 0);
+    const total = sum(local, 'total');
+    const resolved = sum(local, 'resolved');
+
+    return {
+      neighborhood: neighborhood.name,
+      months,
+      total,
+      resolved,
+      resolutionRate: percent(resolved, total),
+      cityResolutionRate: percent(sum(city, 'resolved'), sum(city, 'total')),
+      byCategory: local.map(({ _id, total: count, resolved: resolvedCount }) => {
+        const cityCategory = city.find(group => group._id === _id);
+        return {
+          category: _id,
+          total: count,
+          resolved: resolvedCount,
+          resolutionRate: percent(resolvedCount, count),
+          cityResolutionRate: cityCategory ? percent(cityCategory.resolved, cityCategory.total) : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Incidents in a year against the year before, over the same months; the
+   * current year is compared up to the current month
+   */
+  async getYearOverYear(name, { year = new Date().getFullYear() } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const now = new Date();
+    const throughMonth = year === now.getFullYear() ? now.getMonth() + 1 : 12;
+    const groups = await CrimeData.getYearOverYear(neighborhood.name, year, throughMonth);
+
+    const count = (groupYear, category) => groups
+      .filter(({ _id }) => _id.year === groupYear && (!category || _id.category === category))
+      .reduce((sum, group) => sum + group.count, 0);
+    const categories = [...new Set(groups.map(({ _id }) => _id.category))];
+
+    return {
+      neighborhood: neighborhood.name,
+      year,
+      previousYear: year - 1,
+      throughMonth,
+      total: change(count(year), count(year - 1)),
+      byCategory: categories
+        .map(category => ({ category, ...change(count(year, category), count(year - 1, category)) }))
+        .sort((a, b) => b.current - a.current)
+    };
+  }
+
+  /**
+   * Incidents within a radius of a point, nearest first
+   * @param {Object} options - { radiusM, months, limit, categories }
+   */
+  async findNear(point, { radiusM = 500, months = 12, limit = 50, categories } = {}) {
+    const { dLat, dLng } = degreesFor(radiusM, point.lat);
+    const box = { south: point.lat - dLat, north: point.lat + dLat, west: point.lng - dLng, east: point.lng + dLng };
+    const filter = {
+      date: { $gte: periodStart(months) },
+      ...(categories?.length && { category: { $in: categories } })
+    };
+
+    const incidents = (await CrimeData.findInBox(box, filter))
+      .map(incident => ({ ...incident, distanceM: Math.round(distanceM(point, incident.coordinates)) }))
+      .filter(incident => incident.distanceM <= radiusM)
+      .sort((a, b) => a.distanceM - b.distanceM);
+
+    const byCategory = {};
+    incidents.forEach(({ category }) => {
+      byCategory[category] = (byCategory[category] || 0) + 1;
+    });
+
+    return {
+      center: point,
+      radiusM,
+      months,
+      total: incidents.length,
+      byCategory: Object.entries(byCategory)
+        .map(([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count),
+      incidents: incidents.slice(0, limit).map(({ _id, ...incident }) => ({ id: _id, ...incident }))
+    };
+  }
+
+  /**
+   * After-dark incident profile of every neighborhood, safest first. The
+   * score is the share of neighborhoods with more weighted evening and night
+   * incidents, so 100 is the quietest after dark and 0 the busiest.
+   */
+  async getNightProfiles({ months = 12 } = {}) {
+    const [neighborhoods, counts] = await Promise.all([
+      Neighborhood.find({}).select('name').lean(),
+      CrimeData.getAfterDarkCounts(periodStart(months), new Date())
+    ]);
+
+    const profiles = neighborhoods.map(({ _id, name }) => {
+      const group = counts.find(({ _id: crimeNeighborhood }) => crimeNeighborhood === name)
+        || { total: 0, evening: 0, night: 0, afterDarkViolent: 0, afterDarkHighSeverity: 0 };
+      const afterDark = group.evening + group.night;
+
+      return {
+        id: _id,
+        neighborhood: name,
+        totalIncidents: group.total,
+        eveningIncidents: group.evening,
+        nightIncidents: group.night,
+        afterDarkShare: percent(afterDark, group.total),
+        afterDarkPerMonth: Math.round((afterDark / months) * 10) / 10,
+        afterDarkViolent: group.afterDarkViolent,
+        afterDarkHighSeverity: group.afterDarkHighSeverity,
+        risk: afterDark + group.afterDarkViolent * (VIOLENT_NIGHT_WEIGHT - 1)
+      };
+    });
+
+    return profiles
+      .map(profile => {
+        const riskier = profiles.filter(other => other.risk > profile.risk).length;
+        const tied = profiles.filter(other => other.risk === profile.risk).length - 1;
+        const nightSafetyScore = profiles.length > 1
+          ? Math.round(((riskier + tied / 2) / (profiles.length - 1)) * 100)
+          : 100;
+        const { risk, ...rest } = profile;
+
+        return {
+          ...rest,
+          nightSafetyScore,
+          rating: NIGHT_RATINGS.find(({ min }) => nightSafetyScore >= min).rating
+        };
+      })
+      .sort((a, b) => b.nightSafetyScore - a.nightSafetyScore || a.neighborhood.localeCompare(b.neighborhood));
+  }
+
+  /**
+   * Night safety profile of one neighborhood with its riskiest nights and
+   * the city median for comparison
+   */
+  async getNightSafety(name, { months = 12 } = {}) {
+    const neighborhood = await this.resolveNeighborhood(name);
+    const [profiles, [breakdown]] = await Promise.all([
+      this.getNightProfiles({ months }),
+      CrimeData.getTemporalBreakdown(neighborhood.name, periodStart(months), new Date())
+    ]);
+
+    const profile = profiles.find(({ neighborhood: profileName }) => profileName === neighborhood.name);
+    const perMonth = profiles.map(({ afterDarkPerMonth }) => afterDarkPerMonth).sort((a, b) => a - b);
+    const middle = Math.floor(perMonth.length / 2);
+    const median = perMonth.length % 2 ? perMonth[middle] : (perMonth[middle - 1] + perMonth[middle]) / 2;
+
+    const riskiestNights = DAYS_OF_WEEK
+      .map(dayOfWeek => ({
+        dayOfWeek,
+        count: breakdown.byDayAndTime
+          .filter(({ _id }) => _id.dayOfWeek === dayOfWeek && ['EVENING', 'NIGHT'].includes(_id.timeOfDay))
+          .reduce((sum, { count }) => sum + count, 0)
+      }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3);
+
+    return {
+      ...profile,
+      months,
+      rank: profiles.indexOf(profile) + 1,
+      of: profiles.length,
+      cityMedianAfterDarkPerMonth: Math.round(median * 10) / 10,
+      riskiestNights,
+      hours: { EVENING: HOUR_BANDS.EVENING, NIGHT: HOUR_BANDS.NIGHT }
+    };
+  }
+
+  /**
+   * Incidents by category for several neighborhoods side by side
+   */
+  async compare(names, { months = 12 } = {}) {
+    const neighborhoods = await Promise.all(names.map(name => this.resolveNeighborhood(name)));
+    const results = await CrimeData.compareNeighborhoods(
+      neighborhoods.map(({ name }) => name),
+      periodStart(months),
+      new Date()
+    );
+
+    return {
+      months,
+      neighborhoods: neighborhoods.map(({ name }) => {
+        const result = results.find(({ _id }) => _id === name);
+        return {
+          neighborhood: name,
+          totalCrimes: result?.totalCrimes || 0,
+          byCategory: (result?.byCategory || []).sort((a, b) => b.count - a.count)
+        };
+      })
+    };
+  }
+}
+
+module.exports = new CrimeStatsService();
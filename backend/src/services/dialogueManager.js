@@ -0,0 +1,448 @@
+const { mentions, findSuburbAliases } = require('./languages');
+
+/**
+ * Multi-turn search refinement for chat. Keeps a conversation's search
+ * criteria between turns, asks for the details a vague search is missing
+ * (budget, bedrooms, commute destination, school need) one question at a
+ * time, fills them from the answers and applies relative refinements such as
+ * "cheaper" or "closer to the sea" to the previous criteria.
+ *
+ * The state is a plain object so it can round-trip through the client and
+ * the Conversation document:
+ *   { criteria, pendingSlot, asked, referenceRent }
+ */
+
+// Follow-up questions asked before searching with what we have
+const MAX_QUESTIONS = 3;
+
+// Share of the budget "cheaper" takes off and "more expensive" adds
+const BUDGET_STEP = 0.2;
+
+// Adjusted budgets are rounded to this many rand
+const BUDGET_ROUNDING = 500;
+
+// Commute radius used until the user asks to be closer, and its floor (km)
+const DEFAULT_COMMUTE_KM = 15;
+const MIN_COMMUTE_KM = 5;
+
+const SEARCH_INTENTS = ['search', 'recommend'];
+
+/**
+ * Criteria the dialogue keeps, by value type: set by
+ * AdvancedNLP.buildSearchCriteria(), the slot answers and the refinements
+ */
+const CRITERIA_TYPES = {
+  maxRent: 'number',
+  minRent: 'number',
+  currency: 'string',
+  bedrooms: 'number',
+  familySize: 'number',
+  minSafetyScore: 'number',
+  maxCommuteKm: 'number',
+  commuteDestination: 'string',
+  schoolImportance: 'string',
+  lifestyle: 'string',
+  propertyType: 'string',
+  preferredAreas: 'strings',
+  lifestylePreferences: 'strings',
+  requiredAmenities: 'strings',
+  constraints: 'strings',
+  familyFriendly: 'boolean',
+  transitAccess: 'boolean',
+  luxuryFeatures: 'boolean',
+  investmentPotential: 'boolean',
+  availabilityRequired: 'boolean',
+  nearSea: 'boolean'
+};
+
+const roundBudget = (value) => Math.max(BUDGET_ROUNDING, Math.round(value / BUDGET_ROUNDING) * BUDGET_ROUNDING);
+
+const says = (text, terms) => terms.some(term => mentions(text, term));
+
+/**
+ * Slots asked for, in order. filled() reads the criteria; relevant() skips
+ * slots that do not apply to the search.
+ */
+const SLOTS = [
+  {
+    name: 'budget',
+    filled: (criteria) => !!criteria.maxRent,
+    questions: {
+      en: 'What is your monthly budget? For example "up to R12 000".',
+      af: 'Wat is jou maandelikse begroting? Byvoorbeeld "tot R12 000".',
+      xh: 'Yimalini onokuyihlawula ngenyanga? Umzekelo "ukuya kwi-R12 000".'
+    }
+  },
+  {
+    name: 'bedrooms',
+    filled: (criteria) => criteria.bedrooms !== undefined,
+    questions: {
+      en: 'How many bedrooms do you need?',
+      af: 'Hoeveel slaapkamers het jy nodig?',
+      xh: 'Ufuna amagumbi okulala amangaphi?'
+    }
+  },
+  {
+    name: 'commuteDestination',
+    // null records "no commute"
+    filled: (criteria) => criteria.commuteDestination !== undefined,
+    questions: {
+      en: 'Where do you commute to most days, e.g. work or campus? Say "nowhere" if you work from home.',
+      af: 'Waarheen pendel jy die meeste dae, bv. werk of kampus? Sê "nêrens" as jy van die huis af werk.',
+      xh: 'Uya phi uninzi lweentsuku, umzekelo emsebenzini okanye ekhampasini? Yithi "akukho ndawo" ukuba usebenzela ekhaya.'
+    }
+  },
+  {
+    name: 'schoolNeed',
+    filled: (criteria) => !!criteria.schoolImportance,
+    relevant: (criteria) => criteria.familySize !== 1,
+    questions: {
+      en: 'Do you need good schools nearby?',
+      af: 'Het jy goeie skole naby nodig?',
+      xh: 'Ufuna izikolo ezilungileyo kufutshane?'
+    }
+  }
+];
+
+const SKIP_TERMS = [
+  'any', 'anything', "don't mind", 'dont mind', "doesn't matter", 'not sure', 'skip', 'no preference',
+  'enige', 'maak nie saak nie', 'weet nie', 'slaan oor',
+  'nokuba yintoni', 'andazi', 'akunamsebenzi'
+];
+const YES_TERMS = ['yes', 'yeah', 'yep', 'sure', 'please', 'definitely', 'ja', 'asseblief', 'beslis', 'ewe'];
+const NO_TERMS = ['no', 'nope', 'not really', "don't", 'nee', 'glad nie', 'hayi', 'andifuni'];
+const NO_COMMUTE_TERMS = [
+  'nowhere', 'work from home', 'remote', 'home',
+  'nêrens', 'nerens', 'van die huis af', 'tuis',
+  'akukho ndawo', 'ekhaya'
+];
+// Messages that ask for results instead of answering the next question
+const SHOW_NOW_TERMS = ['just show', 'show me results', 'search now', 'wys my', 'ndibonise'];
+// Messages that drop the previous criteria
+const RESET_TERMS = ['start over', 'new search', 'begin oor', 'nuwe soektog', 'qala kwakhona'];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5,
+  een: 1, twee: 2, drie: 3, vier: 4, vyf: 5
+};
+const NUMBER = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+/**
+ * Relative changes to the previous criteria. Each takes the criteria and the
+ * dialogue state and returns the changed criteria, or null when it cannot
+ * apply (e.g. "fewer bedrooms" with no bedroom count yet).
+ */
+const REFINEMENTS = [
+  {
+    name: 'cheaper',
+    pattern: /\b(cheaper|less expensive|more affordable|lower (?:the |my )?(?:budget|price|rent)|goedkoper|minder duur|laer begroting)\b|ngexabiso eliphantsi|eshiphu/i,
+    apply: (criteria, state) => {
+      const base = criteria.maxRent || state.referenceRent;
+      return base ? { ...criteria, maxRent: roundBudget(base * (1 - BUDGET_STEP)) } : null;
+    }
+  },
+  {
+    name: 'moreExpensive',
+    pattern: /\b(more expensive|pricier|higher (?:budget|price)|(?:raise|increase) (?:the |my )?budget|duurder|hoër begroting)\b|ngexabiso eliphezulu/i,
+    apply: (criteria, state) => {
+      const base = criteria.maxRent || state.referenceRent;
+      return base ? { ...criteria, maxRent: roundBudget(base * (1 + BUDGET_STEP)) } : null;
+    }
+  },
+  {
+    name: 'nearSea',
+    pattern: /\b(closer to the (?:sea|beach|ocean|coast)|near(?:er)? the (?:sea|beach|ocean)|by the sea|on the coast|nader aan die (?:see|strand)|naby die (?:see|strand)|by die see)\b|kufutshane nolwandle|ngakulwandle/i,
+    apply: (criteria) => ({
+      ...criteria,
+      nearSea: true,
+      lifestylePreferences: [...new Set([...(criteria.lifestylePreferences || []), 'coastal'])]
+    })
+  },
+  {
+    name: 'shorterCommute',
+    pattern: /\b(closer to (?:the )?(?:city|cbd|town|work|office|campus)|shorter commute|nader aan (?:die )?(?:stad|werk|kantoor))\b|kufutshane nedolophu|kufutshane nomsebenzi/i,
+    apply: (criteria, state, message) => {
+      const destination = criteria.commuteDestination
+        || (/\b(city|cbd|town|stad)\b|dolophu/i.test(message) ? 'City Bowl' : null);
+      if (!destination) return null;
+      return {
+        ...criteria,
+        commuteDestination: destination,
+        maxCommuteKm: Math.max(MIN_COMMUTE_KM, (criteria.maxCommuteKm || DEFAULT_COMMUTE_KM) - 5)
+      };
+    }
+  },
+  {
+    name: 'safer',
+    pattern: /\b(safer|more secure|veiliger)\b|ekhuseleke ngakumbi/i,
+    apply: (criteria) => ({ ...criteria, minSafetyScore: Math.min(9, (criteria.minSafetyScore || 6) + 1) })
+  },
+  {
+    name: 'quieter',
+    pattern: /\b(quieter|calmer|stiller|rustiger)\b|ezizolileyo ngakumbi/i,
+    apply: (criteria) => ({ ...criteria, lifestyle: 'quiet' })
+  },
+  {
+    name: 'moreBedrooms',
+    pattern: /\b(bigger|larger|more (?:bed)?rooms|another bedroom|groter|meer slaapkamers)\b|amagumbi angakumbi/i,
+    apply: (criteria) => (criteria.bedrooms !== undefined ? { ...criteria, bedrooms: criteria.bedrooms + 1 } : null)
+  },
+  {
+    name: 'fewerBedrooms',
+    pattern: /\b(smaller|fewer (?:bed)?rooms|kleiner|minder slaapkamers)\b|amagumbi ambalwa/i,
+    apply: (criteria) => (criteria.bedrooms ? { ...criteria, bedrooms: criteria.bedrooms - 1 } : null)
+  },
+  {
+    name: 'betterTransport',
+    pattern: /\b(better (?:transport|transit)|closer to (?:a |the )?(?:train|taxi|bus)|beter vervoer)\b|uthutho olungcono/i,
+    apply: (criteria) => ({ ...criteria, transitAccess: true })
+  },
+  {
+    name: 'anyArea',
+    pattern: /\b(anywhere|any area|other areas|elsewhere|enige plek|ander gebiede|elders)\b|naphi na/i,
+    apply: (criteria) => {
+      const { preferredAreas, ...rest } = criteria;
+      return preferredAreas ? rest : null;
+    }
+  }
+];
+
+/**
+ * Answers to a pending question. Each returns criteria changes, SKIP for
+ * "don't mind", or null when the message does not answer the question.
+ */
+const SKIP = Symbol('skip');
+
+const ANSWERS = {
+  budget: (message) => {
+    const amount = parseAmount(message);
+    return amount ? { maxRent: amount, currency: 'R' } : null;
+  },
+  bedrooms: (message) => {
+    const bedrooms = parseBedrooms(message, true);
+    return bedrooms !== null ? { bedrooms } : null;
+  },
+  commuteDestination: (message, parsedQuery) => {
+    if (says(message.toLowerCase(), NO_COMMUTE_TERMS)) return { commuteDestination: null };
+    // A short reply is the place itself
+    const short = message.trim().split(/\s+/).length <= 5;
+    const destination = parseCommuteDestination(message)
+      || parsedQuery.entities?.location?.areas?.[0]
+      || (short ? message.replace(/^\s*(?:to|in|at|na|e-|kwa-?)\s*/i, '').replace(/[.!?]+$/, '').trim() : null);
+    return destination ? { commuteDestination: destination.slice(0, 60) } : null;
+  },
+  schoolNeed: (message) => {
+    const text = message.toLowerCase();
+    if (says(text, NO_TERMS)) return { schoolImportance: 'none' };
+    if (says(text, YES_TERMS)) return { schoolImportance: 'high', familyFriendly: true };
+    return null;
+  }
+};
+
+/**
+ * A rand amount such as "R9000", "9 000", "R9,500" or "12k"
+ */
+function parseAmount(message) {
+  for (const match of message.matchAll(/r?\s?(\d{1,3}(?:[ ,]\d{3})+|\d+(?:\.\d+)?)\s*(k)?\b/gi)) {
+    const amount = parseFloat(match[1].replace(/[ ,]/g, '')) * (match[2] ? 1000 : 1);
+    // Anything smaller is a bedroom count, not a monthly rent
+    if (amount >= BUDGET_ROUNDING) return Math.round(amount);
+  }
+  return null;
+}
+
+/**
+ * A bedroom count from "2 bedrooms", "2 slaapkamers" or "amagumbi a-2";
+ * a bare number or number word when answering the bedrooms question
+ */
+function parseBedrooms(message, bare = false) {
+  const text = message.toLowerCase();
+  if (/\b(studio|bachelor)\b/.test(text)) return 0;
+
+  const match = text.match(new RegExp(`\\b(${NUMBER})[\\s-]*(?:bed(?:room)?s?|slaapkamers?)\\b`))
+    || text.match(/amagumbi(?: okulala)? a-?(\d+)/)
+    || (bare ? text.match(new RegExp(`\\b(${NUMBER})\\b`)) : null);
+  if (!match) return null;
+
+  const value = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : NUMBER_WORDS[match[1]];
+  return value !== undefined && value <= 10 ? value : null;
+}
+
+/**
+ * Where the user commutes to, from "I work in Century City", "commute to
+ * the CBD", "ek werk in Bellville" or "ndisebenza eKhayelitsha"
+ */
+function parseCommuteDestination(message) {
+  const match = message.match(/\b(?:work(?:ing)? (?:in|at)|commute to|office is in|study(?:ing)? at|werk (?:in|by)|pendel na|studeer by)\s+(?:the\s+)?([\w' -]+?)(?=\s*(?:[,.?!;]|\band\b|\ben\b|\bbut\b|\bmaar\b|$))/i)
+    || message.match(/\b(?:ndisebenza|ndifunda)\s+(?:e|kwa)-?([\w' -]+?)(?=\s*(?:[,.?!;]|\bkwaye\b|$))/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Whether a message names an area, by its name, an alias or an isiXhosa
+ * locative
+ */
+function namesArea(text, area) {
+  return mentions(text, area) || findSuburbAliases(text, [area]).some(name => name.toLowerCase() === area);
+}
+
+/**
+ * Areas from a message without the commute destination, so "I work in
+ * Claremont" does not also limit results to Claremont. The area stays when
+ * the message names it again, e.g. "I work in Claremont and want to live in
+ * Claremont".
+ * @param {Array<string>} areas - Lowercase areas found in the message
+ * @param {string} destination - Commute destination taken from the message
+ * @param {string} text - Lowercased message
+ */
+function withoutCommuteArea(areas, destination, text) {
+  if (!areas?.length || !destination) return areas;
+
+  const place = destination.toLowerCase();
+  // The message with the mention the destination was read from taken out
+  const rest = text.replace(place, ' ');
+
+  return areas.filter(area => !namesArea(place, area) || namesArea(rest, area));
+}
+
+/**
+ * Criteria values from a new message, with empty values left out so they do
+ * not clear what earlier turns established
+ */
+function definedCriteria(criteria = {}) {
+  return Object.fromEntries(Object.entries(criteria)
+    .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && !value.length)));
+}
+
+class DialogueManager {
+  /**
+   * Fold a message into the dialogue state
+   * @param {Object} state - Previous state ({ criteria, pendingSlot, asked,
+   *   referenceRent }), or null for a new conversation
+   * @param {Object} parsedQuery - AdvancedNLP.parseComplexQuery() output
+   * @param {string} message - User message
+   * @returns {Object} - New state plus isSearch (the message continues or
+   *   starts a search), refinements (names of the adjustments applied) and
+   *   collecting (follow-up questions may be asked)
+   */
+  update(state, parsedQuery, message) {
+    const text = message.toLowerCase();
+    const reset = says(text, RESET_TERMS);
+    const previous = reset ? {} : (state?.criteria || {});
+    const asked = reset ? [] : [...(state?.asked || [])];
+    const pendingSlot = reset ? null : state?.pendingSlot || null;
+    const referenceRent = state?.referenceRent || null;
+
+    const answer = pendingSlot
+      ? (says(text, SKIP_TERMS) ? SKIP : ANSWERS[pendingSlot](message, parsedQuery))
+      : null;
+    const answered = !!answer;
+    const destination = (answer !== SKIP && answer?.commuteDestination) || parseCommuteDestination(message);
+
+    const found = parsedQuery.searchCriteria || {};
+    let criteria = {
+      ...previous,
+      ...definedCriteria({ ...found, preferredAreas: withoutCommuteArea(found.preferredAreas, destination, text) })
+    };
+
+    const bedrooms = parseBedrooms(message);
+    if (bedrooms !== null) criteria.bedrooms = bedrooms;
+    if (destination) criteria.commuteDestination = destination;
+    if (answer && answer !== SKIP) criteria = { ...criteria, ...answer };
+
+    const refinements = [];
+    REFINEMENTS.forEach(refinement => {
+      if (!refinement.pattern.test(message)) return;
+      const refined = refinement.apply(criteria, { referenceRent }, message);
+      if (refined) {
+        criteria = refined;
+        refinements.push(refinement.name);
+      }
+    });
+
+    const isSearch = SEARCH_INTENTS.includes(parsedQuery.intent) || answered || refinements.length > 0;
+    if (!isSearch) {
+      // Questions and comparisons leave the search as it was
+      return { criteria: previous, pendingSlot: null, asked, referenceRent, isSearch, refinements, collecting: false };
+    }
+
+    const collecting = !refinements.length && !says(text, SHOW_NOW_TERMS)
+      && (answered || parsedQuery.specificity === 'vague');
+    // A search that neither answers nor refines starts over on questions
+    const newSearch = !answered && !refinements.length;
+
+    return {
+      criteria,
+      pendingSlot: null,
+      asked: newSearch ? [] : asked,
+      referenceRent,
+      isSearch,
+      refinements,
+      collecting
+    };
+  }
+
+  /**
+   * Names of the slots questions are asked about
+   */
+  getSlotNames() {
+    return SLOTS.map(slot => slot.name);
+  }
+
+  /**
+   * Names of the criteria a dialogue state may hold, with their value types
+   * @returns {Object} - name -> 'number' | 'string' | 'strings' | 'boolean'
+   */
+  getCriteriaTypes() {
+    return { ...CRITERIA_TYPES };
+  }
+
+  /**
+   * Slots the criteria still lack
+   * @returns {Array<string>} - Slot names, in asking order
+   */
+  getMissingSlots(criteria) {
+    return SLOTS
+      .filter(slot => (!slot.relevant || slot.relevant(criteria)) && !slot.filled(criteria))
+      .map(slot => slot.name);
+  }
+
+  /**
+   * The next follow-up question for a state from update(), if one should be
+   * asked. Each slot is asked about at most once, and no more than
+   * MAX_QUESTIONS per search.
+   * @returns {Object|null} - { slot, text }
+   */
+  nextQuestion(state, language = 'en') {
+    if (!state.collecting || state.asked.length >= MAX_QUESTIONS) return null;
+
+    const slot = SLOTS.find(candidate => this.getMissingSlots(state.criteria).includes(candidate.name)
+      && !state.asked.includes(candidate.name));
+    if (!slot) return null;
+
+    return { slot: slot.name, text: slot.questions[language] || slot.questions.en };
+  }
+
+  /**
+   * Record that a question was asked, so the next message is read as its answer
+   */
+  ask(state, slot) {
+    return { ...state, pendingSlot: slot, asked: [...state.asked, slot] };
+  }
+
+  /**
+   * The part of the state that is kept between turns
+   */
+  persistable({ criteria, pendingSlot, asked, referenceRent }) {
+    return { criteria, pendingSlot, asked, referenceRent };
+  }
+
+  /**
+   * How far from the commute destination results may be, in km
+   */
+  getCommuteRadiusKm(criteria) {
+    return criteria.maxCommuteKm || DEFAULT_COMMUTE_KM;
+  }
+}
+
+module.exports = new DialogueManager();
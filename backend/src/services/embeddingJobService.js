@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const Neighborhood = require('../models/Neighborhood');
+const HouseRental = require('../models/HouseRental');
+const embeddingService = require('./embeddingService');
+const geminiService = require('./geminiService');
+const { logger } = require('../utils/logger');
+
+// Documents embedded per provider call and bulk write
+const BATCH_SIZE = 50;
+
+const TARGETS = {
+  neighborhoods: {
+    Model: Neighborhood,
+    toText: (doc) => geminiService.createNeighborhoodText(doc)
+  },
+  rentals: {
+    Model: HouseRental,
+    toText: (doc) => geminiService.createRentalText(doc)
+  }
+};
+
+/**
+ * Re-embeds Neighborhood and HouseRental documents whose embedding was made
+ * by another provider version or from text that has since changed. Runs in
+ * the background; one job at a time.
+ */
+class EmbeddingJobService {
+  constructor() {
+    this.currentJob = null;
+    this.lastJob = null;
+  }
+
+  getTargetNames() {
+    return Object.keys(TARGETS);
+  }
+
+  async loadDocuments(targetName) {
+    return TARGETS[targetName].Model.find({}).select('-vectorEmbedding').lean();
+  }
+
+  /**
+   * Count up-to-date and stale embeddings for each target
+   */
+  async getStatus() {
+    const provider = await embeddingService.ready();
+    const version = await embeddingService.getVersion();
+
+    const collections = {};
+    for (const targetName of this.getTargetNames()) {
+      const docs = await this.loadDocuments(targetName);
+      const stale = docs.filter(doc => embeddingService.isStale(
+        doc.embeddingMeta,
+        TARGETS[targetName].toText(doc),
+        version
+      ));
+
+      collections[targetName] = {
+        total: docs.length,
+        upToDate: docs.length - stale.length,
+        stale: stale.length,
+        neverEmbedded: stale.filter(doc => !doc.embeddingMeta).length
+      };
+    }
+
+    return {
+      provider: provider.name,
+      version,
+      ready: provider.isReady(),
+      collections,
+      currentJob: this.currentJob,
+      lastJob: this.lastJob
+    };
+  }
+
+  /**
+   * Start a re-embed job in the background
+   * @param {Object} options - { targets, force, refit }
+   * @returns {Object} - The job record
+   */
+  start({ targets = this.getTargetNames(), force = false, refit = false } = {}) {
+    if (this.currentJob) {
+      const error = new Error('A re-embed job is already running');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const job = this.createJob({ targets, force, refit });
+    this.currentJob = job;
+
+    this.run(job)
+      .catch(error => {
+        logger.error('Re-embed job failed:', error);
+        job.status = 'failed';
+        job.errors.push({ message: error.message });
+      })
+      .finally(() => {
+        job.finishedAt = new Date();
+        this.lastJob = job;
+        this.currentJob = null;
+      });
+
+    return job;
+  }
+
+  createJob({ targets = this.getTargetNames(), force = false, refit = false } = {}) {
+    return {
+      id: crypto.randomUUID(),
+      status: 'running',
+      targets,
+      force,
+      refit,
+      startedAt: new Date(),
+      finishedAt: null,
+      version: null,
+      refitted: false,
+      progress: {},
+      errors: []
+    };
+  }
+
+  /**
+   * Run a re-embed job in the foreground, e.g. from a script
+   * @param {Object} options - { targets, force, refit }
+   */
+  async runOnce(options = {}) {
+    const job = this.createJob(options);
+    await this.run(job);
+    job.finishedAt = new Date();
+    return job;
+  }
+
+  /**
+   * Run a re-embed job to completion
+   * @param {Object} job - Job record from start(), updated in place
+   */
+  async run(job) {
+    const provider = await embeddingService.ready();
+    let { targets, force } = job;
+
+    // Corpus-trained providers learn from every embedded collection, and a
+    // new fit changes the version of all vectors
+    if (provider.requiresFit && (job.refit || !provider.isReady())) {
+      const corpus = [];
+      for (const targetName of this.getTargetNames()) {
+        const docs = await this.loadDocuments(targetName);
+        corpus.push(...docs.map(TARGETS[targetName].toText));
+      }
+      await embeddingService.fit(corpus);
+      job.refitted = true;
+      targets = this.getTargetNames();
+      force = true;
+    }
+
+    job.version = await embeddingService.getVersion();
+
+    for (const targetName of targets) {
+      const { Model, toText } = TARGETS[targetName];
+      const docs = await this.loadDocuments(targetName);
+      const pending = docs
+        .map(doc => ({ doc, text: toText(doc) }))
+        .filter(({ doc, text }) => force || embeddingService.isStale(doc.embeddingMeta, text, job.version));
+
+      const progress = { total: docs.length, pending: pending.length, embedded: 0, failed: 0 };
+      job.progress[targetName] = progress;
+
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        try {
+          const vectors = await embeddingService.embedDocuments(batch.map(item => item.text));
+          await Model.bulkWrite(batch.map((item, index) => ({
+            updateOne: {
+              filter: { _id: item.doc._id },
+              update: {
+                $set: {
+                  vectorEmbedding: vectors[index],
+                  embeddingMeta: embeddingService.buildMeta(item.text)
+                }
+              }
+            }
+          })));
+          progress.embedded += batch.length;
+        } catch (error) {
+          logger.error(`Failed to embed ${targetName} batch:`, error);
+          progress.failed += batch.length;
+          job.errors.push({ target: targetName, offset: i, message: error.message });
+        }
+      }
+
+      logger.info(`🧭 Re-embedded ${progress.embedded}/${progress.pending} ${targetName} (${job.version})`);
+    }
+
+    job.status = job.errors.length ? 'completed-with-errors' : 'completed';
+    return job;
+  }
+}
+
+module.exports = new EmbeddingJobService();
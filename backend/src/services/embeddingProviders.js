@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const { TaskType } = require('@google/generative-ai');
+const geminiConfig = require('../config/gemini');
+const { logger } = require('../utils/logger');
+
+/**
+ * Embedding providers turn text into fixed-length vectors. Every provider
+ * exposes name, version and dimensions and implements
+ * embedDocuments(texts) and embedQuery(text). Vectors from different
+ * versions are not comparable, so callers store the version with each one.
+ *
+ * Providers that learn from a corpus (requiresFit) also implement
+ * fit(texts), getState() and setState(state).
+ */
+
+// Matches text-embedding-004 and the Atlas vector index definition
+const EMBEDDING_DIMENSIONS = 768;
+
+// Gemini accepts up to 100 requests per batchEmbedContents call
+const GEMINI_BATCH_SIZE = 100;
+
+class GeminiEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.modelName = options.modelName || geminiConfig.embeddingModel;
+    this.model = options.model || geminiConfig.getEmbeddingModel();
+    this.version = `gemini:${this.modelName}`;
+    this.dimensions = EMBEDDING_DIMENSIONS;
+    this.requiresFit = false;
+  }
+
+  isReady() {
+    return !!this.model;
+  }
+
+  toRequest(text, taskType) {
+    return {
+      content: { role: 'user', parts: [{ text }] },
+      taskType
+    };
+  }
+
+  async embedDocuments(texts) {
+    if (!this.model) {
+      throw new Error('Gemini embeddings require GEMINI_API_KEY');
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += GEMINI_BATCH_SIZE) {
+      const batch = texts.slice(i, i + GEMINI_BATCH_SIZE);
+      const result = await this.model.batchEmbedContents({
+        requests: batch.map(text => this.toRequest(text, TaskType.RETRIEVAL_DOCUMENT))
+      });
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    }
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    if (!this.model) {
+      throw new Error('Gemini embeddings require GEMINI_API_KEY');
+    }
+
+    const result = await this.model.embedContent(this.toRequest(text, TaskType.RETRIEVAL_QUERY));
+    return result.embedding.values;
+  }
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'with',
+  'unknown', 'per', 'very', 'near', 'into', 'this', 'these', 'those', 'i', 'me',
+  'my', 'we', 'our', 'you', 'your', 'want', 'looking', 'like', 'would', 'some'
+]);
+
+// Lowercase, accent-folded word tokens without stop words
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z]+/)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+// Deterministic PRNG so the same corpus always produces the same model
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = seed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Orthonormalise the columns of a (rows x k) matrix in place
+const orthonormalize = (matrix, rows, k) => {
+  for (let j = 0; j < k; j++) {
+    for (let prev = 0; prev < j; prev++) {
+      let dot = 0;
+      for (let i = 0; i < rows; i++) dot += matrix[i * k + j] * matrix[i * k + prev];
+      for (let i = 0; i < rows; i++) matrix[i * k + j] -= dot * matrix[i * k + prev];
+    }
+    let norm = 0;
+    for (let i = 0; i < rows; i++) norm += matrix[i * k + j] ** 2;
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < rows; i++) matrix[i * k + j] /= norm;
+  }
+};
+
+// Eigen-decomposition of a small symmetric matrix (cyclic Jacobi)
+const symmetricEigen = (input, n) => {
+  const a = Float64Array.from(input);
+  const vectors = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) vectors[i * n + i] = 1;
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p * n + q] ** 2;
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        const apq = a[p * n + q];
+        if (Math.abs(apq) < 1e-15) continue;
+
+        const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k * n + p];
+          const akq = a[k * n + q];
+          a[k * n + p] = c * akp - s * akq;
+          a[k * n + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p * n + k];
+          const aqk = a[q * n + k];
+          a[p * n + k] = c * apk - s * aqk;
+          a[q * n + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = vectors[k * n + p];
+          const vkq = vectors[k * n + q];
+          vectors[k * n + p] = c * vkp - s * vkq;
+          vectors[k * n + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const values = Array.from({ length: n }, (_, i) => a[i * n + i]);
+  return { values, vectors };
+};
+
+/**
+ * Offline embeddings for development and tests: TF-IDF over the stored
+ * documents reduced with a truncated SVD (latent semantic analysis).
+ * The model has to be fitted on a corpus before use; its version includes
+ * a hash of that corpus so vectors from different fits are never mixed.
+ */
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = EMBEDDING_DIMENSIONS;
+    this.maxVocabulary = options.maxVocabulary || 5000;
+    this.maxComponents = Math.min(options.maxComponents || 128, EMBEDDING_DIMENSIONS);
+    this.powerIterations = options.powerIterations || 8;
+    this.requiresFit = true;
+    this.version = null;
+    this.state = null;
+  }
+
+  isReady() {
+    return !!this.state;
+  }
+
+  termCounts(text) {
+    const counts = new Map();
+    tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+  }
+
+  /**
+   * Sparse, L2-normalised TF-IDF vector using sublinear term frequency
+   * @returns {Array} - [[termIndex, weight]]
+   */
+  vectorize(text, index, idf) {
+    const entries = [];
+    this.termCounts(text).forEach((count, term) => {
+      const termIndex = index.get(term);
+      if (termIndex !== undefined) {
+        entries.push([termIndex, (1 + Math.log(count)) * idf[termIndex]]);
+      }
+    });
+
+    const norm = Math.sqrt(entries.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return entries.map(([termIndex, weight]) => [termIndex, weight / norm]);
+  }
+
+  /**
+   * Fit vocabulary, IDF weights and the SVD basis on a corpus
+   * @param {string[]} texts - Documents to learn from
+   * @returns {Object} - Serialisable model state
+   */
+  fit(texts) {
+    if (texts.length < 2) {
+      throw new Error('The local embedding model needs at least 2 documents to fit');
+    }
+
+    const documentFrequency = new Map();
+    texts.forEach(text => {
+      const counts = this.termCounts(text);
+      counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const vocabulary = [...documentFrequency.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.maxVocabulary)
+      .map(([term]) => term);
+    const index = new Map(vocabulary.map((term, i) => [term, i]));
+    const idf = vocabulary.map(term => Math.log((1 + texts.length) / (1 + documentFrequency.get(term))) + 1);
+
+    const rows = texts.map(text => this.vectorize(text, index, idf));
+    const terms = vocabulary.length;
+    const k = Math.max(1, Math.min(this.maxComponents, texts.length - 1, terms));
+
+    // Randomised subspace iteration for the top-k right singular vectors
+    const random = mulberry32(texts.length * 31 + terms);
+    let basis = Float64Array.from({ length: terms * k }, () => random() - 0.5);
+    orthonormalize(basis, terms, k);
+
+    const project = (matrix) => rows.map(row => {
+      const out = new Float64Array(k);
+      row.forEach(([termIndex, weight]) => {
+        for (let j = 0; j < k; j++) out[j] += weight * matrix[termIndex * k + j];
+      });
+      return out;
+    });
+
+    for (let iteration = 0; iteration < this.powerIterations; iteration++) {
+      const projected = project(basis);
+      const next = new Float64Array(terms * k);
+      rows.forEach((row, r) => {
+        row.forEach(([termIndex, weight]) => {
+          for (let j = 0; j < k; j++) next[termIndex * k + j] += weight * projected[r][j];
+        });
+      });
+      orthonormalize(next, terms, k);
+      basis = next;
+    }
+
+    // Rotate the subspace onto the singular vectors, largest first
+    const projected = project(basis);
+    const gram = new Float64Array(k * k);
+    projected.forEach(row => {
+      for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) gram[i * k + j] += row[i] * row[j];
+      }
+    });
+    const { values, vectors } = symmetricEigen(gram, k);
+    const order = values.map((value, i) => [value, i]).sort((a, b) => b[0] - a[0]).map(([, i]) => i);
+
+    const components = new Float32Array(terms * k);
+    for (let t = 0; t < terms; t++) {
+      order.forEach((source, target) => {
+        let sum = 0;
+        for (let j = 0; j < k; j++) sum += basis[t * k + j] * vectors[j * k + source];
+        components[t * k + target] = sum;
+      });
+    }
+
+    const corpusHash = crypto.createHash('sha1').update(texts.join('\n')).digest('hex').slice(0, 12);
+
+    this.setState({
+      version: `local:tfidf-svd:${corpusHash}`,
+      vocabulary,
+      idf,
+      components,
+      componentCount: k,
+      documentCount: texts.length
+    });
+    return this.getState();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = {
+      ...state,
+      idf: Float64Array.from(state.idf),
+      components: state.components instanceof Float32Array
+        ? state.components
+        : Float32Array.from(state.components)
+    };
+    this.index = new Map(state.vocabulary.map((term, i) => [term, i]));
+    this.version = state.version;
+  }
+
+  embed(text) {
+    if (!this.state) {
+      const error = new Error('Local embedding model has not been fitted; run the re-embed job');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const { idf, components, componentCount: k } = this.state;
+    const vector = new Array(this.dimensions).fill(0);
+    this.vectorize(text, this.index, idf).forEach(([termIndex, weight]) => {
+      for (let j = 0; j < k; j++) vector[j] += weight * components[termIndex * k + j];
+    });
+
+    // Padded with zeros past k, which leaves cosine similarity unchanged
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+/**
+ * Create the configured embedding provider. Defaults to Gemini when an API
+ * key is set and the offline local model otherwise.
+ * @param {string} name - Provider name (EMBEDDING_PROVIDER)
+ */
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+  const providerName = name || (geminiConfig.shouldUseMockResponses() ? 'local' : 'gemini');
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    logger.warn(`Unknown embedding provider "${providerName}", falling back to local`);
+    return new LocalEmbeddingProvider();
+  }
+  return new Provider();
+}
+
+/**
+ * Register a custom embedding provider
+ * @param {string} name - Name used in EMBEDDING_PROVIDER
+ * @param {Function} Provider - Class implementing the provider interface
+ */
+function registerEmbeddingProvider(name, Provider) {
+  PROVIDERS[name] = Provider;
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  GeminiEmbeddingProvider,
+  LocalEmbeddingProvider,
+  createEmbeddingProvider,
+  registerEmbeddingProvider,
+  tokenize
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const EmbeddingModel = require('../models/EmbeddingModel');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const { logger } = require('../utils/logger');
+
+class EmbeddingService {
+  constructor() {
+    this.provider = null;
+    this.loadingState = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createEmbeddingProvider();
+      logger.info(`🧭 Embedding provider: ${this.provider.name}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the provider, loading a persisted model first for providers that
+   * are fitted on a corpus. The provider may still be unfitted afterwards.
+   */
+  async ready() {
+    const provider = this.getProvider();
+    if (!provider.requiresFit || provider.isReady()) {
+      return provider;
+    }
+
+    if (!this.loadingState) {
+      this.loadingState = EmbeddingModel.loadLatestState(provider.name)
+        .then(state => {
+          if (state) {
+            provider.setState(state);
+            logger.info(`🧭 Loaded ${state.version} embedding model`);
+          }
+        })
+        .finally(() => { this.loadingState = null; });
+    }
+    await this.loadingState;
+    return provider;
+  }
+
+  /**
+   * Version of the vectors the provider currently produces, or null when a
+   * corpus-trained provider has not been fitted yet
+   */
+  async getVersion() {
+    const provider = await this.ready();
+    return provider.isReady() ? provider.version : null;
+  }
+
+  async embedQuery(text) {
+    const provider = await this.ready();
+    return provider.embedQuery(text);
+  }
+
+  async embedDocuments(texts) {
+    const provider = await this.ready();
+    return provider.embedDocuments(texts);
+  }
+
+  /**
+   * Fit a corpus-trained provider and persist its state
+   * @param {string[]} texts - Corpus documents
+   * @returns {Promise<string>} - New embedding version
+   */
+  async fit(texts) {
+    const provider = this.getProvider();
+    if (!provider.requiresFit) {
+      return provider.version;
+    }
+
+    const state = provider.fit(texts);
+    await EmbeddingModel.saveState(provider.name, state);
+    logger.info(`🧭 Fitted ${state.version} on ${texts.length} documents`);
+    return state.version;
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  /**
+   * Metadata stored next to a vector so stale embeddings can be detected
+   * @param {string} text - Text the vector was built from
+   */
+  buildMeta(text) {
+    const provider = this.getProvider();
+    return {
+      provider: provider.name,
+      version: provider.version,
+      dimensions: provider.dimensions,
+      textHash: this.hashText(text),
+      embeddedAt: new Date()
+    };
+  }
+
+  /**
+   * Whether a document's stored embedding no longer matches its text or
+   * the current provider version
+   */
+  isStale(embeddingMeta, text, version) {
+    return !embeddingMeta
+      || embeddingMeta.version !== version
+      || embeddingMeta.textHash !== this.hashText(text);
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -2,10 +2,66 @@ const geminiConfig = require('../config/gemini');
 const { logger } = require('../utils/logger');
 const ComprehensiveDataService = require('./comprehensiveDataService');
 const RentalIntegrationService = require('./rentalIntegrationService');
+const embeddingService = require('./embeddingService');
+const { CitationList } = require('./citations');
+const llmUsageService = require('./llmUsageService');
+const { createLlmProvider } = require('./llmProviders');
+const { replyInstruction, localizeOfflineReply } = require('./languages');
+
+// Most recent messages included verbatim in a chat prompt
+const MAX_CONTEXT_MESSAGES = 10;
+
+// Times invalid structured output is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Parse a JSON reply, tolerating code fences and text around the object
+const parseJsonReply = (text) => {
+  const body = String(text).replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    const match = body.match(/\{[\s\S]*\}/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+};
+
+// Parse a JSON reply and validate it against a Joi schema
+// @returns {Object} - { value } when valid, otherwise { problem }
+const checkJsonReply = (text, schema) => {
+  try {
+    const { value, error } = schema.validate(parseJsonReply(text), { abortEarly: false });
+    if (!error) return { value };
+    return { problem: error.details.map(detail => detail.message).join('; ') };
+  } catch (error) {
+    return { problem: `not valid JSON (${error.message})` };
+  }
+};
+
+const formatRand = (value) => `R${Math.round(value).toLocaleString()}`;
+
+// Neighborhood fields quoted, each with its citation, in summaries and
+// comparisons: [field, label, format]
+const NEIGHBORHOOD_FACTS = [
+  ['housing.avgRent', 'average rent', formatRand],
+  ['housing.avgSalePrice', 'average sale price', formatRand],
+  ['safety.safetyScore', 'safety score', (value) => `${value}/10`],
+  ['safety.crimeRate', 'crime rate', (value) => `${value} per 1,000 residents`],
+  ['amenities.transitScore', 'transit score', (value) => `${value}/100`],
+  ['amenities.walkabilityScore', 'walkability score', (value) => `${value}/100`],
+  ['amenities.restaurants', 'restaurants', String],
+  ['amenities.schools', 'schools', String],
+  ['amenities.parks', 'parks', String],
+  ['demographics.population', 'population', (value) => value.toLocaleString()],
+  ['demographics.medianAge', 'median age', String],
+  ['demographics.medianIncome', 'median income', formatRand]
+];
+
+const CITATION_INSTRUCTIONS = 'Figures in the data are tagged with a source number such as [3]. Keep the tag directly after every figure you use, and do not state figures that are not in the data.';
 
 class GeminiService {
   constructor() {
-    this.model = geminiConfig.getGenerativeModel();
+    this.llm = null;
     this.embeddingModel = geminiConfig.getEmbeddingModel();
     this.systemPrompts = geminiConfig.getSystemPrompts();
     this.useMockResponses = false; // Force real AI usage
@@ -14,58 +70,17 @@ class GeminiService {
   }
 
   /**
-   * Generate text embeddings for neighborhood data
+   * Generate a query embedding with the configured embedding provider
    * @param {string} text - Text to embed
    * @returns {Promise<number[]>} - Vector embedding
    */
   async generateEmbedding(text) {
     try {
-      // Note: Google AI Studio doesn't support embeddings yet
-      // For now, we'll use deterministic embeddings based on text content
-      logger.info('Generating deterministic embeddings based on text content');
-      return this.generateMockEmbedding(text);
-
+      return await embeddingService.embedQuery(text);
     } catch (error) {
       logger.error('Error generating embedding:', error);
-      logger.warn('Falling back to mock embeddings');
-      return this.generateMockEmbedding(text);
-    }
-  }
-
-  /**
-   * Generate mock embeddings for development/testing
-   * @param {string} text - Text to embed
-   * @returns {number[]} - Mock vector embedding with 768 dimensions
-   */
-  generateMockEmbedding(text) {
-    // Create a deterministic but varied embedding based on text content
-    const hash = this.simpleHash(text);
-    const embedding = [];
-
-    // Generate 768 dimensions (standard for text-embedding-004)
-    for (let i = 0; i < 768; i++) {
-      // Use hash and index to create deterministic but varied values
-      const seed = (hash + i) * 0.001;
-      const value = Math.sin(seed) * Math.cos(seed * 2) * 0.5;
-      embedding.push(value);
+      throw error;
     }
-
-    return embedding;
-  }
-
-  /**
-   * Simple hash function for generating deterministic mock embeddings
-   * @param {string} str - Input string
-   * @returns {number} - Hash value
-   */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
   }
 
   /**
@@ -129,7 +144,8 @@ class GeminiService {
     try {
       // Create a comprehensive text representation of the neighborhood
       const textRepresentation = this.createNeighborhoodText(neighborhoodData);
-      return await this.generateEmbedding(textRepresentation);
+      const [embedding] = await embeddingService.embedDocuments([textRepresentation]);
+      return embedding;
     } catch (error) {
       logger.error('Error generating neighborhood embedding:', error);
       throw error;
@@ -192,65 +208,147 @@ class GeminiService {
     return parts.join('. ');
   }
 
+  /**
+   * Neighborhood figures as prompt lines, each tagged with its citation
+   * @param {Object} neighborhood - Neighborhood data
+   * @param {CitationList} sources - Collects the citations
+   * @returns {string} - "- Label: value [n]" lines
+   */
+  formatNeighborhoodFacts(neighborhood, sources) {
+    return NEIGHBORHOOD_FACTS
+      .map(([field, label, format]) =>
+        `- ${label.charAt(0).toUpperCase()}${label.slice(1)}: ${sources.field(neighborhood, field, label, { format })}`
+      )
+      .join('\n');
+  }
+
+  /**
+   * Create text representation of a rental listing for embedding
+   * @param {Object} rental - HouseRental data
+   * @returns {string} - Text representation
+   */
+  createRentalText(rental) {
+    const parts = [];
+
+    parts.push(`${rental.title} in ${rental.location}`);
+    parts.push(`${rental.propertyType || 'Property'} with ${rental.bedrooms} bedrooms and ${rental.bathrooms} bathrooms`);
+    parts.push(`Rent: R${rental.price} per month (${rental.category})`);
+
+    if (rental.floorSize) {
+      parts.push(`Floor size: ${rental.floorSize} square metres`);
+    }
+
+    if (rental.furnished) {
+      parts.push(rental.furnished);
+    }
+
+    if (rental.petPolicy) {
+      parts.push(rental.petPolicy.allowed ? 'Pets allowed' : 'No pets');
+    }
+
+    if (rental.features && rental.features.length > 0) {
+      parts.push(`Features: ${rental.features.join(', ')}`);
+    }
+
+    if (rental.amenities && rental.amenities.length > 0) {
+      parts.push(`Amenities: ${rental.amenities.join(', ')}`);
+    }
+
+    if (rental.description) {
+      parts.push(`Description: ${rental.description}`);
+    }
+
+    return parts.join('. ');
+  }
+
   /**
    * Generate AI chat response with comprehensive data including rental information
    * @param {string} userMessage - User's message
    * @param {Array} context - Conversation context
    * @param {Object} neighborhoodData - Relevant neighborhood data
+   * @param {Object} options - { userId } whose token budget the call counts against,
+   *   { language } to reply in ('en', 'af' or 'xh')
    * @returns {Promise<string>} - AI response
    */
-  async generateEnhancedChatResponse(userMessage, context = [], neighborhoodData = null) {
+  async generateEnhancedChatResponse(userMessage, context = [], neighborhoodData = null, { userId, language } = {}) {
     try {
-      let comprehensiveData = null;
-      let rentalData = null;
-
-      // Get comprehensive data if neighborhood is provided
-      if (neighborhoodData && neighborhoodData.coordinates) {
-        comprehensiveData = await this.dataService.getComprehensiveNeighborhoodData(neighborhoodData);
-
-        // Get real rental data for the neighborhood
-        try {
-          rentalData = await this.rentalService.getNeighborhoodRentalData(neighborhoodData.name);
-        } catch (error) {
-          logger.warn(`Could not fetch rental data for ${neighborhoodData.name}:`, error.message);
-        }
-      }
+      const prompt = await this.buildEnhancedChatPrompt(userMessage, context, neighborhoodData, language);
+
+      logger.info('🤖 Generating enhanced AI response with comprehensive and rental data');
+      return await this.generateText(prompt, { feature: 'enhanced-chat', userId });
+    } catch (error) {
+      logger.error('Error generating enhanced chat response:', error);
+      // Fallback to regular chat response
+      return this.generateChatResponse(userMessage, context, neighborhoodData, { userId, language });
+    }
+  }
 
-      let prompt = this.systemPrompts.chatAssistant + '\n\n';
-      prompt += 'You are a Cape Town neighborhood expert with access to real-time data about schools, hospitals, transportation, and current rental properties.\n\n';
+  /**
+   * Stream the enhanced chat response as it is generated
+   * @param {string} userMessage - User's message
+   * @param {Array} context - Conversation context
+   * @param {Object} neighborhoodData - Relevant neighborhood data
+   * @param {Object} options - { signal } to stop generation, { userId } for the token budget,
+   *   { language } to reply in
+   * @returns {AsyncGenerator<string>} - Response text chunks
+   */
+  async *streamEnhancedChatResponse(userMessage, context = [], neighborhoodData = null, { signal, userId, language } = {}) {
+    const fallback = () => this.streamChatResponse(userMessage, context, neighborhoodData, { signal, userId, language });
 
-      // Add comprehensive neighborhood data context
-      if (comprehensiveData) {
-        prompt += this.createComprehensiveDataContext(comprehensiveData);
-      } else if (neighborhoodData) {
-        prompt += 'Basic neighborhood data:\n';
-        prompt += `- ${this.createNeighborhoodText(neighborhoodData)}\n\n`;
-      }
+    let prompt;
+    try {
+      prompt = await this.buildEnhancedChatPrompt(userMessage, context, neighborhoodData, language);
+    } catch (error) {
+      logger.error('Error building enhanced chat prompt:', error);
+      yield* fallback();
+      return;
+    }
 
-      // Add real rental market data
-      if (rentalData && rentalData.totalProperties > 0) {
-        prompt += this.createRentalDataContext(rentalData);
-      }
+    logger.info('🤖 Streaming enhanced AI response with comprehensive and rental data');
+    yield* this.streamPrompt(prompt, fallback, { signal, userId, feature: 'enhanced-chat' });
+  }
 
-      // Add conversation context
-      if (context.length > 0) {
-        prompt += 'Previous conversation:\n';
-        context.slice(-5).forEach(msg => {
-          prompt += `${msg.role}: ${msg.content}\n`;
-        });
-        prompt += '\n';
+  /**
+   * Build the enhanced chat prompt with comprehensive and rental data
+   */
+  async buildEnhancedChatPrompt(userMessage, context = [], neighborhoodData = null, language = 'en') {
+    let comprehensiveData = null;
+    let rentalData = null;
+
+    // Get comprehensive data if neighborhood is provided
+    if (neighborhoodData && neighborhoodData.coordinates) {
+      comprehensiveData = await this.dataService.getComprehensiveNeighborhoodData(neighborhoodData);
+
+      // Get real rental data for the neighborhood
+      try {
+        rentalData = await this.rentalService.getNeighborhoodRentalData(neighborhoodData.name);
+      } catch (error) {
+        logger.warn(`Could not fetch rental data for ${neighborhoodData.name}:`, error.message);
       }
+    }
 
-      prompt += `User: ${userMessage}\nAssistant:`;
+    let prompt = this.systemPrompts.chatAssistant + '\n\n';
+    prompt += 'You are a Cape Town neighborhood expert with access to real-time data about schools, hospitals, transportation, and current rental properties.\n\n';
 
-      logger.info('🤖 Generating enhanced AI response with comprehensive and rental data');
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
-    } catch (error) {
-      logger.error('Error generating enhanced chat response:', error);
-      // Fallback to regular chat response
-      return this.generateChatResponse(userMessage, context, neighborhoodData);
+    // Add comprehensive neighborhood data context
+    if (comprehensiveData) {
+      prompt += this.createComprehensiveDataContext(comprehensiveData);
+    } else if (neighborhoodData) {
+      prompt += 'Basic neighborhood data:\n';
+      prompt += `- ${this.createNeighborhoodText(neighborhoodData)}\n\n`;
+    }
+
+    // Add real rental market data
+    if (rentalData && rentalData.totalProperties > 0) {
+      prompt += this.createRentalDataContext(rentalData);
     }
+
+    // Add conversation context
+    prompt += this.formatConversationContext(context);
+
+    prompt += replyInstruction(language);
+    prompt += `User: ${userMessage}\nAssistant:`;
+    return prompt;
   }
 
   /**
@@ -303,50 +401,288 @@ class GeminiService {
    * @param {string} userMessage - User's message
    * @param {Array} context - Conversation context
    * @param {Object} neighborhoodData - Relevant neighborhood data
+   * @param {Object} options - { userId } whose token budget the call counts against,
+   *   { language } to reply in ('en', 'af' or 'xh')
    * @returns {Promise<string>} - AI response
    */
-  async generateChatResponse(userMessage, context = [], neighborhoodData = null) {
+  async generateChatResponse(userMessage, context = [], neighborhoodData = null, { userId, language } = {}) {
     try {
+      const prompt = this.buildChatPrompt(userMessage, context, neighborhoodData, language);
+
+      logger.info('🤖 Generating real AI response with Gemini');
+      return await this.generateText(prompt, { feature: 'chat', userId });
+    } catch (error) {
+      logger.error('Error generating chat response:', error);
+
+      // Fallback to mock response if API fails
+      logger.warn('Gemini API failed, using mock chat response');
+      return localizeOfflineReply(this.generateMockChatResponse(userMessage, neighborhoodData), language);
+    }
+  }
+
+  /**
+   * Stream the chat response as it is generated, falling back to the mock
+   * response when Gemini is unavailable
+   * @param {string} userMessage - User's message
+   * @param {Array} context - Conversation context
+   * @param {Object} neighborhoodData - Relevant neighborhood data
+   * @param {Object} options - { signal } to stop generation, { userId } for the token budget,
+   *   { language } to reply in
+   * @returns {AsyncGenerator<string>} - Response text chunks
+   */
+  async *streamChatResponse(userMessage, context = [], neighborhoodData = null, { signal, userId, language } = {}) {
+    const prompt = this.buildChatPrompt(userMessage, context, neighborhoodData, language);
+    const fallback = async function* () {
+      logger.warn('Gemini API failed, using mock chat response');
+      yield* this.chunkText(localizeOfflineReply(this.generateMockChatResponse(userMessage, neighborhoodData), language));
+    }.bind(this);
+
+    logger.info('🤖 Streaming real AI response with Gemini');
+    yield* this.streamPrompt(prompt, fallback, { signal, userId, feature: 'chat' });
+  }
 
-      let prompt = this.systemPrompts.chatAssistant + '\n\n';
-
-      // Add neighborhood data context if provided
-      if (neighborhoodData) {
-        prompt += 'Relevant neighborhood data:\n';
-        if (Array.isArray(neighborhoodData)) {
-          neighborhoodData.forEach(neighborhood => {
-            prompt += `- ${this.createNeighborhoodText(neighborhood)}\n`;
-          });
-        } else {
-          prompt += `- ${this.createNeighborhoodText(neighborhoodData)}\n`;
+  /**
+   * Complete a prompt, reusing a cached answer for identical input and
+   * counting the call against the token budgets (see LlmUsageService).
+   * Throws when the model is unavailable or a budget is used up, so callers
+   * fall back to their generateMock* response.
+   * @param {string} prompt - Full prompt
+   * @param {Object} options - { feature } naming the caller in usage metrics,
+   *   { userId } whose budget the call counts against, and { data }: anything
+   *   the answer depends on beyond the prompt text, e.g. a record's updatedAt;
+   *   { json }: true, or a response schema, asks the model for a JSON object;
+   *   { accept }: returns false for a reply that must not be cached, and a
+   *   cached reply it rejects is asked for again
+   * @returns {Promise<string>} - Generated text
+   */
+  async generateText(prompt, { feature, userId = null, data, json = false, accept = () => true } = {}) {
+    const llm = this.getLlm();
+    if (!llm) {
+      throw new Error('LLM not available');
+    }
+
+    const model = `${llm.name}:${llm.model}`;
+    const key = llmUsageService.cacheKey({ model, prompt, data, json });
+    const cached = await llmUsageService.getCached(key);
+    if (cached && accept(cached.text)) {
+      logger.info(`♻️ Using cached ${feature} response`);
+      await llmUsageService.recordCacheHit({ userId, tokens: cached.tokens });
+      return cached.text;
+    }
+
+    await llmUsageService.assertBudget(userId, feature);
+
+    const completion = await llm.generate(json ? { contents: [{ role: 'user', parts: [{ text: prompt }] }], json } : prompt);
+    const text = completion.text;
+    const tokens = await this.recordUsage(completion, { userId, feature, prompt, text });
+    if (accept(text)) {
+      await llmUsageService.setCached(key, { model, feature, text, tokens });
+    }
+
+    return text;
+  }
+
+  /**
+   * Complete a prompt as a JSON object validated against a Joi schema.
+   * Providers that support it are constrained by the response schema; a reply
+   * that still fails to parse or validate is sent back with the problems for
+   * repair, up to MAX_REPAIR_ATTEMPTS times. Only valid replies are cached.
+   * @param {string} prompt - Full prompt
+   * @param {Object} schema - Joi schema the object must satisfy
+   * @param {Object} options - generateText options plus { responseSchema }
+   * @returns {Promise<Object>} - Validated (and coerced) object
+   * @throws {Error} - With code 'LLM_INVALID_OUTPUT' when no reply validates
+   */
+  async generateJson(prompt, schema, { responseSchema, ...options } = {}) {
+    let request = prompt;
+    let problem = null;
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      let result;
+      const text = await this.generateText(request, {
+        ...options,
+        json: responseSchema || true,
+        accept: (reply) => {
+          result = checkJsonReply(reply, schema);
+          return !result.problem;
+        }
+      });
+
+      if (!result.problem) return result.value;
+      problem = result.problem;
+
+      logger.warn(`🔧 Invalid ${options.feature} output, ${attempt < MAX_REPAIR_ATTEMPTS ? 'asking for a repair' : 'giving up'}: ${problem}`);
+      request = `${prompt}
+
+Your previous reply was:
+${text}
+
+It was rejected: ${problem}.
+Reply again with only the corrected JSON object.`;
+    }
+
+    const error = new Error(`Invalid ${options.feature} output: ${problem}`);
+    error.code = 'LLM_INVALID_OUTPUT';
+    throw error;
+  }
+
+  /**
+   * Count a completion's tokens against the budgets, estimating them when
+   * the provider did not report usage
+   * @returns {Promise<number>} - Total tokens
+   */
+  async recordUsage(completion, { userId, feature, prompt, text }) {
+    const usage = completion?.usage;
+    const promptTokens = usage?.promptTokens ?? llmUsageService.estimateTokens(prompt);
+    const outputTokens = usage?.outputTokens ?? llmUsageService.estimateTokens(text);
+
+    await llmUsageService.recordCall({ userId, feature, promptTokens, outputTokens });
+    return promptTokens + outputTokens;
+  }
+
+  /**
+   * Split canned text into word-sized chunks so fallbacks stream like the model
+   */
+  *chunkText(text) {
+    yield* (text.match(/\S+\s*/g) || []);
+  }
+
+  /**
+   * Stream a prompt's completion. Uses the fallback only if nothing has been
+   * sent yet; a failure part-way through is rethrown.
+   * @param {string} prompt - Full prompt
+   * @param {Function} fallback - Returns an async iterable of text chunks
+   * @param {Object} options - { signal } to stop generation; { userId, feature }
+   *   for the token budget and usage metrics. Streams are not cached.
+   */
+  async *streamPrompt(prompt, fallback, { signal, userId = null, feature = 'chat' } = {}) {
+    let started = false;
+
+    try {
+      const llm = this.getLlm();
+      if (!llm) {
+        throw new Error('LLM is not configured');
+      }
+      await llmUsageService.assertBudget(userId, feature);
+
+      const result = llm.stream(prompt, { signal });
+      let response = '';
+      for await (const text of result.stream) {
+        if (text) {
+          started = true;
+          response += text;
+          yield text;
         }
-        prompt += '\n';
       }
+      await this.recordUsage(await result.response, { userId, feature, prompt, text: response });
+      return;
+    } catch (error) {
+      if (signal?.aborted) return;
+      if (started) throw error;
+      logger.error('Error streaming chat response:', error);
+    }
+
+    yield* fallback();
+  }
 
-      // Add conversation context
-      if (context.length > 0) {
-        prompt += 'Previous conversation:\n';
-        context.slice(-5).forEach(msg => { // Last 5 messages for context
-          prompt += `${msg.role}: ${msg.content}\n`;
+  /**
+   * Build the chat prompt from the system prompt, neighborhood data and
+   * context, asking for a reply in the user's language
+   */
+  buildChatPrompt(userMessage, context = [], neighborhoodData = null, language = 'en') {
+    let prompt = this.systemPrompts.chatAssistant + '\n\n';
+
+    // Add neighborhood data context if provided
+    if (neighborhoodData) {
+      prompt += 'Relevant neighborhood data:\n';
+      if (Array.isArray(neighborhoodData)) {
+        neighborhoodData.forEach(neighborhood => {
+          prompt += `- ${this.createNeighborhoodText(neighborhood)}\n`;
         });
-        prompt += '\n';
+      } else {
+        prompt += `- ${this.createNeighborhoodText(neighborhoodData)}\n`;
+      }
+      prompt += '\n';
+    }
+
+    // Add conversation context
+    prompt += this.formatConversationContext(context);
+
+    prompt += replyInstruction(language);
+    prompt += `User: ${userMessage}\nAssistant:`;
+    return prompt;
+  }
+
+  /**
+   * Render conversation context for a prompt. A { role: 'summary' } entry
+   * stands in for turns too old to include verbatim.
+   * @param {Array} context - [{ role, content }] oldest first
+   * @returns {string} - Prompt section, empty without context
+   */
+  formatConversationContext(context = []) {
+    const summary = context.find(msg => msg.role === 'summary');
+    const messages = context
+      .filter(msg => msg.role !== 'summary')
+      .slice(-MAX_CONTEXT_MESSAGES);
+
+    let section = '';
+    if (summary && summary.content) {
+      section += `Summary of the earlier conversation:\n${summary.content}\n\n`;
+    }
+    if (messages.length > 0) {
+      section += 'Previous conversation:\n';
+      messages.forEach(msg => {
+        section += `${msg.role}: ${msg.content}\n`;
+      });
+      section += '\n';
+    }
+    return section;
+  }
+
+  /**
+   * Fold older conversation turns into a running summary
+   * @param {string} previousSummary - Summary of the turns before these
+   * @param {Array} messages - [{ role, content }] to add to the summary
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeConversation(previousSummary, messages) {
+    try {
+      if (!this.getLlm()) {
+        throw new Error('LLM not available');
       }
 
-      prompt += `User: ${userMessage}\nAssistant:`;
+      const transcript = messages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
+      const prompt = `Summarize this conversation between a user and a Cape Town neighborhood and rental assistant so it can continue without the full transcript.
 
-      logger.info('🤖 Generating real AI response with Gemini');
-      const result = await this.model.generateContent(prompt);
-      const response = result.response;
-      return response.text();
-    } catch (error) {
-      logger.error('Error generating chat response:', error);
+${previousSummary ? `**Summary so far:**\n${previousSummary}\n\n` : ''}**New messages:**
+${transcript}
 
-      // Fallback to mock response if API fails
-      logger.warn('Gemini API failed, using mock chat response');
-      return this.generateMockChatResponse(userMessage, neighborhoodData);
+Write at most 120 words. Keep the user's requirements (budget, bedrooms, areas, family, safety, transport), neighborhoods and properties that were recommended or rejected, and any open questions. Leave out greetings and filler.`;
+
+      return (await this.generateText(prompt, { feature: 'conversation-summary' })).trim();
+    } catch (error) {
+      logger.error('Error summarizing conversation:', error);
+      return this.generateMockConversationSummary(previousSummary, messages);
     }
   }
 
+  /**
+   * Summary built from the user's own messages when Gemini is unavailable
+   * @param {string} previousSummary - Summary of the turns before these
+   * @param {Array} messages - [{ role, content }] to add to the summary
+   * @returns {string} - Updated summary
+   */
+  generateMockConversationSummary(previousSummary, messages) {
+    const asked = messages
+      .filter(msg => msg.role === 'user')
+      .map(msg => `"${msg.content.length > 120 ? `${msg.content.slice(0, 117)}...` : msg.content}"`);
+
+    if (!asked.length) return previousSummary || '';
+
+    const summary = `The user asked: ${asked.join('; ')}.`;
+    return previousSummary ? `${previousSummary}\n${summary}` : summary;
+  }
+
   /**
    * Create comprehensive data context for AI prompts
    */
@@ -398,9 +734,10 @@ class GeminiService {
    * Analyze neighborhood trends
    * @param {Object} trendData - Historical trend data
    * @param {string} neighborhood - Neighborhood name
+   * @param {Object} options - { userId } whose token budget the call counts against
    * @returns {Promise<string>} - AI analysis
    */
-  async analyzeTrends(trendData, neighborhood) {
+  async analyzeTrends(trendData, neighborhood, { userId } = {}) {
     try {
 
 
@@ -420,8 +757,7 @@ Provide insights about:
 Keep the analysis practical and actionable.`;
 
       logger.info('🤖 Generating real AI trend analysis with Gemini');
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      return await this.generateText(prompt, { feature: 'trend-analysis', userId });
     } catch (error) {
       logger.error('Error analyzing trends:', error);
 
@@ -459,16 +795,16 @@ ${similarNeighborhoods.map((n, i) =>
 
 Explain why these neighborhoods are similar to ${sourceNeighborhood.name}. Focus on the key factors that make them comparable.`;
 
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      return await this.generateText(prompt, { feature: 'similarity-explanation' });
     } catch (error) {
       logger.error('Error explaining similarity:', error);
 
       // Fallback to mock response if Google Cloud is not available
-      if (error.message.includes('Unable to authenticate') ||
+      if (error.code === 'LLM_BUDGET_EXCEEDED' ||
+          error.message.includes('Unable to authenticate') ||
           error.message.includes('GoogleAuthError') ||
           error.message.includes('Could not load the default credentials')) {
-        logger.warn('Google Cloud authentication failed, using mock similarity explanation');
+        logger.warn('Gemini unavailable, using mock similarity explanation');
         const topSimilar = similarNeighborhoods.slice(0, 3);
         return `**Why these neighborhoods are similar to ${sourceNeighborhood.name}** (Mock Response)\n\n${topSimilar.map((n, i) =>
           `**${i + 1}. ${n.name}** (${(n.score * 100).toFixed(1)}% similar)\n• Similar income levels and demographics\n• Comparable housing costs and market trends\n• Shared amenities like restaurants and transit access\n• Similar safety scores and community feel`
@@ -488,23 +824,16 @@ Explain why these neighborhoods are similar to ${sourceNeighborhood.name}. Focus
    */
   async generateNeighborhoodSummary(neighborhood) {
     try {
-      const model = this.getGenerativeModel();
-      if (!model) {
-        throw new Error('Gemini model not available');
+      if (!this.getLlm()) {
+        throw new Error('LLM not available');
       }
 
+      const sources = new CitationList();
       const prompt = `Generate a comprehensive, engaging summary for ${neighborhood.name} in ${neighborhood.borough}, Cape Town.
 
 **Neighborhood Data:**
 - Location: ${neighborhood.name}, ${neighborhood.borough}
-- Safety Score: ${neighborhood.safety?.safetyScore || 'N/A'}/10
-- Average Rent: R${neighborhood.housing?.avgRent?.toLocaleString() || 'N/A'}
-- Transit Score: ${neighborhood.amenities?.transitScore || 'N/A'}/100
-- Restaurants: ${neighborhood.amenities?.restaurants || 'N/A'}
-- Schools: ${neighborhood.amenities?.schools || 'N/A'}
-- Population: ${neighborhood.demographics?.population?.toLocaleString() || 'N/A'}
-- Median Age: ${neighborhood.demographics?.medianAge || 'N/A'}
-- Median Income: R${neighborhood.demographics?.medianIncome?.toLocaleString() || 'N/A'}
+${this.formatNeighborhoodFacts(neighborhood, sources)}
 - Tags: ${neighborhood.tags?.join(', ') || 'N/A'}
 - Description: ${neighborhood.description || 'N/A'}
 
@@ -515,13 +844,15 @@ Create a 2-3 paragraph summary that:
 4. Notes any potential considerations
 5. Uses specific data points naturally
 
+${CITATION_INSTRUCTIONS}
+
 Write in an engaging, informative tone that helps people visualize living there.`;
 
-      const result = await model.generateContent(prompt);
-      const summary = result.response.text();
+      const summary = await this.generateText(prompt, { feature: 'neighborhood-summary', data: [neighborhood._id, neighborhood.updatedAt] });
 
       return {
         summary,
+        citations: sources.usedIn(summary),
         highlights: this.extractHighlights(neighborhood),
         lifestyle: this.generateLifestyleInsights(neighborhood),
         bestFor: this.generateBestForInsights(neighborhood)
@@ -558,16 +889,16 @@ Provide insights about:
 
 Be specific and practical in your analysis.`;
 
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      return await this.generateText(prompt, { feature: 'neighborhood-insights', data: [neighborhood._id, neighborhood.updatedAt] });
     } catch (error) {
       logger.error('Error generating insights:', error);
 
       // Fallback to mock response if Google Cloud is not available
-      if (error.message.includes('Unable to authenticate') ||
+      if (error.code === 'LLM_BUDGET_EXCEEDED' ||
+          error.message.includes('Unable to authenticate') ||
           error.message.includes('GoogleAuthError') ||
           error.message.includes('Could not load the default credentials')) {
-        logger.warn('Google Cloud authentication failed, using mock neighborhood insights');
+        logger.warn('Gemini unavailable, using mock neighborhood insights');
         const safetyLevel = neighborhood.safety?.safetyScore >= 8 ? 'excellent' : neighborhood.safety?.safetyScore >= 6 ? 'good' : 'moderate';
         const affordability = neighborhood.housing?.avgRent > 4000 ? 'premium' : neighborhood.housing?.avgRent > 2500 ? 'moderate' : 'affordable';
 
@@ -582,27 +913,29 @@ Be specific and practical in your analysis.`;
    * Generate AI-powered comparison analysis for multiple neighborhoods
    * @param {Array} neighborhoods - Array of neighborhood objects
    * @param {Array} metrics - Metrics to focus on in comparison
-   * @returns {Promise<string>} - AI comparison analysis
+   * @returns {Promise<Object>} - { analysis, citations }
    */
   async generateComparisonAnalysis(neighborhoods, metrics = ['housing', 'safety', 'amenities']) {
     try {
-
-
+      const sources = new CitationList();
       const prompt = `${this.systemPrompts.neighborhoodComparison}
 
 Compare these neighborhoods across ${metrics.join(', ')} metrics:
 
 ${neighborhoods.map((n, i) => `
 **${i + 1}. ${n.name}, ${n.borough}**
-${this.createNeighborhoodText(n)}
+${this.formatNeighborhoodFacts(n, sources)}
+- Characteristics: ${n.tags?.join(', ') || 'N/A'}
+- Description: ${n.description || 'N/A'}
 `).join('\n')}
 
 Focus your analysis on the specified metrics: ${metrics.join(', ')}.
-Provide specific recommendations based on the actual data provided.`;
+Provide specific recommendations based on the actual data provided.
+${CITATION_INSTRUCTIONS}`;
 
       logger.info('🤖 Generating real AI comparison analysis with Gemini');
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      const analysis = await this.generateText(prompt, { feature: 'comparison' });
+      return { analysis, citations: sources.usedIn(analysis) };
     } catch (error) {
       logger.error('Error generating comparison analysis:', error);
 
@@ -616,9 +949,17 @@ Provide specific recommendations based on the actual data provided.`;
    * Generate mock comparison analysis for development
    * @param {Array} neighborhoods - Array of neighborhood objects
    * @param {Array} metrics - Metrics to focus on
-   * @returns {string} - Mock comparison analysis
+   * @returns {Object} - { analysis, citations }
    */
   generateMockComparisonAnalysis(neighborhoods, metrics) {
+    const sources = new CitationList();
+    const fact = (neighborhood, field, label, format) =>
+      sources.field(neighborhood, field, label, { format, fallback: 'N/A' });
+    const rent = (neighborhood) => fact(neighborhood, 'housing.avgRent', 'average rent', formatRand);
+    const safety = (neighborhood) => fact(neighborhood, 'safety.safetyScore', 'safety score', (value) => `${value}/10`);
+    const transit = (neighborhood) => fact(neighborhood, 'amenities.transitScore', 'transit score', (value) => `${value}/100`);
+    const walkability = (neighborhood) => fact(neighborhood, 'amenities.walkabilityScore', 'walkability score', (value) => `${value}/100`);
+
     const n1 = neighborhoods[0];
     const n2 = neighborhoods[1];
     const n3 = neighborhoods[2];
@@ -636,27 +977,27 @@ Provide specific recommendations based on the actual data provided.`;
       (curr.amenities?.transitScore || 0) > (prev.amenities?.transitScore || 0) ? curr : prev
     );
 
-    return `**🏆 WINNER BY CATEGORY:**
-
-• **Best Value:** **${cheapest.name}** - $${cheapest.housing?.avgRent?.toLocaleString() || 'N/A'}/month with ${cheapest.amenities?.restaurants || 0} restaurants and ${cheapest.amenities?.transitScore || 0}/100 transit score
-• **Safest:** **${safest.name}** - ${safest.safety?.safetyScore || 0}/10 safety score with ${safest.safety?.crimeRate || 0} crimes per 1,000 residents
-• **Best Commute:** **${bestTransit.name}** - ${bestTransit.amenities?.transitScore || 0}/100 transit score with excellent subway access
-• **Most Walkable:** **${neighborhoods.reduce((prev, curr) =>
+    const mostWalkable = neighborhoods.reduce((prev, curr) =>
       (curr.amenities?.walkabilityScore || 0) > (prev.amenities?.walkabilityScore || 0) ? curr : prev
-    ).name}** - ${neighborhoods.reduce((prev, curr) =>
-      (curr.amenities?.walkabilityScore || 0) > (prev.amenities?.walkabilityScore || 0) ? curr : prev
-    ).amenities?.walkabilityScore || 0}/100 walkability score
+    );
+
+    const analysis = `**🏆 WINNER BY CATEGORY:**
+
+• **Best Value:** **${cheapest.name}** - ${rent(cheapest)}/month with ${fact(cheapest, 'amenities.restaurants', 'restaurants', String)} restaurants and ${transit(cheapest)} transit score
+• **Safest:** **${safest.name}** - ${safety(safest)} safety score with ${fact(safest, 'safety.crimeRate', 'crime rate', String)} crimes per 1,000 residents
+• **Best Commute:** **${bestTransit.name}** - ${transit(bestTransit)} transit score
+• **Most Walkable:** **${mostWalkable.name}** - ${walkability(mostWalkable)} walkability score
 
 **📊 KEY DIFFERENCES:**
 
 **Housing Costs:**
-${neighborhoods.map(n => `• **${n.name}:** $${n.housing?.avgRent?.toLocaleString() || 'N/A'}/month rent, $${n.housing?.avgSalePrice?.toLocaleString() || 'N/A'} avg sale price`).join('\n')}
+${neighborhoods.map(n => `• **${n.name}:** ${rent(n)}/month rent, ${fact(n, 'housing.avgSalePrice', 'average sale price', formatRand)} avg sale price`).join('\n')}
 
 **Safety Levels:**
-${neighborhoods.map(n => `• **${n.name}:** ${n.safety?.safetyScore || 0}/10 safety score, ${n.safety?.crimeRate || 0} crime rate`).join('\n')}
+${neighborhoods.map(n => `• **${n.name}:** ${safety(n)} safety score, ${fact(n, 'safety.crimeRate', 'crime rate', String)} crime rate`).join('\n')}
 
 **Lifestyle & Amenities:**
-${neighborhoods.map(n => `• **${n.name}:** ${n.amenities?.restaurants || 0} restaurants, ${n.amenities?.parks || 0} parks, ${n.amenities?.walkabilityScore || 0}/100 walkability`).join('\n')}
+${neighborhoods.map(n => `• **${n.name}:** ${fact(n, 'amenities.restaurants', 'restaurants', String)} restaurants, ${fact(n, 'amenities.parks', 'parks', String)} parks, ${walkability(n)} walkability`).join('\n')}
 
 **💡 RECOMMENDATIONS:**
 
@@ -667,9 +1008,11 @@ ${n3 ? `• **Choose ${n3.name} if:** You want ${n3.amenities?.walkabilityScore
 **🎯 BOTTOM LINE:**
 ${cheapest.name === safest.name ?
   `**${cheapest.name}** offers the best overall value - combining affordability with safety.` :
-  `**${cheapest.name}** wins on budget ($${cheapest.housing?.avgRent?.toLocaleString()}/month), while **${safest.name}** wins on safety (${safest.safety?.safetyScore}/10). Choose based on your priorities.`}
+  `**${cheapest.name}** wins on budget (${rent(cheapest)}/month), while **${safest.name}** wins on safety (${safety(safest)}). Choose based on your priorities.`}
 
 *Analysis based on current neighborhood data and market trends.*`;
+
+    return { analysis, citations: sources.citations };
   }
 
   /**
@@ -680,13 +1023,19 @@ ${cheapest.name === safest.name ?
   generateMockNeighborhoodSummary(neighborhood) {
     const safetyLevel = neighborhood.safety?.safetyScore >= 8 ? 'excellent' : neighborhood.safety?.safetyScore >= 6 ? 'good' : 'moderate';
     const affordability = neighborhood.housing?.avgRent > 50000 ? 'luxury' : neighborhood.housing?.avgRent > 30000 ? 'premium' : neighborhood.housing?.avgRent > 20000 ? 'moderate' : 'affordable';
+    const sources = new CitationList();
+    const safetyScore = sources.field(neighborhood, 'safety.safetyScore', 'safety score', { format: (value) => ` (${value}/10)`, fallback: '' });
+    const avgRent = sources.field(neighborhood, 'housing.avgRent', 'average rent', { format: (value) => ` averaging ${formatRand(value)} a month`, fallback: '' });
+    const restaurants = sources.field(neighborhood, 'amenities.restaurants', 'restaurants', { fallback: 'numerous' });
+    const walkability = sources.field(neighborhood, 'amenities.walkabilityScore', 'walkability score', { format: (value) => `a ${value}/100`, fallback: 'a good' });
 
-    const summary = `${neighborhood.name} embodies the essence of ${neighborhood.borough} living with its ${safetyLevel} safety record and ${affordability} housing market. This vibrant neighborhood offers ${neighborhood.amenities?.restaurants || 'numerous'} dining options and maintains a ${neighborhood.amenities?.walkabilityScore || 75}/100 walkability score, making it perfect for those who appreciate ${neighborhood.demographics?.medianAge < 35 ? 'youthful energy and modern amenities' : 'established community charm and family-friendly atmosphere'}.
+    const summary = `${neighborhood.name} embodies the essence of ${neighborhood.borough} living with its ${safetyLevel} safety record${safetyScore} and ${affordability} housing market${avgRent}. This vibrant neighborhood offers ${restaurants} dining options and maintains ${walkability} walkability score, making it perfect for those who appreciate ${neighborhood.demographics?.medianAge < 35 ? 'youthful energy and modern amenities' : 'established community charm and family-friendly atmosphere'}.
 
 The area attracts ${neighborhood.demographics?.medianAge < 35 ? 'young professionals and students' : 'families and established residents'} with its ${neighborhood.amenities?.transitScore > 70 ? 'excellent public transportation links' : 'strong community connections'} and ${neighborhood.tags?.includes('family-friendly') ? 'family-oriented facilities' : 'diverse lifestyle options'}. ${neighborhood.housing?.avgRent > 40000 ? 'While housing costs reflect the premium location, residents enjoy top-tier amenities and prestige.' : 'The reasonable housing costs make it accessible while maintaining quality of life.'}`;
 
     return {
       summary,
+      citations: sources.citations,
       highlights: this.extractHighlights(neighborhood),
       lifestyle: this.generateLifestyleInsights(neighborhood),
       bestFor: this.generateBestForInsights(neighborhood)
@@ -785,9 +1134,8 @@ The area attracts ${neighborhood.demographics?.medianAge < 35 ? 'young professio
    */
   async generateSearchExplanation(searchCriteria, neighborhoods) {
     try {
-      const model = this.getGenerativeModel();
-      if (!model) {
-        throw new Error('Gemini model not available');
+      if (!this.getLlm()) {
+        throw new Error('LLM not available');
       }
 
       const criteriaText = Object.entries(searchCriteria)
@@ -822,8 +1170,7 @@ For each neighborhood, explain:
 
 Keep explanations concise but specific, using actual data points.`;
 
-      const result = await model.generateContent(prompt);
-      const explanation = result.response.text();
+      const explanation = await this.generateText(prompt, { feature: 'search-explanation' });
 
       return {
         explanation,
@@ -927,14 +1274,15 @@ Keep explanations concise but specific, using actual data points.`;
   }
 
   /**
-   * Get the generative model instance
-   * @returns {Object|null} - Generative model or null if not available
+   * The configured LLM provider (see llmProviders), created on first use
+   * @returns {Object|null} - Provider, or null if it is not ready
    */
-  getGenerativeModel() {
-    if (!this.model) {
-      return geminiConfig.getGenerativeModel();
+  getLlm() {
+    if (!this.llm) {
+      this.llm = createLlmProvider();
+      logger.info(`🧭 LLM provider: ${this.llm.name} (${this.llm.model})`);
     }
-    return this.model;
+    return this.llm.isReady() ? this.llm : null;
   }
 
   /**
@@ -960,47 +1308,48 @@ Keep explanations concise but specific, using actual data points.`;
    */
   async generateEnhancedMarketInsights(neighborhoods, comprehensiveData) {
     try {
-      const model = this.getGenerativeModel();
-      if (!model) {
-        throw new Error('Gemini model not available');
+      if (!this.getLlm()) {
+        throw new Error('LLM not available');
       }
 
+      const sources = new CitationList();
+      const figures = this.citeMarketFigures(neighborhoods, comprehensiveData, sources);
       const prompt = `Analyze the Cape Town market using comprehensive data from multiple sources and generate strategic insights:
 
 **NEIGHBORHOOD DATA (${neighborhoods.length} areas):**
-- Average rent range: R${Math.min(...neighborhoods.map(n => n.housing?.avgRent || 0)).toLocaleString()} - R${Math.max(...neighborhoods.map(n => n.housing?.avgRent || 0)).toLocaleString()}
+- Average rent range: ${figures.rentRange}
 - Safety scores: ${neighborhoods.map(n => n.safety?.safetyScore || 0).join(', ')}
 - Borough distribution: ${neighborhoods.map(n => n.borough).filter((v, i, a) => a.indexOf(v) === i).join(', ')}
 
 **EDUCATION INFRASTRUCTURE:**
-- Total schools: ${comprehensiveData.education.total}
+- Total schools: ${figures.schools}
 - School types: ${comprehensiveData.education.typeBreakdown.map(t => `${t._id}: ${t.count}`).join(', ')}
 - Education districts: ${comprehensiveData.education.districtBreakdown.length}
 
 **HEALTHCARE ACCESS:**
-- Total facilities: ${comprehensiveData.healthcare.total}
+- Total facilities: ${figures.healthcareFacilities}
 - Facility types: ${comprehensiveData.healthcare.classificationBreakdown.map(c => `${c._id}: ${c.count}`).join(', ')}
 
 **RENTAL MARKET:**
-- Total properties: ${comprehensiveData.rentals.totalProperties}
-- Occupancy rate: ${comprehensiveData.rentals.occupancyRate}%
-- Average price: R${Math.round(comprehensiveData.rentals.averagePrice).toLocaleString()}
+- Total properties: ${figures.rentalProperties}
+- Occupancy rate: ${figures.occupancyRate}
+- Average price: ${figures.averageRentalPrice}
 - Top locations: ${comprehensiveData.rentals.locationStats.slice(0, 3).map(l => `${l._id} (${l.count} properties)`).join(', ')}
 
 **TRANSPORT CONNECTIVITY:**
-- Total taxi routes: ${comprehensiveData.transport.totalRoutes}
+- Total taxi routes: ${figures.taxiRoutes}
 - Network connectivity: ${comprehensiveData.transport.connectivity} unique locations
 - Top origins: ${comprehensiveData.transport.originStats.slice(0, 3).map(o => o._id).join(', ')}
 
 **CRIME & SAFETY DATA:**
-- Total crime incidents: ${comprehensiveData.crime.totalCrimes}
-- Overall safety score: ${comprehensiveData.crime.overallSafetyScore}/10
-- Violent crime rate: ${(comprehensiveData.crime.violentCrimeRate * 100).toFixed(1)}%
+- Total crime incidents: ${figures.totalCrimes}
+- Overall safety score: ${figures.safetyScore}
+- Violent crime rate: ${figures.violentCrimeRate}
 - Safest areas: ${comprehensiveData.crime.safestAreas.slice(0, 3).map(a => a._id).join(', ')}
 - Crime categories: ${comprehensiveData.crime.crimesByCategory.map(c => `${c._id}: ${c.count}`).join(', ')}
 
 **INFRASTRUCTURE ANALYSIS:**
-- Best infrastructure areas: ${comprehensiveData.infrastructure.bestInfrastructure.slice(0, 3).map(a => `${a.neighborhood} (score: ${a.infrastructureScore})`).join(', ')}
+- Best infrastructure areas: ${figures.bestInfrastructure.join(', ')}
 - Areas needing improvement: ${comprehensiveData.infrastructure.worstInfrastructure.slice(0, 2).map(a => a.neighborhood).join(', ')}
 
 **MARKET TRENDS:**
@@ -1019,13 +1368,14 @@ Generate comprehensive market insights covering:
 9. **Risk Assessment & Market Predictions**
 10. **Data-Driven Action Items**
 
-Focus on actionable, data-driven insights that leverage the comprehensive dataset for Cape Town property seekers, investors, and urban planners.`;
+Focus on actionable, data-driven insights that leverage the comprehensive dataset for Cape Town property seekers, investors, and urban planners.
+${CITATION_INSTRUCTIONS}`;
 
-      const result = await model.generateContent(prompt);
-      const insights = result.response.text();
+      const insights = await this.generateText(prompt, { feature: 'enhanced-market-insights' });
 
       return {
         insights,
+        citations: sources.usedIn(insights),
         dataSourcesAnalyzed: comprehensiveData.overview.dataSourcesUsed,
         marketData: this.analyzeMarketData(neighborhoods),
         trends: this.generateEnhancedTrends(comprehensiveData),
@@ -1040,6 +1390,52 @@ Focus on actionable, data-driven insights that leverage the comprehensive datase
     }
   }
 
+  /**
+   * Headline market figures, each tagged with its citation
+   * @param {Array} neighborhoods - All neighborhoods data
+   * @param {Object} comprehensiveData - Data from all databases
+   * @param {CitationList} sources - Collects the citations
+   * @returns {Object} - Tagged figures for the insights text
+   */
+  citeMarketFigures(neighborhoods, comprehensiveData, sources) {
+    const { education, healthcare, rentals, transport, crime, infrastructure } = comprehensiveData;
+    const priced = neighborhoods.filter(n => n.housing?.avgRent);
+    const cheapest = priced.reduce((prev, curr) => (!prev || curr.housing.avgRent < prev.housing.avgRent ? curr : prev), null);
+    const priciest = priced.reduce((prev, curr) => (!prev || curr.housing.avgRent > prev.housing.avgRent ? curr : prev), null);
+
+    return {
+      rentRange: cheapest
+        ? `${sources.field(cheapest, 'housing.avgRent', 'average rent', { format: formatRand })} (${cheapest.name}) - ${sources.field(priciest, 'housing.avgRent', 'average rent', { format: formatRand })} (${priciest.name})`
+        : 'N/A',
+      schools: sources.aggregate('education.total', 'Schools on record', education.total, { dataSource: 'schools' }),
+      healthcareFacilities: sources.aggregate('healthcare.total', 'Healthcare facilities on record', healthcare.total, { dataSource: 'hospitals' }),
+      rentalProperties: sources.aggregate('rentals.totalProperties', 'Rental listings on record', rentals.totalProperties, { dataSource: 'rentals' }),
+      occupancyRate: sources.aggregate('rentals.occupancyRate', 'Rental occupancy rate', rentals.occupancyRate, {
+        dataSource: 'rentals',
+        format: (value) => `${value}%`
+      }),
+      averageRentalPrice: sources.aggregate('rentals.averagePrice', 'Average listed rent', rentals.averagePrice, {
+        dataSource: 'rentals',
+        format: formatRand
+      }),
+      taxiRoutes: sources.aggregate('transport.totalRoutes', 'Minibus taxi routes on record', transport.totalRoutes, { dataSource: 'taxi_routes' }),
+      totalCrimes: sources.aggregate('crime.totalCrimes', 'Reported crime incidents', crime.totalCrimes, { dataSource: 'crime_data' }),
+      safetyScore: sources.aggregate('crime.overallSafetyScore', 'Overall safety score', crime.overallSafetyScore, {
+        dataSource: 'crime_data',
+        format: (value) => `${value}/10`
+      }),
+      violentCrimeRate: sources.aggregate('crime.violentCrimeRate', 'Share of incidents that were violent', crime.violentCrimeRate, {
+        dataSource: 'crime_data',
+        format: (value) => `${(value * 100).toFixed(1)}%`
+      }),
+      bestInfrastructure: infrastructure.bestInfrastructure.slice(0, 3).map(area =>
+        `${area.neighborhood} (score: ${sources.aggregate(`infrastructure.${area.neighborhood}`, `${area.neighborhood} infrastructure score`, area.infrastructureScore, {
+          dataSource: 'schools, hospitals'
+        })})`
+      )
+    };
+  }
+
   /**
    * Generate dynamic market insights and trends
    * @param {Array} neighborhoods - All neighborhoods data
@@ -1047,9 +1443,8 @@ Focus on actionable, data-driven insights that leverage the comprehensive datase
    */
   async generateMarketInsights(neighborhoods) {
     try {
-      const model = this.getGenerativeModel();
-      if (!model) {
-        throw new Error('Gemini model not available');
+      if (!this.getLlm()) {
+        throw new Error('LLM not available');
       }
 
       const marketData = this.analyzeMarketData(neighborhoods);
@@ -1079,8 +1474,7 @@ Generate market insights covering:
 
 Focus on actionable insights for Cape Town property seekers.`;
 
-      const result = await model.generateContent(prompt);
-      const insights = result.response.text();
+      const insights = await this.generateText(prompt, { feature: 'market-insights' });
 
       return {
         insights,
@@ -1323,22 +1717,24 @@ Focus on actionable insights for Cape Town property seekers.`;
    * Generate mock enhanced insights
    */
   generateMockEnhancedInsights(neighborhoods, comprehensiveData) {
+    const sources = new CitationList();
+    const figures = this.citeMarketFigures(neighborhoods, comprehensiveData, sources);
     const insights = `**🏠 Comprehensive Cape Town Market Analysis**
 
 **Market Overview:**
 Based on analysis of ${comprehensiveData.overview.totalDataPoints} data points across 5 major databases, Cape Town shows a dynamic and well-connected urban market.
 
 **Key Findings:**
-- **Education**: ${comprehensiveData.education.total} schools provide strong educational infrastructure
-- **Healthcare**: ${comprehensiveData.healthcare.total} medical facilities ensure good healthcare access
-- **Rentals**: ${comprehensiveData.rentals.totalProperties} properties with ${comprehensiveData.rentals.occupancyRate}% occupancy
-- **Transport**: ${comprehensiveData.transport.totalRoutes} taxi routes create extensive connectivity
+- **Education**: ${figures.schools} schools provide strong educational infrastructure
+- **Healthcare**: ${figures.healthcareFacilities} medical facilities ensure good healthcare access
+- **Rentals**: ${figures.rentalProperties} properties with ${figures.occupancyRate} occupancy
+- **Transport**: ${figures.taxiRoutes} taxi routes create extensive connectivity
 
 **Investment Opportunities:**
 ${comprehensiveData.marketTrends.valueOpportunities.slice(0, 3).map(area => `• ${area.name} - Good safety with affordable pricing`).join('\n')}
 
 **Infrastructure Leaders:**
-${comprehensiveData.infrastructure.bestInfrastructure.slice(0, 3).map(area => `• ${area.neighborhood} (Infrastructure Score: ${area.infrastructureScore})`).join('\n')}
+${figures.bestInfrastructure.map(area => `• ${area}`).join('\n')}
 
 **Recommendations:**
 - Focus on areas with strong infrastructure scores for long-term value
@@ -1349,6 +1745,7 @@ ${comprehensiveData.infrastructure.bestInfrastructure.slice(0, 3).map(area => `
 
     return {
       insights,
+      citations: sources.citations,
       dataSourcesAnalyzed: comprehensiveData.overview.dataSourcesUsed,
       trends: this.generateEnhancedTrends(comprehensiveData),
       recommendations: this.generateDataDrivenRecommendations(comprehensiveData),
@@ -0,0 +1,315 @@
+const Neighborhood = require('../models/Neighborhood');
+const geminiService = require('./geminiService');
+const embeddingService = require('./embeddingService');
+const { tokenize } = require('./embeddingProviders');
+const { logger } = require('../utils/logger');
+
+// Reciprocal rank fusion constant; larger values flatten the gap between
+// first and tenth place
+const RRF_K = 60;
+
+// Candidates each ranker contributes before fusion
+const CANDIDATES_PER_RANKER = 100;
+
+const DEFAULT_WEIGHTS = { keyword: 1, filters: 1, vector: 1 };
+
+// Keyword relevance boost per field (BM25F)
+const FIELD_WEIGHTS = { name: 3, tags: 2, borough: 1.5, description: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// How far outside a range a value may fall before its fit drops to zero:
+// rent as a fraction of the limit, scores in points
+const FILTER_TOLERANCE = {
+  rent: 0.25,
+  safetyScore: 2,
+  transitScore: 20
+};
+
+const FILTER_FIELDS = {
+  minRent: { path: ['housing', 'avgRent'], bound: 'min', tolerance: 'rent', label: 'Rent' },
+  maxRent: { path: ['housing', 'avgRent'], bound: 'max', tolerance: 'rent', label: 'Rent' },
+  minSafetyScore: { path: ['safety', 'safetyScore'], bound: 'min', tolerance: 'safetyScore', label: 'Safety' },
+  maxSafetyScore: { path: ['safety', 'safetyScore'], bound: 'max', tolerance: 'safetyScore', label: 'Safety' },
+  minTransitScore: { path: ['amenities', 'transitScore'], bound: 'min', tolerance: 'transitScore', label: 'Transit' }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatValue = (filter, value) => (
+  FILTER_FIELDS[filter].tolerance === 'rent' ? `R${Math.round(value).toLocaleString('en-ZA')}` : `${value}`
+);
+
+/**
+ * Ranks neighborhoods by fusing three independent rankers: keyword relevance
+ * over name, tags, borough and description; how well rent, safety and
+ * transit fit the requested ranges; and embedding similarity to the query.
+ * Every result carries the per-ranker breakdown that produced its position.
+ */
+class HybridSearchService {
+  /**
+   * @param {Object} options - { q, borough, minRent, maxRent, minSafetyScore,
+   *   maxSafetyScore, minTransitScore, limit, fusion: 'rrf'|'weighted',
+   *   weights: { keyword, filters, vector }, strict }
+   * @returns {Promise<Object>} - { results, rankers, fusion, weights }
+   */
+  async search({
+    q,
+    borough,
+    limit = 20,
+    fusion = 'rrf',
+    weights = {},
+    strict = false,
+    ...filterValues
+  } = {}) {
+    const filters = this.parseFilters(filterValues);
+    const activeWeights = { ...DEFAULT_WEIGHTS, ...weights };
+
+    // Borough is categorical, so it narrows the pool rather than being scored
+    const poolQuery = borough ? { borough: new RegExp(escapeRegex(borough), 'i') } : {};
+    const pool = await Neighborhood.find(poolQuery).select('-vectorEmbedding');
+    const docsById = new Map(pool.map(doc => [String(doc._id), doc]));
+
+    const [keyword, filterFit, vector] = await Promise.all([
+      q ? this.rankByKeywords(q, pool) : null,
+      Object.keys(filters).length ? this.rankByFilters(filters, pool) : null,
+      q ? this.rankByVector(q, docsById) : null
+    ]);
+
+    const rankers = { keyword, filters: filterFit, vector };
+    const fused = this.fuse(rankers, { fusion, weights: activeWeights });
+
+    let results = Object.values(rankers).some(Boolean)
+      ? fused
+      // Nothing to rank by: safest, best-connected first as before
+      : pool
+        .map(doc => ({ id: String(doc._id), score: 0, breakdown: null }))
+        .sort((a, b) => this.defaultOrder(docsById.get(a.id), docsById.get(b.id)));
+
+    if (strict && filterFit) {
+      results = results.filter(result => filterFit.byId.get(result.id)?.passedAll);
+    }
+
+    return {
+      fusion,
+      weights: activeWeights,
+      rankers: Object.fromEntries(Object.entries(rankers).map(([name, ranker]) => [
+        name,
+        ranker
+          ? { active: !ranker.error, candidates: ranker.ranked.length, ...(ranker.error && { error: ranker.error }) }
+          : { active: false, candidates: 0 }
+      ])),
+      results: results.slice(0, limit).map(result => ({
+        ...docsById.get(result.id).toJSON(),
+        score: result.score,
+        scoreBreakdown: result.breakdown,
+        matchReasons: result.breakdown ? this.explain(result.breakdown) : []
+      }))
+    };
+  }
+
+  parseFilters(values) {
+    return Object.keys(FILTER_FIELDS).reduce((filters, key) => {
+      const value = parseFloat(values[key]);
+      if (Number.isFinite(value)) filters[key] = value;
+      return filters;
+    }, {});
+  }
+
+  defaultOrder(a, b) {
+    return (b.safety?.safetyScore || 0) - (a.safety?.safetyScore || 0)
+      || (b.amenities?.transitScore || 0) - (a.amenities?.transitScore || 0);
+  }
+
+  /**
+   * BM25F over name, tags, borough and description
+   * @returns {Object} - { ranked: [{ id, score, matchedTerms, matchedFields }], byId }
+   */
+  rankByKeywords(q, pool) {
+    const terms = [...new Set(tokenize(q))];
+    if (!terms.length) return { ranked: [], byId: new Map() };
+
+    const docs = pool.map(doc => {
+      const fields = {
+        name: tokenize(doc.name),
+        tags: tokenize((doc.tags || []).join(' ')),
+        borough: tokenize(doc.borough),
+        description: tokenize(doc.description)
+      };
+      const length = Object.entries(fields)
+        .reduce((sum, [field, tokens]) => sum + FIELD_WEIGHTS[field] * tokens.length, 0);
+      return { id: String(doc._id), fields, length };
+    });
+
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+    const documentFrequency = new Map(terms.map(term => [
+      term,
+      docs.filter(doc => Object.values(doc.fields).some(tokens => tokens.includes(term))).length
+    ]));
+
+    const ranked = docs
+      .map(doc => {
+        let score = 0;
+        const matchedTerms = [];
+        const matchedFields = new Set();
+
+        terms.forEach(term => {
+          let weightedFrequency = 0;
+          Object.entries(doc.fields).forEach(([field, tokens]) => {
+            const count = tokens.filter(token => token === term).length;
+            if (count) {
+              weightedFrequency += FIELD_WEIGHTS[field] * count;
+              matchedFields.add(field);
+            }
+          });
+          if (!weightedFrequency) return;
+
+          const df = documentFrequency.get(term);
+          const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+          const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+          score += idf * (weightedFrequency * (BM25_K1 + 1)) / (weightedFrequency + norm);
+          matchedTerms.push(term);
+        });
+
+        return { id: doc.id, score, matchedTerms, matchedFields: [...matchedFields] };
+      })
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATES_PER_RANKER);
+
+    return { ranked, byId: new Map(ranked.map((item, index) => [item.id, { ...item, rank: index + 1 }])) };
+  }
+
+  /**
+   * Score each neighborhood by how closely it fits the requested ranges: 1
+   * inside a range, falling linearly to 0 at the tolerance outside it
+   * @returns {Object} - { ranked: [{ id, score, passedAll, checks }], byId }
+   */
+  rankByFilters(filters, pool) {
+    const ranked = pool
+      .map(doc => {
+        const checks = Object.entries(filters).map(([filter, target]) => {
+          const { path, bound, tolerance } = FILTER_FIELDS[filter];
+          const value = path.reduce((obj, key) => obj?.[key], doc);
+
+          if (value === undefined || value === null) {
+            return { filter, target, value: null, passed: false, fit: 0 };
+          }
+
+          const shortfall = bound === 'min' ? target - value : value - target;
+          const allowance = tolerance === 'rent'
+            ? FILTER_TOLERANCE.rent * target
+            : FILTER_TOLERANCE[tolerance];
+          const fit = shortfall <= 0 ? 1 : Math.max(0, 1 - shortfall / (allowance || 1));
+
+          return { filter, target, value, passed: shortfall <= 0, fit: Math.round(fit * 1000) / 1000 };
+        });
+
+        const score = checks.reduce((sum, check) => sum + check.fit, 0) / checks.length;
+        return { id: String(doc._id), score, passedAll: checks.every(check => check.passed), checks, doc };
+      })
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || this.defaultOrder(a.doc, b.doc))
+      .slice(0, CANDIDATES_PER_RANKER)
+      .map(({ doc, ...item }) => item);
+
+    return { ranked, byId: new Map(ranked.map((item, index) => [item.id, { ...item, rank: index + 1 }])) };
+  }
+
+  /**
+   * Embedding similarity to the query. A failure disables this ranker only.
+   * @returns {Object} - { ranked: [{ id, score }], byId, error? }
+   */
+  async rankByVector(q, docsById) {
+    try {
+      const version = await embeddingService.getVersion();
+      const queryEmbedding = await geminiService.generateEmbedding(q);
+      const matches = await Neighborhood.findSimilar(queryEmbedding, CANDIDATES_PER_RANKER, null, version);
+
+      const ranked = matches
+        .filter(match => docsById.has(String(match._id)))
+        .map(match => ({ id: String(match._id), score: match.score }));
+
+      return { ranked, byId: new Map(ranked.map((item, index) => [item.id, { ...item, rank: index + 1 }])) };
+    } catch (error) {
+      logger.warn('Hybrid search vector ranker unavailable:', error.message);
+      return { ranked: [], byId: new Map(), error: error.message };
+    }
+  }
+
+  /**
+   * Combine rankers by reciprocal rank fusion (sum of weight / (k + rank)) or
+   * by a weighted mean of each ranker's normalised score
+   * @returns {Array} - [{ id, score, breakdown }] best first
+   */
+  fuse(rankers, { fusion, weights }) {
+    const active = Object.entries(rankers).filter(([, ranker]) => ranker && ranker.ranked.length);
+    const ids = new Set(active.flatMap(([, ranker]) => ranker.ranked.map(item => item.id)));
+    const maxKeywordScore = rankers.keyword?.ranked[0]?.score || 1;
+    const totalWeight = active.reduce((sum, [name]) => sum + weights[name], 0) || 1;
+
+    // Keyword scores are unbounded, vector scores are (1 + cosine) / 2
+    const normalise = {
+      keyword: item => item.score / maxKeywordScore,
+      filters: item => item.score,
+      vector: item => Math.max(0, 2 * item.score - 1)
+    };
+
+    return [...ids]
+      .map(id => {
+        const breakdown = { fusion, keyword: null, filters: null, vector: null };
+        let score = 0;
+
+        active.forEach(([name, ranker]) => {
+          const item = ranker.byId.get(id);
+          if (!item) return;
+
+          const contribution = fusion === 'weighted'
+            ? weights[name] * normalise[name](item) / totalWeight
+            : weights[name] / (RRF_K + item.rank);
+          score += contribution;
+
+          const { id: itemId, ...details } = item;
+          breakdown[name] = {
+            ...details,
+            normalizedScore: Math.round(normalise[name](item) * 1000) / 1000,
+            contribution: Math.round(contribution * 100000) / 100000
+          };
+        });
+
+        breakdown.fused = Math.round(score * 100000) / 100000;
+        return { id, score: breakdown.fused, breakdown };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Human-readable reasons for a result's position
+   */
+  explain(breakdown) {
+    const reasons = [];
+
+    if (breakdown.keyword) {
+      reasons.push(`Matches "${breakdown.keyword.matchedTerms.join('", "')}" in ${breakdown.keyword.matchedFields.join(', ')}`);
+    }
+
+    if (breakdown.vector) {
+      reasons.push(`Semantically similar to your search (${Math.round(breakdown.vector.normalizedScore * 100)}%)`);
+    }
+
+    (breakdown.filters?.checks || []).forEach(({ filter, target, value, passed }) => {
+      const { bound, label } = FILTER_FIELDS[filter];
+      if (value === null) {
+        reasons.push(`${label} unknown`);
+      } else if (passed) {
+        reasons.push(`${label} ${formatValue(filter, value)} ${bound === 'min' ? 'meets your minimum' : 'is within your maximum'} of ${formatValue(filter, target)}`);
+      } else {
+        reasons.push(`${label} ${formatValue(filter, value)} is ${bound === 'min' ? 'below' : 'above'} your ${bound === 'min' ? 'minimum' : 'maximum'} of ${formatValue(filter, target)}`);
+      }
+    });
+
+    return reasons;
+  }
+}
+
+module.exports = new HybridSearchService();
@@ -0,0 +1,296 @@
+/**
+ * Afrikaans and isiXhosa support for query parsing and replies: language
+ * detection, keyword translations for the extractors, suburb aliases and the
+ * instruction that makes the model answer in the user's language.
+ * English stays the base vocabulary; the lists here only add the af and xh
+ * words for the same concepts.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'af', 'xh'];
+
+const LANGUAGE_NAMES = { en: 'English', af: 'Afrikaans', xh: 'isiXhosa' };
+
+// Common words that give a language away. Words shared with English are
+// left out so English queries are never mistaken for Afrikaans.
+const MARKERS = {
+  af: [
+    'ek', 'die', 'nie', 'het', 'vir', 'met', 'van', 'wat', 'en', 'soek', 'naby',
+    'asseblief', 'waar', 'ons', 'onder', 'wil', 'graag', 'jy', 'baie', 'maand',
+    'per maand', 'goeie', 'gebied', 'buurt', 'woonbuurt', 'is daar', 'hoeveel',
+    'kan', 'moet', 'ook', 'meer', 'minder', 'tussen', 'na', 'ek soek'
+  ],
+  xh: [
+    'ndifuna', 'ndiyafuna', 'sifuna', 'ufuna', 'ndingathanda', 'nceda', 'molo',
+    'ewe', 'hayi', 'phi', 'kuphi', 'apho', 'kule', 'ezi', 'indawo', 'iindawo',
+    'ngenyanga', 'ngaphantsi', 'ukuya', 'ukusuka', 'kwaye', 'kakhulu', 'ndawoni',
+    'zeziphi', 'yeyiphi', 'kukho', 'ndicela', 'enye', 'elungileyo', 'ezilungileyo'
+  ]
+};
+
+// isiXhosa noun-class and verb prefixes; a long word starting with one is
+// weak evidence of isiXhosa
+const XHOSA_PREFIXES = /^(ndi|uku|kwi|kwa|nge|nga|ezi|izi|ama|aba|ili|isi|ulu|ubu|aka|zi)[a-z]{3,}/;
+
+/**
+ * Afrikaans and isiXhosa words for the concepts the extractors know, keyed by
+ * the same names AdvancedNLP uses (priorities, lifestyles, property types,
+ * amenities, constraints and intents)
+ */
+const CONCEPTS = {
+  // Priorities
+  safety: {
+    af: ['veilig', 'veiligheid', 'sekuriteit', 'lae misdaad', 'min misdaad'],
+    xh: ['ukhuseleko', 'khuselekile', 'ikhuselekile', 'ezikhuselekileyo', 'ekhuselekileyo']
+  },
+  schools: {
+    af: ['skool', 'skole', 'laerskool', 'hoërskool', 'hoerskool', 'onderwys', 'kinders'],
+    xh: ['isikolo', 'izikolo', 'imfundo', 'abantwana']
+  },
+  transport: {
+    af: ['vervoer', 'openbare vervoer', 'pendel', 'trein', 'taxi\'s'],
+    xh: ['uthutho', 'iteksi', 'iiteksi', 'ibhasi', 'uloliwe']
+  },
+  nightlife: {
+    af: ['naglewe', 'restaurante', 'kroeë', 'kroee', 'vermaak'],
+    xh: ['ubomi basebusuku', 'iindawo zokutyela', 'ukuzonwabisa']
+  },
+  quiet: {
+    af: ['rustig', 'stilte', 'vreedsaam', 'kalm'],
+    xh: ['kuzolile', 'ezolileyo', 'ukuzola', 'cwaka']
+  },
+  modern: {
+    af: ['nuut', 'nuwe', 'moderne'],
+    xh: ['yanamhlanje', 'entsha', 'ezintsha']
+  },
+  affordable: {
+    af: ['goedkoop', 'bekostigbaar', 'billik', 'nie duur nie'],
+    xh: ['itshiphu', 'ixabiso eliphantsi', 'efikelelekayo', 'engabizi']
+  },
+  luxury: {
+    af: ['luuks', 'luukse', 'weelderig', 'spoggerig'],
+    xh: ['ubunewunewu', 'etofotofo']
+  },
+
+  // Lifestyles
+  urban: { af: ['stadslewe', 'middestad', 'stedelik'], xh: ['edolophini', 'isixeko'] },
+  suburban: { af: ['voorstedelik', 'gesinsvriendelik', 'woongebied'], xh: ['ezihlala usapho'] },
+  coastal: { af: ['by die see', 'seesig', 'see-uitsig', 'strande', 'kus'], xh: ['ulwandle', 'elwandle', 'unxweme'] },
+  mountain: { af: ['berg', 'berge', 'bergsig', 'stap', 'natuur'], xh: ['intaba', 'iintaba', 'indalo'] },
+  cultural: { af: ['kultuur', 'kuns', 'galerye', 'geskiedenis'], xh: ['inkcubeko', 'ubugcisa', 'imyuziyam'] },
+
+  // Property types
+  apartment: { af: ['woonstel', 'woonstelle'], xh: ['iflethi', 'iiflethi'] },
+  house: { af: ['huis', 'huise', 'woning'], xh: ['indlu', 'izindlu', 'umzi'] },
+  townhouse: { af: ['meenthuis', 'meenthuise', 'dorpshuis'], xh: [] },
+  studio: { af: ['bachelorwoonstel', 'eenkamerwoonstel'], xh: [] },
+  penthouse: { af: ['dakwoonstel'], xh: [] },
+  cottage: { af: ['tuinwoonstel', 'kothuis', 'tuinhuisie'], xh: [] },
+
+  // Amenities
+  parking: { af: ['parkering', 'motorhuis', 'afdak'], xh: ['indawo yokupaka', 'igaraji'] },
+  pool: { af: ['swembad'], xh: ['iqula lokudada', 'ichibi lokudada'] },
+  gym: { af: ['gimnasium'], xh: ['ijimu'] },
+  garden: { af: ['tuin', 'agterplaas'], xh: ['igadi', 'iyadi'] },
+  security: { af: ['omheinde', 'toegangsbeheer', 'sekuriteitskompleks'], xh: ['ezinogada', 'unogada'] },
+  petFriendly: { af: ['troeteldier', 'troeteldiere', 'hond', 'honde', 'kat', 'katte'], xh: ['izilwanyana', 'isilwanyana', 'inja', 'izinja', 'ikati'] },
+  furnished: { af: ['gemeubileer', 'gemeubeld'], xh: ['ifenitshala', 'inefenitshala'] },
+
+  // Constraints
+  no_pets: { af: ['geen troeteldiere', 'geen diere'], xh: ['akukho zilwanyana'] },
+  no_smoking: { af: ['rookvry', 'geen rook'], xh: ['akukho kutshaya'] },
+  ground_floor: { af: ['grondvloer', 'geen trappe'], xh: ['umgangatho ophantsi'] },
+  short_term: { af: ['korttermyn', 'tydelik'], xh: ['okwexeshana', 'ixesha elifutshane'] },
+
+  // Intents
+  compare: { af: ['vergelyk', 'teenoor', 'verskil'], xh: ['thelekisa', 'uthelekiso', 'umahluko'] },
+  analyze: { af: ['ontleed', 'analiseer', 'ontleding', 'tendense'], xh: ['hlalutya', 'uhlalutyo'] },
+  recommend: { af: ['aanbeveel', 'beveel', 'voorstel', 'beste'], xh: ['cebisa', 'ndicebise', 'undicebise', 'ingcebiso', 'ezona zilungileyo'] },
+  predict: { af: ['voorspel', 'vooruitskatting', 'volgende jaar'], xh: ['qikelela', 'uqikelelo', 'kunyaka ozayo'] },
+
+  // Household
+  family: { af: ['gesin', 'familie', 'kinders'], xh: ['usapho', 'intsapho', 'abantwana'] }
+};
+
+/**
+ * Other names for suburbs and regions, mapped to the name used in the data:
+ * Afrikaans names, isiXhosa locatives and common short forms
+ */
+const SUBURB_ALIASES = {
+  'seepunt': 'Sea Point',
+  'groenpunt': 'Green Point',
+  'kampsbaai': 'Camps Bay',
+  'houtbaai': 'Hout Bay',
+  'kalkbaai': 'Kalk Bay',
+  'sterrewag': 'Observatory',
+  'obs': 'Observatory',
+  'tuine': 'Gardens',
+  'middestad': 'City Bowl',
+  'stadskom': 'City Bowl',
+  'kaapse vlakte': 'Cape Flats',
+  'suidelike voorstede': 'Southern Suburbs',
+  'noordelike voorstede': 'Northern Suburbs',
+  'weskus': 'West Coast',
+  'kaapse skiereiland': 'Cape Peninsula',
+  'mitchells plain': "Mitchell's Plain",
+  'mitchellsvlakte': "Mitchell's Plain",
+  'khaya': 'Khayelitsha',
+  'gugs': 'Gugulethu',
+  'kwalanga': 'Langa',
+  'kwa-langa': 'Langa',
+  'emitchells plain': "Mitchell's Plain"
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// isiXhosa words take prefixes ("ngokhuseleko", "ezinezikolo", "nolwandle")
+// that replace the noun's initial vowel
+const XHOSA_TERMS = new Set(Object.values(CONCEPTS).flatMap(concept => concept.xh));
+const XHOSA_CLITICS = '(?:ezine|eline|ene|nge|nga|ngo|kwi|lwe|ku|ne|na|no|e)[aeiou]?';
+
+// Matches a term at the start of a word, so suffixes (plurals, isiXhosa
+// endings) still match but words inside other words do not
+const termPattern = (term) => {
+  const lower = term.toLowerCase();
+  const stem = XHOSA_TERMS.has(term) && /^[aeiou][a-z]{4,}$/.test(lower) ? lower.slice(1) : null;
+  const body = stem ? `(?:${escapeRegExp(lower)}|${XHOSA_CLITICS}${escapeRegExp(stem)})` : escapeRegExp(lower);
+  return new RegExp(`(^|[^\\p{L}])${body}`, 'u');
+};
+
+const patternCache = new Map();
+
+/**
+ * Whether text mentions a keyword at the start of a word
+ * @param {string} text - Lowercased text
+ * @param {string} term - Keyword or phrase
+ */
+function mentions(text, term) {
+  if (!patternCache.has(term)) patternCache.set(term, termPattern(term));
+  return patternCache.get(term).test(text);
+}
+
+/**
+ * Afrikaans and isiXhosa words for a concept
+ */
+function translationsOf(concept) {
+  const words = CONCEPTS[concept];
+  return words ? [...words.af, ...words.xh] : [];
+}
+
+/**
+ * An English keyword map ({ concept: [keywords] }) with the Afrikaans and
+ * isiXhosa keywords for each concept added
+ */
+function withTranslations(keywordMap) {
+  return Object.fromEntries(Object.entries(keywordMap).map(([concept, keywords]) => [
+    concept,
+    [...keywords, ...translationsOf(concept)]
+  ]));
+}
+
+/**
+ * Language code from a client hint such as "af-ZA", or null
+ */
+function normalizeLanguage(code) {
+  const language = String(code || '').toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Guess the language of a message from marker words and concept keywords
+ * @param {string} text - Message
+ * @param {string} hint - Language to assume when the text gives no signal
+ *   (e.g. the UI language)
+ * @returns {Object} - { language, confidence, scores }
+ */
+function detectLanguage(text, hint = null) {
+  const lower = String(text || '').toLowerCase();
+  const words = lower.match(/[\p{L}'-]+/gu) || [];
+  const fallback = normalizeLanguage(hint) || 'en';
+
+  const scores = { af: 0, xh: 0 };
+  ['af', 'xh'].forEach(language => {
+    MARKERS[language].forEach(marker => {
+      if (marker.includes(' ') ? lower.includes(marker) : words.includes(marker)) scores[language] += 1;
+    });
+    Object.values(CONCEPTS).forEach(concept => {
+      concept[language].forEach(term => {
+        if (mentions(lower, term)) scores[language] += 1;
+      });
+    });
+  });
+  scores.xh += 0.5 * words.filter(word => word.length > 6 && XHOSA_PREFIXES.test(word)).length;
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  // One stray word is not enough to switch away from the hint
+  const threshold = Math.max(1.5, words.length * 0.15);
+  if (score < threshold || score === scores[best === 'af' ? 'xh' : 'af']) {
+    return { language: fallback, confidence: 0.5, scores };
+  }
+
+  return {
+    language: best,
+    confidence: Math.min(0.95, 0.5 + score / Math.max(words.length, 1)),
+    scores
+  };
+}
+
+/**
+ * Canonical names of the suburbs a message refers to by an alias, including
+ * isiXhosa prefixed forms of known names ("eKhayelitsha", "kwaLanga",
+ * "neNyanga")
+ * @param {string} text - Message
+ * @param {Array<string>} knownNames - Names to recognize with a locative prefix
+ * @returns {Array<string>} - Canonical names
+ */
+function findSuburbAliases(text, knownNames = []) {
+  const lower = String(text || '').toLowerCase();
+  const found = new Set();
+
+  Object.entries(SUBURB_ALIASES).forEach(([alias, name]) => {
+    if (new RegExp(`(^|[^\\p{L}])${escapeRegExp(alias)}($|[^\\p{L}])`, 'u').test(lower)) found.add(name);
+  });
+
+  knownNames.forEach(name => {
+    const pattern = new RegExp(`(^|[^\\p{L}])(e|kwa|i|ne|na|nase)-?${escapeRegExp(name.toLowerCase())}($|[^\\p{L}])`, 'u');
+    if (pattern.test(lower)) found.add(name);
+  });
+
+  return [...found];
+}
+
+/**
+ * Prompt line asking the model to answer in the user's language, or an
+ * empty string for English
+ */
+function replyInstruction(language) {
+  if (!language || language === 'en' || !LANGUAGE_NAMES[language]) return '';
+  return `Reply in ${LANGUAGE_NAMES[language]}, the language the user wrote in. Keep place names, figures and [n] source tags as they are.\n\n`;
+}
+
+// Shown above canned replies when the model is unavailable to translate them
+const OFFLINE_NOTES = {
+  af: '_Die KI-assistent is nou nie beskikbaar nie, so hierdie antwoord is in Engels._\n\n',
+  xh: '_Umncedisi we-AI akafumaneki ngoku, ngoko le mpendulo ikwisiNgesi._\n\n'
+};
+
+/**
+ * Prefix a canned English reply with a note in the user's language
+ */
+function localizeOfflineReply(text, language) {
+  return OFFLINE_NOTES[language] ? OFFLINE_NOTES[language] + text : text;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES,
+  CONCEPTS,
+  SUBURB_ALIASES,
+  mentions,
+  translationsOf,
+  withTranslations,
+  normalizeLanguage,
+  detectLanguage,
+  findSuburbAliases,
+  replyInstruction,
+  localizeOfflineReply
+};
@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { VertexAI } = require('@google-cloud/vertexai');
+const geminiConfig = require('../config/gemini');
+const { logger } = require('../utils/logger');
+
+/**
+ * LLM providers complete prompts for GeminiService, the chat agent and
+ * AdvancedNLP. Every provider exposes name and model, isReady(), and:
+ *
+ *   generate(request, { signal }) -> Promise<completion>
+ *   stream(request, { signal })   -> { stream, response }
+ *
+ * where stream is an async iterable of text chunks and response resolves to
+ * the completion once the stream has been read.
+ *
+ * A request is a prompt string or, in Gemini's format,
+ * { contents, tools: [{ functionDeclarations }], toolConfig, json }; json is
+ * true to ask for a JSON object back, or a response schema (Gemini's
+ * OpenAPI subset) the object must match. A completion is
+ * { text, functionCalls: [{ name, args }], content, usage } where content is
+ * the model turn (Gemini format) to append to contents for the next round and
+ * usage is { promptTokens, outputTokens }, or null when the backend did not
+ * report it.
+ */
+
+// Default OpenAI-compatible endpoint: a local Ollama server
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_OPENAI_MODEL = 'llama3.1';
+
+// Local models are slow on CPU; give up on a request after this long
+const OPENAI_TIMEOUT_MS = 120000;
+
+// Vertex AI region used when VERTEX_LOCATION is not set
+const DEFAULT_VERTEX_LOCATION = 'us-central1';
+
+// Where recorded completions are read from and written to
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/llm');
+
+// Gemini function-calling modes and their OpenAI tool_choice equivalents
+const TOOL_CHOICE = { AUTO: 'auto', ANY: 'required', NONE: 'none' };
+
+const normalizeRequest = (request) => (typeof request === 'string'
+  ? { contents: [{ role: 'user', parts: [{ text: request }] }] }
+  : request);
+
+// generationConfig asking Gemini or Vertex for JSON, optionally constrained
+const jsonGenerationConfig = (json) => ({
+  ...geminiConfig.getGenerationConfig(),
+  responseMimeType: 'application/json',
+  ...(json !== true && { responseSchema: json })
+});
+
+/**
+ * A Gemini response schema as standard JSON Schema: enum formats are
+ * dropped and nullable becomes a null type
+ */
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { nullable, format, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    ...(format && format !== 'enum' && { format }),
+    ...(nullable && { type: [rest.type, 'null'] }),
+    ...(properties && {
+      properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)]))
+    }),
+    ...(items && { items: toJsonSchema(items) })
+  };
+}
+
+const partsText = (parts = []) => parts.filter(part => part.text).map(part => part.text).join('');
+
+const partsCalls = (parts = []) => parts
+  .filter(part => part.functionCall)
+  .map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {} }));
+
+/**
+ * Turn an async generator that yields text and returns the completion into
+ * the { stream, response } pair providers hand back from stream()
+ */
+function toStreamResult(generator) {
+  let resolve;
+  let reject;
+  const response = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  // Callers that stop reading early never await the response
+  response.catch(() => {});
+
+  async function* stream() {
+    try {
+      resolve(yield* generator);
+    } catch (error) {
+      reject(error);
+      throw error;
+    }
+  }
+
+  return { stream: stream(), response };
+}
+
+/**
+ * Completion from a Gemini or Vertex response
+ */
+function fromGeminiResponse(response) {
+  const content = response.candidates?.[0]?.content || { role: 'model', parts: [] };
+  const usage = response.usageMetadata;
+
+  return {
+    text: partsText(content.parts),
+    functionCalls: partsCalls(content.parts),
+    content,
+    usage: usage
+      ? { promptTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 }
+      : null
+  };
+}
+
+/**
+ * Google AI Studio (GEMINI_API_KEY)
+ */
+class GeminiLlmProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.modelName || geminiConfig.model;
+    this.client = options.client || geminiConfig.getGenerativeModel();
+  }
+
+  isReady() {
+    return !!this.client;
+  }
+
+  toSdkRequest(request) {
+    const { json, ...rest } = normalizeRequest(request);
+    return json ? { ...rest, generationConfig: jsonGenerationConfig(json) } : rest;
+  }
+
+  async generate(request, { signal } = {}) {
+    const result = await this.client.generateContent(this.toSdkRequest(request), { signal });
+    return fromGeminiResponse(result.response);
+  }
+
+  stream(request, { signal } = {}) {
+    const client = this.client;
+    const sdkRequest = this.toSdkRequest(request);
+
+    return toStreamResult((async function* () {
+      const result = await client.generateContentStream(sdkRequest, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+      return fromGeminiResponse(await result.response);
+    })());
+  }
+}
+
+/**
+ * Gemini on Vertex AI, authenticated with Google Cloud application default
+ * credentials instead of an API key
+ */
+class VertexLlmProvider {
+  constructor(options = {}) {
+    this.name = 'vertex';
+    this.model = options.modelName || process.env.VERTEX_MODEL || geminiConfig.model;
+    this.project = options.project || process.env.GOOGLE_CLOUD_PROJECT_ID;
+    this.location = options.location || process.env.VERTEX_LOCATION || DEFAULT_VERTEX_LOCATION;
+    this.client = null;
+
+    if (!this.project || this.project === 'your-project-id') {
+      logger.warn('GOOGLE_CLOUD_PROJECT_ID not set, Vertex AI is unavailable');
+      return;
+    }
+
+    try {
+      this.client = new VertexAI({ project: this.project, location: this.location }).getGenerativeModel({
+        model: this.model,
+        generationConfig: geminiConfig.getGenerationConfig(),
+        safetySettings: geminiConfig.getSafetySettings()
+      });
+    } catch (error) {
+      logger.error('Failed to initialize Vertex AI:', error);
+    }
+  }
+
+  isReady() {
+    return !!this.client;
+  }
+
+  toSdkRequest(request) {
+    const { json, contents, ...rest } = normalizeRequest(request);
+    return {
+      ...rest,
+      // Vertex takes function results in user turns
+      contents: contents.map(content => (content.role === 'function' ? { ...content, role: 'user' } : content)),
+      ...(json && { generationConfig: jsonGenerationConfig(json) })
+    };
+  }
+
+  async generate(request) {
+    const result = await this.client.generateContent(this.toSdkRequest(request));
+    return fromGeminiResponse(result.response);
+  }
+
+  // The Vertex SDK cannot cancel a request, so an aborted stream stops being read
+  stream(request, { signal } = {}) {
+    const client = this.client;
+    const sdkRequest = this.toSdkRequest(request);
+
+    return toStreamResult((async function* () {
+      const result = await client.generateContentStream(sdkRequest);
+      for await (const chunk of result.stream) {
+        if (signal?.aborted) throw new Error('Request aborted');
+        const text = partsText(chunk.candidates?.[0]?.content?.parts);
+        if (text) yield text;
+      }
+      return fromGeminiResponse(await result.response);
+    })());
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API, e.g. a local Ollama
+ * or llama.cpp server, so the platform can run without a cloud model
+ */
+class OpenAICompatibleLlmProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/$/, '');
+    this.model = options.modelName || process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL;
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+  }
+
+  isReady() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Gemini contents as chat messages. Tool call ids are made up here, in
+   * order, since Gemini turns do not carry them.
+   */
+  toMessages(contents) {
+    const messages = [];
+    let pendingIds = [];
+
+    contents.forEach((content, turn) => {
+      if (content.role === 'model') {
+        const calls = partsCalls(content.parts);
+        pendingIds = calls.map((call, i) => `call_${turn}_${i}`);
+        messages.push({
+          role: 'assistant',
+          content: partsText(content.parts) || null,
+          ...(calls.length && {
+            tool_calls: calls.map((call, i) => ({
+              id: pendingIds[i],
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.args) }
+            }))
+          })
+        });
+      } else if (content.role === 'function') {
+        content.parts.filter(part => part.functionResponse).forEach((part, i) => {
+          messages.push({
+            role: 'tool',
+            tool_call_id: pendingIds[i] || `call_${turn}_${i}`,
+            content: JSON.stringify(part.functionResponse.response)
+          });
+        });
+      } else {
+        messages.push({ role: content.role === 'system' ? 'system' : 'user', content: partsText(content.parts) });
+      }
+    });
+
+    return messages;
+  }
+
+  toBody(request, stream) {
+    const { contents, tools, toolConfig, json } = normalizeRequest(request);
+    const config = geminiConfig.getGenerationConfig();
+    const declarations = (tools || []).flatMap(tool => tool.functionDeclarations || []);
+    const mode = toolConfig?.functionCallingConfig?.mode;
+
+    return {
+      model: this.model,
+      messages: this.toMessages(contents),
+      max_tokens: config.maxOutputTokens,
+      temperature: config.temperature,
+      top_p: config.topP,
+      ...(declarations.length && {
+        tools: declarations.map(declaration => ({ type: 'function', function: declaration })),
+        tool_choice: TOOL_CHOICE[mode] || 'auto'
+      }),
+      ...(json && {
+        response_format: json === true
+          ? { type: 'json_object' }
+          : { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(json) } }
+      }),
+      ...(stream && { stream: true, stream_options: { include_usage: true } })
+    };
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  toCompletion(text, toolCalls, usage) {
+    const functionCalls = toolCalls.map(call => ({
+      name: call.function.name,
+      args: call.function.arguments ? JSON.parse(call.function.arguments) : {}
+    }));
+
+    return {
+      text,
+      functionCalls,
+      content: {
+        role: 'model',
+        parts: [
+          ...(text ? [{ text }] : []),
+          ...functionCalls.map(call => ({ functionCall: call }))
+        ]
+      },
+      usage: usage ? { promptTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null
+    };
+  }
+
+  async generate(request, { signal } = {}) {
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, this.toBody(request, false), {
+      headers: this.headers(),
+      timeout: OPENAI_TIMEOUT_MS,
+      signal
+    });
+    const message = data.choices?.[0]?.message || {};
+    return this.toCompletion(message.content || '', message.tool_calls || [], data.usage);
+  }
+
+  stream(request, { signal } = {}) {
+    const provider = this;
+
+    return toStreamResult((async function* () {
+      const response = await axios.post(`${provider.baseUrl}/chat/completions`, provider.toBody(request, true), {
+        headers: provider.headers(),
+        timeout: OPENAI_TIMEOUT_MS,
+        responseType: 'stream',
+        signal
+      });
+
+      let text = '';
+      let usage = null;
+      let buffer = '';
+      const toolCalls = [];
+
+      for await (const data of response.data) {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+          const event = JSON.parse(payload);
+          if (event.usage) usage = event.usage;
+          const delta = event.choices?.[0]?.delta || {};
+
+          // Tool call arguments arrive in fragments keyed by index
+          (delta.tool_calls || []).forEach(call => {
+            const entry = toolCalls[call.index] || (toolCalls[call.index] = { function: { name: '', arguments: '' } });
+            if (call.function?.name) entry.function.name += call.function.name;
+            if (call.function?.arguments) entry.function.arguments += call.function.arguments;
+          });
+
+          if (delta.content) {
+            text += delta.content;
+            yield delta.content;
+          }
+        }
+      }
+
+      return provider.toCompletion(text, toolCalls.filter(Boolean), usage);
+    })());
+  }
+}
+
+/**
+ * Replays completions recorded as JSON files, keyed by a hash of the request,
+ * so tests and demos get the same answers without a model. With
+ * LLM_FIXTURE_MODE=record it calls LLM_FIXTURE_SOURCE (default gemini) and
+ * saves each completion instead. A request with no recording throws, which
+ * sends callers to their mock response.
+ */
+class FixtureLlmProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.dir = options.dir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.recording = (options.mode || process.env.LLM_FIXTURE_MODE) === 'record';
+    this.source = this.recording
+      ? options.source || createLlmProvider(process.env.LLM_FIXTURE_SOURCE || 'gemini')
+      : null;
+    this.model = this.source ? this.source.model : 'replay';
+  }
+
+  isReady() {
+    return this.recording ? this.source.isReady() : true;
+  }
+
+  fixturePath(request) {
+    const key = crypto.createHash('sha256')
+      .update(JSON.stringify(normalizeRequest(request)))
+      .digest('hex')
+      .slice(0, 32);
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  load(request) {
+    const file = this.fixturePath(request);
+    if (!fs.existsSync(file)) {
+      const error = new Error(`No recorded LLM fixture ${path.basename(file)}`);
+      error.code = 'LLM_FIXTURE_MISSING';
+      throw error;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).completion;
+  }
+
+  save(request, completion) {
+    const file = this.fixturePath(request);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      provider: this.source.name,
+      model: this.source.model,
+      recordedAt: new Date().toISOString(),
+      request: normalizeRequest(request),
+      completion
+    }, null, 2));
+    logger.info(`📼 Recorded LLM fixture ${path.basename(file)}`);
+  }
+
+  async generate(request, options = {}) {
+    if (!this.recording) return this.load(request);
+
+    const completion = await this.source.generate(request, options);
+    this.save(request, completion);
+    return completion;
+  }
+
+  stream(request, options = {}) {
+    const provider = this;
+
+    if (this.recording) {
+      const result = this.source.stream(request, options);
+      result.response.then(completion => provider.save(request, completion), () => {});
+      return result;
+    }
+
+    return toStreamResult((async function* () {
+      const completion = provider.load(request);
+      yield* (completion.text.match(/\S+\s*/g) || []);
+      return completion;
+    })());
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiLlmProvider,
+  vertex: VertexLlmProvider,
+  openai: OpenAICompatibleLlmProvider,
+  fixture: FixtureLlmProvider
+};
+
+/**
+ * Create the LLM provider selected by LLM_PROVIDER
+ * @param {string} name - 'gemini' (default), 'vertex', 'openai' or 'fixture'
+ */
+function createLlmProvider(name = process.env.LLM_PROVIDER) {
+  const providerName = name || 'gemini';
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    logger.warn(`Unknown LLM provider "${providerName}", falling back to gemini`);
+    return new GeminiLlmProvider();
+  }
+  return new Provider();
+}
+
+/**
+ * Register a custom LLM provider
+ * @param {string} name - Name used in LLM_PROVIDER
+ * @param {Function} Provider - Class implementing the provider interface
+ */
+function registerLlmProvider(name, Provider) {
+  PROVIDERS[name] = Provider;
+}
+
+module.exports = {
+  GeminiLlmProvider,
+  VertexLlmProvider,
+  OpenAICompatibleLlmProvider,
+  FixtureLlmProvider,
+  createLlmProvider,
+  registerLlmProvider
+};
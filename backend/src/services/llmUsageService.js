@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LlmCacheEntry = require('../models/LlmCacheEntry');
+const LlmUsage = require('../models/LlmUsage');
+const { logger } = require('../utils/logger');
+
+// Tokens the whole platform may spend per UTC day
+const DEFAULT_GLOBAL_DAILY_TOKENS = 2000000;
+
+// Tokens one signed-in user may spend per UTC day
+const DEFAULT_USER_DAILY_TOKENS = 50000;
+
+// How long a generated answer is reused for identical input
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Rough characters per token, for responses without usage metadata
+const CHARS_PER_TOKEN = 4;
+
+const GLOBAL_SCOPE = 'global';
+
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Response cache, token budgets and usage metrics for LLM calls.
+ *
+ * Answers are cached in MongoDB keyed on model + prompt + a fingerprint of
+ * the data the prompt was built from, and expire after LLM_CACHE_TTL_SECONDS.
+ * Calls that reach the model count against a daily global budget
+ * (LLM_GLOBAL_DAILY_TOKENS) and, for signed-in users, a daily per-user
+ * budget (LLM_USER_DAILY_TOKENS); 0 disables a budget. Without a database
+ * connection nothing is cached or counted.
+ */
+class LlmUsageService {
+  constructor() {
+    this.globalDailyTokens = readLimit('LLM_GLOBAL_DAILY_TOKENS', DEFAULT_GLOBAL_DAILY_TOKENS);
+    this.userDailyTokens = readLimit('LLM_USER_DAILY_TOKENS', DEFAULT_USER_DAILY_TOKENS);
+    this.cacheTtlSeconds = readLimit('LLM_CACHE_TTL_SECONDS', DEFAULT_CACHE_TTL_SECONDS);
+  }
+
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Cache key for a prompt
+   * @param {Object} input - { model, prompt, data, json }. data is whatever the
+   *   prompt was built from; changing it invalidates the cached answer. json
+   *   is the JSON mode or response schema the answer was asked for.
+   */
+  cacheKey({ model, prompt, data, json = false }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([model, prompt, data === undefined ? null : data, json]))
+      .digest('hex');
+  }
+
+  estimateTokens(text = '') {
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Cached answer for a key, or null
+   * @returns {Promise<Object|null>} - { text, tokens }
+   */
+  async getCached(key) {
+    if (!this.cacheTtlSeconds || !this.isAvailable()) return null;
+
+    try {
+      const entry = await LlmCacheEntry.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { projection: { text: 1, tokens: 1 } }
+      ).lean();
+      return entry ? { text: entry.text, tokens: entry.tokens } : null;
+    } catch (error) {
+      logger.error('Error reading LLM cache:', error);
+      return null;
+    }
+  }
+
+  async setCached(key, { model, feature, text, tokens }) {
+    if (!this.cacheTtlSeconds || !this.isAvailable() || !text) return;
+
+    try {
+      await LlmCacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            model,
+            feature,
+            text,
+            tokens,
+            expiresAt: new Date(Date.now() + this.cacheTtlSeconds * 1000)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Error writing LLM cache:', error);
+    }
+  }
+
+  /**
+   * Throw if today's global budget, or the user's, is used up. The refusal
+   * is counted as a degraded call.
+   * @param {string|null} userId - Signed-in user, if any
+   * @param {string} feature - Feature making the call
+   * @throws {Error} - With code 'LLM_BUDGET_EXCEEDED' and statusCode 429
+   */
+  async assertBudget(userId, feature) {
+    if (!this.isAvailable()) return;
+
+    const day = today();
+    const usage = await LlmUsage.find({
+      day,
+      scope: { $in: userId ? [GLOBAL_SCOPE, String(userId)] : [GLOBAL_SCOPE] }
+    }).select('scope totalTokens').lean();
+    const used = (scope) => usage.find(entry => entry.scope === scope)?.totalTokens || 0;
+
+    let exceeded = null;
+    if (this.globalDailyTokens && used(GLOBAL_SCOPE) >= this.globalDailyTokens) {
+      exceeded = 'global';
+    } else if (userId && this.userDailyTokens && used(String(userId)) >= this.userDailyTokens) {
+      exceeded = 'user';
+    }
+    if (!exceeded) return;
+
+    logger.warn(`💸 ${exceeded === 'global' ? 'Global' : `User ${userId}`} LLM token budget used up, degrading ${feature} to a mock response`);
+    await this.increment(userId, { degraded: 1 });
+
+    const error = new Error(`Daily ${exceeded} LLM token budget exhausted`);
+    error.code = 'LLM_BUDGET_EXCEEDED';
+    error.statusCode = 429;
+    error.budget = exceeded;
+    throw error;
+  }
+
+  /**
+   * Count a call that reached the model
+   * @param {Object} usage - { userId, feature, promptTokens, outputTokens }
+   */
+  async recordCall({ userId, feature, promptTokens = 0, outputTokens = 0 }) {
+    const totalTokens = promptTokens + outputTokens;
+    await this.increment(userId, {
+      requests: 1,
+      promptTokens,
+      outputTokens,
+      totalTokens,
+      [`features.${feature || 'other'}`]: totalTokens
+    });
+  }
+
+  /**
+   * Count an answer served from the cache
+   */
+  async recordCacheHit({ userId, tokens = 0 }) {
+    await this.increment(userId, { cacheHits: 1, tokensSaved: tokens });
+  }
+
+  async increment(userId, counters) {
+    if (!this.isAvailable()) return;
+
+    const day = today();
+    const scopes = userId ? [GLOBAL_SCOPE, String(userId)] : [GLOBAL_SCOPE];
+
+    try {
+      await LlmUsage.bulkWrite(scopes.map(scope => ({
+        updateOne: {
+          filter: { scope, day },
+          update: { $inc: counters },
+          upsert: true
+        }
+      })));
+    } catch (error) {
+      logger.error('Error recording LLM usage:', error);
+    }
+  }
+
+  /**
+   * Usage metrics for the admin dashboard
+   * @param {Object} options - { days, topUsers }
+   * @returns {Promise<Object>} - { budgets, today, daily, topUsers, cache }
+   */
+  async getMetrics({ days = 7, topUsers = 10 } = {}) {
+    const since = new Date();
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+    const day = today();
+
+    const [daily, users, cache] = await Promise.all([
+      LlmUsage.find({ scope: GLOBAL_SCOPE, day: { $gte: since.toISOString().slice(0, 10) } })
+        .sort({ day: 1 })
+        .select('-_id -scope -createdAt -updatedAt -__v')
+        .lean(),
+      LlmUsage.find({ scope: { $ne: GLOBAL_SCOPE }, day })
+        .sort({ totalTokens: -1 })
+        .limit(topUsers)
+        .select('-_id scope requests totalTokens cacheHits degraded')
+        .lean(),
+      LlmCacheEntry.aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        {
+          $group: {
+            _id: null,
+            entries: { $sum: 1 },
+            hits: { $sum: '$hits' },
+            tokensSaved: { $sum: { $multiply: ['$hits', '$tokens'] } }
+          }
+        }
+      ])
+    ]);
+
+    const todayUsage = daily.find(entry => entry.day === day) || null;
+
+    return {
+      budgets: {
+        globalDailyTokens: this.globalDailyTokens || null,
+        userDailyTokens: this.userDailyTokens || null,
+        globalRemaining: this.globalDailyTokens
+          ? Math.max(0, this.globalDailyTokens - (todayUsage?.totalTokens || 0))
+          : null,
+        cacheTtlSeconds: this.cacheTtlSeconds
+      },
+      today: todayUsage,
+      daily,
+      topUsers: users.map(({ scope, ...usage }) => ({
+        userId: scope,
+        ...usage,
+        remaining: this.userDailyTokens ? Math.max(0, this.userDailyTokens - usage.totalTokens) : null
+      })),
+      cache: cache[0]
+        ? { entries: cache[0].entries, hits: cache[0].hits, tokensSaved: cache[0].tokensSaved }
+        : { entries: 0, hits: 0, tokensSaved: 0 }
+    };
+  }
+}
+
+module.exports = new LlmUsageService();
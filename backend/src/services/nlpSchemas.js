@@ -0,0 +1,142 @@
+const Joi = require('joi');
+const { SchemaType } = require('@google/generative-ai');
+
+/**
+ * Output schemas for AdvancedNLP's AI intent and entity extraction. Each
+ * comes as a response schema, which constrains generation on providers that
+ * support it, and a Joi schema, which validates (and lightly coerces) what
+ * comes back on every provider.
+ */
+
+const INTENTS = ['search', 'compare', 'analyze', 'recommend', 'predict'];
+const URGENCY = ['low', 'medium', 'high'];
+const SPECIFICITY = ['vague', 'specific', 'very_specific'];
+
+// Vocabularies match the keys used by AdvancedNLP's pattern extractors
+const PRIORITIES = ['safety', 'schools', 'transport', 'nightlife', 'quiet', 'modern', 'affordable', 'luxury'];
+const LIFESTYLES = ['urban', 'suburban', 'coastal', 'mountain', 'cultural'];
+const PROPERTY_TYPES = ['apartment', 'house', 'townhouse', 'studio', 'penthouse', 'cottage'];
+const AMENITIES = ['parking', 'pool', 'gym', 'garden', 'security', 'petFriendly', 'furnished'];
+const CONSTRAINTS = ['no_pets', 'no_smoking', 'ground_floor', 'short_term'];
+const HOUSEHOLD_TYPES = ['single', 'couple', 'family'];
+const CURRENCIES = ['ZAR', 'USD'];
+
+const enumSchema = (values, extra = {}) => ({ type: SchemaType.STRING, format: 'enum', enum: values, ...extra });
+const enumList = (values) => ({ type: SchemaType.ARRAY, items: enumSchema(values) });
+const oneOf = (values) => Joi.string().valid(...values).insensitive();
+
+const INTENT_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    intent: enumSchema(INTENTS),
+    confidence: { type: SchemaType.NUMBER, description: 'From 0 to 1' },
+    primaryGoal: { type: SchemaType.STRING, description: 'Brief description of what the user wants' },
+    urgency: enumSchema(URGENCY),
+    specificity: enumSchema(SPECIFICITY),
+    familyContext: { type: SchemaType.BOOLEAN },
+    investmentContext: { type: SchemaType.BOOLEAN },
+    budgetMentioned: { type: SchemaType.BOOLEAN },
+    locationSpecific: { type: SchemaType.BOOLEAN }
+  },
+  required: ['intent', 'confidence', 'primaryGoal', 'urgency', 'specificity', 'familyContext', 'investmentContext', 'budgetMentioned', 'locationSpecific']
+};
+
+const intentSchema = Joi.object({
+  intent: oneOf(INTENTS).required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  primaryGoal: Joi.string().allow('').required(),
+  urgency: oneOf(URGENCY).required(),
+  specificity: oneOf(SPECIFICITY).required(),
+  familyContext: Joi.boolean().required(),
+  investmentContext: Joi.boolean().required(),
+  budgetMentioned: Joi.boolean().required(),
+  locationSpecific: Joi.boolean().required()
+}).options({ stripUnknown: true });
+
+const ENTITY_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    budget: {
+      type: SchemaType.OBJECT,
+      nullable: true,
+      description: 'Monthly rent budget',
+      properties: {
+        min: { type: SchemaType.NUMBER, nullable: true },
+        max: { type: SchemaType.NUMBER, nullable: true },
+        currency: enumSchema(CURRENCIES)
+      },
+      required: ['min', 'max', 'currency']
+    },
+    location: {
+      type: SchemaType.OBJECT,
+      nullable: true,
+      properties: {
+        areas: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING }, description: 'Cape Town suburbs or regions, lowercase' }
+      },
+      required: ['areas']
+    },
+    familySize: {
+      type: SchemaType.OBJECT,
+      nullable: true,
+      properties: {
+        size: { type: SchemaType.INTEGER, description: 'People in the household' },
+        kids: { type: SchemaType.INTEGER },
+        type: enumSchema(HOUSEHOLD_TYPES)
+      },
+      required: ['size']
+    },
+    timeframe: {
+      type: SchemaType.OBJECT,
+      nullable: true,
+      properties: {
+        urgency: enumSchema(URGENCY),
+        timeframe: { type: SchemaType.STRING, description: 'e.g. "immediate", "3 months", "flexible"' }
+      },
+      required: ['urgency', 'timeframe']
+    },
+    propertyType: enumSchema(PROPERTY_TYPES, { nullable: true }),
+    priorities: enumList(PRIORITIES),
+    lifestyle: enumList(LIFESTYLES),
+    amenities: enumList(AMENITIES),
+    constraints: enumList(CONSTRAINTS)
+  },
+  required: ['budget', 'location', 'familySize', 'timeframe', 'propertyType', 'priorities', 'lifestyle', 'amenities', 'constraints']
+};
+
+const entitiesSchema = Joi.object({
+  budget: Joi.object({
+    min: Joi.number().min(0).allow(null).default(null),
+    max: Joi.number().min(0).allow(null).default(null),
+    currency: oneOf(CURRENCIES).default('ZAR')
+  }).allow(null).default(null),
+  location: Joi.object({
+    areas: Joi.array().items(Joi.string().trim().lowercase().min(1)).default([])
+  }).allow(null).default(null),
+  familySize: Joi.object({
+    size: Joi.number().integer().min(1).required(),
+    kids: Joi.number().integer().min(0).default(0),
+    type: oneOf(HOUSEHOLD_TYPES)
+  }).allow(null).default(null),
+  timeframe: Joi.object({
+    urgency: oneOf(URGENCY).required(),
+    timeframe: Joi.string().required()
+  }).allow(null).default(null),
+  propertyType: oneOf(PROPERTY_TYPES).allow(null).default(null),
+  priorities: Joi.array().items(oneOf(PRIORITIES)).unique().default([]),
+  lifestyle: Joi.array().items(oneOf(LIFESTYLES)).unique().default([]),
+  amenities: Joi.array().items(oneOf(AMENITIES)).unique().default([]),
+  constraints: Joi.array().items(oneOf(CONSTRAINTS)).unique().default([])
+}).options({ stripUnknown: true });
+
+module.exports = {
+  INTENTS,
+  PRIORITIES,
+  LIFESTYLES,
+  PROPERTY_TYPES,
+  AMENITIES,
+  CONSTRAINTS,
+  INTENT_RESPONSE_SCHEMA,
+  ENTITY_RESPONSE_SCHEMA,
+  intentSchema,
+  entitiesSchema
+};
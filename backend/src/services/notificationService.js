@@ -0,0 +1,52 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { createNotifier } = require('./notifiers');
+const { logger } = require('../utils/logger');
+
+class NotificationService {
+  constructor(notifier = createNotifier()) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Swap the outbound notifier (used by tests and custom deployments)
+   * @param {Object} notifier - Object implementing send({ to, subject, text })
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Store an in-app notification and deliver it through the notifier.
+   * Delivery failures are logged but never lose the inbox entry.
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - { type, title, message, data }
+   * @returns {Promise<Object>} - Saved notification
+   */
+  async notify(userId, { type, title, message, data = {} }) {
+    const notification = await Notification.create({
+      user: userId,
+      type,
+      title,
+      message,
+      data
+    });
+
+    try {
+      const user = await User.findById(userId).select('email');
+      if (user?.email) {
+        await this.notifier.send({
+          to: user.email,
+          subject: title,
+          text: message
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to deliver notification ${notification._id} via ${this.notifier.name}:`, error);
+    }
+
+    return notification;
+  }
+}
+
+module.exports = new NotificationService();
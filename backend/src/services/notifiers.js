@@ -0,0 +1,143 @@
+const net = require('net');
+const os = require('os');
+const { logger } = require('../utils/logger');
+
+/**
+ * Notifiers deliver a notification outside the app (e.g. email).
+ * Every notifier implements send({ to, subject, text }) and resolves
+ * once the message has been handed off.
+ */
+
+class LogNotifier {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send({ to, subject, text }) {
+    logger.info(`📨 [notify:${to}] ${subject}\n${text}`);
+    return { delivered: true, channel: this.name };
+  }
+}
+
+/**
+ * Minimal SMTP client for a local development mail catcher such as
+ * MailHog or smtp4dev. It speaks plain SMTP without TLS or AUTH, so it
+ * is not meant for production mail relays.
+ */
+class SmtpNotifier {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.host = options.host || process.env.SMTP_HOST || 'localhost';
+    this.port = parseInt(options.port || process.env.SMTP_PORT || '1025', 10);
+    this.from = options.from || process.env.SMTP_FROM || 'alerts@city-insights.local';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send({ to, subject, text }) {
+    const message = [
+      `From: City Insights AI <${this.from}>`,
+      `To: <${to}>`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      // Dot-stuff lines that start with "." as required by RFC 5321
+      text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')
+    ].join('\r\n');
+
+    await this.transact([
+      { command: null, expect: 220 },
+      { command: `EHLO ${os.hostname()}`, expect: 250 },
+      { command: `MAIL FROM:<${this.from}>`, expect: 250 },
+      { command: `RCPT TO:<${to}>`, expect: 250 },
+      { command: 'DATA', expect: 354 },
+      { command: `${message}\r\n.`, expect: 250 },
+      { command: 'QUIT', expect: 221 }
+    ]);
+
+    return { delivered: true, channel: this.name };
+  }
+
+  /**
+   * Run a scripted SMTP conversation, checking each reply code
+   * @param {Array} steps - [{ command, expect }]
+   */
+  transact(steps) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let buffer = '';
+      let step = 0;
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      const advance = () => {
+        step += 1;
+        if (step >= steps.length) {
+          socket.end();
+          resolve();
+          return;
+        }
+        socket.write(`${steps[step].command}\r\n`);
+      };
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeout, () => fail(new Error('SMTP connection timed out')));
+      socket.on('error', fail);
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        // Wait for the final line of a (possibly multi-line) reply
+        const lines = buffer.split('\r\n').filter(Boolean);
+        const last = lines[lines.length - 1];
+        if (!buffer.endsWith('\r\n') || !/^\d{3} /.test(last)) return;
+
+        buffer = '';
+        const code = parseInt(last.slice(0, 3), 10);
+        if (code !== steps[step].expect) {
+          fail(new Error(`SMTP error after "${(steps[step].command || 'connect').split('\r\n')[0]}": ${last}`));
+          return;
+        }
+        advance();
+      });
+    });
+  }
+}
+
+const NOTIFIERS = {
+  log: LogNotifier,
+  smtp: SmtpNotifier
+};
+
+/**
+ * Create the notifier configured by NOTIFIER (default "log")
+ * @param {string} name - Notifier name
+ * @returns {Object} - Notifier instance
+ */
+function createNotifier(name = process.env.NOTIFIER || 'log') {
+  const Notifier = NOTIFIERS[name];
+  if (!Notifier) {
+    logger.warn(`Unknown notifier "${name}", falling back to log`);
+    return new LogNotifier();
+  }
+  return new Notifier();
+}
+
+/**
+ * Register a custom notifier, e.g. a production email or push provider
+ * @param {string} name - Name used in NOTIFIER
+ * @param {Function} Notifier - Class implementing send({ to, subject, text })
+ */
+function registerNotifier(name, Notifier) {
+  NOTIFIERS[name] = Notifier;
+}
+
+module.exports = {
+  LogNotifier,
+  SmtpNotifier,
+  createNotifier,
+  registerNotifier
+};
@@ -1,11 +1,26 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
+const RentSnapshot = require('../models/RentSnapshot');
+const rentForecaster = require('./rentForecaster');
+const spatialJoinService = require('./spatialJoinService');
 const { logger } = require('../utils/logger');
 
+// Months of rent history the forecasting model is trained on
+const FORECAST_HISTORY_MONTHS = 36;
+
+// Fitting and backtesting covers every neighborhood, so reuse the result
+const FORECAST_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+const addMonths = (monthKey, count) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + count, 1)).toISOString().slice(0, 7);
+};
+
 class PredictiveAnalytics {
   constructor() {
     this.client = null;
+    this.forecastCache = null;
+    this.forecastTraining = null;
     this.models = {
-      priceGrowth: this.initializePriceGrowthModel(),
       gentrification: this.initializeGentrificationModel(),
       infrastructure: this.initializeInfrastructureModel()
     };
@@ -20,36 +35,82 @@ class PredictiveAnalytics {
   }
 
   /**
-   * Predict housing price trends for neighborhoods
+   * Forecast median rent for a neighborhood from its snapshot history.
+   * Confidence is derived from the model's backtested error, so it is null
+   * until the neighborhood has enough history to be scored.
    */
   async predictPriceTrends(neighborhoodId, timeHorizon = 36) { // 36 months default
     try {
-      await this.connect();
-      const db = this.client.db();
-      
-      // Get neighborhood data
-      const neighborhood = await db.collection('neighborhoods').findOne({ _id: neighborhoodId });
+      const neighborhood = await this.getNeighborhood(neighborhoodId);
       if (!neighborhood) throw new Error('Neighborhood not found');
 
-      // Get historical data (simulated for demo)
-      const historicalData = await this.getHistoricalPriceData(neighborhoodId);
-      
-      // Calculate prediction factors
-      const factors = await this.calculatePredictionFactors(neighborhood);
-      
-      // Generate predictions
-      const predictions = this.generatePricePredictions(
-        neighborhood.housing?.avgRent || 15000,
-        factors,
-        timeHorizon
-      );
+      const [forecastData, historicalData, factors] = await Promise.all([
+        this.getForecastData(),
+        this.getHistoricalPriceData(neighborhood.name),
+        this.calculatePredictionFactors(neighborhood)
+      ]);
+
+      const key = neighborhood.name.toLowerCase().trim();
+      let entry = forecastData.entries.get(key);
+
+      const lastObserved = historicalData.series[historicalData.series.length - 1];
+      const currentPrice = lastObserved?.price ?? neighborhood.housing?.avgRent ?? null;
+
+      // Without any snapshots, start from the neighborhood's profile rent
+      if (!entry) {
+        entry = {
+          observations: currentPrice ? [{
+            t: forecastData.lastT,
+            month: (forecastData.startMonth + forecastData.lastT) % 12,
+            y: Math.log(currentPrice),
+            w: 1,
+            sparse: true
+          }] : [],
+          features: await this.getForecastFeatures(neighborhood)
+        };
+      }
+      const observedMonths = forecastData.entries.has(key) ? entry.observations.length : 0;
+
+      const forecast = rentForecaster.forecast(forecastData.model, entry, {
+        originT: forecastData.lastT,
+        horizon: timeHorizon
+      });
+      const accuracy = forecastData.backtest.byNeighborhood.get(key) || null;
+
+      const predictions = (forecast?.points || []).map(point => {
+        const expectedError = rentForecaster.expectedError(accuracy, point.h);
+        return {
+          month: point.h,
+          date: addMonths(forecastData.lastMonth, point.h),
+          predictedPrice: Math.round(point.predicted),
+          lower80: Math.round(point.lower80),
+          upper80: Math.round(point.upper80),
+          lower95: Math.round(point.lower95),
+          upper95: Math.round(point.upper95),
+          growthRate: forecast.monthlyGrowth,
+          expectedError,
+          confidence: expectedError === null ? null : Math.max(0, Math.round(100 - expectedError))
+        };
+      });
 
       return {
         neighborhood: neighborhood.name,
-        currentPrice: neighborhood.housing?.avgRent || 15000,
+        currentPrice,
         predictions,
         factors,
-        confidence: this.calculateConfidence(factors),
+        confidence: accuracy ? Math.max(0, Math.round(100 - accuracy.mape)) : null,
+        accuracy,
+        model: {
+          method: forecast ? forecast.method : null,
+          monthlyGrowth: forecast ? forecast.monthlyGrowth : null,
+          annualGrowth: forecast ? Math.pow(1 + forecast.monthlyGrowth, 12) - 1 : null,
+          observedMonths,
+          seasonalityEstimated: forecastData.model.seasonal.estimated,
+          trainedOnNeighborhoods: forecastData.entries.size,
+          trainedAt: forecastData.trainedAt
+        },
+        history: historicalData.series,
+        historyQuality: historicalData.dataQuality,
         lastUpdated: new Date()
       };
 
@@ -59,6 +120,108 @@ class PredictiveAnalytics {
     }
   }
 
+  /**
+   * Inputs to the growth regression, each scaled to 0-1
+   */
+  async getForecastFeatures(neighborhood) {
+    return {
+      infrastructure: await this.calculateInfrastructureScore(neighborhood),
+      safety: (neighborhood.safety?.safetyScore ?? 5) / 10,
+      transport: (neighborhood.amenities?.transitScore ?? 50) / 100
+    };
+  }
+
+  /**
+   * Load every neighborhood's rent history, fit the forecasting model and run
+   * the walk-forward backtest. Cached for FORECAST_CACHE_TTL_MS.
+   */
+  async getForecastData({ refresh = false } = {}) {
+    if (!refresh && this.forecastCache && this.forecastCache.expiresAt > Date.now()) {
+      return this.forecastCache;
+    }
+
+    // Concurrent requests share a single training run
+    if (!this.forecastTraining) {
+      this.forecastTraining = this.trainForecastModel()
+        .finally(() => { this.forecastTraining = null; });
+    }
+    return this.forecastTraining;
+  }
+
+  async trainForecastModel() {
+    await this.connect();
+    const db = this.client.db();
+
+    const panel = await RentSnapshot.getPanel({ months: FORECAST_HISTORY_MONTHS });
+    const neighborhoods = await db.collection('neighborhoods')
+      .find({}, { projection: { name: 1, coordinates: 1, boundary: 1, facilityCounts: 1, safety: 1, amenities: 1 } })
+      .toArray();
+    const neighborhoodsByKey = new Map(
+      neighborhoods.map(neighborhood => [neighborhood.name?.toLowerCase().trim(), neighborhood])
+    );
+
+    const entries = new Map();
+    for (const [key, { neighborhood, series }] of panel) {
+      const profile = neighborhoodsByKey.get(key);
+      entries.set(key, {
+        neighborhood: profile?.name || neighborhood,
+        observations: rentForecaster.toObservations(series),
+        features: profile ? await this.getForecastFeatures(profile) : {}
+      });
+    }
+
+    const now = new Date();
+    const lastMonth = now.toISOString().slice(0, 7);
+    // Calendar month (0-11) of the first month in the panel
+    const startMonth = (((now.getUTCMonth() - (FORECAST_HISTORY_MONTHS - 1)) % 12) + 12) % 12;
+
+    this.forecastCache = {
+      entries,
+      startMonth,
+      lastT: FORECAST_HISTORY_MONTHS - 1,
+      lastMonth,
+      model: rentForecaster.fit(entries, { startMonth }),
+      backtest: rentForecaster.backtest(entries, { startMonth }),
+      trainedAt: now,
+      expiresAt: now.getTime() + FORECAST_CACHE_TTL_MS
+    };
+
+    logger.info(`📈 Rent forecast model trained on ${entries.size} neighborhoods`);
+    return this.forecastCache;
+  }
+
+  /**
+   * Backtested forecast error (MAPE) for each neighborhood with enough history
+   * @param {Object} options - { neighborhood, refresh }
+   */
+  async getForecastAccuracy({ neighborhood = null, refresh = false } = {}) {
+    const { entries, backtest, trainedAt } = await this.getForecastData({ refresh });
+
+    let neighborhoods = [...entries.entries()].map(([key, entry]) => ({
+      neighborhood: entry.neighborhood,
+      observedMonths: entry.observations.length,
+      ...(backtest.byNeighborhood.get(key) || { evaluations: 0, mape: null })
+    }));
+
+    if (neighborhood) {
+      const key = neighborhood.toLowerCase().trim();
+      neighborhoods = neighborhoods.filter(item => item.neighborhood.toLowerCase() === key);
+    }
+
+    // Scored neighborhoods first, most accurate at the top
+    neighborhoods.sort((a, b) => (a.mape ?? Infinity) - (b.mape ?? Infinity));
+
+    return {
+      method: 'walk-forward',
+      horizon: backtest.horizon,
+      minTrainingMonths: backtest.minTrainingMonths,
+      origins: backtest.origins,
+      overall: backtest.overall,
+      neighborhoods,
+      trainedAt
+    };
+  }
+
   async calculatePredictionFactors(neighborhood) {
     const factors = {
       // Infrastructure development factor
@@ -73,9 +236,6 @@ class PredictiveAnalytics {
       // Transport connectivity factor
       transportFactor: this.calculateTransportFactor(neighborhood.amenities?.transitScore || 50),
       
-      // Economic indicators
-      economicGrowth: this.getEconomicGrowthFactor(neighborhood.borough),
-      
       // Supply/demand dynamics
       supplyDemand: this.calculateSupplyDemandFactor(neighborhood),
       
@@ -88,10 +248,16 @@ class PredictiveAnalytics {
 
   async calculateInfrastructureScore(neighborhood) {
     try {
+      // Facilities inside the boundary, precomputed when available
+      const counts = await spatialJoinService.getStoredOrLiveCounts(neighborhood);
+      if (counts) {
+        return this.scoreInfrastructure(counts.schools, counts.hospitals);
+      }
+
       await this.connect();
       const db = this.client.db();
       
-      // Count nearby infrastructure
+      // No boundary: count infrastructure around the centroid
       const [schools, hospitals] = await Promise.all([
         db.collection('pub_schools').countDocuments({
           geometry: {
@@ -117,17 +283,21 @@ class PredictiveAnalytics {
         })
       ]);
 
-      // Infrastructure development score (0-1)
-      const schoolScore = Math.min(1, schools / 10); // Normalize to max 10 schools
-      const hospitalScore = Math.min(1, hospitals / 5); // Normalize to max 5 hospitals
-      
-      return (schoolScore * 0.6 + hospitalScore * 0.4);
+      return this.scoreInfrastructure(schools, hospitals);
     } catch (error) {
       logger.warn('Error calculating infrastructure score:', error);
       return 0.5; // Default neutral score
     }
   }
 
+  // Infrastructure development score (0-1)
+  scoreInfrastructure(schools, hospitals) {
+    const schoolScore = Math.min(1, schools / 10); // Normalize to max 10 schools
+    const hospitalScore = Math.min(1, hospitals / 5); // Normalize to max 5 hospitals
+
+    return (schoolScore * 0.6 + hospitalScore * 0.4);
+  }
+
   calculateSafetyTrend(currentSafetyScore) {
     // Simulate safety trend based on current score
     // Higher current safety = more stable/improving trend
@@ -141,7 +311,8 @@ class PredictiveAnalytics {
       await this.connect();
       const db = this.client.db();
       
-      const schools = await db.collection('pub_schools').find({
+      // Schools inside the boundary, or around the centroid without one
+      const schools = await spatialJoinService.findWithin('schools', neighborhood) || await db.collection('pub_schools').find({
         geometry: {
           $near: {
             $geometry: {
@@ -176,20 +347,6 @@ class PredictiveAnalytics {
     return normalizedScore > 0.8 ? 0.15 : normalizedScore > 0.6 ? 0.1 : normalizedScore > 0.4 ? 0.05 : 0;
   }
 
-  getEconomicGrowthFactor(borough) {
-    // Simulated economic growth factors by borough
-    const growthFactors = {
-      'City Bowl': 0.12,
-      'Atlantic Seaboard': 0.08,
-      'Southern Suburbs': 0.10,
-      'Northern Suburbs': 0.15,
-      'Cape Flats': 0.18,
-      'West Coast': 0.20
-    };
-    
-    return growthFactors[borough] || 0.10; // Default 10% growth
-  }
-
   calculateSupplyDemandFactor(neighborhood) {
     // Simulate supply/demand based on affordability category
     const category = neighborhood.affordabilityCategory;
@@ -225,128 +382,26 @@ class PredictiveAnalytics {
     return Math.min(1, pressure);
   }
 
-  generatePricePredictions(currentPrice, factors, months) {
-    const predictions = [];
-    let price = currentPrice;
-    
-    for (let month = 1; month <= months; month++) {
-      // Calculate monthly growth rate
-      const monthlyGrowthRate = this.calculateMonthlyGrowthRate(factors, month);
-      
-      // Apply growth
-      price *= (1 + monthlyGrowthRate);
-      
-      // Add some realistic volatility
-      const volatility = this.calculateVolatility(factors);
-      const randomFactor = 1 + (Math.random() - 0.5) * volatility;
-      price *= randomFactor;
-      
-      predictions.push({
-        month,
-        predictedPrice: Math.round(price),
-        growthRate: monthlyGrowthRate,
-        confidence: this.calculateMonthlyConfidence(month, factors)
-      });
-    }
-    
-    return predictions;
-  }
-
-  calculateMonthlyGrowthRate(factors, month) {
-    // Base growth rate from economic factors
-    let baseRate = factors.economicGrowth / 12; // Convert annual to monthly
-    
-    // Infrastructure improvements (gradual impact)
-    baseRate += (factors.infrastructureScore * 0.02) / 12;
-    
-    // Safety improvements
-    baseRate += factors.safetyTrend / 12;
-    
-    // Education factor
-    baseRate += (factors.educationFactor * 0.015) / 12;
-    
-    // Transport improvements
-    baseRate += factors.transportFactor / 12;
-    
-    // Supply/demand dynamics
-    baseRate += factors.supplyDemand / 12;
-    
-    // Gentrification pressure (accelerates over time)
-    const gentrificationImpact = factors.gentrificationPressure * (month / 36) * 0.03;
-    baseRate += gentrificationImpact / 12;
-    
-    // Seasonal adjustments (Cape Town market patterns)
-    const seasonalFactor = this.getSeasonalFactor(month);
-    baseRate *= seasonalFactor;
-    
-    return Math.max(-0.02, Math.min(0.05, baseRate)); // Cap between -2% and 5% monthly
-  }
-
-  getSeasonalFactor(month) {
-    // Cape Town rental market seasonality
-    const seasonalPattern = [
-      1.02, 1.01, 0.99, 0.98, 0.97, 0.98, // Jan-Jun (summer to winter)
-      0.99, 1.00, 1.01, 1.02, 1.03, 1.02  // Jul-Dec (winter to summer)
-    ];
-    
-    const seasonIndex = (month - 1) % 12;
-    return seasonalPattern[seasonIndex];
-  }
-
-  calculateVolatility(factors) {
-    // Higher infrastructure and safety = lower volatility
-    const stabilityFactor = (factors.infrastructureScore + factors.safetyTrend + 1) / 3;
-    const baseVolatility = 0.05; // 5% base volatility
-    
-    return baseVolatility * (2 - stabilityFactor); // Inverse relationship
-  }
-
-  calculateMonthlyConfidence(month, factors) {
-    // Confidence decreases over time and with uncertainty
-    const timeDecay = Math.max(0.3, 1 - (month / 60)); // Decay over 5 years
-    
-    const stabilityFactor = (
-      factors.infrastructureScore + 
-      Math.abs(factors.safetyTrend) + 
-      factors.educationFactor
-    ) / 3;
-    
-    return Math.round((timeDecay * stabilityFactor) * 100);
-  }
-
-  calculateConfidence(factors) {
-    // Overall model confidence based on data quality and stability
-    const dataQuality = (
-      factors.infrastructureScore + 
-      factors.educationFactor + 
-      (factors.safetyTrend > 0 ? 1 : 0.5)
-    ) / 3;
-    
-    return Math.round(dataQuality * 85 + 15); // 15-100% confidence range
-  }
+  /**
+   * Get observed monthly rents for a neighborhood from RentSnapshot
+   * @param {string} neighborhoodName - Neighborhood name
+   * @param {number} months - Number of months of history
+   * @returns {Promise<Object>} - { series: [{ date, price, volume, sparse }], dataQuality }
+   */
+  async getHistoricalPriceData(neighborhoodName, months = 24) {
+    const { series, dataQuality } = await RentSnapshot.getSeries(neighborhoodName, { months });
 
-  async getHistoricalPriceData(neighborhoodId) {
-    // Simulate historical data for demo
-    // In production, this would query actual historical price data
-    const months = 24;
-    const data = [];
-    let basePrice = 15000;
-    
-    for (let i = months; i >= 0; i--) {
-      const date = new Date();
-      date.setMonth(date.getMonth() - i);
-      
-      // Simulate realistic price progression
-      basePrice *= (1 + (Math.random() - 0.45) * 0.02); // Slight upward trend with volatility
-      
-      data.push({
-        date,
-        price: Math.round(basePrice),
-        volume: Math.floor(Math.random() * 50) + 10 // Simulated transaction volume
-      });
-    }
-    
-    return data;
+    return {
+      series: series
+        .filter(point => !point.missing)
+        .map(point => ({
+          date: point.date,
+          price: point.medianRent,
+          volume: point.listings,
+          sparse: point.sparse
+        })),
+      dataQuality
+    };
   }
 
   /**
@@ -435,23 +490,12 @@ class PredictiveAnalytics {
   async getNeighborhood(neighborhoodId) {
     await this.connect();
     const db = this.client.db();
-    return await db.collection('neighborhoods').findOne({ _id: neighborhoodId });
+    // Route params arrive as strings, which never match a stored ObjectId
+    const _id = ObjectId.isValid(neighborhoodId) ? new ObjectId(neighborhoodId) : neighborhoodId;
+    return await db.collection('neighborhoods').findOne({ _id });
   }
 
   // Initialize ML models (simplified for demo)
-  initializePriceGrowthModel() {
-    return {
-      weights: {
-        infrastructure: 0.25,
-        safety: 0.20,
-        education: 0.15,
-        transport: 0.15,
-        economic: 0.15,
-        supplyDemand: 0.10
-      }
-    };
-  }
-
   initializeGentrificationModel() {
     return {
       thresholds: {
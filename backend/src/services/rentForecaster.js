@@ -0,0 +1,457 @@
+// z-scores for two-sided 80% and 95% prediction intervals
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+// A neighborhood needs this many observed months for its own trend fit
+const MIN_OBSERVATIONS = 6;
+
+// Seasonal indices need at least two full years of history across the panel
+const MIN_SEASONAL_SPAN = 24;
+
+// Listing counts above this don't add further weight to a month
+const MAX_SAMPLE_WEIGHT = 20;
+
+// How many months of local history the factor-based growth prior is worth
+const PRIOR_STRENGTH = 12;
+
+// Ridge penalty for the cross-neighborhood growth regression
+const RIDGE_LAMBDA = 0.01;
+
+// Default number of months ahead scored by the walk-forward backtest
+const BACKTEST_HORIZON = 3;
+
+const FEATURES = ['infrastructure', 'safety', 'transport'];
+
+// Solve Ax = b by Gaussian elimination with partial pivoting
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / m[row][row];
+  }
+  return x;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Rent forecasting on monthly RentSnapshot history.
+ *
+ * Log median rent is modelled as level + trend + calendar-month seasonality.
+ * Seasonal indices are estimated across all neighborhoods (classical
+ * decomposition on detrended residuals). Each neighborhood's trend is a
+ * weighted least-squares fit, shrunk towards a growth rate predicted from its
+ * infrastructure, safety and transport scores by a ridge regression across
+ * neighborhoods. Prediction intervals come from the regression residuals and
+ * are checked against a walk-forward backtest.
+ *
+ * Time is a month index shared by every series in the panel (0 = first month).
+ */
+class RentForecaster {
+  /**
+   * Convert a RentSnapshot series into log-rent observations
+   * @param {Array} series - [{ date, medianRent, listings, sparse, missing }]
+   * @returns {Array} - [{ t, month, y, w, sparse }]
+   */
+  toObservations(series) {
+    return series.reduce((observations, point, t) => {
+      if (point.missing || !(point.medianRent > 0)) return observations;
+
+      observations.push({
+        t,
+        month: Number(point.date.slice(5, 7)) - 1,
+        y: Math.log(point.medianRent),
+        w: Math.min(Math.max(point.listings, 1), MAX_SAMPLE_WEIGHT),
+        sparse: point.sparse
+      });
+      return observations;
+    }, []);
+  }
+
+  /**
+   * Weighted least-squares line through log rents. Weights are normalised to
+   * a mean of 1 so sigma is the residual spread of an average month.
+   * @param {Array} points - [{ t, y, w }]
+   * @returns {Object|null} - { n, tMean, yMean, slope, sxx, sigma }
+   */
+  weightedLinearFit(points) {
+    const n = points.length;
+    if (n < 2) return null;
+
+    const meanWeight = mean(points.map(point => point.w));
+    const weights = points.map(point => point.w / meanWeight);
+
+    const tMean = points.reduce((sum, point, i) => sum + weights[i] * point.t, 0) / n;
+    const yMean = points.reduce((sum, point, i) => sum + weights[i] * point.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach((point, i) => {
+      sxx += weights[i] * (point.t - tMean) ** 2;
+      sxy += weights[i] * (point.t - tMean) * (point.y - yMean);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const rss = points.reduce((sum, point, i) => {
+      const residual = point.y - (yMean + slope * (point.t - tMean));
+      return sum + weights[i] * residual ** 2;
+    }, 0);
+
+    return {
+      n,
+      tMean,
+      yMean,
+      slope,
+      sxx,
+      rss,
+      dof: n - 2,
+      sigma: n > 2 ? Math.sqrt(rss / (n - 2)) : null
+    };
+  }
+
+  /**
+   * Estimate calendar-month seasonal indices (in log space) from the
+   * detrended residuals of every neighborhood with enough history
+   * @param {Array} observationSets - Arrays of observations
+   * @returns {Object} - { indices: number[12], estimated }
+   */
+  fitSeasonalProfile(observationSets) {
+    const indices = new Array(12).fill(0);
+    const usable = observationSets.filter(observations => observations.length >= MIN_OBSERVATIONS);
+
+    const allT = usable.flatMap(observations => observations.map(point => point.t));
+    const span = allT.length ? Math.max(...allT) - Math.min(...allT) + 1 : 0;
+    if (span < MIN_SEASONAL_SPAN) {
+      return { indices, estimated: false };
+    }
+
+    const sums = new Array(12).fill(0);
+    const weights = new Array(12).fill(0);
+    const counts = new Array(12).fill(0);
+
+    usable.forEach(observations => {
+      const fit = this.weightedLinearFit(observations);
+      if (!fit) return;
+      observations.forEach(point => {
+        const residual = point.y - (fit.yMean + fit.slope * (point.t - fit.tMean));
+        sums[point.month] += point.w * residual;
+        weights[point.month] += point.w;
+        counts[point.month] += 1;
+      });
+    });
+
+    const estimatedMonths = [];
+    for (let month = 0; month < 12; month++) {
+      if (counts[month] >= 2) {
+        indices[month] = sums[month] / weights[month];
+        estimatedMonths.push(month);
+      }
+    }
+    if (estimatedMonths.length < 12) {
+      return { indices: new Array(12).fill(0), estimated: false };
+    }
+
+    // Centre so the indices only redistribute rent across the year
+    const offset = mean(indices);
+    return {
+      indices: indices.map(index => index - offset),
+      estimated: true
+    };
+  }
+
+  deseasonalize(observations, seasonal) {
+    return observations.map(point => ({ ...point, y: point.y - seasonal.indices[point.month] }));
+  }
+
+  featureVector(features = {}) {
+    return [1, ...FEATURES.map(name => (Number.isFinite(features[name]) ? features[name] : 0.5))];
+  }
+
+  /**
+   * Ridge regression of each neighborhood's monthly log growth on its
+   * infrastructure, safety and transport scores, weighted by history length
+   * @param {Array} entries - [{ features, fit }]
+   * @returns {Object|null} - { coefficients, slopeSigma, neighborhoods }
+   */
+  fitGrowthModel(entries) {
+    if (!entries.length) return null;
+
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.fit.n, 0);
+    const meanSlope = entries.reduce((sum, entry) => sum + entry.fit.n * entry.fit.slope, 0) / totalWeight;
+
+    let coefficients = [meanSlope, ...FEATURES.map(() => 0)];
+
+    // Only regress on the factors once there are more neighborhoods than terms
+    if (entries.length > FEATURES.length + 1) {
+      const size = FEATURES.length + 1;
+      const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+      const xty = new Array(size).fill(0);
+
+      entries.forEach(entry => {
+        const x = this.featureVector(entry.features);
+        const w = entry.fit.n / totalWeight;
+        for (let i = 0; i < size; i++) {
+          xty[i] += w * x[i] * entry.fit.slope;
+          for (let j = 0; j < size; j++) {
+            xtx[i][j] += w * x[i] * x[j];
+          }
+        }
+      });
+      // Leave the intercept unpenalised
+      for (let i = 1; i < size; i++) {
+        xtx[i][i] += RIDGE_LAMBDA;
+      }
+
+      coefficients = solveLinearSystem(xtx, xty) || coefficients;
+    }
+
+    const slopeVariance = entries.reduce((sum, entry) => {
+      const residual = entry.fit.slope - this.dot(coefficients, this.featureVector(entry.features));
+      return sum + entry.fit.n * residual ** 2;
+    }, 0) / totalWeight;
+
+    return {
+      coefficients,
+      slopeSigma: entries.length > 1 ? Math.sqrt(slopeVariance) : null,
+      neighborhoods: entries.length
+    };
+  }
+
+  dot(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+  }
+
+  predictSlope(growth, features) {
+    if (!growth) return 0;
+    return this.dot(growth.coefficients, this.featureVector(features));
+  }
+
+  /**
+   * Fit the panel model
+   * @param {Map} entries - key -> { observations, features }
+   * @param {Object} options - { startMonth } calendar month (0-11) of t = 0
+   * @returns {Object} - { seasonal, growth, pooledSigma, startMonth }
+   */
+  fit(entries, { startMonth = 0 } = {}) {
+    const seasonal = this.fitSeasonalProfile([...entries.values()].map(entry => entry.observations));
+
+    const fitted = [];
+    entries.forEach(entry => {
+      if (entry.observations.length < MIN_OBSERVATIONS) return;
+      const fit = this.weightedLinearFit(this.deseasonalize(entry.observations, seasonal));
+      if (fit) fitted.push({ features: entry.features, fit });
+    });
+
+    const dof = fitted.reduce((sum, { fit }) => sum + Math.max(fit.dof, 0), 0);
+    const rss = fitted.reduce((sum, { fit }) => sum + fit.rss, 0);
+
+    return {
+      seasonal,
+      growth: this.fitGrowthModel(fitted),
+      pooledSigma: dof > 0 ? Math.sqrt(rss / dof) : null,
+      startMonth
+    };
+  }
+
+  /**
+   * Forecast a neighborhood's median rent for the months after originT
+   * @param {Object} model - Result of fit()
+   * @param {Object} entry - { observations, features }
+   * @param {Object} options - { originT, horizon }
+   * @returns {Object|null} - { method, monthlyGrowth, observations, points }
+   */
+  forecast(model, { observations, features }, { originT, horizon }) {
+    if (!observations.length) return null;
+
+    const adjusted = this.deseasonalize(observations, model.seasonal);
+    const priorSlope = this.predictSlope(model.growth, features);
+    const local = adjusted.length >= MIN_OBSERVATIONS ? this.weightedLinearFit(adjusted) : null;
+
+    let method;
+    let slope;
+    let expected;
+    let variance;
+
+    if (local) {
+      // Local trend, shrunk towards the factor-based growth rate
+      const shrink = local.n / (local.n + PRIOR_STRENGTH);
+      const sigma = local.sigma ?? model.pooledSigma ?? 0;
+
+      method = 'local';
+      slope = shrink * local.slope + (1 - shrink) * priorSlope;
+      expected = (t) => local.yMean + slope * (t - local.tMean);
+      variance = (t) => sigma ** 2 * (1 + 1 / local.n + (t - local.tMean) ** 2 / local.sxx);
+    } else {
+      // Too little history: anchor on the latest month and grow at the rate
+      // neighborhoods with similar factors have shown
+      const last = adjusted[adjusted.length - 1];
+      const sigma = model.pooledSigma ?? 0;
+      const slopeSigma = model.growth?.slopeSigma ?? 0;
+
+      method = 'pooled';
+      slope = priorSlope;
+      expected = (t) => last.y + slope * (t - last.t);
+      variance = (t) => 2 * sigma ** 2 + (t - last.t) ** 2 * slopeSigma ** 2;
+    }
+
+    const points = [];
+    for (let h = 1; h <= horizon; h++) {
+      const t = originT + h;
+      const month = (model.startMonth + t) % 12;
+      const logRent = expected(t) + model.seasonal.indices[month];
+      const se = Math.sqrt(variance(t));
+
+      points.push({
+        h,
+        t,
+        predicted: Math.exp(logRent),
+        lower80: Math.exp(logRent - Z_80 * se),
+        upper80: Math.exp(logRent + Z_80 * se),
+        lower95: Math.exp(logRent - Z_95 * se),
+        upper95: Math.exp(logRent + Z_95 * se)
+      });
+    }
+
+    return {
+      method,
+      monthlyGrowth: Math.exp(slope) - 1,
+      observations: observations.length,
+      points
+    };
+  }
+
+  /**
+   * Walk-forward backtest: for every month in the history, refit the whole
+   * panel on data up to that month only, forecast the next `horizon` months
+   * and score against the months that were actually observed (sparse months
+   * are not used as ground truth). Scores are compared with a naive
+   * "rent stays at the last observed value" forecast.
+   * @param {Map} entries - key -> { observations, features }
+   * @param {Object} options - { startMonth, horizon }
+   * @returns {Object} - { horizon, minTrainingMonths, origins, overall, byNeighborhood: Map }
+   */
+  backtest(entries, { startMonth = 0, horizon = BACKTEST_HORIZON } = {}) {
+    const allT = [...entries.values()].flatMap(entry => entry.observations.map(point => point.t));
+    const errors = new Map();
+    let origins = 0;
+
+    if (allT.length) {
+      const firstT = Math.min(...allT);
+      const lastT = Math.max(...allT);
+
+      for (let origin = firstT + MIN_OBSERVATIONS - 1; origin < lastT; origin++) {
+        const truncated = new Map();
+        entries.forEach((entry, key) => {
+          truncated.set(key, {
+            features: entry.features,
+            observations: entry.observations.filter(point => point.t <= origin)
+          });
+        });
+
+        const model = this.fit(truncated, { startMonth });
+        origins++;
+
+        truncated.forEach((entry, key) => {
+          if (entry.observations.length < MIN_OBSERVATIONS) return;
+
+          const forecast = this.forecast(model, entry, { originT: origin, horizon });
+          const naive = Math.exp(entry.observations[entry.observations.length - 1].y);
+          const actuals = new Map(entries.get(key).observations
+            .filter(point => point.t > origin && !point.sparse)
+            .map(point => [point.t, Math.exp(point.y)]));
+
+          forecast.points.forEach(point => {
+            const actual = actuals.get(point.t);
+            if (actual === undefined) return;
+
+            if (!errors.has(key)) errors.set(key, []);
+            errors.get(key).push({
+              h: point.h,
+              ape: Math.abs(point.predicted - actual) / actual,
+              naiveApe: Math.abs(naive - actual) / actual,
+              covered80: actual >= point.lower80 && actual <= point.upper80
+            });
+          });
+        });
+      }
+    }
+
+    const byNeighborhood = new Map();
+    errors.forEach((list, key) => {
+      byNeighborhood.set(key, this.summarizeErrors(list, horizon));
+    });
+
+    return {
+      horizon,
+      minTrainingMonths: MIN_OBSERVATIONS,
+      origins,
+      overall: this.summarizeErrors([...errors.values()].flat(), horizon),
+      byNeighborhood
+    };
+  }
+
+  summarizeErrors(list, horizon) {
+    if (!list.length) return null;
+
+    const mapeByHorizon = [];
+    for (let h = 1; h <= horizon; h++) {
+      const atHorizon = list.filter(error => error.h === h);
+      if (atHorizon.length) {
+        mapeByHorizon.push({
+          horizon: h,
+          mape: round1(mean(atHorizon.map(error => error.ape)) * 100),
+          evaluations: atHorizon.length
+        });
+      }
+    }
+
+    return {
+      evaluations: list.length,
+      mape: round1(mean(list.map(error => error.ape)) * 100),
+      naiveMape: round1(mean(list.map(error => error.naiveApe)) * 100),
+      coverage80: round1((list.filter(error => error.covered80).length / list.length) * 100),
+      mapeByHorizon
+    };
+  }
+
+  /**
+   * Expected MAPE (%) h months ahead. Beyond the backtested horizon the error
+   * is extrapolated with square-root growth.
+   */
+  expectedError(accuracy, h) {
+    if (!accuracy?.mapeByHorizon.length) return null;
+
+    const scored = accuracy.mapeByHorizon.find(entry => entry.horizon === h);
+    if (scored) return scored.mape;
+
+    const last = accuracy.mapeByHorizon[accuracy.mapeByHorizon.length - 1];
+    return round1(last.mape * Math.sqrt(h / last.horizon));
+  }
+}
+
+module.exports = new RentForecaster();
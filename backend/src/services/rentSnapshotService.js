@@ -0,0 +1,185 @@
+const cron = require('node-cron');
+const HouseRental = require('../models/HouseRental');
+const RentSnapshot = require('../models/RentSnapshot');
+const { logger } = require('../utils/logger');
+
+// Bedroom bucket for listings without a bedroom count
+const UNKNOWN_BEDROOMS = 'unknown';
+
+const monthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// Linear-interpolated percentile of a sorted array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+};
+
+const summarize = (prices) => {
+  const sorted = [...prices].sort((a, b) => a - b);
+  return {
+    sampleSize: sorted.length,
+    avgRent: Math.round(sorted.reduce((sum, price) => sum + price, 0) / sorted.length),
+    medianRent: percentile(sorted, 0.5),
+    p25Rent: percentile(sorted, 0.25),
+    p75Rent: percentile(sorted, 0.75),
+    minRent: sorted[0],
+    maxRent: sorted[sorted.length - 1]
+  };
+};
+
+class RentSnapshotService {
+  constructor() {
+    this.schedule = process.env.RENT_SNAPSHOT_CRON || '0 3 * * *';
+    this.task = null;
+  }
+
+  /**
+   * Schedule the snapshot job. Set RENT_SNAPSHOTS_ENABLED=false to disable.
+   */
+  start() {
+    if (process.env.RENT_SNAPSHOTS_ENABLED === 'false') {
+      logger.info('📉 Rent snapshots disabled');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid RENT_SNAPSHOT_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.captureSnapshots().catch(error => logger.error('Rent snapshot capture failed:', error));
+    });
+
+    logger.info(`📉 Rent snapshots scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Group listing prices by neighborhood and bedroom bucket (4 = 4+), plus
+   * an all-bedrooms bucket (null), optionally split by month. Listings
+   * without a bedroom count only go into the all-bedrooms bucket
+   * @param {Object} match - Listing filter
+   * @param {boolean} byMonth - Group by createdAt month as well
+   * @returns {Promise<Array>} - [{ neighborhood, neighborhoodKey, bedrooms, periodStart, prices }]
+   */
+  async groupPrices(match, byMonth) {
+    const groupId = {
+      neighborhoodKey: { $toLower: { $trim: { input: '$location' } } },
+      // $min skips null and missing values, so those would land in 4+
+      bedrooms: { $cond: [{ $isNumber: '$bedrooms' }, { $min: ['$bedrooms', 4] }, UNKNOWN_BEDROOMS] }
+    };
+    if (byMonth) {
+      groupId.periodStart = { $dateTrunc: { date: '$createdAt', unit: 'month', timezone: 'UTC' } };
+    }
+
+    const groups = await HouseRental.aggregate([
+      { $match: { ...match, price: { $gt: 0 } } },
+      {
+        $group: {
+          _id: groupId,
+          neighborhood: { $first: { $trim: { input: '$location' } } },
+          prices: { $push: '$price' }
+        }
+      }
+    ]);
+
+    // Add all-bedrooms buckets
+    const totals = new Map();
+    groups.forEach(({ _id, neighborhood, prices }) => {
+      const key = `${_id.neighborhoodKey}|${_id.periodStart ? _id.periodStart.toISOString() : ''}`;
+      if (!totals.has(key)) {
+        totals.set(key, { ..._id, neighborhood, bedrooms: null, prices: [] });
+      }
+      totals.get(key).prices.push(...prices);
+    });
+
+    return [
+      ...groups
+        .filter(({ _id }) => _id.bedrooms !== UNKNOWN_BEDROOMS)
+        .map(({ _id, neighborhood, prices }) => ({ ..._id, neighborhood, prices })),
+      ...totals.values()
+    ];
+  }
+
+  async upsertSnapshots(groups, { source, periodStart, capturedAt }) {
+    if (groups.length === 0) return 0;
+
+    const result = await RentSnapshot.bulkWrite(groups.map(group => {
+      const period = group.periodStart || periodStart;
+      return {
+        updateOne: {
+          filter: { neighborhoodKey: group.neighborhoodKey, bedrooms: group.bedrooms, periodStart: period },
+          update: {
+            $set: {
+              neighborhood: group.neighborhood,
+              source,
+              capturedAt,
+              ...summarize(group.prices)
+            }
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+
+    return result.upsertedCount + result.modifiedCount;
+  }
+
+  /**
+   * Record this month's aggregates from the listings currently available.
+   * Re-running within a month refreshes that month's snapshot.
+   * @returns {Promise<Object>} - { periodStart, snapshots }
+   */
+  async captureSnapshots() {
+    const capturedAt = new Date();
+    const periodStart = monthStart(capturedAt);
+
+    const groups = await this.groupPrices({ 'availability.available': { $ne: false } }, false);
+    const snapshots = await this.upsertSnapshots(groups, {
+      source: 'active-listings',
+      periodStart,
+      capturedAt
+    });
+
+    logger.info(`📉 Captured ${snapshots} rent snapshots for ${periodStart.toISOString().slice(0, 7)}`);
+    return { periodStart, snapshots };
+  }
+
+  /**
+   * Build snapshots for past months from listing creation dates. Months that
+   * already have an active-listings snapshot are left untouched.
+   * @returns {Promise<Object>} - { snapshots }
+   */
+  async backfill() {
+    const capturedAt = new Date();
+    const groups = await this.groupPrices({}, true);
+
+    const existing = await RentSnapshot.find({ source: 'active-listings' })
+      .select('neighborhoodKey bedrooms periodStart')
+      .lean();
+    const captured = new Set(existing.map(snapshot =>
+      `${snapshot.neighborhoodKey}|${snapshot.bedrooms}|${snapshot.periodStart.toISOString()}`
+    ));
+
+    const missing = groups.filter(group => !captured.has(
+      `${group.neighborhoodKey}|${group.bedrooms}|${group.periodStart.toISOString()}`
+    ));
+
+    const snapshots = await this.upsertSnapshots(missing, { source: 'listing-dates', capturedAt });
+
+    logger.info(`📉 Backfilled ${snapshots} rent snapshots from listing dates`);
+    return { snapshots };
+  }
+}
+
+module.exports = new RentSnapshotService();
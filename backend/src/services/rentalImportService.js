@@ -0,0 +1,309 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const HouseRental = require('../models/HouseRental');
+const { logger } = require('../utils/logger');
+
+const MAX_ROWS = 5000;
+
+// Case-insensitive matching for the title + location + price dedupe key
+const DEDUPE_COLLATION = { locale: 'en', strength: 2 };
+
+// Flat column names accepted in CSV files (and JSON rows) mapped to schema paths
+const COLUMN_ALIASES = {
+  lat: 'coordinates.lat',
+  latitude: 'coordinates.lat',
+  lng: 'coordinates.lng',
+  lon: 'coordinates.lng',
+  longitude: 'coordinates.lng',
+  agent: 'contactInfo.agent',
+  phone: 'contactInfo.phone',
+  email: 'contactInfo.email',
+  company: 'contactInfo.company',
+  available: 'availability.available',
+  availableFrom: 'availability.availableFrom',
+  leaseTerm: 'availability.leaseTerm',
+  petsAllowed: 'petPolicy.allowed',
+  petDeposit: 'petPolicy.deposit',
+  petRestrictions: 'petPolicy.restrictions',
+  utilitiesIncluded: 'utilities.included',
+  utilitiesExcluded: 'utilities.excluded',
+  utilitiesCost: 'utilities.avgMonthlyCost'
+};
+
+const NUMBER_PATHS = [
+  'price', 'bedrooms', 'bathrooms', 'floorSize', 'parking', 'securityDeposit',
+  'coordinates.lat', 'coordinates.lng', 'petPolicy.deposit', 'utilities.avgMonthlyCost'
+];
+const BOOLEAN_PATHS = ['availability.available', 'petPolicy.allowed'];
+const LIST_PATHS = ['features', 'amenities', 'utilities.included', 'utilities.excluded'];
+
+// Fields clients may not set through an import
+const PROTECTED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'viewCount', 'favoriteCount'];
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  // Accept "R 12,500" style prices
+  const cleaned = String(value).trim().replace(/^R/i, '').replace(/[\s,]/g, '');
+  if (cleaned === '') return undefined;
+  const number = Number(cleaned);
+  return Number.isNaN(number) ? value : number; // Invalid values are reported by validation
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return value; // Left as-is so validation reports it
+};
+
+const parseList = (value) => {
+  if (Array.isArray(value)) return value;
+  return String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+};
+
+class RentalImportService {
+  /**
+   * Parse an uploaded file into raw rows
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Array>} - Raw rows
+   */
+  async parse(buffer, format) {
+    if (format === 'json') {
+      const parsed = JSON.parse(buffer.toString('utf8'));
+      const rows = Array.isArray(parsed) ? parsed : parsed.rentals;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON must be an array of rentals or an object with a "rentals" array');
+      }
+      return rows;
+    }
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from(buffer)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Detect the upload format from an explicit value, MIME type or file name
+   * @returns {string|null} - 'csv', 'json' or null if unknown
+   */
+  detectFormat({ format, mimetype = '', filename = '' }) {
+    if (format) return format;
+    if (mimetype.includes('json') || /\.json$/i.test(filename)) return 'json';
+    if (mimetype.includes('csv') || /\.csv$/i.test(filename)) return 'csv';
+    return null;
+  }
+
+  /**
+   * Convert a raw CSV/JSON row into a HouseRental document shape.
+   * Flat aliases (lat, agent, petsAllowed, ...) and dotted column names
+   * are expanded; numbers, booleans and ;-separated lists are coerced.
+   * @param {Object} row - Raw row
+   * @returns {Object} - Document data
+   */
+  normalizeRow(row) {
+    const doc = {};
+
+    Object.entries(row).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const path = COLUMN_ALIASES[key] || key;
+      if (PROTECTED_PATHS.includes(path.split('.')[0])) return;
+
+      if (typeof value === 'object' && !Array.isArray(value) && !COLUMN_ALIASES[key]) {
+        // Nested JSON object, e.g. { coordinates: { lat, lng } }
+        Object.entries(value).forEach(([childKey, childValue]) => {
+          if (childValue !== undefined && childValue !== null && childValue !== '') {
+            setPath(doc, `${path}.${childKey}`, childValue);
+          }
+        });
+        return;
+      }
+
+      setPath(doc, path, typeof value === 'string' ? value.trim() : value);
+    });
+
+    NUMBER_PATHS.forEach(path => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(doc, path, parseNumber(value));
+    });
+    BOOLEAN_PATHS.forEach(path => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(doc, path, parseBoolean(value));
+    });
+    LIST_PATHS.forEach(path => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(doc, path, parseList(value));
+    });
+
+    return doc;
+  }
+
+  /**
+   * Validate a normalized row against the HouseRental schema
+   * @param {Object} doc - Normalized document data
+   * @returns {Array} - [{ field, message }], empty when valid
+   */
+  validate(doc) {
+    const validationError = new HouseRental(doc).validateSync();
+    if (!validationError) return [];
+
+    return Object.values(validationError.errors).map(error => {
+      const schemaPath = HouseRental.schema.path(error.path);
+      if (error.kind === 'enum' && schemaPath?.enumValues) {
+        return {
+          field: error.path,
+          message: `"${error.value}" is not allowed; must be one of: ${schemaPath.enumValues.join(', ')}`
+        };
+      }
+      if (error.name === 'CastError') {
+        return { field: error.path, message: `"${error.value}" is not a valid ${error.kind}` };
+      }
+      return { field: error.path, message: error.message };
+    });
+  }
+
+  dedupeKey(doc) {
+    return [
+      String(doc.title).trim().toLowerCase(),
+      String(doc.location).trim().toLowerCase(),
+      Number(doc.price)
+    ].join('|');
+  }
+
+  /**
+   * Find existing listings matching any of the given documents' dedupe keys
+   * @param {Array} docs - Validated documents
+   * @returns {Promise<Map>} - dedupe key -> existing _id
+   */
+  async findExisting(docs) {
+    const existing = new Map();
+    const batchSize = 500;
+
+    for (let i = 0; i < docs.length; i += batchSize) {
+      const batch = docs.slice(i, i + batchSize);
+      const matches = await HouseRental.find({
+        $or: batch.map(doc => ({ title: doc.title, location: doc.location, price: doc.price }))
+      })
+        .collation(DEDUPE_COLLATION)
+        .select('title location price')
+        .lean();
+
+      matches.forEach(match => existing.set(this.dedupeKey(match), match._id));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Validate, dedupe and (unless dryRun) upsert rental rows
+   * @param {Array} rows - Raw rows
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - Import report with a status per row
+   */
+  async importRows(rows, { dryRun = false } = {}) {
+    if (rows.length > MAX_ROWS) {
+      const error = new Error(`Too many rows (${rows.length}); the limit is ${MAX_ROWS} per import`);
+      error.statusCode = 413;
+      throw error;
+    }
+
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      valid: 0,
+      invalid: 0,
+      duplicates: 0,
+      created: 0,
+      updated: 0,
+      rows: []
+    };
+
+    // Row numbers are 1-based data rows (CSV header excluded)
+    const seen = new Map();
+    const accepted = [];
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 1;
+      const doc = this.normalizeRow(row || {});
+      const errors = this.validate(doc);
+
+      if (errors.length > 0) {
+        report.invalid += 1;
+        report.rows.push({ row: rowNumber, status: 'invalid', title: doc.title, errors });
+        return;
+      }
+
+      const key = this.dedupeKey(doc);
+      if (seen.has(key)) {
+        report.duplicates += 1;
+        report.rows.push({
+          row: rowNumber,
+          status: 'duplicate',
+          title: doc.title,
+          duplicateOf: seen.get(key)
+        });
+        return;
+      }
+
+      seen.set(key, rowNumber);
+      report.valid += 1;
+      const entry = { row: rowNumber, status: null, title: doc.title };
+      report.rows.push(entry);
+      accepted.push({ doc, key, entry });
+    });
+
+    const existing = await this.findExisting(accepted.map(({ doc }) => doc));
+
+    accepted.forEach(({ key, entry }) => {
+      if (existing.has(key)) {
+        entry.status = dryRun ? 'would-update' : 'updated';
+        entry.id = existing.get(key);
+        report.updated += 1;
+      } else {
+        entry.status = dryRun ? 'would-create' : 'created';
+        report.created += 1;
+      }
+    });
+
+    if (!dryRun && accepted.length > 0) {
+      const now = new Date();
+      const result = await HouseRental.bulkWrite(accepted.map(({ doc }) => ({
+        updateOne: {
+          filter: { title: doc.title, location: doc.location, price: doc.price },
+          update: { $set: { ...doc, lastUpdated: now } },
+          upsert: true,
+          collation: DEDUPE_COLLATION
+        }
+      })), { ordered: false });
+
+      // Attach ids of newly created listings to their rows
+      Object.entries(result.upsertedIds || {}).forEach(([opIndex, id]) => {
+        accepted[opIndex].entry.id = id;
+      });
+
+      logger.info(`📥 Rental import: ${report.created} created, ${report.updated} updated, ${report.invalid} invalid, ${report.duplicates} duplicates`);
+    }
+
+    return report;
+  }
+}
+
+module.exports = new RentalImportService();
@@ -0,0 +1,159 @@
+const cron = require('node-cron');
+const HouseRental = require('../models/HouseRental');
+const SavedSearch = require('../models/SavedSearch');
+const notificationService = require('./notificationService');
+const { logger } = require('../utils/logger');
+
+// Filters accepted by GET /api/house-rentals that a saved search may carry
+const RENTAL_FILTER_KEYS = [
+  'location', 'minPrice', 'maxPrice', 'bedrooms', 'bathrooms',
+  'propertyType', 'category', 'furnished', 'available'
+];
+
+const MAX_LISTINGS_PER_ALERT = 10;
+
+class SavedSearchAlertService {
+  constructor() {
+    this.schedule = process.env.SAVED_SEARCH_ALERT_CRON || '*/15 * * * *';
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Schedule the matcher. Set SAVED_SEARCH_ALERTS_ENABLED=false to disable.
+   */
+  start() {
+    if (process.env.SAVED_SEARCH_ALERTS_ENABLED === 'false') {
+      logger.info('🔕 Saved-search alerts disabled');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid SAVED_SEARCH_ALERT_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => logger.error('Saved-search alert run failed:', error));
+    });
+
+    logger.info(`🔔 Saved-search alerts scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Build the HouseRental query for a saved search
+   * @param {Object} savedSearch - SavedSearch document
+   * @returns {Object} - MongoDB query
+   */
+  buildQuery(savedSearch) {
+    const filters = {};
+    RENTAL_FILTER_KEYS.forEach(key => {
+      const value = savedSearch.filters?.[key];
+      if (value !== undefined && value !== null && value !== '') {
+        filters[key] = value;
+      }
+    });
+    if (savedSearch.query) {
+      filters.q = savedSearch.query;
+    }
+    return HouseRental.buildSearchQuery(filters);
+  }
+
+  /**
+   * Check one saved search for rentals created since it was last checked
+   * and notify its owner about any matches
+   * @param {Object} savedSearch - SavedSearch document
+   * @param {Date} checkedAt - Upper bound of the window being checked
+   * @returns {Promise<number>} - Number of new matches
+   */
+  async checkSavedSearch(savedSearch, checkedAt = new Date()) {
+    const since = savedSearch.lastCheckedAt || savedSearch.createdAt;
+
+    const query = {
+      ...this.buildQuery(savedSearch),
+      createdAt: { $gt: since, $lte: checkedAt }
+    };
+
+    const [matches, total] = await Promise.all([
+      HouseRental.find(query)
+        .sort({ createdAt: -1 })
+        .limit(MAX_LISTINGS_PER_ALERT)
+        .select('title location price bedrooms propertyType')
+        .lean(),
+      HouseRental.countDocuments(query)
+    ]);
+
+    savedSearch.lastCheckedAt = checkedAt;
+
+    if (total > 0) {
+      const listingLines = matches.map(rental =>
+        `• ${rental.title} — ${rental.location}, ${rental.bedrooms} bed, R${rental.price.toLocaleString('en-ZA')}/month`
+      );
+      if (total > matches.length) {
+        listingLines.push(`…and ${total - matches.length} more`);
+      }
+
+      await notificationService.notify(savedSearch.user, {
+        type: 'saved-search-match',
+        title: `${total} new ${total === 1 ? 'rental matches' : 'rentals match'} "${savedSearch.name}"`,
+        message: listingLines.join('\n'),
+        data: {
+          savedSearchId: savedSearch._id,
+          rentalIds: matches.map(rental => rental._id),
+          total
+        }
+      });
+
+      savedSearch.lastAlertedAt = checkedAt;
+    }
+
+    await savedSearch.save();
+    return total;
+  }
+
+  /**
+   * Run the matcher over every saved search with alerts enabled
+   * @returns {Promise<Object>} - { searches, notified, matches }
+   */
+  async runOnce() {
+    if (this.running) {
+      logger.warn('Saved-search alert run already in progress, skipping');
+      return { searches: 0, notified: 0, matches: 0 };
+    }
+
+    this.running = true;
+    const checkedAt = new Date();
+    const summary = { searches: 0, notified: 0, matches: 0 };
+
+    try {
+      const cursor = SavedSearch.find({ alertsEnabled: true, scope: 'rentals' }).cursor();
+
+      for await (const savedSearch of cursor) {
+        summary.searches += 1;
+        try {
+          const matches = await this.checkSavedSearch(savedSearch, checkedAt);
+          if (matches > 0) {
+            summary.notified += 1;
+            summary.matches += matches;
+          }
+        } catch (error) {
+          logger.error(`Failed to check saved search ${savedSearch._id}:`, error);
+        }
+      }
+
+      logger.info(`🔔 Saved-search alerts: checked ${summary.searches}, notified ${summary.notified}`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new SavedSearchAlertService();
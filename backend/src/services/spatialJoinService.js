@@ -0,0 +1,302 @@
+const cron = require('node-cron');
+const { MongoClient } = require('mongodb');
+const Neighborhood = require('../models/Neighborhood');
+const { logger } = require('../utils/logger');
+const { degreesFor, projection } = require('../utils/geo');
+
+// Facility datasets joined to neighborhood boundaries. Points are matched
+// with $geoWithin, lines with $geoIntersects.
+const LAYERS = {
+  schools: { collection: 'pub_schools', shape: 'point' },
+  hospitals: { collection: 'pub_hospitals', shape: 'point' },
+  taxiRoutes: { collection: 'taxi_routes', shape: 'line' }
+};
+
+// Distance outside a boundary still counted as in the neighborhood; 0 joins
+// on the boundary itself
+const DEFAULT_BUFFER_M = parseInt(process.env.SPATIAL_JOIN_BUFFER_M, 10) || 0;
+
+// Neighborhoods whose counts are written per bulk write
+const BATCH_SIZE = 50;
+
+/**
+ * Projects GeoJSON [lng, lat] positions to meters around a latitude
+ */
+const projector = (originLat) => {
+  const { toXY } = projection(originLat);
+  return ([lng, lat]) => toXY({ lat, lng });
+};
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function segmentsCross(a, b, c, d) {
+  const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+function segmentDistance(a, b, c, d) {
+  if (segmentsCross(a, b, c, d)) return 0;
+  return Math.min(
+    pointSegmentDistance(a, c, d),
+    pointSegmentDistance(b, c, d),
+    pointSegmentDistance(c, a, b),
+    pointSegmentDistance(d, a, b)
+  );
+}
+
+/**
+ * Lines of a GeoJSON Point, LineString or MultiLineString geometry as arrays
+ * of [lng, lat]; a point is a one-vertex line
+ */
+function linesOf(geometry) {
+  switch (geometry?.type) {
+    case 'Point': return [[geometry.coordinates]];
+    case 'MultiPoint': return geometry.coordinates.map(point => [point]);
+    case 'LineString': return [geometry.coordinates];
+    case 'MultiLineString': return geometry.coordinates;
+    default: return [];
+  }
+}
+
+/**
+ * Joins facility datasets to neighborhood boundary polygons instead of a
+ * radius around the centroid, so a facility is counted for the suburb it is
+ * in rather than for every suburb whose centroid is near it. A buffer counts
+ * facilities just outside the boundary too; those joins query the bounding
+ * box grown by the buffer and keep what lies within the buffer distance of
+ * the polygon. Per-neighborhood counts are precomputed nightly into
+ * Neighborhood.facilityCounts.
+ */
+class SpatialJoinService {
+  constructor() {
+    this.client = null;
+    this.schedule = process.env.FACILITY_COUNTS_CRON || '30 3 * * *';
+    this.task = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      this.client = new MongoClient(process.env.MONGODB_URI);
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+
+  /**
+   * Schedule the facility count refresh. Set FACILITY_COUNTS_ENABLED=false
+   * to disable.
+   */
+  start() {
+    if (process.env.FACILITY_COUNTS_ENABLED === 'false') {
+      logger.info('🗺️ Facility count refresh disabled');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error(`Invalid FACILITY_COUNTS_CRON expression: ${this.schedule}`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.refreshFacilityCounts().catch(error => logger.error('Facility count refresh failed:', error));
+    });
+
+    logger.info(`🗺️ Facility count refresh scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  getLayerNames() {
+    return Object.keys(LAYERS);
+  }
+
+  getDefaultBuffer() {
+    return DEFAULT_BUFFER_M;
+  }
+
+  hasBoundary(neighborhood) {
+    return neighborhood?.boundary?.coordinates?.[0]?.length >= 4;
+  }
+
+  /**
+   * Mongo filter for a layer's features inside a neighborhood boundary, or
+   * for the candidates inside its bounding box grown by bufferM
+   */
+  buildFilter(layerName, boundary, bufferM) {
+    if (bufferM <= 0) {
+      const operator = LAYERS[layerName].shape === 'point' ? '$geoWithin' : '$geoIntersects';
+      return { geometry: { [operator]: { $geometry: { type: 'Polygon', coordinates: boundary.coordinates } } } };
+    }
+
+    const outer = boundary.coordinates[0];
+    const lngs = outer.map(([lng]) => lng);
+    const lats = outer.map(([, lat]) => lat);
+    const { dLat, dLng } = degreesFor(bufferM, Math.max(...lats.map(Math.abs)));
+    const [west, east] = [Math.min(...lngs) - dLng, Math.max(...lngs) + dLng];
+    const [south, north] = [Math.min(...lats) - dLat, Math.max(...lats) + dLat];
+
+    return {
+      geometry: {
+        $geoIntersects: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Whether a geometry lies inside a polygon or within bufferM of it
+   */
+  isWithinBuffer(geometry, boundary, bufferM) {
+    const project = projector(boundary.coordinates[0][0][1]);
+    const rings = boundary.coordinates.map(ring => ring.map(project));
+    const lines = linesOf(geometry).map(line => line.map(project));
+    const [outer, ...holes] = rings;
+
+    const inside = (point) => pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole));
+    if (lines.some(line => line.some(inside))) return true;
+
+    const edges = rings.flatMap(ring => ring.slice(1).map((point, i) => [ring[i], point]));
+    return lines.some(line => {
+      if (line.length === 1) return edges.some(([a, b]) => pointSegmentDistance(line[0], a, b) <= bufferM);
+      return line.slice(1).some((point, i) => edges.some(([a, b]) => segmentDistance(line[i], point, a, b) <= bufferM));
+    });
+  }
+
+  /**
+   * Features of a layer inside a neighborhood's boundary
+   * @param {string} layerName - schools, hospitals or taxiRoutes
+   * @param {Object} neighborhood - Neighborhood with a GeoJSON boundary
+   * @param {Object} options - { bufferM, projection }
+   * @returns {Promise<Array|null>} - Raw documents, or null when the neighborhood has no boundary
+   */
+  async findWithin(layerName, neighborhood, { bufferM = DEFAULT_BUFFER_M, projection } = {}) {
+    if (!this.hasBoundary(neighborhood)) return null;
+
+    await this.connect();
+    const collection = this.client.db().collection(LAYERS[layerName].collection);
+    const docs = await collection.find(this.buildFilter(layerName, neighborhood.boundary, bufferM), { projection }).toArray();
+
+    return bufferM > 0
+      ? docs.filter(doc => this.isWithinBuffer(doc.geometry, neighborhood.boundary, bufferM))
+      : docs;
+  }
+
+  /**
+   * Number of features of a layer inside a neighborhood's boundary
+   * @returns {Promise<number|null>} - null when the neighborhood has no boundary
+   */
+  async countWithin(layerName, neighborhood, { bufferM = DEFAULT_BUFFER_M } = {}) {
+    if (!this.hasBoundary(neighborhood)) return null;
+
+    if (bufferM > 0) {
+      const docs = await this.findWithin(layerName, neighborhood, { bufferM, projection: { geometry: 1 } });
+      return docs.length;
+    }
+
+    await this.connect();
+    return this.client.db().collection(LAYERS[layerName].collection)
+      .countDocuments(this.buildFilter(layerName, neighborhood.boundary, 0));
+  }
+
+  /**
+   * Schools, hospitals and taxi routes inside a neighborhood's boundary
+   * @returns {Promise<Object|null>} - { schools, hospitals, taxiRoutes, bufferM, computedAt }, or null without a boundary
+   */
+  async getFacilityCounts(neighborhood, { bufferM = DEFAULT_BUFFER_M } = {}) {
+    if (!this.hasBoundary(neighborhood)) return null;
+
+    const counts = await Promise.all(
+      this.getLayerNames().map(layerName => this.countWithin(layerName, neighborhood, { bufferM }))
+    );
+
+    return {
+      ...Object.fromEntries(this.getLayerNames().map((layerName, i) => [layerName, counts[i]])),
+      bufferM,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Stored facility counts if they were computed with the same buffer,
+   * otherwise counted now
+   */
+  async getStoredOrLiveCounts(neighborhood, { bufferM = DEFAULT_BUFFER_M } = {}) {
+    if (neighborhood?.facilityCounts?.computedAt && neighborhood.facilityCounts.bufferM === bufferM) {
+      return neighborhood.facilityCounts;
+    }
+    return this.getFacilityCounts(neighborhood, { bufferM });
+  }
+
+  /**
+   * Recompute Neighborhood.facilityCounts for every neighborhood with a
+   * boundary
+   * @param {Object} options - { bufferM }
+   * @returns {Promise<Object>} - { updated, skipped, failed, bufferM }
+   */
+  async refreshFacilityCounts({ bufferM = DEFAULT_BUFFER_M } = {}) {
+    const started = Date.now();
+    const neighborhoods = await Neighborhood.find({}).select('name boundary').lean();
+    const withBoundary = neighborhoods.filter(neighborhood => this.hasBoundary(neighborhood));
+    let updated = 0;
+    let failed = 0;
+
+    for (let i = 0; i < withBoundary.length; i += BATCH_SIZE) {
+      const batch = withBoundary.slice(i, i + BATCH_SIZE);
+      const operations = [];
+
+      for (const neighborhood of batch) {
+        try {
+          const facilityCounts = await this.getFacilityCounts(neighborhood, { bufferM });
+          operations.push({ updateOne: { filter: { _id: neighborhood._id }, update: { $set: { facilityCounts } } } });
+        } catch (error) {
+          failed += 1;
+          logger.warn(`Could not count facilities for ${neighborhood.name}: ${error.message}`);
+        }
+      }
+
+      if (operations.length) {
+        await Neighborhood.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+      }
+    }
+
+    const skipped = neighborhoods.length - withBoundary.length;
+    logger.info(`🗺️ Facility counts refreshed for ${updated} neighborhoods (${skipped} without a boundary, ${failed} failed) in ${Date.now() - started}ms`);
+
+    return { updated, skipped, failed, bufferM };
+  }
+}
+
+module.exports = new SpatialJoinService();
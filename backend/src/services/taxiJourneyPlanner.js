@@ -0,0 +1,892 @@
+const { MongoClient } = require('mongodb');
+const Neighborhood = require('../models/Neighborhood');
+const { SUBURB_ALIASES } = require('./languages');
+const { logger } = require('../utils/logger');
+const { distanceM, projection } = require('../utils/geo');
+
+// Routes only change on import, so the network is rebuilt this often at most
+const NETWORK_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Route ends this close together share a taxi rank
+const RANK_RADIUS_M = 300;
+
+// Passengers can change taxis where two routes pass this close to each other
+const TRANSFER_RADIUS_M = 250;
+
+// Transfers between the same two routes are kept at least this far apart
+const TRANSFER_SPACING_M = 1500;
+
+// Route lines are sampled every SAMPLE_SPACING_M when looking for transfers
+const SAMPLE_SPACING_M = 150;
+
+// Furthest walk from a neighborhood or point to the route it boards
+const ACCESS_RADIUS_M = 1500;
+
+// Transfers named after the closest neighborhood within this distance
+const LABEL_RADIUS_M = 3000;
+
+// A boarding costs as much as riding this far, so fewer transfers rank higher
+const BOARDING_PENALTY_M = 3000;
+
+// Walking counts this many times the distance ridden
+const WALK_WEIGHT = 3;
+
+const MAX_TRANSFERS = 3;
+
+// Searches run per request while looking for alternative itineraries
+const MAX_SEARCHES = 12;
+
+// Average speeds and the wait for each taxi, for travel times
+const TAXI_SPEED_KMH = 25;
+const WALK_SPEED_KMH = 5;
+const WAIT_MINUTES_PER_TAXI = 10;
+
+// The travel assumptions above, for describing results
+const TRAVEL_ASSUMPTIONS = Object.freeze({
+  taxiSpeedKmh: TAXI_SPEED_KMH,
+  walkSpeedKmh: WALK_SPEED_KMH,
+  waitMinutesPerTaxi: WAIT_MINUTES_PER_TAXI,
+  accessRadiusM: ACCESS_RADIUS_M,
+  transferRadiusM: TRANSFER_RADIUS_M
+});
+
+const TAXI_M_PER_MIN = (TAXI_SPEED_KMH * 1000) / 60;
+const WALK_M_PER_MIN = (WALK_SPEED_KMH * 1000) / 60;
+
+// Isochrones are drawn as squares of this size
+const ISOCHRONE_CELL_M = 400;
+
+// Time bands isochrones are split into, up to the requested limit
+const ISOCHRONE_BANDS = [15, 30, 45, 60, 90];
+
+/**
+ * Cost of an edge when ranking itineraries, in meters of riding
+ */
+const distanceCost = (edge, boarding) =>
+  (edge.kind === 'ride' ? edge.distance : edge.distance * WALK_WEIGHT) + (boarding ? BOARDING_PENALTY_M : 0);
+
+/**
+ * Cost of an edge in minutes of travel, including the wait when boarding
+ */
+const minutesCost = (edge, boarding) =>
+  edge.distance / (edge.kind === 'ride' ? TAXI_M_PER_MIN : WALK_M_PER_MIN) + (boarding ? WAIT_MINUTES_PER_TAXI : 0);
+
+const roundKm = (meters) => Math.round(meters / 100) / 10;
+
+/**
+ * Buckets points into square cells of a given size so that neighbours can be
+ * found without comparing every pair
+ */
+class SpatialGrid {
+  constructor(cellM, originLat) {
+    this.cellM = cellM;
+    this.projection = projection(originLat);
+    this.cells = new Map();
+  }
+
+  cellOf(point) {
+    return this.projection.toXY(point).map(meters => Math.floor(meters / this.cellM));
+  }
+
+  /**
+   * Centre of a cell as { lat, lng }
+   */
+  centreOf(x, y) {
+    return this.projection.toLatLng([(x + 0.5) * this.cellM, (y + 0.5) * this.cellM]);
+  }
+
+  /**
+   * Corners of a run of cells in a row, as a closed GeoJSON ring
+   */
+  ringOf(x0, x1, y) {
+    const { lat: south, lng: west } = this.projection.toLatLng([x0 * this.cellM, y * this.cellM]);
+    const { lat: north, lng: east } = this.projection.toLatLng([(x1 + 1) * this.cellM, (y + 1) * this.cellM]);
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+  }
+
+  add(point, item) {
+    const [x, y] = this.cellOf(point);
+    const key = `${x}:${y}`;
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(item);
+  }
+
+  /**
+   * Items in the cells covering radiusM around a point; callers still check
+   * the exact distance
+   */
+  near(point, radiusM) {
+    const [x, y] = this.cellOf(point);
+    const reach = Math.ceil(radiusM / this.cellM);
+    const items = [];
+    for (let dx = -reach; dx <= reach; dx++) {
+      for (let dy = -reach; dy <= reach; dy++) {
+        const cell = this.cells.get(`${x + dx}:${y + dy}`);
+        if (cell) items.push(...cell);
+      }
+    }
+    return items;
+  }
+}
+
+/**
+ * Binary min-heap of [cost, value] pairs for Dijkstra
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, value) {
+    const items = this.items;
+    items.push([cost, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Route line as [{ lat, lng }] with the cumulative distance along it in
+ * meters; MultiLineString parts are joined in order
+ */
+function toLine(geometry) {
+  const parts = geometry?.type === 'LineString' ? [geometry.coordinates] : (geometry?.coordinates || []);
+  const points = parts.flat().filter(coord => Array.isArray(coord) && coord.length >= 2)
+    .map(([lng, lat]) => ({ lat, lng }));
+
+  const along = [0];
+  for (let i = 1; i < points.length; i++) {
+    along.push(along[i - 1] + distanceM(points[i - 1], points[i]));
+  }
+  return { points, along };
+}
+
+/**
+ * Point at a distance along a route line
+ */
+function pointAt(route, at) {
+  const { points, along } = route;
+  const after = along.findIndex(value => value >= at);
+  if (after === -1) return points[points.length - 1];
+  const i = Math.max(1, after);
+  const span = along[i] - along[i - 1];
+  const t = span ? (at - along[i - 1]) / span : 0;
+  return {
+    lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * t,
+    lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * t
+  };
+}
+
+/**
+ * Part of a route line between two distances along it, in travel order
+ */
+function slicePath(route, from, to) {
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  const inside = route.points.filter((point, i) => route.along[i] > start && route.along[i] < end);
+  const path = [pointAt(route, start), ...inside, pointAt(route, end)];
+  return from <= to ? path : path.reverse();
+}
+
+/**
+ * Journey planner over the minibus taxi network. The network is a graph
+ * whose nodes are taxi ranks (route ends, merged when several routes start or
+ * finish at the same place) and stops along each route where it meets
+ * another route. Riding between consecutive stops of a route, walking from a
+ * route end to its rank and walking between routes that pass close to each
+ * other are the edges. Routes are ridden in both directions, as taxis return
+ * along the road they came. The same graph gives travel times for isochrones
+ * and commute scores.
+ */
+class TaxiJourneyPlanner {
+  constructor() {
+    this.client = null;
+    this.network = null;
+    this.building = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      this.client = new MongoClient(process.env.MONGODB_URI);
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+
+  /**
+   * The network, built from taxi_routes and cached for NETWORK_TTL_MS
+   */
+  async getNetwork() {
+    if (this.network && Date.now() < this.network.expiresAt) return this.network;
+
+    if (!this.building) {
+      this.building = (async () => {
+        await this.connect();
+        const [routeDocs, neighborhoods] = await Promise.all([
+          this.client.db().collection('taxi_routes')
+            .find({}, { projection: { properties: 1, geometry: 1 } })
+            .toArray(),
+          Neighborhood.find({ coordinates: { $exists: true } }, { name: 1, coordinates: 1 }).lean()
+        ]);
+
+        const network = this.buildNetwork(routeDocs, neighborhoods);
+        network.expiresAt = Date.now() + NETWORK_TTL_MS;
+        this.network = network;
+        return network;
+      })().finally(() => {
+        this.building = null;
+      });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Build the graph from taxi_routes documents
+   * @param {Array} routeDocs - taxi_routes documents
+   * @param {Array} neighborhoods - [{ name, coordinates }] for resolving and labelling places
+   * @returns {Object} - { routes, ranks, rankGrid, stops, nodes, edges, grid, samples, neighborhoods }
+   */
+  buildNetwork(routeDocs, neighborhoods = []) {
+    const started = Date.now();
+
+    const routes = routeDocs.map(doc => ({
+      routeId: doc.properties?.OBJECTID,
+      origin: doc.properties?.ORGN,
+      destination: doc.properties?.DSTN,
+      ...toLine(doc.geometry)
+    })).filter(route => route.points.length >= 2 && route.along[route.along.length - 1] > 0);
+
+    const originLat = routes.length ? routes[0].points[0].lat : -33.9;
+    const nodes = new Map();
+    const edges = new Map();
+    const addNode = (id, node) => {
+      nodes.set(id, node);
+      edges.set(id, []);
+    };
+    const link = (a, b, kind, distance, route = null) => {
+      edges.get(a).push({ to: b, kind, distance, route });
+      edges.get(b).push({ to: a, kind, distance, route });
+    };
+
+    // Ranks: route ends within RANK_RADIUS_M of an existing rank join it
+    const ranks = [];
+    const rankGrid = new SpatialGrid(RANK_RADIUS_M, originLat);
+    const rankFor = (point, name) => {
+      const rank = rankGrid.near(point, RANK_RADIUS_M)
+        .map(candidate => ({ candidate, distance: distanceM(candidate, point) }))
+        .filter(({ distance }) => distance <= RANK_RADIUS_M)
+        .sort((a, b) => a.distance - b.distance)[0]?.candidate;
+      if (rank) {
+        if (name) rank.names.set(name, (rank.names.get(name) || 0) + 1);
+        return rank;
+      }
+
+      const created = { id: `rank:${ranks.length}`, lat: point.lat, lng: point.lng, names: new Map(name ? [[name, 1]] : []) };
+      ranks.push(created);
+      rankGrid.add(point, created);
+      addNode(created.id, { type: 'rank', rank: created });
+      return created;
+    };
+
+    // Stops per route, by distance along it
+    const stops = routes.map(() => []);
+    const addStop = (r, at) => {
+      const id = `stop:${r}:${stops[r].length}`;
+      stops[r].push({ id, at });
+      addNode(id, { type: 'stop', route: r, at });
+      return id;
+    };
+
+    routes.forEach((route, r) => {
+      const last = route.points.length - 1;
+      const start = rankFor(route.points[0], route.origin);
+      const end = rankFor(route.points[last], route.destination);
+      link(addStop(r, 0), start.id, 'walk', distanceM(route.points[0], start));
+      link(addStop(r, route.along[last]), end.id, 'walk', distanceM(route.points[last], end));
+    });
+
+    // Samples along every route, for transfers, boarding near a place and
+    // where passengers can get off
+    const grid = new SpatialGrid(TRANSFER_RADIUS_M, originLat);
+    const samples = routes.map((route, r) => {
+      const routeSamples = [];
+      let lastAt = -Infinity;
+      route.points.forEach((point, i) => {
+        const at = route.along[i];
+        if (at - lastAt < SAMPLE_SPACING_M && i !== route.points.length - 1) return;
+        const sample = { route: r, at, lat: point.lat, lng: point.lng };
+        grid.add(point, sample);
+        routeSamples.push(sample);
+        lastAt = at;
+      });
+      return routeSamples;
+    });
+
+    // Transfers: closest approaches between pairs of routes
+    const candidates = new Map();
+    for (const cell of grid.cells.values()) {
+      for (const sample of cell) {
+        for (const other of grid.near(sample, TRANSFER_RADIUS_M)) {
+          if (other.route <= sample.route) continue;
+          const distance = distanceM(sample, other);
+          if (distance > TRANSFER_RADIUS_M) continue;
+          const key = `${sample.route}:${other.route}`;
+          if (!candidates.has(key)) candidates.set(key, []);
+          candidates.get(key).push({ a: sample, b: other, distance });
+        }
+      }
+    }
+
+    let transfers = 0;
+    for (const pairs of candidates.values()) {
+      const kept = [];
+      pairs.sort((x, y) => x.distance - y.distance).forEach(pair => {
+        const tooClose = kept.some(other =>
+          Math.abs(other.a.at - pair.a.at) < TRANSFER_SPACING_M || Math.abs(other.b.at - pair.b.at) < TRANSFER_SPACING_M
+        );
+        if (!tooClose) kept.push(pair);
+      });
+      kept.forEach(({ a, b, distance }) => {
+        link(addStop(a.route, a.at), addStop(b.route, b.at), 'walk', distance);
+        transfers += 1;
+      });
+    }
+
+    // Rides between consecutive stops of each route
+    stops.forEach((routeStops, r) => {
+      routeStops.sort((a, b) => a.at - b.at);
+      for (let i = 1; i < routeStops.length; i++) {
+        link(routeStops[i - 1].id, routeStops[i].id, 'ride', routeStops[i].at - routeStops[i - 1].at, r);
+      }
+    });
+
+    ranks.forEach(rank => {
+      rank.name = [...rank.names.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    });
+
+    logger.info(`🚐 Taxi network: ${routes.length} routes, ${ranks.length} ranks, ${transfers} transfers in ${Date.now() - started}ms`);
+
+    return {
+      routes,
+      ranks,
+      rankGrid,
+      stops,
+      nodes,
+      edges,
+      grid,
+      samples,
+      neighborhoods: neighborhoods.filter(n => n.name && n.coordinates)
+    };
+  }
+
+  /**
+   * Resolve a place: "lat,lng", a rank name or a neighborhood name
+   * @returns {Object|null} - { name, type, lat, lng, ranks }
+   */
+  resolvePlace(network, text) {
+    const value = String(text || '').trim();
+    const coordinates = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (coordinates) {
+      return { name: value, type: 'point', lat: parseFloat(coordinates[1]), lng: parseFloat(coordinates[2]), ranks: [] };
+    }
+
+    const name = (SUBURB_ALIASES[value.toLowerCase()] || value).toLowerCase();
+    if (!name) return null;
+
+    const matching = (candidates, getNames) => {
+      const exact = candidates.filter(item => getNames(item).some(candidate => candidate.toLowerCase() === name));
+      return exact.length ? exact : candidates.filter(item => getNames(item).some(candidate => candidate.toLowerCase().includes(name)));
+    };
+
+    const ranks = matching(network.ranks, rank => [...rank.names.keys()]);
+    const places = matching(network.neighborhoods, n => [n.name]);
+    if (!ranks.length && !places.length) return null;
+
+    const points = places.length ? places.map(n => n.coordinates) : ranks;
+    return {
+      name: places.length ? places[0].name : ranks[0].name,
+      type: places.length ? 'neighborhood' : 'rank',
+      lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+      lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length,
+      ranks
+    };
+  }
+
+  /**
+   * resolvePlace, failing with a 404 error for unknown places
+   */
+  findPlace(network, text) {
+    const place = this.resolvePlace(network, text);
+    if (!place) {
+      const error = new Error(`Unknown place "${text}"`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return place;
+  }
+
+  /**
+   * Query-only nodes and edges joining a place to the graph: to its named
+   * ranks, and by walking to the closest point of every route within
+   * ACCESS_RADIUS_M. They go in the query's own maps so concurrent plans
+   * never see each other's.
+   */
+  connectPlace(network, place, id, query) {
+    const add = (from, edge) => {
+      if (!query.edges.has(from)) query.edges.set(from, []);
+      query.edges.get(from).push(edge);
+    };
+    const isTarget = id === 'target';
+
+    place.ranks.forEach(rank => {
+      if (isTarget) add(rank.id, { to: id, kind: 'walk', distance: 0 });
+      else add(id, { to: rank.id, kind: 'walk', distance: 0 });
+    });
+
+    const closest = new Map();
+    network.grid.near(place, ACCESS_RADIUS_M).forEach(sample => {
+      const distance = distanceM(place, sample);
+      if (distance > ACCESS_RADIUS_M) return;
+      if (!closest.has(sample.route) || closest.get(sample.route).distance > distance) {
+        closest.set(sample.route, { sample, distance });
+      }
+    });
+
+    // A temporary stop on each nearby route, ridden to the stops either side
+    closest.forEach(({ sample, distance }, r) => {
+      const stopId = `${id}:${r}`;
+      query.nodes.set(stopId, { type: 'stop', route: r, at: sample.at });
+      if (isTarget) add(stopId, { to: id, kind: 'walk', distance });
+      else add(id, { to: stopId, kind: 'walk', distance });
+
+      const routeStops = network.stops[r];
+      const after = routeStops.findIndex(stop => stop.at >= sample.at);
+      const neighbours = after === -1
+        ? [routeStops[routeStops.length - 1]]
+        : [routeStops[after - 1], routeStops[after]].filter(Boolean);
+      neighbours.forEach(stop => {
+        const ride = { kind: 'ride', distance: Math.abs(stop.at - sample.at), route: r };
+        add(stopId, { ...ride, to: stop.id });
+        add(stop.id, { ...ride, to: stopId });
+      });
+    });
+
+    return closest;
+  }
+
+  /**
+   * Dijkstra from the source node. stepCost(edge, boarding) prices each
+   * edge; boarding is true when it gets on a taxi from a rank, a walk or
+   * another route.
+   * @param {Object} options - { bannedRoutes: route indexes that may not be ridden, maxCost }
+   * @returns {Object} - { best: Map of node id to cost, previous: Map of node id to { node, edge } }
+   */
+  explore(network, query, stepCost, { bannedRoutes = new Set(), maxCost = Infinity } = {}) {
+    const getNode = (id) => query.nodes.get(id) || network.nodes.get(id);
+    const best = new Map([['source', 0]]);
+    const previous = new Map();
+    const heap = new MinHeap();
+    heap.push(0, 'source');
+
+    while (heap.size) {
+      const [cost, node] = heap.pop();
+      if (node === 'target') break;
+      if (cost > best.get(node)) continue;
+
+      const fromNode = getNode(node);
+      const outgoing = (network.edges.get(node) || []).concat(query.edges.get(node) || []);
+      for (const edge of outgoing) {
+        const toNode = getNode(edge.to);
+        if (toNode?.type === 'stop' && bannedRoutes.has(toNode.route)) continue;
+
+        const boarding = toNode?.type === 'stop' && edge.kind === 'walk' && !(fromNode?.type === 'stop' && fromNode.route === toNode.route);
+        const next = cost + stepCost(edge, boarding);
+        if (next <= maxCost && next < (best.get(edge.to) ?? Infinity)) {
+          best.set(edge.to, next);
+          previous.set(edge.to, { node, edge });
+          heap.push(next, edge.to);
+        }
+      }
+    }
+
+    return { best, previous };
+  }
+
+  /**
+   * Cheapest path from source to target. Boarding a taxi costs
+   * BOARDING_PENALTY_M and walking counts WALK_WEIGHT times.
+   * @param {Set} bannedRoutes - Route indexes that may not be ridden
+   * @returns {Object|null} - { cost, steps: [{ node, edge }] } from source to target
+   */
+  shortestPath(network, query, bannedRoutes) {
+    const { best, previous } = this.explore(network, query, distanceCost, { bannedRoutes });
+    if (!previous.has('target')) return null;
+
+    const steps = [];
+    for (let node = 'target'; node !== 'source'; node = previous.get(node).node) {
+      steps.unshift({ node, edge: previous.get(node).edge });
+    }
+    return { cost: best.get('target'), steps };
+  }
+
+  /**
+   * Minutes from a place to the points of the network reachable within
+   * maxMinutes. Passengers can get off anywhere along a route, so every
+   * route sample gets the time of the best stop it can be ridden to from.
+   * @returns {Array} - [{ lat, lng, minutes }], starting with the place itself
+   */
+  travelTimes(network, place, maxMinutes) {
+    const query = { nodes: new Map(), edges: new Map() };
+    this.connectPlace(network, place, 'source', query);
+    const { best } = this.explore(network, query, minutesCost, { maxCost: maxMinutes });
+
+    const boarded = network.routes.map(() => []);
+    best.forEach((minutes, id) => {
+      const node = query.nodes.get(id) || network.nodes.get(id);
+      if (node?.type === 'stop') boarded[node.route].push({ at: node.at, minutes });
+    });
+
+    const reached = [{ lat: place.lat, lng: place.lng, minutes: 0 }];
+    network.samples.forEach((routeSamples, r) => {
+      if (!boarded[r].length) return;
+      routeSamples.forEach(sample => {
+        const minutes = Math.min(...boarded[r].map(stop => stop.minutes + Math.abs(stop.at - sample.at) / TAXI_M_PER_MIN));
+        if (minutes < maxMinutes) reached.push({ lat: sample.lat, lng: sample.lng, minutes });
+      });
+    });
+    return reached;
+  }
+
+  /**
+   * Area reachable from a place within a number of minutes by taxi and on
+   * foot, as a GeoJSON FeatureCollection with one MultiPolygon per time band.
+   * From every point reached, the rest of the time is spent walking (at most
+   * ACCESS_RADIUS_M).
+   * @param {string} fromText - "lat,lng", rank or neighborhood name
+   * @param {Object} options - { minutes }
+   * @returns {Promise<Object>} - { origin, minutes, bands, isochrone }
+   */
+  async isochrone(fromText, { minutes = 60 } = {}) {
+    const network = await this.getNetwork();
+    const origin = this.findPlace(network, fromText);
+    const reached = this.travelTimes(network, origin, minutes);
+
+    // Cells reached, with the earliest arrival in each
+    const cells = new SpatialGrid(ISOCHRONE_CELL_M, origin.lat);
+    const seeds = new Map();
+    reached.forEach(point => {
+      const key = cells.cellOf(point).join(':');
+      if (!seeds.has(key) || seeds.get(key).minutes > point.minutes) seeds.set(key, point);
+    });
+
+    const arrivals = new Map();
+    seeds.forEach(seed => {
+      const radius = Math.min((minutes - seed.minutes) * WALK_M_PER_MIN, ACCESS_RADIUS_M);
+      const [x, y] = cells.cellOf(seed);
+      const reach = Math.ceil(radius / ISOCHRONE_CELL_M);
+      for (let dx = -reach; dx <= reach; dx++) {
+        for (let dy = -reach; dy <= reach; dy++) {
+          const walk = distanceM(seed, cells.centreOf(x + dx, y + dy));
+          if (walk > radius) continue;
+          const key = `${x + dx}:${y + dy}`;
+          const arrival = seed.minutes + walk / WALK_M_PER_MIN;
+          if (!arrivals.has(key) || arrivals.get(key) > arrival) arrivals.set(key, arrival);
+        }
+      }
+    });
+
+    const bands = [...ISOCHRONE_BANDS.filter(band => band < minutes), minutes];
+    const rows = bands.map(() => new Map());
+    arrivals.forEach((arrival, key) => {
+      const [x, y] = key.split(':').map(Number);
+      const band = bands.findIndex(limit => arrival <= limit);
+      if (!rows[band].has(y)) rows[band].set(y, []);
+      rows[band].get(y).push(x);
+    });
+
+    // Runs of neighbouring cells in a row are merged into one rectangle
+    const features = bands.map((band, i) => {
+      const polygons = [];
+      let count = 0;
+      rows[i].forEach((xs, y) => {
+        xs.sort((a, b) => a - b);
+        count += xs.length;
+        let runStart = xs[0];
+        xs.forEach((x, j) => {
+          if (xs[j + 1] === x + 1) return;
+          polygons.push([cells.ringOf(runStart, x, y)]);
+          runStart = xs[j + 1];
+        });
+      });
+
+      return {
+        type: 'Feature',
+        properties: {
+          minutes: band,
+          fromMinutes: i ? bands[i - 1] : 0,
+          areaKm2: Math.round((count * ISOCHRONE_CELL_M * ISOCHRONE_CELL_M) / 10000) / 100
+        },
+        geometry: { type: 'MultiPolygon', coordinates: polygons }
+      };
+    });
+
+    logger.info(`🕒 Isochrone from ${origin.name}: ${reached.length} points reached within ${minutes} min`);
+
+    return {
+      origin: { name: origin.name, type: origin.type, lat: origin.lat, lng: origin.lng },
+      minutes,
+      bands,
+      isochrone: { type: 'FeatureCollection', features }
+    };
+  }
+
+  /**
+   * Commute time from every neighborhood to a workplace by taxi and on foot,
+   * scored from 100 (on the doorstep) down to 0 at maxMinutes. Neighborhoods
+   * beyond maxMinutes have commuteMinutes null.
+   * @param {string} workplaceText - "lat,lng", rank or neighborhood name
+   * @param {Object} options - { maxMinutes }
+   * @returns {Promise<Object>} - { workplace, maxMinutes, neighborhoods }
+   */
+  async commuteScores(workplaceText, { maxMinutes = 60 } = {}) {
+    const network = await this.getNetwork();
+    const workplace = this.findPlace(network, workplaceText);
+
+    // The network is undirected, so times from the workplace are commute times
+    const reached = new SpatialGrid(ACCESS_RADIUS_M, workplace.lat);
+    this.travelTimes(network, workplace, maxMinutes).forEach(point => reached.add(point, point));
+
+    const neighborhoods = network.neighborhoods.map(neighborhood => {
+      const home = neighborhood.coordinates;
+      const minutes = reached.near(home, ACCESS_RADIUS_M).reduce((fastest, point) => {
+        const walk = distanceM(home, point);
+        if (walk > ACCESS_RADIUS_M) return fastest;
+        return Math.min(fastest, point.minutes + walk / WALK_M_PER_MIN);
+      }, Infinity);
+
+      const reachable = minutes <= maxMinutes;
+      return {
+        id: neighborhood._id,
+        name: neighborhood.name,
+        commuteMinutes: reachable ? Math.round(minutes) : null,
+        commuteScore: reachable ? Math.round(100 * (1 - minutes / maxMinutes)) : 0
+      };
+    }).sort((a, b) => b.commuteScore - a.commuteScore || a.name.localeCompare(b.name));
+
+    logger.info(`🕒 Commute to ${workplace.name}: ${neighborhoods.filter(n => n.commuteMinutes !== null).length}/${neighborhoods.length} neighborhoods within ${maxMinutes} min`);
+
+    return {
+      workplace: { name: workplace.name, type: workplace.type, lat: workplace.lat, lng: workplace.lng },
+      maxMinutes,
+      neighborhoods
+    };
+  }
+
+  /**
+   * Name for a point where a passenger gets on or off
+   */
+  labelStop(network, node) {
+    const route = network.routes[node.route];
+    const point = pointAt(route, node.at);
+
+    const routeEnd = route.along[route.along.length - 1];
+    if (node.at === 0 && route.origin) return { name: route.origin, ...point };
+    if (node.at === routeEnd && route.destination) return { name: route.destination, ...point };
+
+    const rank = network.rankGrid.near(point, RANK_RADIUS_M).find(candidate => distanceM(candidate, point) <= RANK_RADIUS_M);
+    if (rank?.name) return { name: rank.name, ...point };
+
+    const nearest = network.neighborhoods
+      .map(n => ({ name: n.name, distance: distanceM(n.coordinates, point) }))
+      .filter(n => n.distance <= LABEL_RADIUS_M)
+      .sort((a, b) => a.distance - b.distance)[0];
+    return { name: nearest ? `Near ${nearest.name}` : `On ${route.origin} – ${route.destination}`, ...point };
+  }
+
+  /**
+   * Turn a path into taxi and walk legs with distances and a time estimate
+   */
+  toItinerary(network, query, path, from, to) {
+    const getNode = (id) => query.nodes.get(id) || network.nodes.get(id);
+    const legs = [];
+    let walking = null;
+    let riding = null;
+
+    const pointOf = (id) => {
+      if (id === 'source') return { name: from.name, lat: from.lat, lng: from.lng };
+      if (id === 'target') return { name: to.name, lat: to.lat, lng: to.lng };
+      const node = getNode(id);
+      if (node.type === 'rank') return { name: node.rank.name, lat: node.rank.lat, lng: node.rank.lng };
+      return this.labelStop(network, node);
+    };
+
+    const closeRide = () => {
+      if (!riding) return;
+      const route = network.routes[riding.route];
+      legs.push({
+        type: 'taxi',
+        routeId: route.routeId,
+        origin: route.origin,
+        destination: route.destination,
+        from: this.labelStop(network, riding.from),
+        to: this.labelStop(network, riding.to),
+        distanceKm: roundKm(Math.abs(riding.to.at - riding.from.at)),
+        path: slicePath(route, riding.from.at, riding.to.at)
+      });
+      riding = null;
+    };
+    const closeWalk = () => {
+      if (!walking) return;
+      if (walking.distance >= 1) {
+        legs.push({
+          type: 'walk',
+          from: walking.from,
+          to: walking.to,
+          distanceKm: roundKm(walking.distance),
+          path: [walking.from, walking.to].map(({ lat, lng }) => ({ lat, lng }))
+        });
+      }
+      walking = null;
+    };
+
+    let at = 'source';
+    path.steps.forEach(({ node, edge }) => {
+      if (edge.kind === 'ride') {
+        closeWalk();
+        const fromNode = getNode(at);
+        const toNode = getNode(node);
+        if (riding && riding.route === edge.route) riding.to = toNode;
+        else {
+          closeRide();
+          riding = { route: edge.route, from: fromNode, to: toNode };
+        }
+      } else {
+        closeRide();
+        if (!walking) walking = { from: pointOf(at), to: null, distance: 0 };
+        walking.to = pointOf(node);
+        walking.distance += edge.distance;
+      }
+      at = node;
+    });
+    closeRide();
+    closeWalk();
+
+    const taxiLegs = legs.filter(leg => leg.type === 'taxi');
+    const taxiKm = taxiLegs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+    const walkKm = legs.filter(leg => leg.type === 'walk').reduce((sum, leg) => sum + leg.distanceKm, 0);
+
+    return {
+      legs,
+      transfers: Math.max(0, taxiLegs.length - 1),
+      distanceKm: Math.round((taxiKm + walkKm) * 10) / 10,
+      taxiDistanceKm: Math.round(taxiKm * 10) / 10,
+      walkDistanceKm: Math.round(walkKm * 10) / 10,
+      estimatedMinutes: Math.round(
+        (taxiKm * 1000) / TAXI_M_PER_MIN + (walkKm * 1000) / WALK_M_PER_MIN + taxiLegs.length * WAIT_MINUTES_PER_TAXI
+      ),
+      routeIds: taxiLegs.map(leg => leg.routeId)
+    };
+  }
+
+  /**
+   * Ranked itineraries between two places. Alternatives come from searching
+   * again without each route the better itineraries ride.
+   * @param {string} fromText - "lat,lng", rank or neighborhood name
+   * @param {string} toText - "lat,lng", rank or neighborhood name
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { from, to, itineraries }
+   */
+  async plan(fromText, toText, { limit = 3 } = {}) {
+    const network = await this.getNetwork();
+
+    const from = this.findPlace(network, fromText);
+    const to = this.findPlace(network, toText);
+
+    const query = { nodes: new Map(), edges: new Map() };
+    this.connectPlace(network, from, 'source', query);
+    this.connectPlace(network, to, 'target', query);
+
+    // Board and alight on the same route when both places are on it
+    query.nodes.forEach((node, id) => {
+      const alight = `target:${node.route}`;
+      if (id.startsWith('source:') && query.nodes.has(alight)) {
+        query.edges.get(id).push({ to: alight, kind: 'ride', distance: Math.abs(query.nodes.get(alight).at - node.at), route: node.route });
+      }
+    });
+
+    const found = [];
+    const seen = new Set();
+    const tried = new Set();
+    const queue = [new Set()];
+    let searches = 0;
+
+    while (queue.length && found.length < limit && searches < MAX_SEARCHES) {
+      const banned = queue.shift();
+      const key = [...banned].sort().join(',');
+      if (tried.has(key)) continue;
+      tried.add(key);
+      searches += 1;
+
+      const path = this.shortestPath(network, query, banned);
+      if (!path) continue;
+
+      const itinerary = this.toItinerary(network, query, path, from, to);
+      const signature = itinerary.routeIds.join('>');
+      if (!itinerary.routeIds.length || seen.has(signature)) continue;
+      seen.add(signature);
+      if (itinerary.transfers <= MAX_TRANSFERS) found.push({ ...itinerary, score: path.cost });
+
+      path.steps
+        .filter(step => step.edge.kind === 'ride')
+        .forEach(step => queue.push(new Set([...banned, step.edge.route])));
+    }
+
+    logger.info(`🚐 Planned ${from.name} → ${to.name}: ${found.length} itineraries from ${searches} searches`);
+
+    return {
+      from: { name: from.name, type: from.type, lat: from.lat, lng: from.lng },
+      to: { name: to.name, type: to.type, lat: to.lat, lng: to.lng },
+      itineraries: found.sort((a, b) => a.score - b.score).map(({ score, ...itinerary }) => itinerary)
+    };
+  }
+}
+
+module.exports = new TaxiJourneyPlanner();
+module.exports.TRAVEL_ASSUMPTIONS = TRAVEL_ASSUMPTIONS;
@@ -0,0 +1,168 @@
+/**
+ * Deterministic tool selection for chat messages. Used instead of Gemini
+ * function calling in mock mode (and when Gemini fails), and to tell the
+ * model a message needs data. Same message in, same tool calls out.
+ * Patterns cover English, Afrikaans and isiXhosa; isiXhosa stems are matched
+ * inside words because they take prefixes ("ezinezikolo", "eziteksi").
+ */
+const { SUBURB_ALIASES } = require('./languages');
+
+// Checked in order; tools marked needsNeighborhood only run when the message
+// names a known neighborhood
+const ROUTES = [
+  {
+    tool: 'find_nearby_hospitals',
+    pattern: /\b(hospitals?|clinics?|medical|healthcare|health care|doctors?|emergency room|hospitaal|hospitale|klinieke?|dokters?|mediese)\b|[sz]ibhedlele|kliniki|gqirha/i,
+    needsNeighborhood: true
+  },
+  {
+    tool: 'find_nearby_schools',
+    pattern: /\b(schools?|primary|high school|education|skole?|laerskole?|hoërskole?|onderwys)\b|[sz]ikolo|mfundo/i,
+    needsNeighborhood: true
+  },
+  {
+    tool: 'find_taxi_routes',
+    pattern: /\b(taxis?|minibus(es)?|taxi routes?|taxi-?roetes?|taxi's|minibusse)\b|teksi/i
+  },
+  {
+    tool: 'get_crime_stats',
+    pattern: /\b(crimes?|criminal|safe|safety|dangerous|burglar(y|ies)|robber(y|ies)|theft|muggings?|misdaad|veilig(heid)?|gevaarlik|inbrake?|rooftogte?|diefstal)\b|khusel|lwaphulo-?mthetho|ubugebenga|ingozi/i,
+    needsNeighborhood: true
+  },
+  {
+    tool: 'predict_rent',
+    pattern: /\b(forecast|predict(ed|ion)?|future rents?|will rents?|rent (growth|increase)|price trends?|next year|voorspel(ling)?|volgende jaar|huurverhoging)\b|qikelel|nyaka ozayo/i,
+    needsNeighborhood: true
+  },
+  {
+    tool: 'search_rentals',
+    pattern: /\b(rentals?|listings?|flats?|apartments?|houses? (to|for) rent|to rent|for rent|\d+\s*-?\s*bed(room)?s?|woonstelle?|te huur|huurhuis|\d+\s*-?\s*slaapkamers?)\b|flethi|ndlu yokurenta|\d+\s*amagumbi/i
+  }
+];
+
+const parseAmount = (text) => Number(text.replace(/[\s,]/g, ''));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Longest known neighborhood name mentioned in the message, by name, with an
+ * isiXhosa prefix ("eKhayelitsha", "kwaLanga") or by alias ("Seepunt")
+ */
+function findNeighborhood(message, neighborhoodNames = []) {
+  const lower = message.toLowerCase();
+  const named = neighborhoodNames
+    .filter(name => name && new RegExp(`\\b(?:e|kwa|i|ne|na|nase)?-?${escapeRegExp(name.toLowerCase())}\\b`).test(lower))
+    .sort((a, b) => b.length - a.length)[0];
+  if (named) return named;
+
+  const alias = Object.keys(SUBURB_ALIASES)
+    .filter(key => new RegExp(`\\b${escapeRegExp(key)}\\b`).test(lower))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!alias) return null;
+  const canonical = SUBURB_ALIASES[alias].toLowerCase();
+  return neighborhoodNames.find(name => name && name.toLowerCase() === canonical) || null;
+}
+
+function extractRadiusKm(message) {
+  const match = message.match(/(\d+(?:\.\d+)?)\s*(km|kilomet(?:re|er)s?|m|met(?:re|er)s?)\b/i);
+  if (!match) return undefined;
+  const value = Number(match[1]);
+  return /^k/i.test(match[2]) ? value : value / 1000;
+}
+
+function extractMonths(message) {
+  const match = message.match(/(\d+)\s*(months?|years?)\b/i);
+  if (!match) return undefined;
+  return /^y/i.test(match[2]) ? Number(match[1]) * 12 : Number(match[1]);
+}
+
+function extractRentalFilters(message) {
+  const filters = {};
+
+  const max = message.match(/(?:under|below|less than|max(?:imum)?|up to|budget of|onder|minder as|hoogstens|ngaphantsi kwe-?|engadluli kwi-?)\s*R?\s*(\d{1,3}(?:[\s,]\d{3})+|\d+)/i);
+  if (max) filters.maxPrice = parseAmount(max[1]);
+
+  const min = message.match(/(?:over|above|more than|at least|min(?:imum)?|bo|meer as|ten minste|ngaphezu kwe-?)\s*R?\s*(\d{1,3}(?:[\s,]\d{3})+|\d+)/i);
+  if (min) filters.minPrice = parseAmount(min[1]);
+
+  const bedrooms = message.match(/(\d+)\s*-?\s*(?:bed(?:room)?s?|slaapkamers?)\b/i) || message.match(/amagumbi(?: okulala)? a-?(\d+)/i);
+  if (bedrooms) filters.bedrooms = Number(bedrooms[1]);
+
+  if (/\b(unfurnished|ongemeubileer(de)?)\b/i.test(message)) filters.furnished = 'Unfurnished';
+  else if (/\b(semi-?furnished|semi-?gemeubileer(de)?)\b/i.test(message)) filters.furnished = 'Semi-furnished';
+  else if (/\b(furnished|gemeubileer(de)?)\b|nefenitshala/i.test(message)) filters.furnished = 'Fully furnished';
+
+  if (/\b(pets?|dogs?|cats?|troeteldiere?|honde?|katte?)\b|zilwanyana|nja\b|ikati/i.test(message)) filters.petsAllowed = true;
+
+  return filters;
+}
+
+// "from X to Y", Afrikaans "van X na Y" and isiXhosa "ukusuka eX ukuya eY"
+const JOURNEY_PATTERNS = [
+  /\bfrom\s+([a-z][a-z\s'-]*?)\s+to\s+([a-z][a-z\s'-]*?)(?=[?.!,]|$)/i,
+  /\bvan\s+([a-z][a-z\s'-]*?)\s+na\s+([a-z][a-z\s'-]*?)(?=[?.!,]|$)/i,
+  /\bukusuka\s+([a-z][a-z\s'-]*?)\s+ukuya\s+([a-z][a-z\s'-]*?)(?=[?.!,]|$)/i
+];
+
+// isiXhosa locative prefix on a place name: "eLanga", "kwa-Langa", "e-Nyanga"
+const stripLocative = (place) => place.trim().replace(/^(?:e|kwa)(?:-|(?=[A-Z]))/, '');
+
+function extractJourney(message) {
+  for (const pattern of JOURNEY_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) return { origin: stripLocative(match[1]), destination: stripLocative(match[2]) };
+  }
+  return null;
+}
+
+/**
+ * Pick the tools that answer a message, with their arguments
+ * @param {string} message - User message
+ * @param {Array<string>} neighborhoodNames - Known neighborhood names
+ * @returns {Array} - [{ name, args }], empty when no tool applies
+ */
+function routeMessage(message, neighborhoodNames = []) {
+  const neighborhood = findNeighborhood(message, neighborhoodNames);
+  const calls = [];
+
+  ROUTES.forEach(({ tool, pattern, needsNeighborhood }) => {
+    if (!pattern.test(message)) return;
+    if (needsNeighborhood && !neighborhood) return;
+
+    switch (tool) {
+      case 'find_nearby_hospitals':
+      case 'find_nearby_schools': {
+        const radiusKm = extractRadiusKm(message);
+        calls.push({ name: tool, args: { neighborhood, ...(radiusKm && { radiusKm }) } });
+        break;
+      }
+      case 'find_taxi_routes': {
+        const journey = extractJourney(message);
+        if (journey) calls.push({ name: tool, args: journey });
+        else if (neighborhood) calls.push({ name: tool, args: { neighborhood } });
+        break;
+      }
+      case 'get_crime_stats':
+      case 'predict_rent': {
+        const months = extractMonths(message);
+        calls.push({ name: tool, args: { neighborhood, ...(months && { months }) } });
+        break;
+      }
+      case 'search_rentals':
+        calls.push({
+          name: tool,
+          args: { ...(neighborhood && { location: neighborhood }), ...extractRentalFilters(message) }
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return calls;
+}
+
+module.exports = {
+  routeMessage,
+  findNeighborhood
+};
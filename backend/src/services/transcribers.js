@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+/**
+ * Transcribers turn recorded speech into text for chat voice input when the
+ * browser cannot do it itself. Every transcriber exposes name and implements
+ * transcribe({ buffer, mimeType, filename, language }), resolving to
+ * { text, language }.
+ */
+
+// Any server speaking the OpenAI audio transcriptions API, e.g. a local
+// faster-whisper or whisper.cpp server
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:8000/v1';
+const DEFAULT_OPENAI_MODEL = 'whisper-1';
+
+// Transcription of a minute of audio can take a while on a CPU-only server
+const OPENAI_TIMEOUT_MS = 60000;
+
+// Languages Whisper models accept as a hint; isiXhosa is left to detection
+const WHISPER_LANGUAGES = ['en', 'af'];
+
+/**
+ * Offline stand-in that recognizes nothing. It answers with
+ * TRANSCRIBER_STUB_TEXT (empty by default) so the upload path can be
+ * exercised without a speech model.
+ */
+class StubTranscriber {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.text = options.text ?? process.env.TRANSCRIBER_STUB_TEXT ?? '';
+  }
+
+  async transcribe({ buffer, mimeType, language }) {
+    logger.info(`🎙️ [transcribe:stub] ${buffer.length} bytes of ${mimeType || 'audio'}`);
+    return { text: this.text, language };
+  }
+}
+
+class OpenAICompatibleTranscriber {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.TRANSCRIBER_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/$/, '');
+    this.model = options.modelName || process.env.TRANSCRIBER_MODEL || DEFAULT_OPENAI_MODEL;
+    this.apiKey = options.apiKey || process.env.TRANSCRIBER_API_KEY;
+  }
+
+  async transcribe({ buffer, mimeType, filename = 'speech.webm', language }) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType || 'audio/webm' }), filename);
+    form.append('model', this.model);
+    if (WHISPER_LANGUAGES.includes(language)) form.append('language', language);
+
+    const { data } = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: OPENAI_TIMEOUT_MS
+    });
+
+    return { text: (data.text || '').trim(), language: data.language || language };
+  }
+}
+
+const TRANSCRIBERS = {
+  stub: StubTranscriber,
+  openai: OpenAICompatibleTranscriber
+};
+
+/**
+ * Create the transcriber configured by TRANSCRIBER (default "stub")
+ * @param {string} name - Transcriber name
+ * @returns {Object} - Transcriber instance
+ */
+function createTranscriber(name = process.env.TRANSCRIBER || 'stub') {
+  const Transcriber = TRANSCRIBERS[name];
+  if (!Transcriber) {
+    logger.warn(`Unknown transcriber "${name}", falling back to stub`);
+    return new StubTranscriber();
+  }
+  return new Transcriber();
+}
+
+/**
+ * Register a custom transcriber, e.g. a cloud speech service
+ * @param {string} name - Name used in TRANSCRIBER
+ * @param {Function} Transcriber - Class implementing transcribe({ buffer, mimeType, filename, language })
+ */
+function registerTranscriber(name, Transcriber) {
+  TRANSCRIBERS[name] = Transcriber;
+}
+
+module.exports = {
+  StubTranscriber,
+  OpenAICompatibleTranscriber,
+  createTranscriber,
+  registerTranscriber
+};
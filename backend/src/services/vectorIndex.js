@@ -0,0 +1,215 @@
+/**
+ * In-memory vector indexes used when Atlas $vectorSearch is not available.
+ * Both indexes implement add(id, vector) and search(query, k, { ef, allow })
+ * and return [{ id, score }] best first, where score matches Atlas'
+ * vectorSearchScore for cosine similarity: (1 + cosine) / 2. allow is an
+ * optional Set of ids that restricts the search to matching documents.
+ */
+
+const normalize = (vector) => {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const toScore = (cosine) => (1 + cosine) / 2;
+
+/**
+ * Exact search over every vector. Fast enough for a few thousand documents.
+ */
+class FlatIndex {
+  constructor() {
+    this.type = 'flat';
+    this.ids = [];
+    this.vectors = [];
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  add(id, vector) {
+    this.ids.push(id);
+    this.vectors.push(normalize(vector));
+  }
+
+  search(query, k, { allow = null } = {}) {
+    const q = normalize(query);
+    const results = [];
+    this.vectors.forEach((vector, i) => {
+      if (allow && !allow.has(this.ids[i])) return;
+      results.push({ id: this.ids[i], score: toScore(dot(q, vector)) });
+    });
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+// Insert into an array kept sorted by ascending distance
+const insertSorted = (list, item) => {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].distance < item.distance) low = mid + 1;
+    else high = mid;
+  }
+  list.splice(low, 0, item);
+};
+
+/**
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin) for
+ * approximate nearest-neighbour search on larger collections.
+ */
+class HnswIndex {
+  constructor(options = {}) {
+    this.type = 'hnsw';
+    this.M = options.M || 16;
+    this.maxNeighborsLayer0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.nodes = [];
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  distance(q, node) {
+    return 1 - dot(q, this.nodes[node].vector);
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Best-first search of one layer
+   * @returns {Array} - [{ node, distance }] nearest first, at most ef long
+   */
+  searchLayer(q, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints);
+    const candidates = [];
+    const results = [];
+
+    entryPoints.forEach(node => {
+      const item = { node, distance: this.distance(q, node) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    });
+
+    while (candidates.length) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.distance > results[results.length - 1].distance) break;
+
+      this.nodes[current.node].neighbors[layer].forEach(neighbor => {
+        if (visited.has(neighbor)) return;
+        visited.add(neighbor);
+
+        const distance = this.distance(q, neighbor);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          insertSorted(candidates, { node: neighbor, distance });
+          insertSorted(results, { node: neighbor, distance });
+          if (results.length > ef) results.pop();
+        }
+      });
+    }
+
+    return results;
+  }
+
+  // Keep only the closest maxNeighbors links of a node
+  prune(node, layer, maxNeighbors) {
+    const links = this.nodes[node].neighbors[layer];
+    if (links.length <= maxNeighbors) return;
+
+    const vector = this.nodes[node].vector;
+    this.nodes[node].neighbors[layer] = links
+      .map(neighbor => ({ neighbor, distance: this.distance(vector, neighbor) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxNeighbors)
+      .map(({ neighbor }) => neighbor);
+  }
+
+  add(id, vector) {
+    const q = normalize(vector);
+    const level = this.randomLevel();
+    const node = this.nodes.length;
+    this.nodes.push({
+      id,
+      vector: q,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    });
+
+    if (this.entryPoint === null) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(q, [entry], 1, layer)[0].node;
+    }
+
+    let entryPoints = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const nearest = this.searchLayer(q, entryPoints, this.efConstruction, layer);
+      const maxNeighbors = layer === 0 ? this.maxNeighborsLayer0 : this.M;
+
+      nearest.slice(0, this.M).forEach(({ node: neighbor }) => {
+        this.nodes[node].neighbors[layer].push(neighbor);
+        this.nodes[neighbor].neighbors[layer].push(node);
+        this.prune(neighbor, layer, maxNeighbors);
+      });
+      entryPoints = nearest.map(item => item.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  search(query, k, { ef = 100, allow = null } = {}) {
+    if (this.entryPoint === null) return [];
+
+    const q = normalize(query);
+
+    // Graph search would miss restricted matches outside the explored
+    // neighbourhood, so score the allowed nodes exactly
+    if (allow) {
+      return this.nodes
+        .filter(node => allow.has(node.id))
+        .map(node => ({ id: node.id, score: toScore(dot(q, node.vector)) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(q, [entry], 1, layer)[0].node;
+    }
+
+    return this.searchLayer(q, [entry], Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(({ node, distance }) => ({ id: this.nodes[node].id, score: toScore(1 - distance) }));
+  }
+}
+
+module.exports = {
+  FlatIndex,
+  HnswIndex
+};
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const { FlatIndex, HnswIndex } = require('./vectorIndex');
+const { logger } = require('../utils/logger');
+
+// Collections larger than this use the approximate HNSW index
+const HNSW_THRESHOLD = 2000;
+
+// After $vectorSearch fails, use the in-memory index for this long before
+// trying Atlas again
+const ATLAS_RETRY_MS = 10 * 60 * 1000;
+
+/**
+ * Vector search over a collection's stored embeddings. Uses Atlas
+ * $vectorSearch when it is available and otherwise an in-memory index built
+ * from the same vectors, returning the same documents with the same scores.
+ *
+ * VECTOR_SEARCH_BACKEND: "auto" (default), "atlas" or "memory".
+ */
+class VectorIndexService {
+  constructor() {
+    this.backend = process.env.VECTOR_SEARCH_BACKEND || 'auto';
+    this.atlasRetryAt = 0;
+    this.indexes = new Map();
+    this.building = new Map();
+  }
+
+  /**
+   * Nearest documents to queryVector
+   * @param {Model} Model - Mongoose model holding the vectors
+   * @param {Object} options - { index, path, queryVector, limit, numCandidates, version,
+   *   excludeId, filter }. filter is a MongoDB query limited to the operators
+   *   $vectorSearch accepts, on fields declared as filters in the Atlas index.
+   * @returns {Promise<Array>} - Documents (without the vector) with a score field
+   */
+  async search(Model, options) {
+    const useAtlas = this.backend === 'atlas'
+      || (this.backend === 'auto' && Date.now() >= this.atlasRetryAt);
+
+    if (useAtlas) {
+      try {
+        return await this.atlasSearch(Model, options);
+      } catch (error) {
+        if (this.backend === 'atlas') throw error;
+
+        logger.warn(`$vectorSearch unavailable, using in-memory vector index: ${error.message}`);
+        this.atlasRetryAt = Date.now() + ATLAS_RETRY_MS;
+      }
+    }
+
+    return this.memorySearch(Model, options);
+  }
+
+  async atlasSearch(Model, {
+    index,
+    path = 'vectorEmbedding',
+    queryVector,
+    limit = 10,
+    numCandidates = 100,
+    version = null,
+    excludeId = null,
+    filter = null
+  }) {
+    const filtered = version || excludeId;
+    const pipeline = [
+      {
+        $vectorSearch: {
+          index,
+          path,
+          queryVector,
+          numCandidates: Math.max(numCandidates, limit),
+          // Leave room for results dropped by the filters below
+          limit: filtered ? Math.max(numCandidates, limit + 1) : limit,
+          ...(filter && Object.keys(filter).length && { filter })
+        }
+      },
+      {
+        $addFields: {
+          score: { $meta: 'vectorSearchScore' }
+        }
+      }
+    ];
+
+    if (version) {
+      pipeline.push({ $match: { 'embeddingMeta.version': version } });
+    }
+
+    if (excludeId) {
+      pipeline.push({ $match: { _id: { $ne: new mongoose.Types.ObjectId(excludeId) } } });
+    }
+
+    pipeline.push({ $limit: limit });
+    pipeline.push({ $project: { [path]: 0 } });
+
+    return Model.aggregate(pipeline);
+  }
+
+  async memorySearch(Model, {
+    path = 'vectorEmbedding',
+    queryVector,
+    limit = 10,
+    numCandidates = 100,
+    version = null,
+    excludeId = null,
+    filter = null
+  }) {
+    const index = await this.getIndex(Model, path, version);
+    const allow = filter && Object.keys(filter).length
+      ? new Set((await Model.distinct('_id', filter)).map(String))
+      : null;
+    const matches = index
+      .search(queryVector, limit + (excludeId ? 1 : 0), { ef: numCandidates, allow })
+      .filter(match => !excludeId || match.id !== String(excludeId))
+      .slice(0, limit);
+
+    if (!matches.length) return [];
+
+    const docs = await Model.find({ _id: { $in: matches.map(match => match.id) } })
+      .select(`-${path}`)
+      .lean();
+    const docsById = new Map(docs.map(doc => [String(doc._id), doc]));
+
+    return matches
+      .filter(match => docsById.has(match.id))
+      .map(match => ({ ...docsById.get(match.id), score: match.score }));
+  }
+
+  filterFor(path, version) {
+    return version
+      ? { 'embeddingMeta.version': version }
+      : { [`${path}.0`]: { $exists: true } };
+  }
+
+  // Cheap fingerprint of the stored vectors so re-embeds trigger a rebuild
+  async getSignature(Model, path, version) {
+    const [stats] = await Model.aggregate([
+      { $match: this.filterFor(path, version) },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          latest: { $max: '$embeddingMeta.embeddedAt' }
+        }
+      }
+    ]);
+    return stats ? `${stats.count}:${stats.latest ? stats.latest.getTime() : ''}` : '0:';
+  }
+
+  /**
+   * In-memory index for a model/path/version, rebuilt when the stored
+   * vectors change
+   */
+  async getIndex(Model, path, version) {
+    const key = `${Model.modelName}:${path}:${version || '*'}`;
+    const signature = await this.getSignature(Model, path, version);
+
+    const cached = this.indexes.get(key);
+    if (cached && cached.signature === signature) {
+      return cached.index;
+    }
+
+    // Concurrent searches share a single build
+    if (!this.building.has(key)) {
+      this.building.set(key, this.buildIndex(Model, path, version)
+        .then(index => {
+          this.indexes.set(key, { index, signature, builtAt: new Date() });
+          return index;
+        })
+        .finally(() => this.building.delete(key)));
+    }
+    return this.building.get(key);
+  }
+
+  async buildIndex(Model, path, version) {
+    const started = Date.now();
+    const docs = await Model.find(this.filterFor(path, version))
+      .select({ [path]: 1 })
+      .lean();
+
+    const index = docs.length > HNSW_THRESHOLD ? new HnswIndex() : new FlatIndex();
+    docs.forEach(doc => {
+      const vector = doc[path];
+      if (vector && vector.length) {
+        index.add(String(doc._id), vector);
+      }
+    });
+
+    logger.info(`🧮 Built ${index.type} vector index for ${Model.modelName} (${index.size} vectors, ${Date.now() - started}ms)`);
+    return index;
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      atlasAvailable: this.backend !== 'memory' && Date.now() >= this.atlasRetryAt,
+      indexes: [...this.indexes.entries()].map(([key, { index, builtAt }]) => ({
+        key,
+        type: index.type,
+        size: index.size,
+        builtAt
+      }))
+    };
+  }
+}
+
+module.exports = new VectorIndexService();
@@ -1,7 +1,12 @@
 const Neighborhood = require('../models/Neighborhood');
+const HouseRental = require('../models/HouseRental');
 const geminiService = require('./geminiService');
+const embeddingService = require('./embeddingService');
+const { tokenize } = require('./embeddingProviders');
 const { logger } = require('../utils/logger');
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 class VectorSearchService {
   /**
    * Find similar neighborhoods using vector search
@@ -16,14 +21,21 @@ class VectorSearchService {
         throw new Error('Neighborhood not found');
       }
 
-      if (!sourceNeighborhood.vectorEmbedding) {
+      if (!sourceNeighborhood.vectorEmbedding?.length) {
         throw new Error('Neighborhood does not have vector embedding');
       }
 
+      // Only vectors from the same provider version are comparable
+      const version = await embeddingService.getVersion();
+      if (sourceNeighborhood.embeddingMeta?.version !== version) {
+        throw new Error('Neighborhood embedding is out of date; run the re-embed job');
+      }
+
       const similarNeighborhoods = await Neighborhood.findSimilar(
         sourceNeighborhood.vectorEmbedding,
         limit,
-        neighborhoodId
+        neighborhoodId,
+        version
       );
 
       return similarNeighborhoods;
@@ -41,27 +53,11 @@ class VectorSearchService {
    */
   async searchByQuery(query, limit = 10) {
     try {
-      // Generate embedding for the search query
-      const queryEmbedding = await geminiService.generateEmbedding(query);
-
       // Try vector search first
       try {
-        const results = await Neighborhood.aggregate([
-          {
-            $vectorSearch: {
-              index: 'neighborhood_vector_index',
-              path: 'vectorEmbedding',
-              queryVector: queryEmbedding,
-              numCandidates: 100,
-              limit: limit
-            }
-          },
-          {
-            $addFields: {
-              score: { $meta: 'vectorSearchScore' }
-            }
-          }
-        ]);
+        const version = await embeddingService.getVersion();
+        const queryEmbedding = await geminiService.generateEmbedding(query);
+        const results = await Neighborhood.findSimilar(queryEmbedding, limit, null, version);
 
         if (results.length > 0) {
           return results;
@@ -90,10 +86,13 @@ class VectorSearchService {
     try {
       // Extract neighborhood names and keywords from the query
       const queryWords = query.toLowerCase().split(/\s+/);
-      const neighborhoodKeywords = [
-        'soho', 'greenwich village', 'williamsburg', 'park slope', 'astoria', 'upper east side',
-        'manhattan', 'brooklyn', 'queens', 'bronx', 'staten island'
-      ];
+      const [names, boroughs] = await Promise.all([
+        Neighborhood.distinct('name'),
+        Neighborhood.distinct('borough')
+      ]);
+      const neighborhoodKeywords = [...names, ...boroughs]
+        .filter(Boolean)
+        .map(keyword => keyword.toLowerCase());
 
       // Find specific neighborhood mentions
       const mentionedNeighborhoods = neighborhoodKeywords.filter(keyword =>
@@ -105,15 +104,15 @@ class VectorSearchService {
       // If specific neighborhoods are mentioned, prioritize them
       if (mentionedNeighborhoods.length > 0) {
         mentionedNeighborhoods.forEach(neighborhood => {
-          searchConditions.push({ name: new RegExp(neighborhood, 'i') });
-          searchConditions.push({ borough: new RegExp(neighborhood, 'i') });
+          searchConditions.push({ name: new RegExp(escapeRegex(neighborhood), 'i') });
+          searchConditions.push({ borough: new RegExp(escapeRegex(neighborhood), 'i') });
         });
       }
 
       // Add general search conditions
       queryWords.forEach(word => {
         if (word.length > 2) { // Skip very short words
-          const wordRegex = new RegExp(word, 'i');
+          const wordRegex = new RegExp(escapeRegex(word), 'i');
           searchConditions.push(
             { name: wordRegex },
             { borough: wordRegex },
@@ -149,6 +148,71 @@ class VectorSearchService {
     }
   }
 
+  /**
+   * Semantic listing search: rentals nearest to the query that also pass hard
+   * filters on price, bedrooms, furnishing and pets
+   * @param {string} query - Description of the place wanted
+   * @param {Object} filters - { minPrice, maxPrice, bedrooms, furnished, petsAllowed }
+   * @param {number} limit - Number of results to return
+   * @returns {Promise<Object>} - { rentals, searchType: 'vector' | 'text' }
+   */
+  async searchRentals(query, filters = {}, limit = 20) {
+    const filter = HouseRental.buildVectorFilter(filters);
+
+    try {
+      const version = await embeddingService.getVersion();
+      const queryEmbedding = await geminiService.generateEmbedding(query);
+      const rentals = await HouseRental.findSimilar(queryEmbedding, { limit, filter, version });
+
+      if (rentals.length > 0) {
+        return { rentals, searchType: 'vector' };
+      }
+    } catch (vectorError) {
+      logger.warn('Rental vector search failed, falling back to text search:', vectorError.message);
+    }
+
+    const rentals = await this.fallbackRentalTextSearch(query, filter, limit);
+    return { rentals, searchType: 'text' };
+  }
+
+  /**
+   * Keyword search over listings when vector search is not available,
+   * ranked by the share of query words each listing mentions
+   * @param {string} query - Search query
+   * @param {Object} filter - Hard filters from HouseRental.buildVectorFilter
+   * @param {number} limit - Number of results to return
+   * @returns {Promise<Array>} - Matching rentals with a score field
+   */
+  async fallbackRentalTextSearch(query, filter = {}, limit = 20) {
+    const terms = [...new Set(tokenize(query))];
+    const textConditions = terms.flatMap(term => {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      return [
+        { title: pattern },
+        { description: pattern },
+        { location: pattern },
+        { features: pattern },
+        { amenities: pattern }
+      ];
+    });
+
+    const rentals = await HouseRental.find({
+      ...filter,
+      ...(textConditions.length && { $or: textConditions })
+    })
+      .limit(limit * 5)
+      .lean();
+
+    return rentals
+      .map(rental => {
+        const text = geminiService.createRentalText(rental).toLowerCase();
+        const matched = terms.filter(term => text.includes(term)).length;
+        return { ...rental, score: terms.length ? matched / terms.length : 0 };
+      })
+      .sort((a, b) => b.score - a.score || a.price - b.price)
+      .slice(0, limit);
+  }
+
   /**
    * Find neighborhoods matching specific criteria
    * @param {Object} criteria - Search criteria
@@ -331,9 +395,11 @@ class VectorSearchService {
         throw new Error('Neighborhood not found');
       }
 
-      const embedding = await geminiService.generateNeighborhoodEmbedding(neighborhood);
-      
+      const text = geminiService.createNeighborhoodText(neighborhood);
+      const [embedding] = await embeddingService.embedDocuments([text]);
+
       neighborhood.vectorEmbedding = embedding;
+      neighborhood.embeddingMeta = embeddingService.buildMeta(text);
       neighborhood.lastUpdated = new Date();
       
       await neighborhood.save();
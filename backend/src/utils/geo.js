@@ -0,0 +1,44 @@
+/**
+ * Distance and projection helpers for { lat, lng } points. The planar
+ * projection is accurate enough across a city, not beyond.
+ */
+
+const EARTH_RADIUS_M = 6371e3;
+
+// Meters per degree of latitude, and of longitude at the equator
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LNG = 111320;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Haversine distance in meters between two { lat, lng } points
+ */
+function distanceM(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Degrees of latitude and longitude that a distance spans at a latitude
+ * @returns {Object} - { dLat, dLng }
+ */
+function degreesFor(meters, lat) {
+  return { dLat: meters / M_PER_DEG_LAT, dLng: meters / (M_PER_DEG_LNG * Math.cos(toRad(lat))) };
+}
+
+/**
+ * Equirectangular projection around a latitude, both ways: toXY turns
+ * { lat, lng } into [x, y] meters and toLatLng turns them back
+ */
+function projection(originLat) {
+  const mPerDegLng = M_PER_DEG_LNG * Math.cos(toRad(originLat));
+  return {
+    toXY: ({ lat, lng }) => [lng * mPerDegLng, lat * M_PER_DEG_LAT],
+    toLatLng: ([x, y]) => ({ lat: y / M_PER_DEG_LAT, lng: x / mPerDegLng })
+  };
+}
+
+module.exports = { distanceM, degreesFor, projection };
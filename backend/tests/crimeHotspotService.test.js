@@ -0,0 +1,75 @@
+const crimeHotspotService = require('../src/services/crimeHotspotService');
+
+// n points on a circle of the given radius around (x, y), in meters
+const ring = (x, y, radius, n) => Array.from({ length: n }, (_, i) => ({
+  xy: [x + radius * Math.cos((2 * Math.PI * i) / n), y + radius * Math.sin((2 * Math.PI * i) / n)],
+  weight: 1
+}));
+
+describe('CrimeHotspotService.dbscan', () => {
+  it('labels two dense groups as clusters and a lone incident as noise', () => {
+    const points = [...ring(0, 0, 50, 10), ...ring(5000, 0, 50, 10), { xy: [2500, 2500], weight: 1 }];
+
+    const labels = crimeHotspotService.dbscan(points, { epsM: 300, minPoints: 8 });
+
+    expect(new Set(labels.slice(0, 10))).toEqual(new Set([0]));
+    expect(new Set(labels.slice(10, 20))).toEqual(new Set([1]));
+    expect(labels[20]).toBe(-1);
+  });
+
+  it('adds a border point seen as noise earlier to the cluster that reaches it', () => {
+    // Too few neighbours of its own, but within reach of the group's core
+    const points = [{ xy: [-310, 0], weight: 1 }, ...ring(0, 0, 20, 8)];
+
+    const labels = crimeHotspotService.dbscan(points, { epsM: 300, minPoints: 8 });
+
+    expect(labels).toEqual(new Array(9).fill(0));
+  });
+
+  it('chains core points into one cluster', () => {
+    const points = [0, 400, 800, 1200].flatMap(x => ring(x, 0, 100, 8));
+
+    const labels = crimeHotspotService.dbscan(points, { epsM: 300, minPoints: 8 });
+
+    expect(new Set(labels)).toEqual(new Set([0]));
+  });
+
+  it('clusters thousands of incidents within one radius', () => {
+    const points = Array.from({ length: 3000 }, (_, i) => ({ xy: [(i % 60) * 2, Math.floor(i / 60) * 2], weight: 1 }));
+
+    const labels = crimeHotspotService.dbscan(points, { epsM: 300, minPoints: 8 });
+
+    expect(labels.every(label => label === 0)).toBe(true);
+  });
+});
+
+describe('CrimeHotspotService.densityGrid', () => {
+  const toLatLng = ([x, y]) => ({ lat: y / 1e5, lng: x / 1e5 });
+
+  it('keeps only the densest cells of a large grid', () => {
+    const points = Array.from({ length: 100 }, (_, i) => ({ xy: [(i % 10) * 4000, Math.floor(i / 10) * 4000], weight: 1 }));
+
+    const grid = crimeHotspotService.densityGrid(points, { toLatLng }, { cellM: 100, bandwidthM: 500 });
+
+    expect(grid.features).toHaveLength(5000);
+    expect(grid.truncated).toBe(true);
+    expect(grid.features[0].properties.intensity).toBe(1);
+    const intensities = grid.features.map(feature => feature.properties.intensity);
+    expect(intensities).toEqual([...intensities].sort((a, b) => b - a));
+  });
+
+  it('returns every cell above the density floor of a small grid', () => {
+    const grid = crimeHotspotService.densityGrid([{ xy: [0, 0], weight: 1 }], { toLatLng }, { cellM: 250, bandwidthM: 500 });
+
+    expect(grid.truncated).toBe(false);
+    expect(grid.features.length).toBeGreaterThan(0);
+    expect(grid.features.every(feature => feature.properties.intensity >= 0.05)).toBe(true);
+  });
+});
+
+describe('CrimeHotspotService.getHotspots', () => {
+  it('rejects a kernel reaching more than 15 cells with a 400', async () => {
+    await expect(crimeHotspotService.getHotspots({}, { cellM: 100, bandwidthM: 600 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
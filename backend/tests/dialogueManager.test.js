@@ -0,0 +1,123 @@
+const dialogueManager = require('../src/services/dialogueManager');
+const AdvancedNLP = require('../src/services/advancedNLP');
+
+// AdvancedNLP.parseComplexQuery() output, reduced to what the dialogue reads
+const parsed = (intent, searchCriteria = {}, specificity = 'specific') => ({ intent, specificity, searchCriteria });
+
+// One user turn: fold the message in and ask the next question, if any
+const turn = (state, parsedQuery, message) => {
+  const dialogue = dialogueManager.update(state, parsedQuery, message);
+  const question = dialogue.isSearch ? dialogueManager.nextQuestion(dialogue) : null;
+  return {
+    state: dialogueManager.persistable(question ? dialogueManager.ask(dialogue, question.slot) : dialogue),
+    dialogue,
+    question
+  };
+};
+
+// Whether a criteria value has a type from getCriteriaTypes()
+const hasType = (value, type) => (type === 'strings'
+  ? Array.isArray(value) && value.every(item => typeof item === 'string')
+  : typeof value === type);
+
+// A vague search answered up to the commute question
+const askedAboutCommute = () => {
+  let step = turn(null, parsed('search', {}, 'vague'), 'Find me a place to rent');
+  expect(step.question.slot).toBe('budget');
+  step = turn(step.state, parsed('search', { maxRent: 12000, currency: 'R' }), 'Up to R12 000');
+  expect(step.question.slot).toBe('bedrooms');
+  step = turn(step.state, parsed('search'), '2');
+  expect(step.question.slot).toBe('commuteDestination');
+  return step.state;
+};
+
+describe('DialogueManager', () => {
+  describe('commute destination', () => {
+    it('does not also make the commute destination a place to live', () => {
+      let step = turn(askedAboutCommute(), parsed('search', { preferredAreas: ['claremont'] }), 'I work in Claremont');
+
+      expect(step.dialogue.criteria.commuteDestination).toBe('Claremont');
+      expect(step.dialogue.criteria.preferredAreas).toBeUndefined();
+
+      step = turn(step.state, parsed('search'), 'Something closer to the sea');
+
+      expect(step.dialogue.refinements).toEqual(['nearSea']);
+      expect(step.dialogue.criteria).toMatchObject({ nearSea: true, maxRent: 12000, bedrooms: 2, commuteDestination: 'Claremont' });
+      expect(step.dialogue.criteria.preferredAreas).toBeUndefined();
+    });
+
+    it('drops a destination named by itself or by an alias', () => {
+      const state = askedAboutCommute();
+
+      expect(turn(state, parsed('search', { preferredAreas: ['claremont'] }), 'Claremont').dialogue.criteria)
+        .not.toHaveProperty('preferredAreas');
+      expect(turn(state, parsed('search', { preferredAreas: ['sea point'] }), 'Ek werk in Seepunt').dialogue.criteria)
+        .not.toHaveProperty('preferredAreas');
+    });
+
+    it('keeps the destination as an area when the user also wants to live there', () => {
+      const { dialogue } = turn(
+        askedAboutCommute(),
+        parsed('search', { preferredAreas: ['claremont'] }),
+        'I work in Claremont and would like to live in Claremont too'
+      );
+
+      expect(dialogue.criteria.commuteDestination).toBe('Claremont');
+      expect(dialogue.criteria.preferredAreas).toEqual(['claremont']);
+    });
+
+    it('keeps other areas named alongside the destination', () => {
+      const { dialogue } = turn(
+        null,
+        parsed('search', { preferredAreas: ['observatory', 'claremont'] }),
+        'Flats in Observatory, I work in Claremont'
+      );
+
+      expect(dialogue.criteria.preferredAreas).toEqual(['observatory']);
+    });
+  });
+
+  describe('follow-up questions', () => {
+    it('asks again for a new search after an earlier one used up its questions', () => {
+      let step = turn(askedAboutCommute(), parsed('search'), 'Nowhere, I work from home');
+      expect(step.state.asked).toHaveLength(3);
+      expect(step.question).toBeNull();
+
+      step = turn(step.state, parsed('search', {}, 'vague'), 'Show me something else to rent');
+
+      expect(step.question).not.toBeNull();
+      expect(step.state.asked).toEqual([step.question.slot]);
+    });
+
+    it('keeps counting questions while the user refines the same search', () => {
+      let step = turn(askedAboutCommute(), parsed('search'), 'Nowhere, I work from home');
+      step = turn(step.state, parsed('search'), 'Cheaper please');
+
+      expect(step.dialogue.refinements).toEqual(['cheaper']);
+      expect(step.state.asked).toHaveLength(3);
+    });
+  });
+
+  describe('criteria types', () => {
+    it('types every criterion a search and its refinements can set', () => {
+      const searchCriteria = new AdvancedNLP().buildSearchCriteria({ investmentContext: true, urgency: 'high' }, {
+        budget: { min: 8000, max: 12000, currency: 'R' },
+        location: { areas: ['observatory'] },
+        familySize: { size: 3, kids: 1 },
+        priorities: ['safety', 'schools', 'transport', 'quiet', 'luxury'].map(priority => ({ priority })),
+        lifestyle: [{ type: 'coastal' }],
+        propertyType: { type: 'apartment' },
+        amenities: ['parking'],
+        constraints: ['no_pets']
+      });
+      let step = turn(null, parsed('search', searchCriteria), 'I work in Claremont, 2 bedrooms');
+      step = turn(step.state, parsed('search'), 'Closer to the sea, closer to work and safer');
+
+      const types = dialogueManager.getCriteriaTypes();
+      Object.entries(step.dialogue.criteria).forEach(([name, value]) => {
+        expect([name, hasType(value, types[name])]).toEqual([name, true]);
+      });
+      expect(Object.keys(step.dialogue.criteria)).toEqual(expect.arrayContaining(['nearSea', 'maxCommuteKm', 'bedrooms']));
+    });
+  });
+});
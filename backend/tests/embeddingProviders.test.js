@@ -0,0 +1,83 @@
+const { EMBEDDING_DIMENSIONS, LocalEmbeddingProvider, tokenize } = require('../src/services/embeddingProviders');
+
+const CORPUS = [
+  'Sea view apartment on the beach front in Sea Point',
+  'Beach cottage with ocean views near the sea in Muizenberg',
+  'Ocean facing flat close to the beach promenade',
+  'Student room near the university campus in Rondebosch',
+  'Shared student house walking distance to campus and library',
+  'Garden cottage for students near the university in Observatory',
+  'Secure family home with a large garden and pool',
+  'Family house with garden, pool and double garage in Durbanville'
+];
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const fitted = () => {
+  const provider = new LocalEmbeddingProvider({ maxComponents: 4 });
+  provider.fit(CORPUS);
+  return provider;
+};
+
+describe('LocalEmbeddingProvider', () => {
+  it('refuses to embed before it has been fitted', async () => {
+    const provider = new LocalEmbeddingProvider();
+
+    expect(provider.isReady()).toBe(false);
+    await expect(provider.embedQuery('sea view')).rejects.toMatchObject({ statusCode: 503 });
+    expect(() => provider.fit(['only one document'])).toThrow('at least 2 documents');
+  });
+
+  it('returns unit-length vectors of the stored dimensions', async () => {
+    const vectors = await fitted().embedDocuments(CORPUS);
+
+    vectors.forEach(vector => {
+      expect(vector).toHaveLength(EMBEDDING_DIMENSIONS);
+      expect(cosine(vector, vector)).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('ranks documents on the same topic as the query first', async () => {
+    const provider = fitted();
+    const vectors = await provider.embedDocuments(CORPUS);
+
+    const topThree = async (query) => {
+      const queryVector = await provider.embedQuery(query);
+      return vectors
+        .map((vector, i) => [cosine(queryVector, vector), i])
+        .sort((a, b) => b[0] - a[0])
+        .slice(0, 3)
+        .map(([, i]) => i)
+        .sort();
+    };
+
+    expect(await topThree('flat with an ocean view by the beach')).toEqual([0, 1, 2]);
+    expect(await topThree('room for a student near campus')).toEqual([3, 4, 5]);
+  });
+
+  it('fits the same model from the same corpus', async () => {
+    const first = fitted();
+    const second = fitted();
+
+    expect(second.version).toBe(first.version);
+    expect(await second.embedQuery('beach flat')).toEqual(await first.embedQuery('beach flat'));
+    expect(new LocalEmbeddingProvider({ maxComponents: 4 }).fit(CORPUS.slice(1)).version).not.toBe(first.version);
+  });
+
+  it('embeds the same after its state is stored as plain arrays and restored', async () => {
+    const provider = fitted();
+    const state = provider.getState();
+    const restored = new LocalEmbeddingProvider();
+    restored.setState({ ...state, idf: Array.from(state.idf), components: Array.from(state.components) });
+
+    expect(restored.version).toBe(provider.version);
+    expect(await restored.embedQuery('family home with a pool')).toEqual(await provider.embedQuery('family home with a pool'));
+  });
+});
+
+describe('tokenize', () => {
+  it('lowercases, folds accents and drops stop words and single letters', () => {
+    expect(tokenize('A Café near the Sea, 2 bedrooms & a view')).toEqual(['cafe', 'sea', 'bedrooms', 'view']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
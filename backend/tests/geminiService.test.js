@@ -0,0 +1,51 @@
+const Joi = require('joi');
+const geminiService = require('../src/services/geminiService');
+const llmUsageService = require('../src/services/llmUsageService');
+
+const schema = Joi.object({ intent: Joi.string().valid('search', 'compare').required() });
+
+// Provider answering with each reply in turn
+const scriptedLlm = (replies) => ({
+  name: 'scripted',
+  model: 'test',
+  isReady: () => true,
+  generate: jest.fn(async () => ({ text: replies.shift(), functionCalls: [], usage: null }))
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(llmUsageService, 'getCached').mockResolvedValue(null);
+  jest.spyOn(llmUsageService, 'setCached').mockResolvedValue();
+});
+
+describe('GeminiService.generateJson', () => {
+  it('caches only the reply that validates', async () => {
+    geminiService.llm = scriptedLlm(['{"intent": "rent"}', '{"intent": "search"}']);
+
+    await expect(geminiService.generateJson('Classify this', schema, { feature: 'test' }))
+      .resolves.toEqual({ intent: 'search' });
+
+    expect(geminiService.llm.generate).toHaveBeenCalledTimes(2);
+    expect(llmUsageService.setCached).toHaveBeenCalledTimes(1);
+    expect(llmUsageService.setCached.mock.calls[0][1].text).toBe('{"intent": "search"}');
+  });
+
+  it('asks again instead of replaying an invalid cached reply', async () => {
+    llmUsageService.getCached.mockResolvedValue({ text: 'not json', tokens: 10 });
+    geminiService.llm = scriptedLlm(['{"intent": "compare"}']);
+
+    await expect(geminiService.generateJson('Classify this', schema, { feature: 'test' }))
+      .resolves.toEqual({ intent: 'compare' });
+    expect(geminiService.llm.generate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LlmUsageService.cacheKey', () => {
+  it('separates JSON requests from plain ones', () => {
+    const input = { model: 'scripted:test', prompt: 'Classify this' };
+
+    expect(llmUsageService.cacheKey({ ...input, json: true })).not.toBe(llmUsageService.cacheKey(input));
+    expect(llmUsageService.cacheKey({ ...input, json: { type: 'OBJECT' } }))
+      .not.toBe(llmUsageService.cacheKey({ ...input, json: true }));
+  });
+});
@@ -0,0 +1,36 @@
+const { distanceM, degreesFor, projection } = require('../src/utils/geo');
+
+const SEA_POINT = { lat: -33.9175, lng: 18.3875 };
+const CLAREMONT = { lat: -33.9806, lng: 18.4653 };
+
+describe('geo', () => {
+  it('measures great-circle distance in meters', () => {
+    expect(distanceM(SEA_POINT, SEA_POINT)).toBe(0);
+    expect(distanceM(SEA_POINT, CLAREMONT)).toBeCloseTo(distanceM(CLAREMONT, SEA_POINT), 6);
+    expect(distanceM(SEA_POINT, CLAREMONT)).toBeGreaterThan(9900);
+    expect(distanceM(SEA_POINT, CLAREMONT)).toBeLessThan(10100);
+  });
+
+  it('projects to meters and back', () => {
+    const { toXY, toLatLng } = projection(SEA_POINT.lat);
+    const back = toLatLng(toXY(CLAREMONT));
+
+    expect(back.lat).toBeCloseTo(CLAREMONT.lat, 9);
+    expect(back.lng).toBeCloseTo(CLAREMONT.lng, 9);
+  });
+
+  it('keeps planar distances close to the great-circle distance within a city', () => {
+    const { toXY } = projection(SEA_POINT.lat);
+    const [x1, y1] = toXY(SEA_POINT);
+    const [x2, y2] = toXY(CLAREMONT);
+
+    expect(Math.hypot(x2 - x1, y2 - y1) / distanceM(SEA_POINT, CLAREMONT)).toBeCloseTo(1, 2);
+  });
+
+  it('spans more degrees of longitude than latitude away from the equator', () => {
+    const { dLat, dLng } = degreesFor(1000, SEA_POINT.lat);
+
+    expect(dLat).toBeCloseTo(1000 / 110540, 9);
+    expect(dLng).toBeGreaterThan(dLat);
+  });
+});
@@ -0,0 +1,40 @@
+const HouseRental = require('../src/models/HouseRental');
+
+describe('HouseRental.buildSearchQuery', () => {
+  it('matches the saved filter values exactly', () => {
+    expect(HouseRental.buildSearchQuery({
+      propertyType: 'Apartment',
+      category: 'Budget',
+      furnished: 'Fully furnished',
+      bedrooms: '2',
+      petsAllowed: 'true'
+    })).toEqual({
+      propertyType: 'Apartment',
+      category: 'Budget',
+      furnished: 'Fully furnished',
+      bedrooms: 2,
+      'petPolicy.allowed': true
+    });
+  });
+
+  it('does not let a stored object act as a query operator', () => {
+    const query = HouseRental.buildSearchQuery({
+      propertyType: { $ne: null },
+      category: { $gt: '' },
+      furnished: { $exists: true },
+      petsAllowed: { $ne: false }
+    });
+
+    expect(typeof query.propertyType).toBe('string');
+    expect(typeof query.category).toBe('string');
+    expect(typeof query.furnished).toBe('string');
+    expect(query['petPolicy.allowed']).toBe(false);
+  });
+
+  it('escapes regular expression characters in text filters', () => {
+    const query = HouseRental.buildSearchQuery({ location: 'Sea Point (Main)' });
+
+    expect(query.location.test('Sea Point (Main) Road')).toBe(true);
+    expect(query.location.test('Sea Point Main')).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+const hybridSearchService = require('../src/services/hybridSearchService');
+
+// A ranker result from ids listed best first
+const ranker = (ranked) => ({
+  ranked,
+  byId: new Map(ranked.map((item, index) => [item.id, { ...item, rank: index + 1 }]))
+});
+
+const ids = (results) => results.map(result => result.id);
+
+describe('HybridSearchService', () => {
+  describe('fuse', () => {
+    const rankers = {
+      keyword: ranker([{ id: 'a', score: 9 }, { id: 'b', score: 6 }, { id: 'c', score: 3 }]),
+      filters: null,
+      vector: ranker([{ id: 'b', score: 0.9 }, { id: 'c', score: 0.8 }, { id: 'd', score: 0.7 }])
+    };
+
+    it('puts documents ranked well by both lists ahead of a single first place', () => {
+      const results = hybridSearchService.fuse(rankers, { fusion: 'rrf', weights: { keyword: 1, filters: 1, vector: 1 } });
+
+      expect(ids(results)).toEqual(['b', 'c', 'a', 'd']);
+      expect(results[0].score).toBeCloseTo(1 / 62 + 1 / 61, 5);
+      expect(results[3].score).toBeCloseTo(1 / 63, 5);
+      expect(results[0].breakdown.keyword).toMatchObject({ rank: 2, contribution: Math.round(100000 / 62) / 100000 });
+      expect(results[2].breakdown.vector).toBeNull();
+    });
+
+    it('follows a single list when the other has no weight', () => {
+      const results = hybridSearchService.fuse(rankers, { fusion: 'rrf', weights: { keyword: 1, filters: 1, vector: 0 } });
+
+      expect(ids(results)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('averages normalised scores for weighted fusion', () => {
+      const results = hybridSearchService.fuse(rankers, { fusion: 'weighted', weights: { keyword: 1, filters: 1, vector: 1 } });
+
+      // b: (6 / 9 + (2 * 0.9 - 1)) / 2
+      expect(results[0].id).toBe('b');
+      expect(results[0].score).toBeCloseTo((6 / 9 + 0.8) / 2, 5);
+      // a's top keyword score outweighs c's two middling ones, unlike RRF
+      expect(ids(results)).toEqual(['b', 'a', 'c', 'd']);
+    });
+
+    it('returns nothing when no ranker has candidates', () => {
+      expect(hybridSearchService.fuse({ keyword: ranker([]), filters: null, vector: null }, {
+        fusion: 'rrf',
+        weights: { keyword: 1, filters: 1, vector: 1 }
+      })).toEqual([]);
+    });
+  });
+
+  describe('rankByKeywords', () => {
+    const pool = [
+      { _id: 'obs', name: 'Observatory', tags: ['students', 'nightlife'], borough: 'Southern Suburbs', description: 'Bohemian suburb near the university' },
+      { _id: 'ronde', name: 'Rondebosch', tags: ['university'], borough: 'Southern Suburbs', description: 'Leafy suburb popular with students' },
+      { _id: 'camps', name: 'Camps Bay', tags: ['beach'], borough: 'Atlantic Seaboard', description: 'Beach suburb below the mountain' }
+    ];
+
+    it('ranks a tag match above a description match and drops non-matches', () => {
+      const { ranked, byId } = hybridSearchService.rankByKeywords('university', pool);
+
+      expect(ids(ranked)).toEqual(['ronde', 'obs']);
+      expect(ranked[0].matchedFields).toEqual(['tags']);
+      expect(ranked[1].matchedFields).toEqual(['description']);
+      expect(byId.get('obs').rank).toBe(2);
+    });
+
+    it('does nothing for a query of only stop words', () => {
+      expect(hybridSearchService.rankByKeywords('near the', pool).ranked).toEqual([]);
+    });
+  });
+
+  describe('rankByFilters', () => {
+    const pool = [
+      { _id: 'cheap', housing: { avgRent: 8000 }, safety: { safetyScore: 6 } },
+      { _id: 'close', housing: { avgRent: 11000 }, safety: { safetyScore: 7 } },
+      { _id: 'far', housing: { avgRent: 20000 }, safety: { safetyScore: 9 } },
+      { _id: 'unknown', safety: { safetyScore: 8 } }
+    ];
+
+    it('scores values outside a range down to zero at the tolerance', () => {
+      const { ranked } = hybridSearchService.rankByFilters({ maxRent: 10000 }, pool);
+
+      expect(ids(ranked)).toEqual(['cheap', 'close']);
+      expect(ranked[0]).toMatchObject({ score: 1, passedAll: true });
+      // R1 000 over a R2 500 allowance
+      expect(ranked[1]).toMatchObject({ score: 0.6, passedAll: false });
+    });
+
+    it('explains why a result passed or missed each filter', () => {
+      const { byId } = hybridSearchService.rankByFilters({ maxRent: 10000, minSafetyScore: 8 }, pool);
+
+      expect(hybridSearchService.explain({ filters: byId.get('unknown') })).toEqual([
+        'Rent unknown',
+        'Safety 8 meets your minimum of 8'
+      ]);
+    });
+  });
+});
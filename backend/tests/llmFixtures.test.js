@@ -0,0 +1,82 @@
+const path = require('path');
+
+jest.mock('../src/services/chatTools', () => ({
+  ...jest.requireActual('../src/services/chatTools'),
+  executeTool: jest.fn()
+}));
+
+const { executeTool } = require('../src/services/chatTools');
+const { FixtureLlmProvider } = require('../src/services/llmProviders');
+const geminiService = require('../src/services/geminiService');
+const AdvancedNLP = require('../src/services/advancedNLP');
+const chatAgent = require('../src/services/chatAgent');
+const { routeMessage } = require('../src/services/toolRouter');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/llm');
+
+// Tool result the agent fixture was recorded against
+const seaPointSchools = async (name, args, context) => ({
+  neighborhood: 'Sea Point',
+  radiusKm: 2,
+  total: 2,
+  schools: [
+    {
+      source: context.cite({ type: 'school', id: '101', label: 'Sea Point Primary School', neighborhood: 'Sea Point' }),
+      name: 'Sea Point Primary School',
+      type: 'Primary',
+      medium: 'English',
+      distanceKm: 0.4
+    },
+    {
+      source: context.cite({ type: 'school', id: '102', label: 'Sea Point High School', neighborhood: 'Sea Point' }),
+      name: 'Sea Point High School',
+      type: 'Secondary',
+      medium: 'English',
+      distanceKm: 0.9
+    }
+  ]
+});
+
+beforeEach(() => {
+  geminiService.llm = new FixtureLlmProvider({ dir: FIXTURES_DIR, mode: 'replay' });
+  executeTool.mockReset();
+});
+
+describe('FixtureLlmProvider', () => {
+  it('throws LLM_FIXTURE_MISSING for a request with no recording', async () => {
+    await expect(geminiService.llm.generate('Not a recorded prompt'))
+      .rejects.toMatchObject({ code: 'LLM_FIXTURE_MISSING' });
+  });
+
+  it('replays the validated intent for a recorded query', async () => {
+    const intent = await new AdvancedNLP().inferIntent('Safe 2 bedroom flat in Claremont near good schools under R18 000');
+
+    expect(intent).toEqual({
+      intent: 'search',
+      confidence: 0.9,
+      primaryGoal: 'Find a safe two-bedroom rental near good schools',
+      urgency: 'medium',
+      specificity: 'specific',
+      familyContext: true,
+      investmentContext: false,
+      budgetMentioned: true,
+      locationSpecific: true
+    });
+  });
+
+  it('replays an agent tool round and the cited answer', async () => {
+    executeTool.mockImplementation(seaPointSchools);
+    const message = 'Which schools are near Sea Point?';
+    const run = chatAgent.createRun(message, [], { routedCalls: routeMessage(message, ['Sea Point']) });
+
+    const answer = await run.generate();
+
+    expect(executeTool).toHaveBeenCalledTimes(1);
+    expect(executeTool.mock.calls[0].slice(0, 2)).toEqual(['find_nearby_schools', { neighborhood: 'Sea Point', radiusKm: 2 }]);
+    expect(run.toolCalls).toEqual([
+      { name: 'find_nearby_schools', args: { neighborhood: 'Sea Point', radiusKm: 2 }, status: 'done' }
+    ]);
+    expect(answer).toBe('The nearest schools to Sea Point are Sea Point Primary School, 0.4 km away [1], and Sea Point High School, 0.9 km away [2].');
+    expect(run.citations.map(citation => citation.label)).toEqual(['Sea Point Primary School', 'Sea Point High School']);
+  });
+});
@@ -0,0 +1,135 @@
+const rentForecaster = require('../src/services/rentForecaster');
+
+// Monthly RentSnapshot series from January 2022 with rent(t) for month t
+const series = (months, rent) => Array.from({ length: months }, (_, t) => ({
+  date: `${2022 + Math.floor(t / 12)}-${String((t % 12) + 1).padStart(2, '0')}-01`,
+  medianRent: rent(t),
+  listings: 10,
+  sparse: false,
+  missing: false
+}));
+
+const entry = (rents, features) => ({ observations: rentForecaster.toObservations(rents), features });
+
+// Calendar-month pattern in log space, centred on zero
+const SEASON = [0.02, 0.03, 0.01, 0, -0.01, -0.02, -0.03, -0.02, -0.01, 0, 0.01, 0.02];
+
+describe('RentForecaster', () => {
+  describe('toObservations', () => {
+    it('skips missing months and keeps the month index', () => {
+      const rents = series(4, () => 10000);
+      rents[1].missing = true;
+      rents[2].listings = 100;
+
+      const observations = rentForecaster.toObservations(rents);
+
+      expect(observations.map(point => point.t)).toEqual([0, 2, 3]);
+      expect(observations.map(point => point.month)).toEqual([0, 2, 3]);
+      expect(observations[1].w).toBe(20);
+      expect(observations[0].y).toBeCloseTo(Math.log(10000), 9);
+    });
+  });
+
+  describe('forecast', () => {
+    it('extends a steady 1% a month trend', () => {
+      const entries = new Map([['observatory', entry(series(12, t => 10000 * 1.01 ** t))]]);
+      const model = rentForecaster.fit(entries);
+
+      const result = rentForecaster.forecast(model, entries.get('observatory'), { originT: 11, horizon: 3 });
+
+      expect(result.method).toBe('local');
+      expect(result.monthlyGrowth).toBeCloseTo(0.01, 6);
+      result.points.forEach(point => {
+        expect(point.predicted).toBeCloseTo(10000 * 1.01 ** point.t, 2);
+      });
+    });
+
+    it('grows a short history at the rate of the other neighborhoods', () => {
+      const entries = new Map([
+        ['observatory', entry(series(12, t => 10000 * 1.02 ** t))],
+        ['woodstock', entry(series(12, t => 9000 * 1.02 ** t))],
+        ['salt river', entry(series(12, t => (t >= 9 ? 8000 : 0)))]
+      ]);
+      const model = rentForecaster.fit(entries);
+
+      const result = rentForecaster.forecast(model, entries.get('salt river'), { originT: 11, horizon: 2 });
+
+      expect(result.method).toBe('pooled');
+      expect(result.monthlyGrowth).toBeCloseTo(0.02, 6);
+      expect(result.points[1].predicted).toBeCloseTo(8000 * 1.02 ** 2, 2);
+    });
+
+    it('nests the 80% interval inside the 95% interval around the prediction', () => {
+      const noise = [0.02, -0.01, 0.015, -0.02, 0.01, 0, -0.015, 0.02, -0.01, 0.005, -0.005, 0.01];
+      const entries = new Map([['observatory', entry(series(12, t => 10000 * Math.exp(0.01 * t + noise[t])))]]);
+      const model = rentForecaster.fit(entries);
+
+      const [first, , third] = rentForecaster.forecast(model, entries.get('observatory'), { originT: 11, horizon: 3 }).points;
+
+      [first, third].forEach(point => {
+        expect(point.lower95).toBeLessThan(point.lower80);
+        expect(point.lower80).toBeLessThan(point.predicted);
+        expect(point.predicted).toBeLessThan(point.upper80);
+        expect(point.upper80).toBeLessThan(point.upper95);
+      });
+      expect(third.upper95 - third.lower95).toBeGreaterThan(first.upper95 - first.lower95);
+    });
+  });
+
+  describe('fitSeasonalProfile', () => {
+    it('recovers calendar-month indices from three years of history', () => {
+      const rents = (base) => series(36, t => base * Math.exp(0.005 * t + SEASON[t % 12]));
+      const observationSets = [rents(10000), rents(8000)].map(r => rentForecaster.toObservations(r));
+
+      const seasonal = rentForecaster.fitSeasonalProfile(observationSets);
+
+      expect(seasonal.estimated).toBe(true);
+      seasonal.indices.forEach((index, month) => {
+        expect(index).toBeCloseTo(SEASON[month], 2);
+      });
+    });
+
+    it('leaves rents unadjusted with less than two years of history', () => {
+      const seasonal = rentForecaster.fitSeasonalProfile([
+        rentForecaster.toObservations(series(18, t => 10000 * Math.exp(SEASON[t % 12])))
+      ]);
+
+      expect(seasonal).toEqual({ indices: new Array(12).fill(0), estimated: false });
+    });
+  });
+
+  describe('backtest', () => {
+    it('scores a steady trend as exact and beats the naive forecast', () => {
+      const entries = new Map([['observatory', entry(series(12, t => 10000 * 1.01 ** t))]]);
+
+      const { origins, overall, byNeighborhood } = rentForecaster.backtest(entries, { horizon: 3 });
+
+      // Origins from the sixth month up to the second-to-last
+      expect(origins).toBe(6);
+      expect(overall.evaluations).toBe(3 + 3 + 3 + 3 + 2 + 1);
+      expect(overall.mape).toBe(0);
+      expect(overall.naiveMape).toBeGreaterThan(1);
+      expect(overall.mapeByHorizon.map(entry => entry.evaluations)).toEqual([6, 5, 4]);
+      expect(byNeighborhood.get('observatory')).toEqual(overall);
+    });
+
+    it('does not score forecasts against sparse months', () => {
+      const rents = series(12, t => 10000 * 1.01 ** t);
+      rents[11].sparse = true;
+
+      const { overall } = rentForecaster.backtest(new Map([['observatory', entry(rents)]]), { horizon: 1 });
+
+      expect(overall.evaluations).toBe(5);
+    });
+  });
+
+  describe('expectedError', () => {
+    it('extrapolates past the backtested horizon with square-root growth', () => {
+      const accuracy = { mapeByHorizon: [{ horizon: 1, mape: 2 }, { horizon: 3, mape: 4 }] };
+
+      expect(rentForecaster.expectedError(accuracy, 3)).toBe(4);
+      expect(rentForecaster.expectedError(accuracy, 12)).toBe(8);
+      expect(rentForecaster.expectedError(null, 1)).toBeNull();
+    });
+  });
+});
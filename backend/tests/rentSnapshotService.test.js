@@ -0,0 +1,31 @@
+const HouseRental = require('../src/models/HouseRental');
+const rentSnapshotService = require('../src/services/rentSnapshotService');
+
+// HouseRental.aggregate() output for one neighborhood
+const group = (bedrooms, prices) => ({
+  _id: { neighborhoodKey: 'observatory', bedrooms },
+  neighborhood: 'Observatory',
+  prices
+});
+
+describe('RentSnapshotService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('groupPrices', () => {
+    it('only buckets listings by bedrooms when they have a bedroom count', async () => {
+      const aggregate = jest.spyOn(HouseRental, 'aggregate').mockResolvedValue([
+        group(2, [9000, 11000]),
+        group(4, [20000]),
+        group('unknown', [7000])
+      ]);
+
+      const groups = await rentSnapshotService.groupPrices({}, false);
+
+      const { bedrooms } = aggregate.mock.calls[0][0].find(stage => stage.$group).$group._id;
+      expect(bedrooms.$cond[0]).toEqual({ $isNumber: '$bedrooms' });
+      expect(groups.map(g => g.bedrooms)).toEqual([2, 4, null]);
+      expect(groups.find(g => g.bedrooms === 4).prices).toEqual([20000]);
+      expect(groups.find(g => g.bedrooms === null).prices).toEqual([9000, 11000, 20000, 7000]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const taxiJourneyPlanner = require('../src/services/taxiJourneyPlanner');
+const { distanceM } = require('../src/utils/geo');
+
+const { TRAVEL_ASSUMPTIONS } = taxiJourneyPlanner;
+const TAXI_M_PER_MIN = (TRAVEL_ASSUMPTIONS.taxiSpeedKmh * 1000) / 60;
+
+const TOWN = { lat: -33.92, lng: 18.42 };
+const JUNCTION = { lat: -33.92, lng: 18.47 };
+const WYNBERG = { lat: -33.98, lng: 18.47 };
+
+// Straight taxi_routes LineString with a point every ~100 m
+const route = (id, origin, destination, from, to) => {
+  const steps = Math.ceil(distanceM(from, to) / 100);
+  return {
+    properties: { OBJECTID: id, ORGN: origin, DSTN: destination },
+    geometry: {
+      type: 'LineString',
+      coordinates: Array.from({ length: steps + 1 }, (_, i) => [
+        from.lng + ((to.lng - from.lng) * i) / steps,
+        from.lat + ((to.lat - from.lat) * i) / steps
+      ])
+    }
+  };
+};
+
+// Two routes via a junction rank, and a direct route alongside them
+const ROUTES = [
+  route(1, 'Town', 'Junction', TOWN, JUNCTION),
+  route(2, 'Junction', 'Wynberg', JUNCTION, WYNBERG),
+  route(3, 'Town', 'Wynberg', TOWN, WYNBERG)
+];
+
+const NEIGHBORHOODS = [
+  { _id: 'gardens', name: 'Gardens', coordinates: { lat: -33.9235, lng: 18.42 } },
+  { _id: 'plumstead', name: 'Plumstead', coordinates: { lat: -33.9845, lng: 18.47 } },
+  { _id: 'atlantis', name: 'Atlantis', coordinates: { lat: -33.57, lng: 18.49 } }
+];
+
+// Query nodes and edges for a search between two places, as plan() builds them
+const connect = (network, fromText, toText) => {
+  const query = { nodes: new Map(), edges: new Map() };
+  taxiJourneyPlanner.connectPlace(network, taxiJourneyPlanner.findPlace(network, fromText), 'source', query);
+  taxiJourneyPlanner.connectPlace(network, taxiJourneyPlanner.findPlace(network, toText), 'target', query);
+  return query;
+};
+
+const ridden = (path) => [...new Set(path.steps.filter(step => step.edge.kind === 'ride').map(step => step.edge.route))];
+
+// Whether a point falls inside one of an isochrone band's cell rectangles
+const covers = (feature, { lat, lng }) => feature.geometry.coordinates.some(([ring]) => {
+  const lngs = ring.map(([x]) => x);
+  const lats = ring.map(([, y]) => y);
+  return lng >= Math.min(...lngs) && lng <= Math.max(...lngs) && lat >= Math.min(...lats) && lat <= Math.max(...lats);
+});
+
+describe('TaxiJourneyPlanner', () => {
+  let network;
+
+  beforeAll(() => {
+    network = taxiJourneyPlanner.buildNetwork(ROUTES, NEIGHBORHOODS);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(taxiJourneyPlanner, 'getNetwork').mockResolvedValue(network);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('buildNetwork', () => {
+    it('merges route ends into named ranks', () => {
+      expect(network.ranks.map(rank => rank.name).sort()).toEqual(['Junction', 'Town', 'Wynberg']);
+    });
+  });
+
+  describe('shortestPath', () => {
+    it('takes the direct route over a transfer', () => {
+      const path = taxiJourneyPlanner.shortestPath(network, connect(network, 'Town', 'Wynberg'), new Set());
+
+      expect(ridden(path)).toEqual([2]);
+    });
+
+    it('changes taxis at the junction when the direct route is banned', () => {
+      const path = taxiJourneyPlanner.shortestPath(network, connect(network, 'Town', 'Wynberg'), new Set([2]));
+
+      expect(ridden(path)).toEqual([0, 1]);
+    });
+
+    it('finds no path when every way through is banned', () => {
+      expect(taxiJourneyPlanner.shortestPath(network, connect(network, 'Town', 'Wynberg'), new Set([0, 2]))).toBeNull();
+    });
+  });
+
+  describe('plan', () => {
+    it('ranks the direct taxi first and the transfer as the alternative', async () => {
+      const { from, to, itineraries } = await taxiJourneyPlanner.plan('Town', 'Wynberg');
+
+      expect(from).toMatchObject({ name: 'Town', type: 'rank' });
+      expect(to).toMatchObject({ name: 'Wynberg', type: 'rank' });
+      expect(itineraries.map(itinerary => itinerary.routeIds)).toEqual([[3], [1, 2]]);
+      expect(itineraries.map(itinerary => itinerary.transfers)).toEqual([0, 1]);
+
+      const direct = distanceM(TOWN, WYNBERG);
+      expect(itineraries[0].taxiDistanceKm).toBeCloseTo(direct / 1000, 1);
+      expect(itineraries[0].estimatedMinutes).toBe(Math.round(direct / TAXI_M_PER_MIN + TRAVEL_ASSUMPTIONS.waitMinutesPerTaxi));
+      expect(itineraries[1].legs.filter(leg => leg.type === 'taxi').map(leg => leg.to.name)).toEqual(['Junction', 'Wynberg']);
+    });
+
+    it('fails with a 404 for an unknown place', async () => {
+      await expect(taxiJourneyPlanner.plan('Town', 'Atlantis Dunes')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('travelTimes', () => {
+    it('times each point from the quickest way to reach it', () => {
+      const town = taxiJourneyPlanner.findPlace(network, 'Town');
+      const reached = taxiJourneyPlanner.travelTimes(network, town, 60);
+      const at = (point) => Math.min(...reached.filter(p => distanceM(p, point) < 1).map(p => p.minutes));
+
+      const wait = TRAVEL_ASSUMPTIONS.waitMinutesPerTaxi;
+      expect(at(TOWN)).toBe(0);
+      expect(at(JUNCTION)).toBeCloseTo(wait + distanceM(TOWN, JUNCTION) / TAXI_M_PER_MIN, 1);
+      expect(at(WYNBERG)).toBeCloseTo(wait + distanceM(TOWN, WYNBERG) / TAXI_M_PER_MIN, 1);
+    });
+
+    it('stops at the time limit', () => {
+      const town = taxiJourneyPlanner.findPlace(network, 'Town');
+      const reached = taxiJourneyPlanner.travelTimes(network, town, 20);
+
+      expect(reached.every(point => point.minutes < 20)).toBe(true);
+      expect(reached.some(point => distanceM(point, JUNCTION) < 1)).toBe(false);
+    });
+  });
+
+  describe('isochrone', () => {
+    it('splits the reachable area into time bands', async () => {
+      const { origin, bands, isochrone } = await taxiJourneyPlanner.isochrone('Town', { minutes: 30 });
+      const [first, second] = isochrone.features;
+
+      expect(origin.name).toBe('Town');
+      expect(bands).toEqual([15, 30]);
+      expect(first.properties).toMatchObject({ fromMinutes: 0, minutes: 15 });
+      expect(covers(first, TOWN)).toBe(true);
+      expect(covers(first, JUNCTION)).toBe(false);
+      expect(covers(second, JUNCTION)).toBe(true);
+      expect(isochrone.features.some(feature => covers(feature, NEIGHBORHOODS[2].coordinates))).toBe(false);
+    });
+  });
+
+  describe('commuteScores', () => {
+    it('scores neighborhoods by travel time to the workplace', async () => {
+      const { workplace, neighborhoods } = await taxiJourneyPlanner.commuteScores('Wynberg', { maxMinutes: 60 });
+
+      expect(workplace.name).toBe('Wynberg');
+      expect(neighborhoods.map(n => n.name)).toEqual(['Plumstead', 'Gardens', 'Atlantis']);
+      expect(neighborhoods[0].commuteScore).toBeGreaterThan(neighborhoods[1].commuteScore);
+      expect(neighborhoods[1].commuteMinutes).toBeGreaterThan(TRAVEL_ASSUMPTIONS.waitMinutesPerTaxi);
+      expect(neighborhoods[2]).toMatchObject({ commuteMinutes: null, commuteScore: 0 });
+    });
+  });
+});
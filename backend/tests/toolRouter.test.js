@@ -0,0 +1,85 @@
+const { routeMessage, findNeighborhood } = require('../src/services/toolRouter');
+
+const NEIGHBORHOODS = ['Sea Point', 'Observatory', 'Khayelitsha', 'Langa', 'Claremont', 'Green Point'];
+
+const toolsFor = (message) => routeMessage(message, NEIGHBORHOODS).map(call => call.name);
+
+describe('routeMessage', () => {
+  describe('English', () => {
+    test('routes hospitals, schools and crime questions about a neighborhood', () => {
+      expect(toolsFor('Are there hospitals near Observatory?')).toEqual(['find_nearby_hospitals']);
+      expect(toolsFor('Which schools are in Claremont?')).toEqual(['find_nearby_schools']);
+      expect(toolsFor('Is Sea Point safe?')).toEqual(['get_crime_stats']);
+      expect(toolsFor('Will rents go up in Observatory next year?')).toEqual(['predict_rent']);
+    });
+
+    test('skips neighborhood tools when no known neighborhood is named', () => {
+      expect(routeMessage('Are there hospitals nearby?', NEIGHBORHOODS)).toEqual([]);
+      expect(routeMessage('Is it safe?', NEIGHBORHOODS)).toEqual([]);
+    });
+
+    test('returns nothing for small talk', () => {
+      expect(routeMessage('Hello, how are you?', NEIGHBORHOODS)).toEqual([]);
+    });
+
+    test('routes several tools from one message in a fixed order', () => {
+      expect(toolsFor('Schools and crime in Claremont')).toEqual(['find_nearby_schools', 'get_crime_stats']);
+    });
+  });
+
+  describe('argument extraction', () => {
+    test('reads a search radius in kilometres or metres', () => {
+      expect(routeMessage('Hospitals within 5 km of Claremont', NEIGHBORHOODS)).toEqual([
+        { name: 'find_nearby_hospitals', args: { neighborhood: 'Claremont', radiusKm: 5 } }
+      ]);
+      expect(routeMessage('Schools within 800 m of Observatory', NEIGHBORHOODS)).toEqual([
+        { name: 'find_nearby_schools', args: { neighborhood: 'Observatory', radiusKm: 0.8 } }
+      ]);
+    });
+
+    test('reads a period in months or years', () => {
+      expect(routeMessage('Crime in Langa over the last 6 months', NEIGHBORHOODS)).toEqual([
+        { name: 'get_crime_stats', args: { neighborhood: 'Langa', months: 6 } }
+      ]);
+      expect(routeMessage('Forecast rents in Claremont for 2 years', NEIGHBORHOODS)).toEqual([
+        { name: 'predict_rent', args: { neighborhood: 'Claremont', months: 24 } }
+      ]);
+    });
+
+    test('reads rental filters', () => {
+      expect(routeMessage('2 bedroom furnished flats in Sea Point under R15,000 with pets', NEIGHBORHOODS)).toEqual([
+        {
+          name: 'search_rentals',
+          args: { location: 'Sea Point', maxPrice: 15000, bedrooms: 2, furnished: 'Fully furnished', petsAllowed: true }
+        }
+      ]);
+      expect(routeMessage('Unfurnished apartments over R8000', NEIGHBORHOODS)).toEqual([
+        { name: 'search_rentals', args: { minPrice: 8000, furnished: 'Unfurnished' } }
+      ]);
+    });
+  });
+
+  describe('journeys', () => {
+    test('parses origin and destination', () => {
+      expect(routeMessage('Which taxi goes from Langa to Claremont?', NEIGHBORHOODS)).toEqual([
+        { name: 'find_taxi_routes', args: { origin: 'Langa', destination: 'Claremont' } }
+      ]);
+    });
+
+    test('falls back to routes through a named neighborhood', () => {
+      expect(routeMessage('Taxi routes in Khayelitsha', NEIGHBORHOODS)).toEqual([
+        { name: 'find_taxi_routes', args: { neighborhood: 'Khayelitsha' } }
+      ]);
+    });
+  });
+});
+
+describe('findNeighborhood', () => {
+  test('prefers the longest matching name', () => {
+    expect(findNeighborhood('Flats in Green Point', ['Point', 'Green Point'])).toBe('Green Point');
+  });
+
+  test('returns null when no neighborhood is named', () => {
+    expect(findNeighborhood('Flats near the station', NEIGHBORHOODS)).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+const { routeMessage, findNeighborhood } = require('../src/services/toolRouter');
+
+const NEIGHBORHOODS = ['Sea Point', 'Observatory', 'Khayelitsha', 'Langa', 'Claremont', 'Green Point'];
+
+const toolsFor = (message) => routeMessage(message, NEIGHBORHOODS).map(call => call.name);
+
+describe('routeMessage', () => {
+  describe('Afrikaans', () => {
+    test('routes hospital, school and safety questions', () => {
+      expect(toolsFor('Watter hospitale is naby Claremont?')).toEqual(['find_nearby_hospitals']);
+      expect(toolsFor('Is daar goeie skole in Observatory?')).toEqual(['find_nearby_schools']);
+      expect(toolsFor('Hoe veilig is Langa?')).toEqual(['get_crime_stats']);
+    });
+
+    test('resolves Afrikaans suburb aliases', () => {
+      expect(routeMessage('Is Seepunt veilig?', NEIGHBORHOODS)).toEqual([
+        { name: 'get_crime_stats', args: { neighborhood: 'Sea Point' } }
+      ]);
+    });
+
+    test('reads rental filters', () => {
+      expect(routeMessage('3 slaapkamers te huur onder R20 000', NEIGHBORHOODS)).toEqual([
+        { name: 'search_rentals', args: { maxPrice: 20000, bedrooms: 3 } }
+      ]);
+    });
+
+    test('parses a journey origin and destination', () => {
+      expect(routeMessage('Is daar n taxi van Langa na Claremont?', NEIGHBORHOODS)).toEqual([
+        { name: 'find_taxi_routes', args: { origin: 'Langa', destination: 'Claremont' } }
+      ]);
+    });
+  });
+
+  describe('isiXhosa', () => {
+    test('matches stems inside prefixed words and place names with locatives', () => {
+      expect(toolsFor('Zeziphi izibhedlele eKhayelitsha?')).toEqual(['find_nearby_hospitals']);
+      expect(toolsFor('Ndifuna izikolo eLanga')).toEqual(['find_nearby_schools']);
+    });
+
+    test('parses a journey origin and destination', () => {
+      expect(routeMessage('Iteksi ukusuka eLanga ukuya eClaremont', NEIGHBORHOODS)).toEqual([
+        { name: 'find_taxi_routes', args: { origin: 'Langa', destination: 'Claremont' } }
+      ]);
+    });
+  });
+});
+
+describe('findNeighborhood', () => {
+  test('returns null for an alias of an unknown neighborhood', () => {
+    expect(findNeighborhood('Seepunt', ['Observatory'])).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+const { FlatIndex, HnswIndex } = require('../src/services/vectorIndex');
+
+// Deterministic PRNG so every run builds the same graph
+const seeded = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomVectors = (random, count, dimensions) =>
+  Array.from({ length: count }, () => Array.from({ length: dimensions }, () => random() - 0.5));
+
+const build = (Index, vectors, options) => {
+  const index = new Index(options);
+  vectors.forEach((vector, i) => index.add(`doc${i}`, vector));
+  return index;
+};
+
+describe('vector indexes', () => {
+  let random;
+
+  beforeEach(() => {
+    random = seeded(42);
+    jest.spyOn(Math, 'random').mockImplementation(seeded(7));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('FlatIndex', () => {
+    it('ranks by cosine similarity and scores like Atlas', () => {
+      const index = build(FlatIndex, [[1, 0], [0, 1], [-1, 0], [1, 1]]);
+
+      const results = index.search([2, 0], 4);
+
+      expect(results.map(result => result.id)).toEqual(['doc0', 'doc3', 'doc1', 'doc2']);
+      expect(results[0].score).toBeCloseTo(1, 6);
+      expect(results[1].score).toBeCloseTo((1 + Math.SQRT1_2) / 2, 6);
+      expect(results[2].score).toBeCloseTo(0.5, 6);
+      expect(results[3].score).toBeCloseTo(0, 6);
+    });
+
+    it('only returns allowed ids', () => {
+      const index = build(FlatIndex, [[1, 0], [0, 1], [-1, 0]]);
+
+      expect(index.search([1, 0], 2, { allow: new Set(['doc1', 'doc2']) }).map(result => result.id))
+        .toEqual(['doc1', 'doc2']);
+    });
+  });
+
+  describe('HnswIndex', () => {
+    it('finds nearly all of the exact nearest neighbours', () => {
+      const vectors = randomVectors(random, 1500, 24);
+      const flat = build(FlatIndex, vectors);
+      const hnsw = build(HnswIndex, vectors, { M: 8, efConstruction: 64 });
+      const queries = randomVectors(random, 40, 24);
+      const k = 10;
+
+      let found = 0;
+      queries.forEach(query => {
+        const exact = new Set(flat.search(query, k).map(result => result.id));
+        found += hnsw.search(query, k, { ef: 64 }).filter(result => exact.has(result.id)).length;
+      });
+
+      expect(found / (queries.length * k)).toBeGreaterThanOrEqual(0.95);
+    });
+
+    it('returns results best first with the same scores as exact search', () => {
+      const vectors = randomVectors(random, 300, 16);
+      const flat = build(FlatIndex, vectors);
+      const hnsw = build(HnswIndex, vectors);
+      const [query] = randomVectors(random, 1, 16);
+
+      const results = hnsw.search(query, 5);
+      const exactScores = new Map(flat.search(query, vectors.length).map(result => [result.id, result.score]));
+
+      expect(results).toHaveLength(5);
+      results.forEach((result, i) => {
+        expect(result.score).toBeCloseTo(exactScores.get(result.id), 5);
+        if (i > 0) expect(result.score).toBeLessThanOrEqual(results[i - 1].score);
+      });
+    });
+
+    it('scores every allowed id exactly when the search is restricted', () => {
+      const vectors = randomVectors(random, 300, 16);
+      const flat = build(FlatIndex, vectors);
+      const hnsw = build(HnswIndex, vectors);
+      const allow = new Set(['doc3', 'doc150', 'doc299']);
+      const [query] = randomVectors(random, 1, 16);
+
+      expect(hnsw.search(query, 10, { allow })).toEqual(flat.search(query, 10, { allow }));
+    });
+
+    it('returns nothing from an empty index', () => {
+      expect(new HnswIndex().search([1, 0], 5)).toEqual([]);
+    });
+  });
+});
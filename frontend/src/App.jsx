@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { Box } from '@mui/material'
 import { Helmet } from 'react-helmet-async'
@@ -18,12 +18,24 @@ import MarketInsights from './pages/MarketInsights'
 import Favorites from './pages/Favorites'
 import Help from './pages/Help'
 import About from './pages/About'
+import Login from './pages/Login'
 
 // Store
 import { useAppStore } from './store/appStore'
+import useAuthStore from './store/authStore'
+import useFavoritesStore from './store/favoritesStore'
 
 function App() {
   const { sidebarOpen, setSidebarOpen } = useAppStore()
+  const userId = useAuthStore((state) => state.user?.id)
+  const syncFavorites = useFavoritesStore((state) => state.syncWithServer)
+
+  // Pick up favorites changed on other devices
+  useEffect(() => {
+    if (userId) {
+      syncFavorites()
+    }
+  }, [userId, syncFavorites])
 
   const handleSidebarToggle = () => {
     setSidebarOpen(!sidebarOpen)
@@ -67,6 +79,7 @@ function App() {
             <Route path="/favorites" element={<Favorites />} />
             <Route path="/help" element={<Help />} />
             <Route path="/about" element={<About />} />
+            <Route path="/login" element={<Login />} />
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
         </Box>
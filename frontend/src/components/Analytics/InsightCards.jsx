@@ -20,6 +20,19 @@ import {
   Star as StarIcon
 } from '@mui/icons-material'
 
+import SourceChips from '../Sources/SourceChips'
+
+// Where a card's headline figure comes from, shown as a source chip
+const fieldSource = (neighborhood, field, label, value) => neighborhood && {
+  type: 'neighborhood',
+  id: neighborhood._id,
+  neighborhood: neighborhood.name,
+  label: `${neighborhood.name} ${label}`,
+  field,
+  value,
+  dataSource: neighborhood.dataSource || 'neighborhoods'
+}
+
 const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
   const theme = useTheme()
 
@@ -48,7 +61,8 @@ const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
         unit: '/10 avg',
         description: `${safestNeighborhood?.name} is the safest with ${maxSafety}/10`,
         progress: (avgSafety / 10) * 100,
-        trend: avgSafety > 7 ? 'up' : avgSafety < 5 ? 'down' : 'neutral'
+        trend: avgSafety > 7 ? 'up' : avgSafety < 5 ? 'down' : 'neutral',
+        source: fieldSource(safestNeighborhood, 'safety.safetyScore', 'safety score', maxSafety)
       })
     }
 
@@ -71,7 +85,8 @@ const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
         unit: 'avg rent',
         description: `${cheapestNeighborhood?.name} is most affordable at R${minRent.toLocaleString()}`,
         progress: ((maxRent - avgRent) / (maxRent - minRent)) * 100,
-        trend: avgRent > 25000 ? 'up' : avgRent < 15000 ? 'down' : 'neutral'
+        trend: avgRent > 25000 ? 'up' : avgRent < 15000 ? 'down' : 'neutral',
+        source: fieldSource(cheapestNeighborhood, 'housing.avgRent', 'average rent', minRent)
       })
     }
 
@@ -93,7 +108,8 @@ const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
         unit: '/100 avg',
         description: `${bestTransitNeighborhood?.name} has the best transit with ${maxTransit}/100`,
         progress: avgTransit,
-        trend: avgTransit > 80 ? 'up' : avgTransit < 60 ? 'down' : 'neutral'
+        trend: avgTransit > 80 ? 'up' : avgTransit < 60 ? 'down' : 'neutral',
+        source: fieldSource(bestTransitNeighborhood, 'amenities.transitScore', 'transit score', maxTransit)
       })
     }
 
@@ -116,7 +132,8 @@ const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
         unit: 'avg population',
         description: `${mostPopulousNeighborhood?.name} is most populous with ${Math.round(maxPop / 1000)}K residents`,
         progress: (avgPop / maxPop) * 100,
-        trend: 'neutral'
+        trend: 'neutral',
+        source: fieldSource(mostPopulousNeighborhood, 'demographics.population', 'population', maxPop)
       })
     }
 
@@ -207,6 +224,10 @@ const InsightCards = ({ neighborhoods = [], comparisonData = null }) => {
               <Typography variant="caption" color="text.secondary">
                 {Math.round(insight.progress)}% of maximum
               </Typography>
+
+              {insight.source && (
+                <SourceChips citations={[insight.source]} title={null} numbered={false} />
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Box,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Typography
+} from '@mui/material'
+import { useQuery } from 'react-query'
+
+import { analyticsAPI } from '../../services/api'
+import TrendChart from './TrendChart'
+
+const BEDROOM_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 0, label: 'Studio' },
+  { value: 1, label: '1 bed' },
+  { value: 2, label: '2 bed' },
+  { value: 3, label: '3 bed' },
+  { value: 4, label: '4+ bed' }
+]
+
+// Observed monthly median rent for a neighborhood, from rent snapshots
+const RentHistoryPanel = ({ neighborhoods = [], months = 24 }) => {
+  const [neighborhood, setNeighborhood] = useState('')
+  const [bedrooms, setBedrooms] = useState('all')
+
+  useEffect(() => {
+    if (!neighborhood && neighborhoods.length > 0) {
+      setNeighborhood(neighborhoods[0].name)
+    }
+  }, [neighborhoods, neighborhood])
+
+  const { data, isLoading } = useQuery(
+    ['rent-history', neighborhood, bedrooms, months],
+    async () => {
+      const response = await analyticsAPI.getTrends(
+        neighborhood,
+        months,
+        'housing',
+        bedrooms === 'all' ? undefined : bedrooms
+      )
+      return response.data
+    },
+    {
+      enabled: !!neighborhood,
+      staleTime: 10 * 60 * 1000
+    }
+  )
+
+  const timeSeriesData = (data?.trendData || []).map(point => ({
+    date: point.date,
+    value: point.medianRent,
+    sampleSize: point.listings,
+    sparse: point.sparse,
+    missing: point.missing
+  }))
+
+  return (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 2 }} alignItems="center">
+        <Grid item xs={12} md={5}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Neighborhood</InputLabel>
+            <Select
+              value={neighborhood}
+              label="Neighborhood"
+              onChange={(e) => setNeighborhood(e.target.value)}
+            >
+              {neighborhoods.map(n => (
+                <MenuItem key={n._id} value={n.name}>{n.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={bedrooms}
+            onChange={(e, value) => value !== null && setBedrooms(value)}
+          >
+            {BEDROOM_OPTIONS.map(option => (
+              <ToggleButton key={option.value} value={option.value}>
+                {option.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Grid>
+      </Grid>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TrendChart
+          title={`📉 Median Rent — ${neighborhood || 'select a neighborhood'}`}
+          type="line"
+          height={300}
+          color="primary"
+          timeSeriesData={timeSeriesData}
+          dataQuality={data?.dataQuality}
+        />
+      )}
+      {data?.dataQuality?.firstSnapshot && (
+        <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+          Based on listing snapshots since {data.dataQuality.firstSnapshot}.
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+export default RentHistoryPanel
@@ -4,6 +4,7 @@ import {
   Card,
   CardContent,
   Typography,
+  Alert,
   useTheme
 } from '@mui/material'
 import {
@@ -40,7 +41,8 @@ const TrendChart = ({
   height = 300,
   showLegend = true,
   color = 'primary',
-  timeSeriesData = null
+  timeSeriesData = null,
+  dataQuality = null
 }) => {
   const theme = useTheme()
   const chartRef = useRef(null)
@@ -87,20 +89,31 @@ const TrendChart = ({
     return colors[colorType] || colors.primary
   }
 
+  // Time series points may be flagged as sparse (too few samples) or
+  // missing (no data for the period, plotted as a gap)
+  const isSparsePoint = (index) => !!timeSeriesData?.[index]?.sparse
+
   // Prepare chart data
   const prepareChartData = () => {
     if (timeSeriesData) {
+      const baseColor = getColors(color)[0]
       // Time series data for line charts
       return {
         labels: timeSeriesData.map(item => item.date || item.label),
         datasets: [{
           label: title,
-          data: timeSeriesData.map(item => item.value),
-          borderColor: getColors(color)[0],
-          backgroundColor: getColors(color)[0] + '20',
+          data: timeSeriesData.map(item => (item.missing ? null : item.value)),
+          borderColor: baseColor,
+          backgroundColor: baseColor + '20',
           borderWidth: 2,
           fill: type === 'line',
-          tension: 0.4
+          tension: 0.4,
+          pointBackgroundColor: timeSeriesData.map(item => (item.sparse ? theme.palette.background.paper : baseColor)),
+          pointBorderColor: baseColor,
+          pointRadius: timeSeriesData.map(item => (item.sparse ? 4 : 3)),
+          segment: {
+            borderDash: (ctx) => (isSparsePoint(ctx.p0DataIndex) || isSparsePoint(ctx.p1DataIndex) ? [6, 4] : undefined)
+          }
         }]
       }
     }
@@ -140,7 +153,14 @@ const TrendChart = ({
           borderColor: theme.palette.divider,
           borderWidth: 1,
           cornerRadius: 8,
-          displayColors: true
+          displayColors: true,
+          callbacks: {
+            afterLabel: (context) => {
+              const point = timeSeriesData?.[context.dataIndex]
+              if (point?.sampleSize === undefined) return ''
+              return `${point.sampleSize} listings${point.sparse ? ' (limited data)' : ''}`
+            }
+          }
         }
       }
     }
@@ -237,6 +257,10 @@ const TrendChart = ({
 
   const stats = getSummaryStats()
 
+  const sparseCount = timeSeriesData?.filter(item => item.sparse && !item.missing).length || 0
+  const missingCount = timeSeriesData?.filter(item => item.missing).length || 0
+  const showDataWarning = dataQuality?.isSparse || sparseCount > 0 || missingCount > 0
+
   return (
     <Card sx={{ height: '100%' }}>
       <CardContent>
@@ -256,8 +280,16 @@ const TrendChart = ({
           )}
         </Box>
 
+        {showDataWarning && (
+          <Alert severity={dataQuality?.isSparse ? 'warning' : 'info'} sx={{ mb: 2, py: 0 }}>
+            {dataQuality?.isSparse && 'Limited data — treat this trend with caution. '}
+            {sparseCount > 0 && `${sparseCount} period${sparseCount === 1 ? ' is' : 's are'} based on fewer than ${dataQuality?.minSampleSize || 5} samples (dashed line). `}
+            {missingCount > 0 && `${missingCount} period${missingCount === 1 ? ' has' : 's have'} no data (gaps).`}
+          </Alert>
+        )}
+
         <Box sx={{ height: height, position: 'relative' }}>
-          {data.length === 0 && !timeSeriesData?.length ? (
+          {data.length === 0 && !timeSeriesData?.some(item => !item.missing) ? (
             <Box
               sx={{
                 display: 'flex',
@@ -11,12 +11,11 @@ import {
 } from '@mui/material'
 import {
   Send as SendIcon,
-  AttachFile as AttachFileIcon,
-  Mic as MicIcon,
-  Stop as StopIcon
+  AttachFile as AttachFileIcon
 } from '@mui/icons-material'
 
 import MessageBubble from './MessageBubble'
+import VoiceInputButton from './VoiceInputButton'
 
 const ChatInterface = ({
   messages = [],
@@ -27,7 +26,6 @@ const ChatInterface = ({
   height = '400px'
 }) => {
   const [inputValue, setInputValue] = useState('')
-  const [isRecording, setIsRecording] = useState(false)
   const messagesEndRef = useRef(null)
   const inputRef = useRef(null)
 
@@ -60,18 +58,10 @@ const ChatInterface = ({
     inputRef.current?.focus()
   }
 
-  const handleVoiceRecord = () => {
-    if (!isRecording) {
-      // Start recording
-      setIsRecording(true)
-      // TODO: Implement voice recording functionality
-      console.log('Starting voice recording...')
-    } else {
-      // Stop recording
-      setIsRecording(false)
-      // TODO: Process voice input
-      console.log('Stopping voice recording...')
-    }
+  // Dictated text is added to whatever was already typed
+  const handleVoiceText = (text) => {
+    setInputValue((current) => (current.trim() ? `${current.trim()} ${text}` : text))
+    inputRef.current?.focus()
   }
 
   return (
@@ -198,19 +188,7 @@ const ChatInterface = ({
           />
           
           {/* Voice Recording Button */}
-          <IconButton
-            onClick={handleVoiceRecord}
-            disabled={isLoading}
-            color={isRecording ? 'error' : 'default'}
-            sx={{
-              backgroundColor: isRecording ? 'error.light' : 'grey.100',
-              '&:hover': {
-                backgroundColor: isRecording ? 'error.main' : 'grey.200'
-              }
-            }}
-          >
-            {isRecording ? <StopIcon /> : <MicIcon />}
-          </IconButton>
+          <VoiceInputButton onText={handleVoiceText} disabled={isLoading} />
 
           {/* Send Button */}
           <IconButton
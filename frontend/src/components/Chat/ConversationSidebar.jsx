@@ -0,0 +1,162 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  TextField,
+  Tooltip,
+  CircularProgress
+} from '@mui/material'
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Check as CheckIcon,
+  ChatBubbleOutline as ChatIcon
+} from '@mui/icons-material'
+import { formatDistanceToNow } from 'date-fns'
+
+import { useTranslation } from '../../i18n'
+
+const ConversationSidebar = ({
+  conversations = [],
+  activeId = null,
+  isLoading = false,
+  signedIn = false,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete
+}) => {
+  // { id, title, original } of the conversation being renamed
+  const [editing, setEditing] = useState(null)
+  const { t } = useTranslation()
+
+  const saveTitle = () => {
+    if (!editing) return
+    const title = editing.title.trim()
+    if (title && title !== editing.original) onRename(editing.id, title)
+    setEditing(null)
+  }
+
+  const handleTitleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      saveTitle()
+    } else if (e.key === 'Escape') {
+      setEditing(null)
+    }
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Box sx={{ p: 2, pb: 1 }}>
+        <Button
+          fullWidth
+          variant="outlined"
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={onNew}
+        >
+          {t('conversations.newChat')}
+        </Button>
+      </Box>
+
+      <Typography variant="subtitle2" color="text.secondary" sx={{ px: 2, py: 1 }}>
+        {t('conversations.title')}
+      </Typography>
+
+      <Box sx={{ flexGrow: 1, overflow: 'auto', minHeight: 0 }}>
+        {!signedIn ? (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+            {t('conversations.signIn')}
+          </Typography>
+        ) : isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={20} />
+          </Box>
+        ) : conversations.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+            {t('conversations.empty')}
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {conversations.map(conversation => (
+              editing?.id === conversation._id ? (
+                <Box key={conversation._id} sx={{ display: 'flex', alignItems: 'center', px: 1, py: 0.5 }}>
+                  <TextField
+                    autoFocus
+                    fullWidth
+                    size="small"
+                    value={editing.title}
+                    inputProps={{ maxLength: 100 }}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    onKeyDown={handleTitleKeyDown}
+                    onBlur={saveTitle}
+                  />
+                  <IconButton size="small" onMouseDown={(e) => e.preventDefault()} onClick={saveTitle}>
+                    <CheckIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              ) : (
+                <ListItemButton
+                  key={conversation._id}
+                  selected={conversation._id === activeId}
+                  onClick={() => onSelect(conversation._id)}
+                  sx={{
+                    pr: 9,
+                    '&:hover .conversation-actions': { visibility: 'visible' }
+                  }}
+                >
+                  <ChatIcon fontSize="small" color="action" sx={{ mr: 1.5 }} />
+                  <ListItemText
+                    primary={conversation.title}
+                    secondary={formatDistanceToNow(new Date(conversation.lastMessageAt), { addSuffix: true })}
+                    primaryTypographyProps={{ noWrap: true }}
+                  />
+                  <Box
+                    className="conversation-actions"
+                    sx={{
+                      position: 'absolute',
+                      right: 4,
+                      visibility: conversation._id === activeId ? 'visible' : 'hidden'
+                    }}
+                  >
+                    <Tooltip title={t('conversations.rename')}>
+                      <IconButton
+                        size="small"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          setEditing({ id: conversation._id, title: conversation.title, original: conversation.title })
+                        }}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={t('conversations.delete')}>
+                      <IconButton
+                        size="small"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onDelete(conversation._id)
+                        }}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </ListItemButton>
+              )
+            ))}
+          </List>
+        )}
+      </Box>
+    </Box>
+  )
+}
+
+export default ConversationSidebar
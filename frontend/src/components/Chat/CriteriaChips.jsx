@@ -0,0 +1,176 @@
+import React, { useState } from 'react'
+import { Box, Button, Chip, Popover, TextField, Typography } from '@mui/material'
+import { Refresh as RefreshIcon } from '@mui/icons-material'
+
+import { useTranslation } from '../../i18n'
+
+const without = (criteria, ...keys) => Object.fromEntries(
+  Object.entries(criteria).filter(([key]) => !keys.includes(key))
+)
+
+const toNumber = (text) => {
+  const value = parseInt(String(text).replace(/[^\d]/g, ''), 10)
+  return Number.isNaN(value) ? null : value
+}
+
+/**
+ * Chips for the criteria the chat has gathered across turns. Each chip has
+ * a label, a remove() giving the criteria without it and, when editable, the
+ * value to edit and a set(text) giving the criteria with the new value.
+ * Removing a slot the assistant asks about records "no preference" (null or
+ * 'none') so it is not asked again.
+ */
+const buildChips = (criteria, t) => {
+  const chips = []
+  const add = (key, label, remove, edit) => chips.push({ key, label, remove, ...edit })
+
+  if (criteria.maxRent) {
+    add('maxRent', t('criteria.maxRent', { value: criteria.maxRent.toLocaleString() }),
+      () => without(criteria, 'maxRent', 'currency'),
+      { value: criteria.maxRent, numeric: true, set: (text) => toNumber(text) && { ...criteria, maxRent: toNumber(text) } })
+  }
+  if (criteria.minRent) {
+    add('minRent', t('criteria.minRent', { value: criteria.minRent.toLocaleString() }),
+      () => without(criteria, 'minRent'),
+      { value: criteria.minRent, numeric: true, set: (text) => toNumber(text) && { ...criteria, minRent: toNumber(text) } })
+  }
+  if (criteria.bedrooms != null) {
+    add('bedrooms', criteria.bedrooms === 0 ? t('criteria.studio') : t('criteria.bedrooms', { count: criteria.bedrooms }),
+      () => without(criteria, 'bedrooms'),
+      { value: criteria.bedrooms, numeric: true, set: (text) => toNumber(text) !== null && { ...criteria, bedrooms: toNumber(text) } })
+  }
+  for (const area of criteria.preferredAreas || []) {
+    add(`area-${area}`, t('criteria.area', { value: area }), () => {
+      const preferredAreas = criteria.preferredAreas.filter((item) => item !== area)
+      return preferredAreas.length ? { ...criteria, preferredAreas } : without(criteria, 'preferredAreas')
+    })
+  }
+  if (criteria.commuteDestination) {
+    add('commute', criteria.maxCommuteKm
+      ? t('criteria.commuteWithin', { value: criteria.commuteDestination, km: criteria.maxCommuteKm })
+      : t('criteria.commute', { value: criteria.commuteDestination }),
+    () => ({ ...without(criteria, 'maxCommuteKm'), commuteDestination: null }),
+    { value: criteria.commuteDestination, set: (text) => text.trim() && { ...criteria, commuteDestination: text.trim() } })
+  }
+  if (criteria.schoolImportance === 'high') {
+    add('schools', t('criteria.schools'), () => ({ ...without(criteria, 'familyFriendly'), schoolImportance: 'none' }))
+  } else if (criteria.familyFriendly) {
+    add('familyFriendly', t('criteria.familyFriendly'), () => without(criteria, 'familyFriendly'))
+  }
+  if (criteria.minSafetyScore) {
+    add('safety', t('criteria.safety', { value: criteria.minSafetyScore }),
+      () => without(criteria, 'minSafetyScore'),
+      { value: criteria.minSafetyScore, numeric: true, set: (text) => toNumber(text) && { ...criteria, minSafetyScore: Math.min(10, toNumber(text)) } })
+  }
+  if (criteria.nearSea) {
+    add('nearSea', t('criteria.nearSea'), () => ({
+      ...without(criteria, 'nearSea'),
+      lifestylePreferences: (criteria.lifestylePreferences || []).filter((type) => type !== 'coastal')
+    }))
+  }
+  if (criteria.transitAccess) {
+    add('transit', t('criteria.transit'), () => without(criteria, 'transitAccess'))
+  }
+  if (criteria.lifestyle === 'quiet') {
+    add('quiet', t('criteria.quiet'), () => without(criteria, 'lifestyle'))
+  }
+  if (criteria.propertyType) {
+    add('propertyType', t(`criteria.propertyTypes.${criteria.propertyType}`), () => without(criteria, 'propertyType'))
+  }
+  if (criteria.familySize) {
+    add('familySize', t('criteria.familySize', { count: criteria.familySize }), () => without(criteria, 'familySize'))
+  }
+
+  return chips
+}
+
+/**
+ * The chat's current search criteria as chips above the input. Clicking a
+ * chip with a value edits it; deleting a chip drops it. Edits apply to the
+ * next message, and "Update results" searches again with them straight away.
+ */
+const CriteriaChips = ({ criteria, onChange, onSearch, disabled = false }) => {
+  const { t } = useTranslation()
+  // { anchor, chip, text } of the chip being edited
+  const [editing, setEditing] = useState(null)
+  const [edited, setEdited] = useState(false)
+
+  const chips = criteria ? buildChips(criteria, t) : []
+  if (!chips.length) return null
+
+  const change = (next) => {
+    if (!next) return
+    onChange(next)
+    setEdited(true)
+  }
+
+  const saveEdit = () => {
+    change(editing.chip.set(editing.text))
+    setEditing(null)
+  }
+
+  const search = () => {
+    setEdited(false)
+    onSearch()
+  }
+
+  return (
+    <Box sx={{ mb: 1 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
+        <Typography variant="caption" color="text.secondary" sx={{ mr: 0.5 }}>
+          {t('criteria.title')}
+        </Typography>
+        {chips.map((chip) => (
+          <Chip
+            key={chip.key}
+            label={chip.label}
+            size="small"
+            color="primary"
+            variant="outlined"
+            clickable={!!chip.set}
+            disabled={disabled}
+            onClick={chip.set ? (e) => setEditing({ anchor: e.currentTarget, chip, text: String(chip.value) }) : undefined}
+            onDelete={() => change(chip.remove())}
+            title={chip.set ? t('criteria.edit') : undefined}
+          />
+        ))}
+        {edited && (
+          <Button size="small" startIcon={<RefreshIcon />} onClick={search} disabled={disabled}>
+            {t('criteria.update')}
+          </Button>
+        )}
+      </Box>
+
+      <Popover
+        open={!!editing}
+        anchorEl={editing?.anchor}
+        onClose={() => setEditing(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'left' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        {editing && (
+          <Box sx={{ p: 1.5, display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField
+              autoFocus
+              size="small"
+              value={editing.text}
+              inputProps={editing.chip.numeric ? { inputMode: 'numeric' } : undefined}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault()
+                  saveEdit()
+                }
+              }}
+            />
+            <Button size="small" variant="contained" onClick={saveEdit}>
+              {t('criteria.save')}
+            </Button>
+          </Box>
+        )}
+      </Popover>
+    </Box>
+  )
+}
+
+export default CriteriaChips
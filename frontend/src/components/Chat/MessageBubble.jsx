@@ -9,7 +9,8 @@ import {
   CardContent,
   Button,
   IconButton,
-  Tooltip
+  Tooltip,
+  CircularProgress
 } from '@mui/material'
 import {
   Person as PersonIcon,
@@ -20,20 +21,32 @@ import {
   LocationOn as LocationIcon,
   Security as SecurityIcon,
   DirectionsTransit as TransitIcon,
-  AttachMoney as MoneyIcon
+  AttachMoney as MoneyIcon,
+  VolumeUp as SpeakIcon,
+  VolumeOff as StopSpeakingIcon
 } from '@mui/icons-material'
 import { format } from 'date-fns'
 import { useNavigate } from 'react-router-dom'
 import ReactMarkdown from 'react-markdown'
 
 import { useAppStore } from '../../store/appStore'
+import SourceChips from '../Sources/SourceChips'
+import { useTranslation } from '../../i18n'
 
-const MessageBubble = ({ message }) => {
+// Progress shown while a streamed reply has no text yet (message.stages.*).
+// The `tool` stage shows the label of the data lookup in progress instead.
+const STAGES = ['understanding', 'neighborhoods', 'writing']
+
+// onSpeak, when given, adds a button that reads the reply aloud (or stops
+// reading it while speaking is true)
+const MessageBubble = ({ message, onSpeak, speaking = false }) => {
   const navigate = useNavigate()
   const { addSelectedNeighborhood } = useAppStore()
+  const { t } = useTranslation()
   
   const isUser = message.role === 'user'
   const isError = message.isError
+  const isStreaming = !!message.streaming
 
   const handleCopyMessage = () => {
     navigator.clipboard.writeText(message.content)
@@ -62,7 +75,7 @@ const MessageBubble = ({ message }) => {
         borderColor: 'divider'
       }}>
         <Typography variant="subtitle2" fontWeight={600} color="text.primary" sx={{ mb: 2 }}>
-          📍 Relevant neighborhoods:
+          {t('message.relevantNeighborhoods')}
         </Typography>
         <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
           {neighborhoods.slice(0, 3).map((neighborhood, index) => (
@@ -99,7 +112,7 @@ const MessageBubble = ({ message }) => {
                   {neighborhood.safety?.safetyScore && (
                     <Chip
                       icon={<SecurityIcon />}
-                      label={`Safety: ${neighborhood.safety.safetyScore.toFixed(1)}/10`}
+                      label={t('message.safety', { score: neighborhood.safety.safetyScore.toFixed(1) })}
                       size="small"
                       color="success"
                       variant="outlined"
@@ -108,7 +121,7 @@ const MessageBubble = ({ message }) => {
                   {neighborhood.amenities?.transitScore && (
                     <Chip
                       icon={<TransitIcon />}
-                      label={`Transit: ${neighborhood.amenities.transitScore}/100`}
+                      label={t('message.transit', { score: neighborhood.amenities.transitScore })}
                       size="small"
                       color="info"
                       variant="outlined"
@@ -117,7 +130,7 @@ const MessageBubble = ({ message }) => {
                   {neighborhood.housing?.avgRent && (
                     <Chip
                       icon={<MoneyIcon />}
-                      label={`R${neighborhood.housing.avgRent.toLocaleString()}/mo`}
+                      label={t('message.rent', { rent: neighborhood.housing.avgRent.toLocaleString() })}
                       size="small"
                       color="warning"
                       variant="outlined"
@@ -227,15 +240,59 @@ const MessageBubble = ({ message }) => {
                 }
               }}
             >
-              <ReactMarkdown>{message.content}</ReactMarkdown>
+              {message.content ? (
+                <ReactMarkdown>{message.content}</ReactMarkdown>
+              ) : isStreaming && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <CircularProgress size={14} />
+                  <Typography variant="body2" color="text.secondary">
+                    {message.stage === 'tool'
+                      ? `${message.toolLabel}...`
+                      : t(`message.stages.${STAGES.includes(message.stage) ? message.stage : 'writing'}`)}
+                  </Typography>
+                </Box>
+              )}
+              {isStreaming && message.content && (
+                <Box
+                  component="span"
+                  sx={{
+                    display: 'inline-block',
+                    width: 8,
+                    height: '1em',
+                    backgroundColor: 'text.secondary',
+                    verticalAlign: 'text-bottom',
+                    animation: 'cursorBlink 1s step-end infinite',
+                    '@keyframes cursorBlink': {
+                      '50%': { opacity: 0 }
+                    }
+                  }}
+                />
+              )}
             </Box>
           )}
 
+          {/* What the assistant understood, shown as soon as the query is parsed */}
+          {!isUser && message.understanding?.explanation && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              🧠 {message.understanding.explanation}
+            </Typography>
+          )}
+
+          {!isUser && !isStreaming && message.citations?.length > 0 && (
+            <SourceChips citations={message.citations} />
+          )}
+
+          {!isUser && (message.cancelled || message.interrupted) && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1, fontStyle: 'italic' }}>
+              {message.cancelled ? t('message.stopped') : t('message.interrupted')}
+            </Typography>
+          )}
+
           {/* Intent Information */}
           {!isUser && message.intent && message.intent.isSearchQuery && (
             <Box sx={{ mt: 1 }}>
               <Chip
-                label={`Search confidence: ${(message.intent.confidence * 100).toFixed(0)}%`}
+                label={t('message.searchConfidence', { percent: (message.intent.confidence * 100).toFixed(0) })}
                 size="small"
                 variant="outlined"
                 sx={{ fontSize: '0.7rem' }}
@@ -244,19 +301,26 @@ const MessageBubble = ({ message }) => {
           )}
 
           {/* Message Actions */}
-          {!isUser && !isError && (
+          {!isUser && !isError && !isStreaming && (
             <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 0.5, mt: 1 }}>
-              <Tooltip title="Copy message">
+              {onSpeak && (
+                <Tooltip title={speaking ? t('message.stopReading') : t('message.readAloud')}>
+                  <IconButton size="small" color={speaking ? 'primary' : 'default'} onClick={onSpeak}>
+                    {speaking ? <StopSpeakingIcon fontSize="small" /> : <SpeakIcon fontSize="small" />}
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Tooltip title={t('message.copy')}>
                 <IconButton size="small" onClick={handleCopyMessage}>
                   <CopyIcon fontSize="small" />
                 </IconButton>
               </Tooltip>
-              <Tooltip title="Helpful">
+              <Tooltip title={t('message.helpful')}>
                 <IconButton size="small" color="success">
                   <ThumbUpIcon fontSize="small" />
                 </IconButton>
               </Tooltip>
-              <Tooltip title="Not helpful">
+              <Tooltip title={t('message.notHelpful')}>
                 <IconButton size="small" color="error">
                   <ThumbDownIcon fontSize="small" />
                 </IconButton>
@@ -0,0 +1,59 @@
+import React, { useEffect } from 'react'
+import { CircularProgress, IconButton, Tooltip } from '@mui/material'
+import { Mic as MicIcon, Stop as StopIcon } from '@mui/icons-material'
+import toast from 'react-hot-toast'
+
+import { useSpeechInput } from '../../hooks/useSpeech'
+import { useTranslation } from '../../i18n'
+
+// useSpeechInput error codes with their own message
+const ERROR_KEYS = {
+  'not-allowed': 'voice.notAllowed',
+  'service-not-allowed': 'voice.notAllowed',
+  'transcription-failed': 'voice.transcriptionFailed',
+  'language-not-supported': 'voice.languageNotSupported'
+}
+
+/**
+ * Mic button for dictating a chat message in the UI language. onText
+ * receives each finished transcript; the button stays hidden in browsers
+ * that can neither recognize nor record speech.
+ */
+const VoiceInputButton = ({ onText, disabled = false, sx }) => {
+  const { t, language } = useTranslation()
+  const { supported, isRecording, isTranscribing, interim, error, toggle } = useSpeechInput({ language, onText })
+
+  useEffect(() => {
+    if (error) toast.error(t(ERROR_KEYS[error] || 'voice.failed'))
+  }, [error, t])
+
+  if (!supported) return null
+
+  let title = t('voice.start')
+  if (isRecording) title = interim || t('voice.listening')
+  else if (isTranscribing) title = t('voice.transcribing')
+
+  return (
+    <Tooltip title={title}>
+      <span>
+        <IconButton
+          onClick={toggle}
+          disabled={(disabled && !isRecording) || isTranscribing}
+          color={isRecording ? 'error' : 'default'}
+          aria-label={isRecording ? t('voice.stop') : t('voice.start')}
+          sx={{
+            backgroundColor: isRecording ? 'error.light' : 'grey.100',
+            '&:hover': {
+              backgroundColor: isRecording ? 'error.main' : 'grey.200'
+            },
+            ...sx
+          }}
+        >
+          {isTranscribing ? <CircularProgress size={24} /> : isRecording ? <StopIcon /> : <MicIcon />}
+        </IconButton>
+      </span>
+    </Tooltip>
+  )
+}
+
+export default VoiceInputButton
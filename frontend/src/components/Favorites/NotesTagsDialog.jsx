@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react'
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Autocomplete,
+  Chip,
+  CircularProgress,
+  FormControlLabel,
+  Switch
+} from '@mui/material'
+
+// Edit the name (optional), notes and tags of a favorite or saved search,
+// plus the new-listing alerts switch for saved searches
+const NotesTagsDialog = ({
+  open,
+  title,
+  initialValues = {},
+  showName = false,
+  showAlertsToggle = false,
+  saving = false,
+  onClose,
+  onSave
+}) => {
+  const [name, setName] = useState('')
+  const [notes, setNotes] = useState('')
+  const [tags, setTags] = useState([])
+  const [alertsEnabled, setAlertsEnabled] = useState(false)
+
+  // Callers pass a fresh initialValues object on every render, so the form
+  // resets on these values rather than on the object
+  const initialName = initialValues.name || ''
+  const initialNotes = initialValues.notes || ''
+  const initialTags = JSON.stringify(initialValues.tags || [])
+  const initialAlertsEnabled = !!initialValues.alertsEnabled
+
+  useEffect(() => {
+    if (open) {
+      setName(initialName)
+      setNotes(initialNotes)
+      setTags(JSON.parse(initialTags))
+      setAlertsEnabled(initialAlertsEnabled)
+    }
+  }, [open, initialName, initialNotes, initialTags, initialAlertsEnabled])
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const values = { notes, tags }
+    if (showName) {
+      values.name = name.trim()
+    }
+    if (showAlertsToggle) {
+      values.alertsEnabled = alertsEnabled
+    }
+    onSave(values)
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          {showName && (
+            <TextField
+              fullWidth
+              required
+              autoFocus
+              label="Name"
+              margin="normal"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              inputProps={{ maxLength: 100 }}
+            />
+          )}
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label="Notes"
+            margin="normal"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            inputProps={{ maxLength: 2000 }}
+          />
+          <Autocomplete
+            multiple
+            freeSolo
+            options={[]}
+            value={tags}
+            onChange={(event, value) => setTags(value.map(tag => tag.trim().toLowerCase()).filter(Boolean))}
+            renderTags={(value, getTagProps) =>
+              value.map((tag, index) => (
+                <Chip key={tag} label={tag} size="small" {...getTagProps({ index })} />
+              ))
+            }
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Tags"
+                margin="normal"
+                helperText="Press Enter to add a tag"
+              />
+            )}
+          />
+          {showAlertsToggle && (
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={alertsEnabled}
+                  onChange={(e) => setAlertsEnabled(e.target.checked)}
+                />
+              }
+              label="Notify me when new rentals match"
+              sx={{ mt: 1 }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={saving || (showName && !name.trim())}
+            startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  )
+}
+
+export default NotesTagsDialog
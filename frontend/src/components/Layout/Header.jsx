@@ -9,6 +9,11 @@ import {
   InputAdornment,
   MenuItem,
   Chip,
+  Button,
+  Avatar,
+  Menu,
+  ListItemIcon,
+  Tooltip,
   useTheme,
   useMediaQuery
 } from '@mui/material'
@@ -16,20 +21,31 @@ import {
   Menu as MenuIcon,
   Search as SearchIcon,
   LocationCity as LocationCityIcon,
-  Compare as CompareIcon
+  Compare as CompareIcon,
+  Login as LoginIcon,
+  Logout as LogoutIcon,
+  Translate as TranslateIcon
 } from '@mui/icons-material'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useQuery } from 'react-query'
 
 import { searchAPI } from '../../services/api'
 import { useAppStore } from '../../store/appStore'
+import useAuthStore from '../../store/authStore'
+import NotificationsMenu from './NotificationsMenu'
+import { useTranslation, LANGUAGES } from '../../i18n'
 
 const Header = ({ onSidebarToggle }) => {
   const navigate = useNavigate()
+  const location = useLocation()
   const theme = useTheme()
   const isMobile = useMediaQuery(theme.breakpoints.down('md'))
   
   const { selectedNeighborhoods, clearSelectedNeighborhoods } = useAppStore()
+  const { user, logout } = useAuthStore()
+  const [userMenuAnchor, setUserMenuAnchor] = useState(null)
+  const [languageMenuAnchor, setLanguageMenuAnchor] = useState(null)
+  const { t, language, setLanguage } = useTranslation()
   
   const [searchQuery, setSearchQuery] = useState('')
   const [searchResults, setSearchResults] = useState([])
@@ -70,6 +86,17 @@ const Header = ({ onSidebarToggle }) => {
     }
   }
 
+  const handleLanguageSelect = (code) => {
+    setLanguageMenuAnchor(null)
+    setLanguage(code)
+  }
+
+  const handleLogout = async () => {
+    setUserMenuAnchor(null)
+    await logout()
+    navigate('/dashboard')
+  }
+
   return (
     <>
       <AppBar 
@@ -105,7 +132,7 @@ const Header = ({ onSidebarToggle }) => {
                 display: { xs: 'none', sm: 'block' }
               }}
             >
-              City Insights AI
+              {t('header.title')}
             </Typography>
           </Box>
 
@@ -116,7 +143,7 @@ const Header = ({ onSidebarToggle }) => {
                 <TextField
                   fullWidth
                   size="small"
-                  placeholder="Search neighborhoods..."
+                  placeholder={t('header.searchPlaceholder')}
                   value={searchQuery}
                   onChange={handleSearchChange}
                   InputProps={{
@@ -185,7 +212,7 @@ const Header = ({ onSidebarToggle }) => {
             <Box sx={{ mr: 2 }}>
               <Chip
                 icon={<CompareIcon />}
-                label={`${selectedNeighborhoods.length} selected`}
+                label={t('header.selected', { count: selectedNeighborhoods.length })}
                 color="primary"
                 variant="outlined"
                 onClick={handleCompareClick}
@@ -195,6 +222,72 @@ const Header = ({ onSidebarToggle }) => {
               />
             </Box>
           )}
+
+          {/* Language */}
+          <Tooltip title={t('header.language')}>
+            <Button
+              color="inherit"
+              size="small"
+              startIcon={<TranslateIcon />}
+              onClick={(event) => setLanguageMenuAnchor(event.currentTarget)}
+              sx={{ mr: 1, minWidth: 0, textTransform: 'uppercase' }}
+            >
+              {language}
+            </Button>
+          </Tooltip>
+          <Menu
+            anchorEl={languageMenuAnchor}
+            open={Boolean(languageMenuAnchor)}
+            onClose={() => setLanguageMenuAnchor(null)}
+          >
+            {LANGUAGES.map(({ code, name }) => (
+              <MenuItem
+                key={code}
+                selected={code === language}
+                onClick={() => handleLanguageSelect(code)}
+              >
+                {name}
+              </MenuItem>
+            ))}
+          </Menu>
+
+          {/* Account */}
+          {user ? (
+            <>
+              <NotificationsMenu />
+              <Chip
+                avatar={<Avatar>{(user.name || user.email).charAt(0).toUpperCase()}</Avatar>}
+                label={isMobile ? undefined : (user.name || user.email)}
+                variant="outlined"
+                onClick={(event) => setUserMenuAnchor(event.currentTarget)}
+              />
+              <Menu
+                anchorEl={userMenuAnchor}
+                open={Boolean(userMenuAnchor)}
+                onClose={() => setUserMenuAnchor(null)}
+              >
+                <MenuItem disabled>
+                  <Typography variant="body2">{user.email}</Typography>
+                </MenuItem>
+                <MenuItem onClick={handleLogout}>
+                  <ListItemIcon>
+                    <LogoutIcon fontSize="small" />
+                  </ListItemIcon>
+                  {t('header.signOut')}
+                </MenuItem>
+              </Menu>
+            </>
+          ) : (
+            location.pathname !== '/login' && (
+              <Button
+                color="primary"
+                startIcon={<LoginIcon />}
+                onClick={() => navigate('/login', { state: { from: location.pathname } })}
+              >
+                {t('header.signIn')}
+              </Button>
+            )
+          )}
         </Toolbar>
       </AppBar>
     </>
@@ -0,0 +1,163 @@
+import { useState } from 'react'
+import {
+  IconButton,
+  Badge,
+  Menu,
+  MenuItem,
+  Box,
+  Typography,
+  Button,
+  Divider,
+  CircularProgress,
+  Tooltip
+} from '@mui/material'
+import { Notifications as NotificationsIcon } from '@mui/icons-material'
+import { useNavigate } from 'react-router-dom'
+import { useQuery, useQueryClient } from 'react-query'
+
+import { notificationsAPI, savedSearchesAPI } from '../../services/api'
+
+const formatTimeAgo = (date) => {
+  const minutes = Math.round((Date.now() - new Date(date).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.round(hours / 24)}d ago`
+}
+
+// In-app notification inbox shown in the header for signed-in users
+const NotificationsMenu = () => {
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const [anchorEl, setAnchorEl] = useState(null)
+
+  const { data: countData } = useQuery(
+    'notifications-unread-count',
+    async () => {
+      const response = await notificationsAPI.getUnreadCount()
+      return response.data
+    },
+    {
+      refetchInterval: 60 * 1000
+    }
+  )
+
+  const { data: listData, isLoading } = useQuery(
+    'notifications',
+    async () => {
+      const response = await notificationsAPI.getAll({ limit: 10 })
+      return response.data
+    },
+    {
+      enabled: Boolean(anchorEl)
+    }
+  )
+
+  const refresh = () => {
+    queryClient.invalidateQueries('notifications')
+    queryClient.invalidateQueries('notifications-unread-count')
+  }
+
+  const handleOpenNotification = async (notification) => {
+    setAnchorEl(null)
+    if (!notification.read) {
+      await notificationsAPI.markRead(notification._id).catch(() => {})
+      refresh()
+    }
+
+    if (notification.type === 'saved-search-match' && notification.data?.savedSearchId) {
+      try {
+        const response = await savedSearchesAPI.getById(notification.data.savedSearchId)
+        navigate('/rentals', { state: { savedSearch: response.data.savedSearch } })
+      } catch (error) {
+        navigate('/favorites')
+      }
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    await notificationsAPI.markAllRead()
+    refresh()
+  }
+
+  const unreadCount = countData?.unreadCount || 0
+  const notifications = listData?.notifications || []
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton color="inherit" onClick={(event) => setAnchorEl(event.currentTarget)} sx={{ mr: 1 }}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { width: 360, maxHeight: 480 } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="subtitle1" fontWeight={600}>
+            Notifications
+          </Typography>
+          {unreadCount > 0 && (
+            <Button size="small" onClick={handleMarkAllRead}>
+              Mark all read
+            </Button>
+          )}
+        </Box>
+        <Divider />
+
+        {isLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {!isLoading && notifications.length === 0 && (
+          <Box sx={{ px: 2, py: 3, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary">
+              No notifications yet. Turn on alerts for a saved search to hear about new rentals.
+            </Typography>
+          </Box>
+        )}
+
+        {notifications.map((notification) => (
+          <MenuItem
+            key={notification._id}
+            onClick={() => handleOpenNotification(notification)}
+            sx={{
+              whiteSpace: 'normal',
+              alignItems: 'flex-start',
+              backgroundColor: notification.read ? 'inherit' : 'action.hover'
+            }}
+          >
+            <Box>
+              <Typography variant="body2" fontWeight={notification.read ? 400 : 600}>
+                {notification.title}
+              </Typography>
+              {notification.message && (
+                <Typography
+                  variant="caption"
+                  color="text.secondary"
+                  component="div"
+                  sx={{ whiteSpace: 'pre-line', maxHeight: 60, overflow: 'hidden' }}
+                >
+                  {notification.message}
+                </Typography>
+              )}
+              <Typography variant="caption" color="text.secondary">
+                {formatTimeAgo(notification.createdAt)}
+              </Typography>
+            </Box>
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  )
+}
+
+export default NotificationsMenu
@@ -30,64 +30,59 @@ import { useNavigate, useLocation } from 'react-router-dom'
 
 import { useAppStore } from '../../store/appStore'
 import useFavoritesStore from '../../store/favoritesStore'
+import { useTranslation } from '../../i18n'
 
 const DRAWER_WIDTH = 240
 
+// Labels and descriptions come from the nav.<key> strings
 const menuItems = [
   {
-    text: 'Dashboard',
+    key: 'dashboard',
     icon: <DashboardIcon />,
-    path: '/dashboard',
-    description: 'Overview and insights'
+    path: '/dashboard'
   },
   {
-    text: 'Explorer',
+    key: 'explorer',
     icon: <ExploreIcon />,
-    path: '/explorer',
-    description: 'Discover neighborhoods'
+    path: '/explorer'
   },
   {
-    text: 'Rentals',
+    key: 'rentals',
     icon: <HomeIcon />,
     path: '/rentals',
-    description: 'Find rental properties',
-    badge: 'NEW'
+    badge: 'badgeNew'
   },
   {
-    text: 'Compare',
+    key: 'compare',
     icon: <CompareIcon />,
-    path: '/compare',
-    description: 'Side-by-side analysis'
+    path: '/compare'
   },
   {
-    text: 'AI Chat',
+    key: 'chat',
     icon: <ChatIcon />,
     path: '/chat',
-    description: 'Ask questions',
-    badge: 'AI'
+    badge: 'badgeAi'
   },
   {
-    text: 'Market Insights',
+    key: 'insights',
     icon: <TrendingUpIcon />,
-    path: '/insights',
-    description: 'AI market analysis'
+    path: '/insights'
   },
   {
-    text: 'Favorites',
+    key: 'favorites',
     icon: <FavoriteIcon />,
-    path: '/favorites',
-    description: 'Saved properties & areas'
+    path: '/favorites'
   }
 ]
 
 const secondaryItems = [
   {
-    text: 'Help & Support',
+    key: 'help',
     icon: <HelpIcon />,
     path: '/help'
   },
   {
-    text: 'About',
+    key: 'about',
     icon: <InfoIcon />,
     path: '/about'
   }
@@ -100,6 +95,7 @@ const Sidebar = ({ open, onClose }) => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'))
   
   const { selectedNeighborhoods } = useAppStore()
+  const { t } = useTranslation()
   const { getFavoritesCount } = useFavoritesStore()
   const favoritesCount = getFavoritesCount()
 
@@ -122,13 +118,13 @@ const Sidebar = ({ open, onClose }) => {
       {/* Main navigation */}
       <Box sx={{ px: 2, py: 1 }}>
         <Typography variant="overline" color="text.secondary" sx={{ fontWeight: 600 }}>
-          Navigation
+          {t('nav.navigation')}
         </Typography>
       </Box>
       
       <List sx={{ px: 1 }}>
         {menuItems.map((item) => (
-          <ListItem key={item.text} disablePadding sx={{ mb: 0.5 }}>
+          <ListItem key={item.key} disablePadding sx={{ mb: 0.5 }}>
             <ListItemButton
               onClick={() => handleItemClick(item.path)}
               selected={isActive(item.path)}
@@ -158,8 +154,8 @@ const Sidebar = ({ open, onClose }) => {
                 {item.icon}
               </ListItemIcon>
               <ListItemText
-                primary={item.text}
-                secondary={item.description}
+                primary={t(`nav.${item.key}.text`)}
+                secondary={t(`nav.${item.key}.description`)}
                 primaryTypographyProps={{
                   fontWeight: isActive(item.path) ? 600 : 500,
                   fontSize: '0.9rem',
@@ -171,7 +167,7 @@ const Sidebar = ({ open, onClose }) => {
               />
               {item.badge && (
                 <Chip
-                  label={item.badge}
+                  label={t(`nav.${item.badge}`)}
                   size="small"
                   color="secondary"
                   sx={{ height: 20, fontSize: '0.7rem' }}
@@ -196,7 +192,7 @@ const Sidebar = ({ open, onClose }) => {
           <Divider sx={{ mx: 2, my: 2 }} />
           <Box sx={{ px: 2, py: 1 }}>
             <Typography variant="overline" color="text.secondary" sx={{ fontWeight: 600 }}>
-              Selected ({selectedNeighborhoods.length})
+              {t('nav.selected', { count: selectedNeighborhoods.length })}
             </Typography>
           </Box>
           <List sx={{ px: 1, maxHeight: 200, overflow: 'auto' }}>
@@ -240,7 +236,7 @@ const Sidebar = ({ open, onClose }) => {
       <Divider sx={{ mx: 2 }} />
       <List sx={{ px: 1, py: 1 }}>
         {secondaryItems.map((item) => (
-          <ListItem key={item.text} disablePadding>
+          <ListItem key={item.key} disablePadding>
             <ListItemButton
               onClick={() => handleItemClick(item.path)}
               sx={{
@@ -255,7 +251,7 @@ const Sidebar = ({ open, onClose }) => {
                 {item.icon}
               </ListItemIcon>
               <ListItemText
-                primary={item.text}
+                primary={t(`nav.${item.key}.text`)}
                 primaryTypographyProps={{
                   fontSize: '0.85rem',
                   fontWeight: 500,
@@ -0,0 +1,176 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  MenuItem,
+  Paper,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material'
+import {
+  Close as CloseIcon,
+  MyLocation as MyLocationIcon
+} from '@mui/icons-material'
+
+import { insightsAPI } from '../../services/api'
+import { logger } from '../../utils/logger'
+import { useTranslation } from '../../i18n'
+import { BAND_COLORS } from './CommuteIsochrone'
+
+const MINUTE_OPTIONS = [30, 45, 60, 90]
+
+// Neighborhoods listed under the legend
+const TOP_NEIGHBORHOODS = 5
+
+/**
+ * Panel for the commute overlay: pick a workplace (rank or neighborhood
+ * name, or the map centre) and a time limit, then the area reachable by taxi
+ * and on foot is handed to onIsochrone for drawing, and the neighborhoods
+ * with the quickest commutes are listed.
+ */
+const CommuteControl = ({ mapCenter, onIsochrone, onClose }) => {
+  const { t } = useTranslation()
+  const [workplace, setWorkplace] = useState('')
+  const [minutes, setMinutes] = useState(60)
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleUseMapCentre = () => {
+    if (mapCenter) setWorkplace(`${mapCenter.lat.toFixed(5)},${mapCenter.lng.toFixed(5)}`)
+  }
+
+  const handleShow = async () => {
+    if (!workplace.trim()) return
+
+    setLoading(true)
+    setError(null)
+    try {
+      const [isochroneRes, commuteRes] = await Promise.all([
+        insightsAPI.getIsochrone(workplace.trim(), minutes),
+        insightsAPI.scoreCommute(workplace.trim(), minutes, TOP_NEIGHBORHOODS)
+      ])
+      setResult({ ...isochroneRes.data, neighborhoods: commuteRes.data.neighborhoods })
+      onIsochrone(isochroneRes.data.isochrone)
+    } catch (err) {
+      logger.error('Error loading commute zones:', err)
+      setResult(null)
+      onIsochrone(null)
+      setError(err.response?.status === 404 ? err.response.data.error : t('map.commute.failed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleClose = () => {
+    onIsochrone(null)
+    onClose()
+  }
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        top: 16,
+        left: 72,
+        width: 280,
+        maxWidth: 'calc(100vw - 96px)',
+        p: 2,
+        zIndex: 1000,
+        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1" fontWeight={600}>
+          {t('map.commute.title')}
+        </Typography>
+        <IconButton size="small" onClick={handleClose}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}>
+        <TextField
+          label={t('map.commute.workplace')}
+          size="small"
+          fullWidth
+          value={workplace}
+          placeholder={t('map.commute.workplacePlaceholder')}
+          onChange={(e) => setWorkplace(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleShow()}
+        />
+        <Tooltip title={t('map.commute.useMapCentre')}>
+          <IconButton size="small" onClick={handleUseMapCentre}>
+            <MyLocationIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          select
+          label={t('map.commute.within')}
+          size="small"
+          value={minutes}
+          onChange={(e) => setMinutes(e.target.value)}
+          sx={{ flex: 1 }}
+        >
+          {MINUTE_OPTIONS.map(option => (
+            <MenuItem key={option} value={option}>{t('map.commute.minutes', { minutes: option })}</MenuItem>
+          ))}
+        </TextField>
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handleShow}
+          disabled={loading || !workplace.trim()}
+        >
+          {loading ? <CircularProgress size={18} color="inherit" /> : t('map.commute.show')}
+        </Button>
+      </Box>
+
+      {error && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', mt: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      {result && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="caption" color="text.secondary">
+            {t('map.commute.from', { name: result.origin.name })}
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 0.5 }}>
+            {result.isochrone.features.map((feature, index) => (
+              <Box key={feature.properties.minutes} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Box sx={{ width: 12, height: 12, borderRadius: 0.5, backgroundColor: BAND_COLORS[index % BAND_COLORS.length], opacity: 0.7 }} />
+                <Typography variant="caption">{t('map.commute.band', { minutes: feature.properties.minutes })}</Typography>
+              </Box>
+            ))}
+          </Box>
+
+          {result.neighborhoods.some(n => n.commuteMinutes !== null) && (
+            <Box sx={{ mt: 1.5 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                {t('map.commute.quickest')}
+              </Typography>
+              {result.neighborhoods.filter(n => n.commuteMinutes !== null).map(neighborhood => (
+                <Box key={neighborhood.id} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography variant="body2">{neighborhood.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">{t('map.commute.about', { minutes: neighborhood.commuteMinutes })}</Typography>
+                </Box>
+              ))}
+            </Box>
+          )}
+        </Box>
+      )}
+    </Paper>
+  )
+}
+
+export default CommuteControl
@@ -0,0 +1,65 @@
+import { useEffect, useRef } from 'react'
+import { importMapsLibrary } from '../../utils/googleMaps'
+import { logger } from '../../utils/logger'
+
+// Fill colour per time band, quickest first
+export const BAND_COLORS = ['#1b9e4b', '#7bc043', '#f4d03f', '#f39c12', '#d35400']
+
+/**
+ * Draws an isochrone from GET /api/insights/isochrone on the map, one fill
+ * colour per time band, in a data layer of its own
+ */
+const CommuteIsochrone = ({ map, isochrone = null, visible = true }) => {
+  const layerRef = useRef(null)
+
+  const clearLayer = () => {
+    if (layerRef.current) {
+      layerRef.current.setMap(null)
+      layerRef.current = null
+    }
+  }
+
+  useEffect(() => {
+    if (!map || !isochrone || !visible) {
+      clearLayer()
+      return undefined
+    }
+
+    let cancelled = false
+    const draw = async () => {
+      try {
+        await importMapsLibrary('maps')
+        if (cancelled) return
+        clearLayer()
+
+        const layer = new google.maps.Data()
+        layer.addGeoJson(isochrone)
+        const bands = isochrone.features.map(feature => feature.properties.minutes)
+        layer.setStyle(feature => {
+          const color = BAND_COLORS[bands.indexOf(feature.getProperty('minutes')) % BAND_COLORS.length]
+          return {
+            fillColor: color,
+            fillOpacity: 0.35,
+            strokeWeight: 0,
+            clickable: false
+          }
+        })
+        layer.setMap(map)
+        layerRef.current = layer
+      } catch (err) {
+        logger.error('Error drawing isochrone:', err)
+      }
+    }
+
+    draw()
+    return () => {
+      cancelled = true
+      clearLayer()
+    }
+  }, [map, isochrone, visible])
+
+  // Return null as this is a map overlay component
+  return null
+}
+
+export default CommuteIsochrone
@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react'
+import { crimeAPI } from '../../services/api'
+import { importMapsLibrary } from '../../utils/googleMaps'
+import { logger } from '../../utils/logger'
+import { useTranslation } from '../../i18n'
+
+// Heatmap colours from the least to the most dense cells
+export const HEAT_COLORS = ['#fee08b', '#fdae61', '#f46d43', '#d73027', '#a50026']
+
+const CLUSTER_COLOR = '#7f0000'
+
+const heatColor = (intensity) =>
+  HEAT_COLORS[Math.min(HEAT_COLORS.length - 1, Math.floor(intensity * HEAT_COLORS.length))]
+
+const formatLabel = (value) => value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, ' ')
+
+// Cluster fields come from the database, so they are escaped before going
+// into InfoWindow HTML
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char])
+
+/**
+ * Crime hotspots from GET /api/crime/hotspots: the density grid drawn as a
+ * heatmap and DBSCAN clusters as circles, either or both depending on
+ * layerMode. onLoaded receives the incident and cluster counts.
+ */
+const CrimeHotspots = ({
+  map,
+  visible = true,
+  filters = {},
+  layerMode = 'both',
+  onLoaded = null
+}) => {
+  const heatmapRef = useRef(null)
+  const circlesRef = useRef([])
+  const infoWindowRef = useRef(null)
+  const [hotspots, setHotspots] = useState(null)
+  const { t } = useTranslation()
+  // Read through a ref so a new callback doesn't refetch
+  const onLoadedRef = useRef(onLoaded)
+  onLoadedRef.current = onLoaded
+
+  const clearLayers = () => {
+    if (heatmapRef.current) {
+      heatmapRef.current.setMap(null)
+      heatmapRef.current = null
+    }
+    circlesRef.current.forEach(circle => circle.setMap(null))
+    circlesRef.current = []
+    infoWindowRef.current?.close()
+  }
+
+  // Fetch hotspots while the layer is shown
+  useEffect(() => {
+    if (!map || !visible) return undefined
+
+    let cancelled = false
+    const fetchHotspots = async () => {
+      try {
+        const response = await crimeAPI.getHotspots({ ...filters, method: 'both' })
+        if (cancelled) return
+        setHotspots(response.data)
+        onLoadedRef.current?.({
+          total: response.data.total,
+          clusters: response.data.clusters.length,
+          truncated: response.data.truncated
+        })
+      } catch (err) {
+        logger.error('Error fetching crime hotspots:', err)
+        if (!cancelled) {
+          setHotspots(null)
+          onLoadedRef.current?.(null)
+        }
+      }
+    }
+
+    fetchHotspots()
+    return () => {
+      cancelled = true
+    }
+  }, [map, visible, filters])
+
+  // Draw the heatmap and clusters
+  useEffect(() => {
+    if (!map || !hotspots || !visible) {
+      clearLayers()
+      return undefined
+    }
+
+    let cancelled = false
+    const draw = async () => {
+      try {
+        await importMapsLibrary('maps')
+        if (cancelled) return
+        clearLayers()
+
+        if (layerMode !== 'clusters') {
+          const layer = new google.maps.Data()
+          layer.addGeoJson(hotspots.density)
+          layer.setStyle(feature => {
+            const intensity = feature.getProperty('intensity')
+            return {
+              fillColor: heatColor(intensity),
+              fillOpacity: 0.15 + intensity * 0.45,
+              strokeWeight: 0,
+              clickable: false
+            }
+          })
+          layer.setMap(map)
+          heatmapRef.current = layer
+        }
+
+        if (layerMode !== 'heatmap') {
+          infoWindowRef.current = new google.maps.InfoWindow()
+          hotspots.clusters.forEach(cluster => {
+            const circle = new google.maps.Circle({
+              map,
+              center: cluster.center,
+              radius: Math.max(cluster.radiusM, 50),
+              strokeColor: CLUSTER_COLOR,
+              strokeWeight: 2,
+              fillColor: CLUSTER_COLOR,
+              fillOpacity: 0.1,
+              zIndex: 2
+            })
+
+            circle.addListener('click', () => {
+              infoWindowRef.current.setContent(createInfoWindowContent(cluster))
+              infoWindowRef.current.setPosition(cluster.center)
+              infoWindowRef.current.open(map)
+            })
+            circlesRef.current.push(circle)
+          })
+        }
+      } catch (err) {
+        logger.error('Error drawing crime hotspots:', err)
+      }
+    }
+
+    draw()
+    return () => {
+      cancelled = true
+      clearLayers()
+    }
+  }, [map, hotspots, visible, layerMode, t])
+
+  // Translated enum value, or the value itself when there is no translation
+  const enumLabel = (group, value) => {
+    const key = `map.crime.${group}.${value}`
+    const text = t(key)
+    return text === key ? formatLabel(value) : text
+  }
+
+  const createInfoWindowContent = (cluster) => `
+    <div style="max-width: 240px; font-family: Arial, sans-serif;">
+      <h3 style="margin: 0 0 8px 0; color: ${CLUSTER_COLOR}; font-size: 15px;">
+        ${t('map.crime.hotspot.title', { id: escapeHtml(cluster.id) })}
+      </h3>
+      <p style="margin: 4px 0; font-size: 13px;"><strong>${t('map.crime.hotspot.incidents')}</strong> ${escapeHtml(cluster.count)}</p>
+      ${cluster.neighborhoods.length ? `<p style="margin: 4px 0; font-size: 13px;"><strong>${t('map.crime.hotspot.area')}</strong> ${cluster.neighborhoods.map(escapeHtml).join(', ')}</p>` : ''}
+      <p style="margin: 4px 0; font-size: 13px;"><strong>${t('map.crime.hotspot.mostCommon')}</strong> ${cluster.topIncidentTypes.map(({ value, count }) => `${escapeHtml(formatLabel(value))} (${escapeHtml(count)})`).join(', ')}</p>
+      <p style="margin: 4px 0; font-size: 13px;"><strong>${t('map.crime.hotspot.peak')}</strong> ${t('map.crime.hotspot.peakTime', {
+        day: escapeHtml(enumLabel('days', cluster.peakDayOfWeek)),
+        time: escapeHtml(enumLabel('timesOfDay', cluster.peakTimeOfDay).toLowerCase())
+      })}</p>
+      <p style="margin: 4px 0; font-size: 12px; color: #666;">${t('map.crime.hotspot.within', { meters: escapeHtml(cluster.radiusM) })}</p>
+    </div>
+  `
+
+  // Return null as this is a map overlay component
+  return null
+}
+
+export default CrimeHotspots
@@ -4,7 +4,8 @@ import {
   ZoomIn as ZoomInIcon,
   ZoomOut as ZoomOutIcon,
   MyLocation as MyLocationIcon,
-  Layers as LayersIcon
+  Layers as LayersIcon,
+  Commute as CommuteIcon
 } from '@mui/icons-material'
 
 import { useAppStore } from '../../store/appStore'
@@ -14,6 +15,9 @@ import TaxiRoutes from './TaxiRoutes'
 import HospitalMarkers from './HospitalMarkers'
 import SchoolMarkers from './SchoolMarkers'
 import UnifiedControl from './UnifiedControl'
+import CommuteControl from './CommuteControl'
+import CommuteIsochrone from './CommuteIsochrone'
+import CrimeHotspots from './CrimeHotspots'
 import { importMapsLibrary } from '../../utils/googleMaps'
 
 const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
@@ -42,6 +46,16 @@ const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
   const [schoolDistrictFilter, setSchoolDistrictFilter] = useState(null)
   const [schoolMediumFilter, setSchoolMediumFilter] = useState(null)
 
+  // Crime hotspots state
+  const [showCrime, setShowCrime] = useState(false)
+  const [crimeFilters, setCrimeFilters] = useState({ category: [], severity: [], timeOfDay: [], from: '', to: '' })
+  const [crimeLayerMode, setCrimeLayerMode] = useState('both')
+  const [crimeSummary, setCrimeSummary] = useState(null)
+
+  // Commute isochrone state
+  const [showCommute, setShowCommute] = useState(false)
+  const [isochrone, setIsochrone] = useState(null)
+
   const { mapCenter, mapZoom, setMapCenter, setMapZoom } = useAppStore()
 
   // Initialize Google Map with dynamic library import
@@ -280,8 +294,34 @@ const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
             </IconButton>
           </Tooltip>
         </Paper>
+        <Paper sx={{ p: 0.5 }}>
+          <Tooltip title="Commute Zones">
+            <IconButton
+              size="small"
+              onClick={() => setShowCommute(!showCommute)}
+              sx={{
+                backgroundColor: showCommute ? 'primary.main' : 'inherit',
+                color: showCommute ? 'white' : 'inherit',
+                '&:hover': {
+                  backgroundColor: showCommute ? 'primary.dark' : 'grey.100'
+                }
+              }}
+            >
+              <CommuteIcon />
+            </IconButton>
+          </Tooltip>
+        </Paper>
       </Box>
 
+      {/* Commute Zones Panel */}
+      {mapLoaded && showCommute && (
+        <CommuteControl
+          mapCenter={mapCenter}
+          onIsochrone={setIsochrone}
+          onClose={() => setShowCommute(false)}
+        />
+      )}
+
       {/* Neighborhood Info Panel */}
       {selectedNeighborhood && (
         <Paper
@@ -421,9 +461,10 @@ const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
         </Paper>
       )}
 
-      {/* Unified Transport, Healthcare & Education Control */}
+      {/* Unified Transport, Healthcare, Education & Crime Control */}
       {mapLoaded && (
         <UnifiedControl
+          map={mapInstanceRef.current}
           // Taxi Routes Props
           taxiVisible={showTaxiRoutes}
           onTaxiVisibilityChange={setShowTaxiRoutes}
@@ -447,6 +488,14 @@ const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
           onSchoolTypeFilterChange={setSchoolTypeFilter}
           onSchoolDistrictFilterChange={setSchoolDistrictFilter}
           onSchoolMediumFilterChange={setSchoolMediumFilter}
+          // Crime Props
+          crimeVisible={showCrime}
+          onCrimeVisibilityChange={setShowCrime}
+          crimeFilters={crimeFilters}
+          onCrimeFiltersChange={setCrimeFilters}
+          crimeLayerMode={crimeLayerMode}
+          onCrimeLayerModeChange={setCrimeLayerMode}
+          crimeSummary={crimeSummary}
         />
       )}
 
@@ -478,6 +527,22 @@ const MapContainer = ({ neighborhoods = [], height = '100%' }) => {
             onRouteClick={handleTaxiRouteClick}
           />
 
+          {/* Commute Isochrone Overlay */}
+          <CommuteIsochrone
+            map={mapInstanceRef.current}
+            isochrone={isochrone}
+            visible={showCommute}
+          />
+
+          {/* Crime Hotspots Overlay */}
+          <CrimeHotspots
+            map={mapInstanceRef.current}
+            visible={showCrime}
+            filters={crimeFilters}
+            layerMode={crimeLayerMode}
+            onLoaded={setCrimeSummary}
+          />
+
           {/* Hospital Markers Overlay */}
           <HospitalMarkers
             map={mapInstanceRef.current}
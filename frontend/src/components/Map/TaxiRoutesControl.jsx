@@ -1,6 +1,10 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import {
   Box,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
   Paper,
   Typography,
   Switch,
@@ -17,11 +21,222 @@ import {
   DirectionsBus as BusIcon,
   ExpandMore as ExpandMoreIcon,
   ExpandLess as ExpandLessIcon,
-  Clear as ClearIcon
+  Clear as ClearIcon,
+  DirectionsWalk as WalkIcon,
+  SwapVert as SwapIcon
 } from '@mui/icons-material'
 import { taxiRoutesAPI } from '../../services/api'
+import { importMapsLibrary } from '../../utils/googleMaps'
+import { logger } from '../../utils/logger'
+import { useTranslation } from '../../i18n'
+
+// Colours for the taxi legs of the selected itinerary, in riding order
+const LEG_COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00']
+
+const WALK_COLOR = '#616161'
+
+const describeItinerary = (itinerary, t) => {
+  const taxis = itinerary.transfers + 1
+  const vars = { count: taxis, km: itinerary.distanceKm, minutes: itinerary.estimatedMinutes }
+  return t(taxis === 1 ? 'map.planner.oneTaxi' : 'map.planner.taxis', vars)
+}
+
+/**
+ * Plans a minibus taxi journey between two places with
+ * GET /api/taxi-routes/plan and draws the legs of the selected itinerary on
+ * the map: taxi legs in colour, walks dotted. places are suggestions for the
+ * inputs (rank names); any neighborhood name or "lat,lng" works too.
+ */
+export const TaxiJourneyPlanner = ({ map, places = [] }) => {
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [selected, setSelected] = useState(0)
+  const [planning, setPlanning] = useState(false)
+  const [error, setError] = useState(null)
+  const overlaysRef = useRef([])
+  const { t } = useTranslation()
+
+  const clearOverlays = () => {
+    overlaysRef.current.forEach(overlay => overlay.setMap(null))
+    overlaysRef.current = []
+  }
+
+  const handlePlan = async () => {
+    if (!from.trim() || !to.trim()) return
+
+    setPlanning(true)
+    setError(null)
+    try {
+      const response = await taxiRoutesAPI.plan(from.trim(), to.trim())
+      setPlan(response.data)
+      setSelected(0)
+      if (!response.data.itineraries.length) setError(t('map.planner.noJourney'))
+    } catch (err) {
+      logger.error('Error planning taxi journey:', err)
+      setPlan(null)
+      setError(err.response?.status === 404 ? err.response.data.error : t('map.planner.failed'))
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  const handleClear = () => {
+    setPlan(null)
+    setError(null)
+  }
+
+  const handleSwap = () => {
+    setFrom(to)
+    setTo(from)
+  }
+
+  // Draw the selected itinerary
+  useEffect(() => {
+    const itinerary = plan?.itineraries[selected]
+    if (!map || !itinerary) return undefined
+
+    let cancelled = false
+    const draw = async () => {
+      try {
+        const { Polyline } = await importMapsLibrary('maps')
+        if (cancelled) return
+        clearOverlays()
+
+        const bounds = new google.maps.LatLngBounds()
+        let taxiLeg = 0
+        itinerary.legs.forEach(leg => {
+          const isWalk = leg.type === 'walk'
+          const polyline = new Polyline({
+            path: leg.path,
+            geodesic: true,
+            strokeColor: isWalk ? WALK_COLOR : LEG_COLORS[taxiLeg++ % LEG_COLORS.length],
+            strokeOpacity: isWalk ? 0 : 0.9,
+            strokeWeight: 5,
+            zIndex: 10,
+            // Walks are drawn as dots
+            icons: isWalk ? [{
+              icon: { path: google.maps.SymbolPath.CIRCLE, fillOpacity: 1, fillColor: WALK_COLOR, strokeOpacity: 0, scale: 3 },
+              offset: '0',
+              repeat: '12px'
+            }] : undefined
+          })
+          polyline.setMap(map)
+          overlaysRef.current.push(polyline)
+          leg.path.forEach(point => bounds.extend(point))
+        })
+
+        map.fitBounds(bounds)
+      } catch (err) {
+        logger.error('Error drawing taxi journey:', err)
+      }
+    }
+
+    draw()
+    return () => {
+      cancelled = true
+      clearOverlays()
+    }
+  }, [map, plan, selected])
+
+  const itineraries = plan?.itineraries || []
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {t('map.planner.title')}
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <Autocomplete
+            freeSolo
+            options={places}
+            inputValue={from}
+            onInputChange={(event, newValue) => setFrom(newValue)}
+            renderInput={(params) => (
+              <TextField {...params} label={t('map.planner.from')} size="small" placeholder={t('map.planner.fromPlaceholder')} />
+            )}
+          />
+          <Autocomplete
+            freeSolo
+            options={places}
+            inputValue={to}
+            onInputChange={(event, newValue) => setTo(newValue)}
+            renderInput={(params) => (
+              <TextField {...params} label={t('map.planner.to')} size="small" placeholder={t('map.planner.toPlaceholder')} />
+            )}
+          />
+        </Box>
+        <IconButton size="small" onClick={handleSwap} title={t('map.planner.swap')}>
+          <SwapIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handlePlan}
+          disabled={planning || !from.trim() || !to.trim()}
+          startIcon={planning ? <CircularProgress size={16} color="inherit" /> : <BusIcon />}
+        >
+          {t('map.planner.plan')}
+        </Button>
+        {plan && (
+          <Button size="small" onClick={handleClear} startIcon={<ClearIcon />}>
+            {t('map.planner.clear')}
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', mt: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      {itineraries.length > 0 && (
+        <List dense disablePadding sx={{ mt: 1 }}>
+          {itineraries.map((itinerary, index) => (
+            <ListItemButton
+              key={itinerary.routeIds.join('-')}
+              selected={index === selected}
+              onClick={() => setSelected(index)}
+              sx={{ borderRadius: 1, alignItems: 'flex-start' }}
+            >
+              <ListItemText
+                primary={describeItinerary(itinerary, t)}
+                primaryTypographyProps={{ variant: 'body2', fontWeight: index === selected ? 600 : 400 }}
+                secondaryTypographyProps={{ component: 'div' }}
+                secondary={index === selected && itinerary.legs.map((leg, legIndex) => (
+                  <Box key={legIndex} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                    {leg.type === 'walk'
+                      ? <WalkIcon sx={{ fontSize: 14 }} />
+                      : <BusIcon sx={{ fontSize: 14, color: LEG_COLORS[itinerary.legs.slice(0, legIndex).filter(l => l.type === 'taxi').length % LEG_COLORS.length] }} />}
+                    <Typography variant="caption">
+                      {leg.type === 'walk'
+                        ? t('map.planner.walk', { km: leg.distanceKm, to: leg.to.name })
+                        : t('map.planner.ride', {
+                          origin: leg.origin,
+                          destination: leg.destination,
+                          from: leg.from.name,
+                          to: leg.to.name,
+                          km: leg.distanceKm
+                        })}
+                    </Typography>
+                  </Box>
+                ))}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Box>
+  )
+}
 
 const TaxiRoutesControl = ({
+  map,
   visible,
   onVisibilityChange,
   originFilter,
@@ -34,6 +249,7 @@ const TaxiRoutesControl = ({
   const [destinations, setDestinations] = useState([])
   const [stats, setStats] = useState(null)
   const [loading, setLoading] = useState(false)
+  const { t } = useTranslation()
 
   // Fetch origins, destinations, and stats
   useEffect(() => {
@@ -99,11 +315,11 @@ const TaxiRoutesControl = ({
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
           <BusIcon color="primary" fontSize={expanded ? 'medium' : 'small'} />
           <Typography variant={expanded ? "h6" : "subtitle1"} component="div">
-            Taxi Routes
+            {t('map.taxi.title')}
           </Typography>
           {stats && expanded && (
             <Chip
-              label={`${stats.totalRoutes} routes`}
+              label={t('map.counts.routes', { count: stats.totalRoutes })}
               size="small"
               color="primary"
               variant="outlined"
@@ -128,7 +344,7 @@ const TaxiRoutesControl = ({
           }
           label={
             <Typography variant={expanded ? "body2" : "caption"}>
-              Show Taxi Routes
+              {t('map.taxi.show')}
             </Typography>
           }
         />
@@ -153,9 +369,9 @@ const TaxiRoutesControl = ({
                   renderInput={(params) => (
                     <TextField
                       {...params}
-                      label="Filter by Origin"
+                      label={t('map.taxi.byOrigin')}
                       size="small"
-                      placeholder="Select origin location"
+                      placeholder={t('map.taxi.originPlaceholder')}
                     />
                   )}
                   clearOnEscape
@@ -171,9 +387,9 @@ const TaxiRoutesControl = ({
                   renderInput={(params) => (
                     <TextField
                       {...params}
-                      label="Filter by Destination"
+                      label={t('map.taxi.byDestination')}
                       size="small"
-                      placeholder="Select destination location"
+                      placeholder={t('map.taxi.destinationPlaceholder')}
                     />
                   )}
                   clearOnEscape
@@ -194,7 +410,7 @@ const TaxiRoutesControl = ({
                   >
                     <ClearIcon fontSize="small" />
                     <Typography variant="caption" sx={{ ml: 1 }}>
-                      Clear Filters
+                      {t('map.filters.clear')}
                     </Typography>
                   </IconButton>
                 </Box>
@@ -204,21 +420,21 @@ const TaxiRoutesControl = ({
               {stats && (
                 <Box>
                   <Typography variant="subtitle2" gutterBottom>
-                    Route Statistics
+                    {t('map.taxi.statistics')}
                   </Typography>
                   <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
                     <Chip
-                      label={`${stats.uniqueOrigins} Origins`}
+                      label={t('map.taxi.origins', { count: stats.uniqueOrigins })}
                       size="small"
                       variant="outlined"
                     />
                     <Chip
-                      label={`${stats.uniqueDestinations} Destinations`}
+                      label={t('map.taxi.destinations', { count: stats.uniqueDestinations })}
                       size="small"
                       variant="outlined"
                     />
                     <Chip
-                      label={`${(stats.averageLength * 111).toFixed(1)}km Avg`}
+                      label={t('map.taxi.averageKm', { km: (stats.averageLength * 111).toFixed(1) })}
                       size="small"
                       variant="outlined"
                     />
@@ -230,12 +446,12 @@ const TaxiRoutesControl = ({
               {(originFilter || destinationFilter) && (
                 <Box sx={{ mt: 2 }}>
                   <Typography variant="caption" color="text.secondary">
-                    Active Filters:
+                    {t('map.filters.active')}
                   </Typography>
                   <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
                     {originFilter && (
                       <Chip
-                        label={`From: ${originFilter}`}
+                        label={t('map.filters.from', { value: originFilter })}
                         size="small"
                         onDelete={() => onOriginFilterChange(null)}
                         color="primary"
@@ -243,7 +459,7 @@ const TaxiRoutesControl = ({
                     )}
                     {destinationFilter && (
                       <Chip
-                        label={`To: ${destinationFilter}`}
+                        label={t('map.filters.to', { value: destinationFilter })}
                         size="small"
                         onDelete={() => onDestinationFilterChange(null)}
                         color="secondary"
@@ -252,6 +468,10 @@ const TaxiRoutesControl = ({
                   </Box>
                 </Box>
               )}
+
+              {/* Journey Planner */}
+              <Divider sx={{ my: 2 }} />
+              <TaxiJourneyPlanner map={map} places={[...new Set([...origins, ...destinations])].sort()} />
             </>
           )}
         </Box>
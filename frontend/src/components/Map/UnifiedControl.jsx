@@ -15,6 +15,8 @@ import {
   Tabs,
   Tab,
   Badge,
+  ToggleButton,
+  ToggleButtonGroup,
   useTheme,
   useMediaQuery
 } from '@mui/material'
@@ -22,14 +24,34 @@ import {
   DirectionsBus as BusIcon,
   LocalHospital as HospitalIcon,
   School as SchoolIcon,
+  Report as CrimeIcon,
   ExpandMore as ExpandMoreIcon,
   ExpandLess as ExpandLessIcon,
   Clear as ClearIcon,
   Close as CloseIcon
 } from '@mui/icons-material'
 import { taxiRoutesAPI, hospitalsAPI, schoolsAPI } from '../../services/api'
+import { TaxiJourneyPlanner } from './TaxiRoutesControl'
+import { HEAT_COLORS } from './CrimeHotspots'
+import { useTranslation } from '../../i18n'
+
+// String key, layer name, accent colour and icon for each tab, in tab order
+const TABS = [
+  { key: 'transport', layer: 'routes', color: 'primary', rgb: '25, 118, 210', Icon: BusIcon },
+  { key: 'healthcare', layer: 'hospitals', color: 'error', rgb: '220, 38, 38', Icon: HospitalIcon },
+  { key: 'education', layer: 'schools', color: 'success', rgb: '46, 125, 50', Icon: SchoolIcon },
+  { key: 'crime', layer: 'hotspots', color: 'warning', rgb: '237, 108, 2', Icon: CrimeIcon }
+]
+
+// Crime filter options, as in the CrimeData model
+const CRIME_CATEGORIES = ['VIOLENT', 'PROPERTY', 'DRUG', 'OTHER']
+const CRIME_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH']
+const CRIME_TIMES_OF_DAY = ['MORNING', 'AFTERNOON', 'EVENING', 'NIGHT']
+
+const CRIME_LAYER_MODES = ['both', 'heatmap', 'clusters']
 
 const UnifiedControl = ({
+  map,
   // Taxi Routes Props
   taxiVisible,
   onTaxiVisibilityChange,
@@ -52,13 +74,22 @@ const UnifiedControl = ({
   schoolMediumFilter,
   onSchoolTypeFilterChange,
   onSchoolDistrictFilterChange,
-  onSchoolMediumFilterChange
+  onSchoolMediumFilterChange,
+  // Crime Props
+  crimeVisible,
+  onCrimeVisibilityChange,
+  crimeFilters,
+  onCrimeFiltersChange,
+  crimeLayerMode,
+  onCrimeLayerModeChange,
+  crimeSummary
 }) => {
   const theme = useTheme()
   const isMobile = useMediaQuery(theme.breakpoints.down('md'))
   const [expanded, setExpanded] = useState(false)
-  const [activeTab, setActiveTab] = useState(0) // 0 = Taxi Routes, 1 = Hospitals, 2 = Schools
+  const [activeTab, setActiveTab] = useState(0) // 0 = Taxi Routes, 1 = Hospitals, 2 = Schools, 3 = Crime
   const [loading, setLoading] = useState(false)
+  const { t } = useTranslation()
 
   // Taxi Routes State
   const [origins, setOrigins] = useState([])
@@ -145,6 +176,17 @@ const UnifiedControl = ({
     onSchoolMediumFilterChange(null)
   }
 
+  const handleClearCrimeFilters = () => {
+    onCrimeFiltersChange({ category: [], severity: [], timeOfDay: [], from: '', to: '' })
+  }
+
+  const handleCrimeFilterChange = (field, value) => {
+    onCrimeFiltersChange({ ...crimeFilters, [field]: value })
+  }
+
+  const crimeFiltersCount = crimeFilters.category.length + crimeFilters.severity.length +
+    crimeFilters.timeOfDay.length + (crimeFilters.from ? 1 : 0) + (crimeFilters.to ? 1 : 0)
+
   const getActiveFiltersCount = () => {
     let count = 0
     if (activeTab === 0) {
@@ -153,10 +195,12 @@ const UnifiedControl = ({
     } else if (activeTab === 1) {
       if (classificationFilter) count++
       if (districtFilter) count++
-    } else {
+    } else if (activeTab === 2) {
       if (schoolTypeFilter) count++
       if (schoolDistrictFilter) count++
       if (schoolMediumFilter) count++
+    } else {
+      count = crimeFiltersCount
     }
     return count
   }
@@ -164,7 +208,8 @@ const UnifiedControl = ({
   const getCurrentVisibility = () => {
     if (activeTab === 0) return taxiVisible
     if (activeTab === 1) return hospitalsVisible
-    return schoolsVisible
+    if (activeTab === 2) return schoolsVisible
+    return crimeVisible
   }
 
   const handleVisibilityChange = (checked) => {
@@ -172,11 +217,15 @@ const UnifiedControl = ({
       onTaxiVisibilityChange(checked)
     } else if (activeTab === 1) {
       onHospitalsVisibilityChange(checked)
-    } else {
+    } else if (activeTab === 2) {
       onSchoolsVisibilityChange(checked)
+    } else {
+      onCrimeVisibilityChange(checked)
     }
   }
 
+  const tab = TABS[activeTab]
+
   return (
     <Paper
       elevation={4}
@@ -190,20 +239,8 @@ const UnifiedControl = ({
         backgroundColor: 'rgba(255, 255, 255, 0.98)',
         backdropFilter: 'blur(12px)',
         borderRadius: 3,
-        border: `2px solid ${
-          activeTab === 0
-            ? 'rgba(25, 118, 210, 0.15)'
-            : activeTab === 1
-              ? 'rgba(220, 38, 38, 0.15)'
-              : 'rgba(46, 125, 50, 0.15)'
-        }`,
-        boxShadow: `0 8px 32px rgba(0, 0, 0, 0.12), 0 0 0 1px ${
-          activeTab === 0
-            ? 'rgba(25, 118, 210, 0.05)'
-            : activeTab === 1
-              ? 'rgba(220, 38, 38, 0.05)'
-              : 'rgba(46, 125, 50, 0.05)'
-        }`,
+        border: `2px solid rgba(${tab.rgb}, 0.15)`,
+        boxShadow: `0 8px 32px rgba(0, 0, 0, 0.12), 0 0 0 1px rgba(${tab.rgb}, 0.05)`,
         transition: 'all 0.3s ease-in-out',
         overflow: 'hidden'
       }}
@@ -234,28 +271,22 @@ const UnifiedControl = ({
               width: expanded ? 40 : 32,
               height: expanded ? 40 : 32,
               borderRadius: '50%',
-              backgroundColor: activeTab === 0 ? 'primary.main' : activeTab === 1 ? 'error.main' : 'success.main',
+              backgroundColor: `${tab.color}.main`,
               color: 'white',
               transition: 'all 0.2s ease-in-out'
             }}
           >
-            {activeTab === 0 ? (
-              <BusIcon fontSize={expanded ? 'medium' : 'small'} />
-            ) : activeTab === 1 ? (
-              <HospitalIcon fontSize={expanded ? 'medium' : 'small'} />
-            ) : (
-              <SchoolIcon fontSize={expanded ? 'medium' : 'small'} />
-            )}
+            <tab.Icon fontSize={expanded ? 'medium' : 'small'} />
           </Box>
           <Box sx={{ flex: 1 }}>
             <Typography variant={expanded ? "h6" : "subtitle1"} component="div" sx={{ fontWeight: 600 }}>
-              {activeTab === 0 ? 'Transportation' : activeTab === 1 ? 'Healthcare' : 'Education'}
+              {t(`map.titles.${tab.key}`)}
             </Typography>
             {getCurrentVisibility() && (
               <Typography
                 variant="caption"
                 sx={{
-                  color: activeTab === 0 ? 'primary.main' : activeTab === 1 ? 'error.main' : 'success.main',
+                  color: `${tab.color}.main`,
                   fontWeight: 500,
                   display: 'flex',
                   alignItems: 'center',
@@ -270,7 +301,7 @@ const UnifiedControl = ({
                     backgroundColor: 'currentColor'
                   }}
                 />
-                Active
+                {t('map.active')}
               </Typography>
             )}
           </Box>
@@ -283,13 +314,15 @@ const UnifiedControl = ({
               )}
               <Chip
                 label={activeTab === 0
-                  ? `${taxiStats?.totalRoutes || 0} routes`
+                  ? t('map.counts.routes', { count: taxiStats?.totalRoutes || 0 })
                   : activeTab === 1
-                    ? `${hospitalStats?.totalHospitals || 0} facilities`
-                    : `${schoolStats?.totalSchools || 0} schools`
+                    ? t('map.counts.facilities', { count: hospitalStats?.totalHospitals || 0 })
+                    : activeTab === 2
+                      ? t('map.counts.schools', { count: schoolStats?.totalSchools || 0 })
+                      : t('map.counts.incidents', { count: crimeSummary?.total || 0 })
                 }
                 size="small"
-                color={activeTab === 0 ? "primary" : activeTab === 1 ? "error" : "success"}
+                color={tab.color}
                 variant="outlined"
                 sx={{ fontWeight: 500 }}
               />
@@ -354,7 +387,7 @@ const UnifiedControl = ({
           }}
         >
           <Tab
-            label="Transport"
+            label={t('map.tabs.transport')}
             sx={{
               color: taxiVisible ? 'primary.main' : 'text.secondary',
               '&.Mui-selected': {
@@ -363,7 +396,7 @@ const UnifiedControl = ({
             }}
           />
           <Tab
-            label="Healthcare"
+            label={t('map.tabs.healthcare')}
             sx={{
               color: hospitalsVisible ? 'error.main' : 'text.secondary',
               '&.Mui-selected': {
@@ -372,7 +405,7 @@ const UnifiedControl = ({
             }}
           />
           <Tab
-            label="Education"
+            label={t('map.tabs.education')}
             sx={{
               color: schoolsVisible ? 'success.main' : 'text.secondary',
               '&.Mui-selected': {
@@ -380,6 +413,15 @@ const UnifiedControl = ({
               }
             }}
           />
+          <Tab
+            label={t('map.tabs.crime')}
+            sx={{
+              color: crimeVisible ? 'warning.main' : 'text.secondary',
+              '&.Mui-selected': {
+                color: 'warning.main'
+              }
+            }}
+          />
         </Tabs>
       </Box>
 
@@ -393,11 +435,11 @@ const UnifiedControl = ({
             p: 1.5,
             borderRadius: 2,
             backgroundColor: getCurrentVisibility()
-              ? (activeTab === 0 ? 'primary.50' : activeTab === 1 ? 'error.50' : 'success.50')
+              ? `${tab.color}.50`
               : 'grey.50',
             border: 1,
             borderColor: getCurrentVisibility()
-              ? (activeTab === 0 ? 'primary.200' : activeTab === 1 ? 'error.200' : 'success.200')
+              ? `${tab.color}.200`
               : 'grey.200',
             transition: 'all 0.2s ease-in-out'
           }}
@@ -409,7 +451,7 @@ const UnifiedControl = ({
                 height: 8,
                 borderRadius: '50%',
                 backgroundColor: getCurrentVisibility()
-                  ? (activeTab === 0 ? 'primary.main' : activeTab === 1 ? 'error.main' : 'success.main')
+                  ? `${tab.color}.main`
                   : 'grey.400'
               }}
             />
@@ -420,13 +462,13 @@ const UnifiedControl = ({
                 color: getCurrentVisibility() ? 'text.primary' : 'text.secondary'
               }}
             >
-              Show {activeTab === 0 ? 'Routes' : activeTab === 1 ? 'Hospitals' : 'Schools'}
+              {t(`map.show.${tab.layer}`)}
             </Typography>
           </Box>
           <Switch
             checked={getCurrentVisibility()}
             onChange={(e) => handleVisibilityChange(e.target.checked)}
-            color={activeTab === 0 ? "primary" : activeTab === 1 ? "error" : "success"}
+            color={tab.color}
             size={expanded ? 'medium' : 'small'}
           />
         </Box>
@@ -435,7 +477,7 @@ const UnifiedControl = ({
       {/* Expanded Controls */}
       <Collapse in={expanded}>
         <Divider sx={{ mx: 2 }} />
-        <Box sx={{ p: 2.5, pt: 2 }}>
+        <Box sx={{ p: 2.5, pt: 2, maxHeight: '60vh', overflowY: 'auto' }}>
           {loading ? (
             <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
               <CircularProgress size={24} />
@@ -454,9 +496,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by Origin"
+                          label={t('map.taxi.byOrigin')}
                           size="small"
-                          placeholder="Select origin location"
+                          placeholder={t('map.taxi.originPlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -472,9 +514,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by Destination"
+                          label={t('map.taxi.byDestination')}
                           size="small"
-                          placeholder="Select destination location"
+                          placeholder={t('map.taxi.destinationPlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -495,7 +537,7 @@ const UnifiedControl = ({
                       >
                         <ClearIcon fontSize="small" />
                         <Typography variant="caption" sx={{ ml: 1 }}>
-                          Clear Filters
+                          {t('map.filters.clear')}
                         </Typography>
                       </IconButton>
                     </Box>
@@ -505,21 +547,21 @@ const UnifiedControl = ({
                   {taxiStats && (
                     <Box>
                       <Typography variant="subtitle2" gutterBottom>
-                        Route Statistics
+                        {t('map.taxi.statistics')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
                         <Chip
-                          label={`${taxiStats.uniqueOrigins} Origins`}
+                          label={t('map.taxi.origins', { count: taxiStats.uniqueOrigins })}
                           size="small"
                           variant="outlined"
                         />
                         <Chip
-                          label={`${taxiStats.uniqueDestinations} Destinations`}
+                          label={t('map.taxi.destinations', { count: taxiStats.uniqueDestinations })}
                           size="small"
                           variant="outlined"
                         />
                         <Chip
-                          label={`${(taxiStats.averageLength * 111).toFixed(1)}km Avg`}
+                          label={t('map.taxi.averageKm', { km: (taxiStats.averageLength * 111).toFixed(1) })}
                           size="small"
                           variant="outlined"
                         />
@@ -531,12 +573,12 @@ const UnifiedControl = ({
                   {(originFilter || destinationFilter) && (
                     <Box sx={{ mt: 2 }}>
                       <Typography variant="caption" color="text.secondary">
-                        Active Filters:
+                        {t('map.filters.active')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
                         {originFilter && (
                           <Chip
-                            label={`From: ${originFilter}`}
+                            label={t('map.filters.from', { value: originFilter })}
                             size="small"
                             onDelete={() => onOriginFilterChange(null)}
                             color="primary"
@@ -544,7 +586,7 @@ const UnifiedControl = ({
                         )}
                         {destinationFilter && (
                           <Chip
-                            label={`To: ${destinationFilter}`}
+                            label={t('map.filters.to', { value: destinationFilter })}
                             size="small"
                             onDelete={() => onDestinationFilterChange(null)}
                             color="secondary"
@@ -553,6 +595,10 @@ const UnifiedControl = ({
                       </Box>
                     </Box>
                   )}
+
+                  {/* Journey Planner */}
+                  <Divider sx={{ my: 2 }} />
+                  <TaxiJourneyPlanner map={map} places={[...new Set([...origins, ...destinations])].sort()} />
                 </>
               )}
 
@@ -568,9 +614,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by Type"
+                          label={t('map.healthcare.byType')}
                           size="small"
-                          placeholder="Select facility type"
+                          placeholder={t('map.healthcare.typePlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -586,9 +632,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by District"
+                          label={t('map.filters.byDistrict')}
                           size="small"
-                          placeholder="Select district"
+                          placeholder={t('map.healthcare.districtPlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -609,7 +655,7 @@ const UnifiedControl = ({
                       >
                         <ClearIcon fontSize="small" />
                         <Typography variant="caption" sx={{ ml: 1 }}>
-                          Clear Filters
+                          {t('map.filters.clear')}
                         </Typography>
                       </IconButton>
                     </Box>
@@ -619,17 +665,17 @@ const UnifiedControl = ({
                   {hospitalStats && (
                     <Box sx={{ mb: 2 }}>
                       <Typography variant="caption" color="text.secondary" gutterBottom>
-                        Healthcare Statistics:
+                        {t('map.healthcare.statistics')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
                         <Typography variant="caption">
-                          Total Facilities: {hospitalStats.totalHospitals}
+                          {t('map.healthcare.total', { count: hospitalStats.totalHospitals })}
                         </Typography>
                         <Typography variant="caption">
-                          Types: {hospitalStats.uniqueClassifications}
+                          {t('map.stats.types', { count: hospitalStats.uniqueClassifications })}
                         </Typography>
                         <Typography variant="caption">
-                          Districts: {hospitalStats.uniqueDistricts}
+                          {t('map.stats.districts', { count: hospitalStats.uniqueDistricts })}
                         </Typography>
                       </Box>
                     </Box>
@@ -638,7 +684,7 @@ const UnifiedControl = ({
                   {/* Legend */}
                   <Box sx={{ mb: 2 }}>
                     <Typography variant="caption" color="text.secondary" gutterBottom>
-                      Facility Types:
+                      {t('map.healthcare.legend')}
                     </Typography>
                     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -651,7 +697,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Hospitals</Typography>
+                        <Typography variant="caption">{t('map.healthcare.hospitals')}</Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Box
@@ -663,7 +709,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Clinics</Typography>
+                        <Typography variant="caption">{t('map.healthcare.clinics')}</Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Box
@@ -675,7 +721,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">CHC</Typography>
+                        <Typography variant="caption">{t('map.healthcare.chc')}</Typography>
                       </Box>
                     </Box>
                   </Box>
@@ -684,12 +730,12 @@ const UnifiedControl = ({
                   {(classificationFilter || districtFilter) && (
                     <Box>
                       <Typography variant="caption" color="text.secondary">
-                        Active Filters:
+                        {t('map.filters.active')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
                         {classificationFilter && (
                           <Chip
-                            label={`Type: ${classificationFilter}`}
+                            label={t('map.filters.type', { value: classificationFilter })}
                             size="small"
                             onDelete={() => onClassificationFilterChange(null)}
                             color="error"
@@ -697,7 +743,7 @@ const UnifiedControl = ({
                         )}
                         {districtFilter && (
                           <Chip
-                            label={`District: ${districtFilter}`}
+                            label={t('map.filters.district', { value: districtFilter })}
                             size="small"
                             onDelete={() => onDistrictFilterChange(null)}
                             color="secondary"
@@ -721,9 +767,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by School Type"
+                          label={t('map.education.byType')}
                           size="small"
-                          placeholder="Select school type"
+                          placeholder={t('map.education.typePlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -739,9 +785,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by District"
+                          label={t('map.filters.byDistrict')}
                           size="small"
-                          placeholder="Select education district"
+                          placeholder={t('map.education.districtPlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -757,9 +803,9 @@ const UnifiedControl = ({
                       renderInput={(params) => (
                         <TextField
                           {...params}
-                          label="Filter by Language"
+                          label={t('map.education.byLanguage')}
                           size="small"
-                          placeholder="Select instruction medium"
+                          placeholder={t('map.education.languagePlaceholder')}
                         />
                       )}
                       clearOnEscape
@@ -780,7 +826,7 @@ const UnifiedControl = ({
                       >
                         <ClearIcon fontSize="small" />
                         <Typography variant="caption" sx={{ ml: 1 }}>
-                          Clear Filters
+                          {t('map.filters.clear')}
                         </Typography>
                       </IconButton>
                     </Box>
@@ -790,17 +836,17 @@ const UnifiedControl = ({
                   {schoolStats && (
                     <Box sx={{ mb: 2 }}>
                       <Typography variant="caption" color="text.secondary" gutterBottom>
-                        Education Statistics:
+                        {t('map.education.statistics')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
                         <Typography variant="caption">
-                          Total Schools: {schoolStats.totalSchools}
+                          {t('map.education.total', { count: schoolStats.totalSchools })}
                         </Typography>
                         <Typography variant="caption">
-                          Types: {schoolStats.uniqueTypes}
+                          {t('map.stats.types', { count: schoolStats.uniqueTypes })}
                         </Typography>
                         <Typography variant="caption">
-                          Districts: {schoolStats.uniqueDistricts}
+                          {t('map.stats.districts', { count: schoolStats.uniqueDistricts })}
                         </Typography>
                       </Box>
                     </Box>
@@ -809,7 +855,7 @@ const UnifiedControl = ({
                   {/* Legend */}
                   <Box sx={{ mb: 2 }}>
                     <Typography variant="caption" color="text.secondary" gutterBottom>
-                      School Types:
+                      {t('map.education.legend')}
                     </Typography>
                     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -822,7 +868,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Secondary Schools</Typography>
+                        <Typography variant="caption">{t('map.education.secondary')}</Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Box
@@ -834,7 +880,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Combined Schools</Typography>
+                        <Typography variant="caption">{t('map.education.combined')}</Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Box
@@ -846,7 +892,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Primary Schools</Typography>
+                        <Typography variant="caption">{t('map.education.primary')}</Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Box
@@ -858,7 +904,7 @@ const UnifiedControl = ({
                             border: '1px solid white'
                           }}
                         />
-                        <Typography variant="caption">Intermediate Schools</Typography>
+                        <Typography variant="caption">{t('map.education.intermediate')}</Typography>
                       </Box>
                     </Box>
                   </Box>
@@ -867,12 +913,12 @@ const UnifiedControl = ({
                   {(schoolTypeFilter || schoolDistrictFilter || schoolMediumFilter) && (
                     <Box>
                       <Typography variant="caption" color="text.secondary">
-                        Active Filters:
+                        {t('map.filters.active')}
                       </Typography>
                       <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
                         {schoolTypeFilter && (
                           <Chip
-                            label={`Type: ${schoolTypeFilter}`}
+                            label={t('map.filters.type', { value: schoolTypeFilter })}
                             size="small"
                             onDelete={() => onSchoolTypeFilterChange(null)}
                             color="success"
@@ -880,7 +926,7 @@ const UnifiedControl = ({
                         )}
                         {schoolDistrictFilter && (
                           <Chip
-                            label={`District: ${schoolDistrictFilter}`}
+                            label={t('map.filters.district', { value: schoolDistrictFilter })}
                             size="small"
                             onDelete={() => onSchoolDistrictFilterChange(null)}
                             color="secondary"
@@ -888,7 +934,7 @@ const UnifiedControl = ({
                         )}
                         {schoolMediumFilter && (
                           <Chip
-                            label={`Language: ${schoolMediumFilter}`}
+                            label={t('map.filters.language', { value: schoolMediumFilter })}
                             size="small"
                             onDelete={() => onSchoolMediumFilterChange(null)}
                             color="info"
@@ -899,6 +945,147 @@ const UnifiedControl = ({
                   )}
                 </>
               )}
+
+              {/* Crime Filters */}
+              {activeTab === 3 && (
+                <>
+                  {/* Layer Mode */}
+                  <Box sx={{ mb: 2 }}>
+                    <ToggleButtonGroup
+                      value={crimeLayerMode}
+                      exclusive
+                      fullWidth
+                      size="small"
+                      color="warning"
+                      onChange={(event, newValue) => newValue && onCrimeLayerModeChange(newValue)}
+                    >
+                      {CRIME_LAYER_MODES.map(mode => (
+                        <ToggleButton key={mode} value={mode} sx={{ textTransform: 'none' }}>
+                          {t(`map.crime.modes.${mode}`)}
+                        </ToggleButton>
+                      ))}
+                    </ToggleButtonGroup>
+                  </Box>
+
+                  {/* Category, Severity and Time of Day Filters */}
+                  {[
+                    { field: 'category', group: 'categories', options: CRIME_CATEGORIES, label: 'byCategory', placeholder: 'anyCategory' },
+                    { field: 'severity', group: 'severities', options: CRIME_SEVERITIES, label: 'bySeverity', placeholder: 'anySeverity' },
+                    { field: 'timeOfDay', group: 'timesOfDay', options: CRIME_TIMES_OF_DAY, label: 'byTimeOfDay', placeholder: 'anyTime' }
+                  ].map(({ field, group, options, label, placeholder }) => (
+                    <Box key={field} sx={{ mb: 2 }}>
+                      <Autocomplete
+                        multiple
+                        options={options}
+                        value={crimeFilters[field]}
+                        getOptionLabel={(option) => t(`map.crime.${group}.${option}`)}
+                        onChange={(event, newValue) => handleCrimeFilterChange(field, newValue)}
+                        renderInput={(params) => (
+                          <TextField
+                            {...params}
+                            label={t(`map.crime.${label}`)}
+                            size="small"
+                            placeholder={crimeFilters[field].length ? '' : t(`map.crime.${placeholder}`)}
+                          />
+                        )}
+                        ChipProps={{ size: 'small', color: 'warning' }}
+                      />
+                    </Box>
+                  ))}
+
+                  {/* Date Range Filter */}
+                  <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                    <TextField
+                      label={t('map.crime.from')}
+                      type="date"
+                      size="small"
+                      fullWidth
+                      value={crimeFilters.from}
+                      onChange={(e) => handleCrimeFilterChange('from', e.target.value)}
+                      InputLabelProps={{ shrink: true }}
+                      inputProps={{ max: crimeFilters.to || undefined }}
+                    />
+                    <TextField
+                      label={t('map.crime.to')}
+                      type="date"
+                      size="small"
+                      fullWidth
+                      value={crimeFilters.to}
+                      onChange={(e) => handleCrimeFilterChange('to', e.target.value)}
+                      InputLabelProps={{ shrink: true }}
+                      inputProps={{ min: crimeFilters.from || undefined }}
+                    />
+                  </Box>
+
+                  {/* Clear Filters Button */}
+                  {crimeFiltersCount > 0 && (
+                    <Box sx={{ mb: 2 }}>
+                      <IconButton
+                        onClick={handleClearCrimeFilters}
+                        size="small"
+                        sx={{
+                          border: 1,
+                          borderColor: 'grey.300',
+                          borderRadius: 1
+                        }}
+                      >
+                        <ClearIcon fontSize="small" />
+                        <Typography variant="caption" sx={{ ml: 1 }}>
+                          {t('map.filters.clear')}
+                        </Typography>
+                      </IconButton>
+                    </Box>
+                  )}
+
+                  {/* Hotspot Statistics */}
+                  {crimeVisible && crimeSummary && (
+                    <Box sx={{ mb: 2 }}>
+                      <Typography variant="caption" color="text.secondary" gutterBottom>
+                        {t('map.crime.statistics')}
+                      </Typography>
+                      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                        <Typography variant="caption">
+                          {t(crimeSummary.truncated ? 'map.crime.mostRecentOnly' : 'map.crime.incidents', { count: crimeSummary.total })}
+                        </Typography>
+                        <Typography variant="caption">
+                          {t('map.crime.clusters', { count: crimeSummary.clusters })}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  )}
+
+                  {/* Legend */}
+                  <Box>
+                    <Typography variant="caption" color="text.secondary" gutterBottom>
+                      {t('map.crime.density')}
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                      <Typography variant="caption">{t('map.crime.low')}</Typography>
+                      <Box
+                        sx={{
+                          flex: 1,
+                          height: 10,
+                          borderRadius: 1,
+                          background: `linear-gradient(to right, ${HEAT_COLORS.join(', ')})`
+                        }}
+                      />
+                      <Typography variant="caption">{t('map.crime.high')}</Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Box
+                        sx={{
+                          width: 12,
+                          height: 12,
+                          borderRadius: '50%',
+                          border: '2px solid #7f0000',
+                          backgroundColor: 'rgba(127, 0, 0, 0.1)'
+                        }}
+                      />
+                      <Typography variant="caption">{t('map.crime.clusterLegend')}</Typography>
+                    </Box>
+                  </Box>
+                </>
+              )}
             </>
           )}
         </Box>
@@ -0,0 +1,89 @@
+import React from 'react'
+import { Box, Chip, Tooltip, Typography } from '@mui/material'
+import {
+  LocationCity as NeighborhoodIcon,
+  School as SchoolIcon,
+  LocalHospital as HospitalIcon,
+  DirectionsBus as TaxiIcon,
+  Home as RentalIcon,
+  Security as CrimeIcon,
+  Timeline as ForecastIcon,
+  Storage as DatasetIcon
+} from '@mui/icons-material'
+import { useNavigate } from 'react-router-dom'
+
+import { useTranslation } from '../../i18n'
+
+const TYPE_ICONS = {
+  neighborhood: NeighborhoodIcon,
+  school: SchoolIcon,
+  hospital: HospitalIcon,
+  'taxi-route': TaxiIcon,
+  rental: RentalIcon,
+  'crime-stats': CrimeIcon,
+  forecast: ForecastIcon,
+  aggregate: DatasetIcon
+}
+
+// Page a citation opens, or null when there is nothing more to show
+const sourceLink = (citation) => {
+  if (citation.type === 'rental') return `/rentals/${citation.id}`
+  if (citation.neighborhood) return `/explorer?neighborhood=${encodeURIComponent(citation.neighborhood)}`
+  return null
+}
+
+const formatValue = (value) => (typeof value === 'number' ? value.toLocaleString() : String(value))
+
+/**
+ * Source chips for an AI-generated answer. Numbered chips match the [n] tags
+ * in the text; hovering shows the dataset and field a figure came from and
+ * clicking opens the record. The heading defaults to "Sources" in the UI
+ * language; pass title={null} to leave it out.
+ */
+const SourceChips = ({ citations = [], title, numbered = true, sx }) => {
+  const navigate = useNavigate()
+  const { t } = useTranslation()
+  const heading = title === undefined ? t('sources.title') : title
+
+  if (!citations.length) return null
+
+  return (
+    <Box sx={{ mt: 1.5, ...sx }}>
+      {heading && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+          {heading}
+        </Typography>
+      )}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+        {citations.map((citation) => {
+          const Icon = TYPE_ICONS[citation.type] || DatasetIcon
+          const link = sourceLink(citation)
+          const details = [
+            citation.dataSource && t('sources.source', { value: citation.dataSource }),
+            citation.field && t('sources.field', { value: citation.field }),
+            citation.value != null && t('sources.value', { value: formatValue(citation.value) })
+          ].filter(Boolean)
+
+          return (
+            <Tooltip
+              key={`${citation.type}-${citation.id}-${citation.field || ''}`}
+              title={details.length ? details.map((line) => <div key={line}>{line}</div>) : ''}
+            >
+              <Chip
+                icon={<Icon />}
+                label={numbered ? `[${citation.n}] ${citation.label}` : citation.label}
+                size="small"
+                variant="outlined"
+                clickable={!!link}
+                onClick={link ? () => navigate(link) : undefined}
+                sx={{ maxWidth: 260, fontSize: '0.7rem' }}
+              />
+            </Tooltip>
+          )
+        })}
+      </Box>
+    </Box>
+  )
+}
+
+export default SourceChips
@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+import { chatAPI } from '../services/api'
+
+// BCP 47 tags for recognition and voices; South African variants first
+const SPEECH_LOCALES = {
+  en: 'en-ZA',
+  af: 'af-ZA',
+  xh: 'xh-ZA'
+}
+
+// Recordings sent to the server stop on their own after this long
+const MAX_RECORDING_MS = 60000
+
+const getRecognition = () => window.SpeechRecognition || window.webkitSpeechRecognition
+
+const canRecord = () => typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia
+
+/**
+ * Speech-to-text for the chat input. Uses the browser's speech recognition
+ * where there is one, otherwise records with MediaRecorder and uploads the
+ * clip to POST /api/chat/transcribe. onText receives the final transcript;
+ * interim holds the words recognized so far while speaking.
+ * @returns {Object} - { supported, isRecording, isTranscribing, interim, error, start, stop, toggle }
+ */
+export const useSpeechInput = ({ language = 'en', onText } = {}) => {
+  const [isRecording, setIsRecording] = useState(false)
+  const [isTranscribing, setIsTranscribing] = useState(false)
+  const [interim, setInterim] = useState('')
+  const [error, setError] = useState(null)
+  const sessionRef = useRef(null)
+  // Set while a session is starting, before sessionRef is, so a double
+  // click cannot open a second recorder
+  const startingRef = useRef(false)
+  const onTextRef = useRef(onText)
+  onTextRef.current = onText
+
+  const supported = typeof window !== 'undefined' && (!!getRecognition() || canRecord())
+
+  const finish = useCallback((text) => {
+    setInterim('')
+    if (text?.trim()) onTextRef.current?.(text.trim())
+  }, [])
+
+  const startRecognition = useCallback((Recognition) => {
+    const recognition = new Recognition()
+    recognition.lang = SPEECH_LOCALES[language] || language
+    recognition.interimResults = true
+    recognition.continuous = false
+
+    let transcript = ''
+    recognition.onresult = (event) => {
+      let pending = ''
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i]
+        if (result.isFinal) transcript += result[0].transcript
+        else pending += result[0].transcript
+      }
+      setInterim(`${transcript}${pending}`)
+    }
+    recognition.onerror = (event) => {
+      // "no-speech" and "aborted" just end the session
+      if (!['no-speech', 'aborted'].includes(event.error)) setError(event.error)
+    }
+    recognition.onend = () => {
+      sessionRef.current = null
+      setIsRecording(false)
+      finish(transcript)
+    }
+
+    recognition.start()
+    sessionRef.current = { stop: () => recognition.stop(), abort: () => recognition.abort() }
+  }, [language, finish])
+
+  const startUpload = useCallback(async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    const recorder = new MediaRecorder(stream)
+    const chunks = []
+    let aborted = false
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data)
+    }
+    recorder.onstop = async () => {
+      clearTimeout(timer)
+      stream.getTracks().forEach((track) => track.stop())
+      sessionRef.current = null
+      setIsRecording(false)
+      if (aborted || !chunks.length) return
+
+      setIsTranscribing(true)
+      try {
+        const response = await chatAPI.transcribe(new Blob(chunks, { type: recorder.mimeType }), language)
+        finish(response.data.text)
+      } catch (uploadError) {
+        setError('transcription-failed')
+      } finally {
+        setIsTranscribing(false)
+      }
+    }
+
+    const timer = setTimeout(() => recorder.state === 'recording' && recorder.stop(), MAX_RECORDING_MS)
+    recorder.start()
+    sessionRef.current = {
+      stop: () => recorder.stop(),
+      abort: () => {
+        aborted = true
+        recorder.stop()
+      }
+    }
+  }, [language, finish])
+
+  const start = useCallback(async () => {
+    if (sessionRef.current || startingRef.current) return
+    startingRef.current = true
+    setError(null)
+    setInterim('')
+    try {
+      const Recognition = getRecognition()
+      if (Recognition) startRecognition(Recognition)
+      else await startUpload()
+      setIsRecording(true)
+    } catch (startError) {
+      setError(startError.name === 'NotAllowedError' ? 'not-allowed' : 'unavailable')
+    } finally {
+      startingRef.current = false
+    }
+  }, [startRecognition, startUpload])
+
+  const stop = useCallback(() => {
+    sessionRef.current?.stop()
+  }, [])
+
+  const toggle = () => (sessionRef.current ? stop() : start())
+
+  // Drop any recording in progress when unmounting
+  useEffect(() => () => sessionRef.current?.abort(), [])
+
+  return { supported, isRecording, isTranscribing, interim, error, start, stop, toggle }
+}
+
+/**
+ * Reply text as it should be read out: markdown and [n] source tags removed
+ */
+const toSpeakableText = (text) => text
+  .replace(/\[\d+\]/g, '')
+  .replace(/```[\s\S]*?```/g, '')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_#>`~|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+/**
+ * Text-to-speech for assistant replies with the browser's speech synthesis.
+ * One reply is read at a time; speakingId is the id passed to speak() for
+ * the reply being read.
+ * @returns {Object} - { supported, speakingId, speak, stop }
+ */
+export const useSpeechOutput = () => {
+  const [speakingId, setSpeakingId] = useState(null)
+  const supported = typeof window !== 'undefined' && 'speechSynthesis' in window
+
+  const stop = useCallback(() => {
+    if (!supported) return
+    window.speechSynthesis.cancel()
+    setSpeakingId(null)
+  }, [supported])
+
+  const speak = useCallback((id, text, language = 'en') => {
+    if (!supported || !text) return
+    window.speechSynthesis.cancel()
+
+    const utterance = new SpeechSynthesisUtterance(toSpeakableText(text))
+    const locale = SPEECH_LOCALES[language] || language
+    utterance.lang = locale
+    // Browsers without a voice for the language read with the default one
+    const voices = window.speechSynthesis.getVoices()
+    utterance.voice = voices.find((voice) => voice.lang === locale)
+      || voices.find((voice) => voice.lang.startsWith(language))
+      || null
+    utterance.onend = () => setSpeakingId((current) => (current === id ? null : current))
+    utterance.onerror = utterance.onend
+
+    setSpeakingId(id)
+    window.speechSynthesis.speak(utterance)
+  }, [supported])
+
+  // Stop reading when leaving the page
+  useEffect(() => stop, [stop])
+
+  return { supported, speakingId, speak, stop }
+}
@@ -0,0 +1,34 @@
+import { useCallback } from 'react'
+
+import useLanguageStore from '../store/languageStore'
+import { DEFAULT_LANGUAGE } from './languages'
+import en from './locales/en'
+import af from './locales/af'
+import xh from './locales/xh'
+
+export { LANGUAGES, DEFAULT_LANGUAGE } from './languages'
+
+const MESSAGES = { en, af, xh }
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages)
+
+/**
+ * UI string for a dotted key such as 'chat.title', falling back to English
+ * and then to the key itself. {name} placeholders are filled from vars.
+ */
+export const translate = (language, key, vars = {}) => {
+  const text = lookup(MESSAGES[language], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key) ?? key
+  if (typeof text !== 'string') return text
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match))
+}
+
+/**
+ * Current UI language with t(key, vars) bound to it
+ */
+export const useTranslation = () => {
+  const language = useLanguageStore((state) => state.language)
+  const setLanguage = useLanguageStore((state) => state.setLanguage)
+  const t = useCallback((key, vars) => translate(language, key, vars), [language])
+
+  return { t, language, setLanguage }
+}
@@ -0,0 +1,8 @@
+// Languages the UI and chat support, with their names as their speakers write them
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'af', name: 'Afrikaans' },
+  { code: 'xh', name: 'isiXhosa' }
+]
+
+export const DEFAULT_LANGUAGE = 'en'
@@ -0,0 +1,257 @@
+// Afrikaans UI strings
+const af = {
+  header: {
+    searchPlaceholder: 'Soek woonbuurte...',
+    selected: '{count} gekies',
+    signIn: 'Meld aan',
+    signOut: 'Meld af',
+    language: 'Taal'
+  },
+  nav: {
+    navigation: 'Navigasie',
+    selected: 'Gekies ({count})',
+    badgeNew: 'NUUT',
+    dashboard: { text: 'Paneelbord', description: 'Oorsig en insigte' },
+    explorer: { text: 'Verkenner', description: 'Ontdek woonbuurte' },
+    rentals: { text: 'Huurplekke', description: 'Vind huureiendomme' },
+    compare: { text: 'Vergelyk', description: 'Langs mekaar ontleed' },
+    chat: { text: 'KI-klets', description: 'Vra vrae' },
+    insights: { text: 'Markinsigte', description: 'KI-markontleding' },
+    favorites: { text: 'Gunstelinge', description: 'Gestoorde eiendomme en gebiede' },
+    help: { text: 'Hulp en ondersteuning' },
+    about: { text: 'Oor ons' }
+  },
+  chat: {
+    pageTitle: 'KI-kletsassistent - City Insights AI',
+    metaDescription: 'Vra vrae oor woonbuurte in gewone taal',
+    title: 'KI-kletsassistent',
+    subtitle: 'Vra my enigiets oor woonbuurte, in Afrikaans, Engels of isiXhosa',
+    clear: 'Vee klets uit',
+    welcome: 'Welkom by City Insights AI-klets!',
+    intro: 'Ek help jou om die regte woonbuurt te vind. Vra my oor veiligheid, huurkoste, geriewe of enigiets anders wat jy wil weet!',
+    tryAsking: 'Probeer vra:',
+    quickSuggestions: [
+      'Gesinsvriendelike woonbuurte onder R8000 per maand',
+      'Watter gebiede is veilig en naby goeie openbare vervoer?',
+      'Wat is die beste woonbuurte vir jong professionele mense?',
+      "Ek soek 'n rustige woonbuurt met parke",
+      'Watter skole is naby Rondebosch?'
+    ],
+    placeholder: 'Vra my oor woonbuurte...',
+    stop: 'Stop antwoord',
+    sendHint: "Druk Enter om te stuur, Shift+Enter vir 'n nuwe reël",
+    suggestions: 'Voorstelle',
+    popularQuestions: 'Gewilde vrae',
+    tips: 'Wenke vir beter resultate',
+    tipSpecific: 'Wees spesifiek oor jou voorkeure (begroting, leefstyl, ens.)',
+    tipNeighborhoods: 'Vra oor spesifieke woonbuurte vir meer besonderhede',
+    tipPriorities: 'Noem jou prioriteite (veiligheid, vervoer, naglewe, ens.)',
+    openFailed: 'Kon nie daardie gesprek oopmaak nie',
+    deleted: 'Gesprek geskrap',
+    error: 'Jammer, iets het verkeerd geloop. Probeer asseblief weer.'
+  },
+  message: {
+    stages: {
+      understanding: 'Verstaan jou vraag...',
+      neighborhoods: 'Soek woonbuurte wat pas...',
+      writing: "Skryf 'n antwoord..."
+    },
+    relevantNeighborhoods: '📍 Relevante woonbuurte:',
+    safety: 'Veiligheid: {score}/10',
+    transit: 'Vervoer: {score}/100',
+    rent: 'R{rent}/md',
+    stopped: 'Gestop',
+    interrupted: 'Antwoord onderbreek',
+    searchConfidence: 'Soekvertroue: {percent}%',
+    copy: 'Kopieer boodskap',
+    helpful: 'Nuttig',
+    notHelpful: 'Nie nuttig nie',
+    readAloud: 'Lees hardop',
+    stopReading: 'Hou op lees'
+  },
+  conversations: {
+    newChat: 'Nuwe klets',
+    title: 'Gesprekke',
+    signIn: 'Meld aan om jou gesprekke te bewaar en later voort te sit.',
+    empty: 'Jou gesprekke sal hier verskyn.',
+    rename: 'Hernoem',
+    delete: 'Skrap'
+  },
+  criteria: {
+    title: 'Soek na:',
+    edit: 'Klik om te wysig',
+    save: 'Stoor',
+    update: 'Werk resultate by',
+    rerun: 'Wys my resultate vir hierdie kriteria',
+    maxRent: 'Tot R{value}',
+    minRent: 'Vanaf R{value}',
+    studio: 'Ateljee',
+    bedrooms: '{count} slaapkamer(s)',
+    area: 'In {value}',
+    commute: 'Pendel na {value}',
+    commuteWithin: 'Binne {km} km van {value}',
+    schools: 'Goeie skole',
+    familyFriendly: 'Gesinsvriendelik',
+    safety: 'Veiligheid {value}+',
+    nearSea: 'Naby die see',
+    transit: 'Goeie vervoer',
+    quiet: 'Rustig',
+    familySize: 'Huishouding van {count}',
+    propertyTypes: {
+      apartment: 'Woonstel',
+      house: 'Huis',
+      townhouse: 'Meenthuis',
+      studio: 'Ateljee',
+      penthouse: 'Dakwoonstel',
+      cottage: 'Kothuis'
+    }
+  },
+  voice: {
+    start: 'Spreek jou boodskap in',
+    stop: 'Stop opname',
+    listening: 'Luister...',
+    transcribing: 'Skryf af...',
+    notAllowed: 'Gee toegang tot die mikrofoon om stemtoevoer te gebruik',
+    transcriptionFailed: 'Kon nie jou opname afskryf nie',
+    languageNotSupported: 'Jou blaaier kan nie spraak in hierdie taal herken nie',
+    failed: 'Stemtoevoer is nou nie beskikbaar nie',
+    speakReplies: 'Lees antwoorde hardop',
+    muteReplies: 'Hou op om antwoorde hardop te lees'
+  },
+  sources: {
+    title: 'Bronne',
+    source: 'Bron: {value}',
+    field: 'Veld: {value}',
+    value: 'Waarde: {value}'
+  },
+  map: {
+    active: 'Aktief',
+    tabs: { transport: 'Vervoer', healthcare: 'Gesondheid', education: 'Onderwys', crime: 'Misdaad' },
+    titles: { transport: 'Vervoer', healthcare: 'Gesondheidsorg', education: 'Onderwys', crime: 'Veiligheid' },
+    show: { routes: 'Wys roetes', hospitals: 'Wys hospitale', schools: 'Wys skole', hotspots: 'Wys brandpunte' },
+    counts: { routes: '{count} roetes', facilities: '{count} fasiliteite', schools: '{count} skole', incidents: '{count} voorvalle' },
+    filters: {
+      clear: 'Vee filters uit',
+      active: 'Aktiewe filters:',
+      byDistrict: 'Filter volgens distrik',
+      from: 'Van: {value}',
+      to: 'Na: {value}',
+      type: 'Tipe: {value}',
+      district: 'Distrik: {value}',
+      language: 'Taal: {value}'
+    },
+    stats: {
+      types: 'Tipes: {count}',
+      districts: 'Distrikte: {count}'
+    },
+    taxi: {
+      title: 'Taxiroetes',
+      show: 'Wys taxiroetes',
+      byOrigin: 'Filter volgens vertrekpunt',
+      originPlaceholder: 'Kies vertrekpunt',
+      byDestination: 'Filter volgens bestemming',
+      destinationPlaceholder: 'Kies bestemming',
+      statistics: 'Roetestatistiek',
+      origins: '{count} vertrekpunte',
+      destinations: '{count} bestemmings',
+      averageKm: '{km} km gem.'
+    },
+    planner: {
+      title: 'Beplan \'n rit',
+      from: 'Van',
+      to: 'Na',
+      fromPlaceholder: 'bv. Khayelitsha',
+      toPlaceholder: 'bv. Claremont',
+      swap: 'Ruil om',
+      plan: 'Beplan',
+      clear: 'Vee uit',
+      noJourney: 'Geen taxirit tussen hierdie plekke gevind nie',
+      failed: 'Kon nie die rit beplan nie',
+      oneTaxi: '1 taxi · {km} km · ~{minutes} min',
+      taxis: '{count} taxi\'s · {km} km · ~{minutes} min',
+      walk: 'Stap {km} km na {to}',
+      ride: '{origin} – {destination} taxi van {from} na {to} ({km} km)'
+    },
+    healthcare: {
+      byType: 'Filter volgens tipe',
+      typePlaceholder: 'Kies fasiliteitstipe',
+      districtPlaceholder: 'Kies distrik',
+      statistics: 'Gesondheidstatistiek:',
+      total: 'Fasiliteite altesaam: {count}',
+      legend: 'Fasiliteitstipes:',
+      hospitals: 'Hospitale',
+      clinics: 'Klinieke',
+      chc: 'GGS'
+    },
+    education: {
+      byType: 'Filter volgens skooltipe',
+      typePlaceholder: 'Kies skooltipe',
+      districtPlaceholder: 'Kies onderwysdistrik',
+      byLanguage: 'Filter volgens taal',
+      languagePlaceholder: 'Kies onderrigtaal',
+      statistics: 'Onderwysstatistiek:',
+      total: 'Skole altesaam: {count}',
+      legend: 'Skooltipes:',
+      secondary: 'Hoërskole',
+      combined: 'Gekombineerde skole',
+      primary: 'Laerskole',
+      intermediate: 'Intermediêre skole'
+    },
+    crime: {
+      modes: { both: 'Albei', heatmap: 'Hittekaart', clusters: 'Groepe' },
+      byCategory: 'Filter volgens kategorie',
+      anyCategory: 'Enige kategorie',
+      bySeverity: 'Filter volgens erns',
+      anySeverity: 'Enige erns',
+      byTimeOfDay: 'Filter volgens tyd van die dag',
+      anyTime: 'Enige tyd',
+      from: 'Van',
+      to: 'Tot',
+      statistics: 'Brandpuntstatistiek:',
+      incidents: 'Voorvalle: {count}',
+      mostRecentOnly: 'Voorvalle: {count} (net die mees onlangse)',
+      clusters: 'Groepe: {count}',
+      density: 'Misdaaddigtheid:',
+      low: 'Laag',
+      high: 'Hoog',
+      clusterLegend: 'Groep (klik vir besonderhede)',
+      categories: { VIOLENT: 'Geweld', PROPERTY: 'Eiendom', DRUG: 'Dwelms', OTHER: 'Ander' },
+      severities: { LOW: 'Laag', MEDIUM: 'Middelmatig', HIGH: 'Hoog' },
+      timesOfDay: { MORNING: 'Oggend', AFTERNOON: 'Middag', EVENING: 'Aand', NIGHT: 'Nag' },
+      days: {
+        MONDAY: 'Maandag',
+        TUESDAY: 'Dinsdag',
+        WEDNESDAY: 'Woensdag',
+        THURSDAY: 'Donderdag',
+        FRIDAY: 'Vrydag',
+        SATURDAY: 'Saterdag',
+        SUNDAY: 'Sondag'
+      },
+      hotspot: {
+        title: 'Brandpunt #{id}',
+        incidents: 'Voorvalle:',
+        area: 'Gebied:',
+        mostCommon: 'Algemeenste:',
+        peak: 'Piek:',
+        peakTime: '{day} {time}',
+        within: 'Binne sowat {meters} m van die gemerkte middelpunt'
+      }
+    },
+    commute: {
+      title: 'Pendelsones',
+      workplace: 'Werkplek',
+      workplacePlaceholder: 'bv. Claremont',
+      useMapCentre: 'Gebruik kaartmiddelpunt',
+      within: 'Binne',
+      minutes: '{minutes} min',
+      show: 'Wys',
+      failed: 'Kon nie pendelsones laai nie',
+      from: 'Per taxi en te voet vanaf {name}',
+      band: '≤{minutes} min',
+      quickest: 'Vinnigste pendelritte',
+      about: '~{minutes} min'
+    }
+  }
+}
+
+export default af
@@ -0,0 +1,260 @@
+// English UI strings. The other locales use the same keys; anything they
+// leave out falls back to these.
+const en = {
+  header: {
+    title: 'City Insights AI',
+    searchPlaceholder: 'Search neighborhoods...',
+    selected: '{count} selected',
+    signIn: 'Sign in',
+    signOut: 'Sign out',
+    language: 'Language'
+  },
+  nav: {
+    navigation: 'Navigation',
+    selected: 'Selected ({count})',
+    badgeNew: 'NEW',
+    badgeAi: 'AI',
+    dashboard: { text: 'Dashboard', description: 'Overview and insights' },
+    explorer: { text: 'Explorer', description: 'Discover neighborhoods' },
+    rentals: { text: 'Rentals', description: 'Find rental properties' },
+    compare: { text: 'Compare', description: 'Side-by-side analysis' },
+    chat: { text: 'AI Chat', description: 'Ask questions' },
+    insights: { text: 'Market Insights', description: 'AI market analysis' },
+    favorites: { text: 'Favorites', description: 'Saved properties & areas' },
+    help: { text: 'Help & Support' },
+    about: { text: 'About' }
+  },
+  chat: {
+    pageTitle: 'AI Chat Assistant - City Insights AI',
+    metaDescription: 'Ask questions about neighborhoods using natural language AI chat',
+    title: 'AI Chat Assistant',
+    subtitle: 'Ask me anything about neighborhoods in natural language',
+    clear: 'Clear Chat',
+    welcome: 'Welcome to City Insights AI Chat!',
+    intro: "I'm here to help you discover the perfect neighborhood. Ask me about safety, housing costs, amenities, or anything else you'd like to know!",
+    tryAsking: 'Try asking:',
+    quickSuggestions: [
+      'Find family-friendly neighborhoods under R3500/month',
+      'Show me safe areas with good public transportation',
+      'What are the best neighborhoods for young professionals?',
+      'Find quiet residential areas with parks',
+      'Which neighborhoods have the best restaurants?'
+    ],
+    placeholder: 'Ask me about neighborhoods...',
+    stop: 'Stop generating',
+    sendHint: 'Press Enter to send, Shift+Enter for new line',
+    suggestions: 'Suggestions',
+    popularQuestions: 'Popular Questions',
+    tips: 'Tips for Better Results',
+    tipSpecific: 'Be specific about your preferences (budget, lifestyle, etc.)',
+    tipNeighborhoods: 'Ask about specific neighborhoods for detailed insights',
+    tipPriorities: 'Mention your priorities (safety, transit, nightlife, etc.)',
+    openFailed: 'Could not open that conversation',
+    deleted: 'Conversation deleted',
+    error: 'Sorry, I encountered an error. Please try again.'
+  },
+  message: {
+    stages: {
+      understanding: 'Understanding your question...',
+      neighborhoods: 'Finding matching neighborhoods...',
+      writing: 'Writing a reply...'
+    },
+    relevantNeighborhoods: '📍 Relevant neighborhoods:',
+    safety: 'Safety: {score}/10',
+    transit: 'Transit: {score}/100',
+    rent: 'R{rent}/mo',
+    stopped: 'Stopped',
+    interrupted: 'Reply interrupted',
+    searchConfidence: 'Search confidence: {percent}%',
+    copy: 'Copy message',
+    helpful: 'Helpful',
+    notHelpful: 'Not helpful',
+    readAloud: 'Read aloud',
+    stopReading: 'Stop reading'
+  },
+  conversations: {
+    newChat: 'New Chat',
+    title: 'Conversations',
+    signIn: 'Sign in to keep your conversations and pick them up later.',
+    empty: 'Your conversations will appear here.',
+    rename: 'Rename',
+    delete: 'Delete'
+  },
+  criteria: {
+    title: 'Searching for:',
+    edit: 'Click to edit',
+    save: 'Save',
+    update: 'Update results',
+    rerun: 'Show me results for these criteria',
+    maxRent: 'Up to R{value}',
+    minRent: 'From R{value}',
+    studio: 'Studio',
+    bedrooms: '{count} bedroom(s)',
+    area: 'In {value}',
+    commute: 'Commute to {value}',
+    commuteWithin: 'Within {km} km of {value}',
+    schools: 'Good schools',
+    familyFriendly: 'Family-friendly',
+    safety: 'Safety {value}+',
+    nearSea: 'Near the sea',
+    transit: 'Good transport',
+    quiet: 'Quiet',
+    familySize: 'Household of {count}',
+    propertyTypes: {
+      apartment: 'Apartment',
+      house: 'House',
+      townhouse: 'Townhouse',
+      studio: 'Studio',
+      penthouse: 'Penthouse',
+      cottage: 'Cottage'
+    }
+  },
+  voice: {
+    start: 'Speak your message',
+    stop: 'Stop recording',
+    listening: 'Listening...',
+    transcribing: 'Transcribing...',
+    notAllowed: 'Allow microphone access to use voice input',
+    transcriptionFailed: 'Could not transcribe your recording',
+    languageNotSupported: 'Your browser cannot recognize speech in this language',
+    failed: 'Voice input is not available right now',
+    speakReplies: 'Read replies aloud',
+    muteReplies: 'Stop reading replies aloud'
+  },
+  sources: {
+    title: 'Sources',
+    source: 'Source: {value}',
+    field: 'Field: {value}',
+    value: 'Value: {value}'
+  },
+  map: {
+    active: 'Active',
+    tabs: { transport: 'Transport', healthcare: 'Healthcare', education: 'Education', crime: 'Crime' },
+    titles: { transport: 'Transportation', healthcare: 'Healthcare', education: 'Education', crime: 'Safety' },
+    show: { routes: 'Show Routes', hospitals: 'Show Hospitals', schools: 'Show Schools', hotspots: 'Show Hotspots' },
+    counts: { routes: '{count} routes', facilities: '{count} facilities', schools: '{count} schools', incidents: '{count} incidents' },
+    filters: {
+      clear: 'Clear Filters',
+      active: 'Active Filters:',
+      byDistrict: 'Filter by District',
+      from: 'From: {value}',
+      to: 'To: {value}',
+      type: 'Type: {value}',
+      district: 'District: {value}',
+      language: 'Language: {value}'
+    },
+    stats: {
+      types: 'Types: {count}',
+      districts: 'Districts: {count}'
+    },
+    taxi: {
+      title: 'Taxi Routes',
+      show: 'Show Taxi Routes',
+      byOrigin: 'Filter by Origin',
+      originPlaceholder: 'Select origin location',
+      byDestination: 'Filter by Destination',
+      destinationPlaceholder: 'Select destination location',
+      statistics: 'Route Statistics',
+      origins: '{count} Origins',
+      destinations: '{count} Destinations',
+      averageKm: '{km}km Avg'
+    },
+    planner: {
+      title: 'Plan a Journey',
+      from: 'From',
+      to: 'To',
+      fromPlaceholder: 'e.g. Khayelitsha',
+      toPlaceholder: 'e.g. Claremont',
+      swap: 'Swap',
+      plan: 'Plan',
+      clear: 'Clear',
+      noJourney: 'No taxi journey found between these places',
+      failed: 'Failed to plan journey',
+      oneTaxi: '1 taxi · {km} km · ~{minutes} min',
+      taxis: '{count} taxis · {km} km · ~{minutes} min',
+      walk: 'Walk {km} km to {to}',
+      ride: '{origin} – {destination} taxi from {from} to {to} ({km} km)'
+    },
+    healthcare: {
+      byType: 'Filter by Type',
+      typePlaceholder: 'Select facility type',
+      districtPlaceholder: 'Select district',
+      statistics: 'Healthcare Statistics:',
+      total: 'Total Facilities: {count}',
+      legend: 'Facility Types:',
+      hospitals: 'Hospitals',
+      clinics: 'Clinics',
+      chc: 'CHC'
+    },
+    education: {
+      byType: 'Filter by School Type',
+      typePlaceholder: 'Select school type',
+      districtPlaceholder: 'Select education district',
+      byLanguage: 'Filter by Language',
+      languagePlaceholder: 'Select instruction medium',
+      statistics: 'Education Statistics:',
+      total: 'Total Schools: {count}',
+      legend: 'School Types:',
+      secondary: 'Secondary Schools',
+      combined: 'Combined Schools',
+      primary: 'Primary Schools',
+      intermediate: 'Intermediate Schools'
+    },
+    crime: {
+      modes: { both: 'Both', heatmap: 'Heatmap', clusters: 'Clusters' },
+      byCategory: 'Filter by Category',
+      anyCategory: 'Any category',
+      bySeverity: 'Filter by Severity',
+      anySeverity: 'Any severity',
+      byTimeOfDay: 'Filter by Time of Day',
+      anyTime: 'Any time',
+      from: 'From',
+      to: 'To',
+      statistics: 'Hotspot Statistics:',
+      incidents: 'Incidents: {count}',
+      mostRecentOnly: 'Incidents: {count} (most recent only)',
+      clusters: 'Clusters: {count}',
+      density: 'Crime Density:',
+      low: 'Low',
+      high: 'High',
+      clusterLegend: 'Cluster (click for details)',
+      categories: { VIOLENT: 'Violent', PROPERTY: 'Property', DRUG: 'Drug', OTHER: 'Other' },
+      severities: { LOW: 'Low', MEDIUM: 'Medium', HIGH: 'High' },
+      timesOfDay: { MORNING: 'Morning', AFTERNOON: 'Afternoon', EVENING: 'Evening', NIGHT: 'Night' },
+      days: {
+        MONDAY: 'Monday',
+        TUESDAY: 'Tuesday',
+        WEDNESDAY: 'Wednesday',
+        THURSDAY: 'Thursday',
+        FRIDAY: 'Friday',
+        SATURDAY: 'Saturday',
+        SUNDAY: 'Sunday'
+      },
+      hotspot: {
+        title: 'Hotspot #{id}',
+        incidents: 'Incidents:',
+        area: 'Area:',
+        mostCommon: 'Most common:',
+        peak: 'Peak:',
+        peakTime: '{day} {time}',
+        within: 'Within about {meters} m of the marked centre'
+      }
+    },
+    commute: {
+      title: 'Commute Zones',
+      workplace: 'Workplace',
+      workplacePlaceholder: 'e.g. Claremont',
+      useMapCentre: 'Use map centre',
+      within: 'Within',
+      minutes: '{minutes} min',
+      show: 'Show',
+      failed: 'Failed to load commute zones',
+      from: 'By taxi and on foot from {name}',
+      band: '≤{minutes} min',
+      quickest: 'Quickest Commutes',
+      about: '~{minutes} min'
+    }
+  }
+}
+
+export default en
@@ -0,0 +1,257 @@
+// isiXhosa UI strings
+const xh = {
+  header: {
+    searchPlaceholder: 'Khangela iindawo...',
+    selected: 'Ezikhethiweyo: {count}',
+    signIn: 'Ngena',
+    signOut: 'Phuma',
+    language: 'Ulwimi'
+  },
+  nav: {
+    navigation: 'Ukuhamba',
+    selected: 'Ezikhethiweyo ({count})',
+    badgeNew: 'ENTSHA',
+    dashboard: { text: 'Ibhodi', description: 'Isishwankathelo neengcaciso' },
+    explorer: { text: 'Uphononongo', description: 'Fumana iindawo' },
+    rentals: { text: 'Iindawo zokurenta', description: 'Fumana izindlu zokurenta' },
+    compare: { text: 'Thelekisa', description: 'Uthelekiso ecaleni' },
+    chat: { text: 'Incoko ye-AI', description: 'Buza imibuzo' },
+    insights: { text: 'Iingcaciso zentengiso', description: 'Uhlalutyo lwentengiso lwe-AI' },
+    favorites: { text: 'Ezithandwayo', description: 'Izindlu neendawo ezigciniweyo' },
+    help: { text: 'Uncedo' },
+    about: { text: 'Malunga nathi' }
+  },
+  chat: {
+    pageTitle: 'Umncedisi wencoko we-AI - City Insights AI',
+    metaDescription: 'Buza imibuzo malunga neendawo ngolwimi lwakho',
+    title: 'Umncedisi wencoko we-AI',
+    subtitle: 'Ndibuze nantoni na malunga neendawo, ngesiXhosa, isiNgesi okanye isiBhulu',
+    clear: 'Cima incoko',
+    welcome: 'Wamkelekile kwincoko ye-City Insights AI!',
+    intro: 'Ndikho ukukunceda ufumane indawo efanelekileyo. Ndibuze malunga nokhuseleko, iindleko zezindlu, izibonelelo, okanye nantoni na ofuna ukuyazi!',
+    tryAsking: 'Zama ukubuza:',
+    quickSuggestions: [
+      'Ndifuna iflethi ngaphantsi kwe-R5000 ngenyanga',
+      'Zeziphi iindawo ezikhuselekileyo ezinothutho olulungileyo?',
+      'Zeziphi izikolo ezikufutshane naseKhayelitsha?',
+      'Ndicebise ngendawo ethule enepaki',
+      'Thelekisa iLanga neGugulethu'
+    ],
+    placeholder: 'Ndibuze malunga neendawo...',
+    stop: 'Yeka ukuphendula',
+    sendHint: 'Cofa u-Enter ukuthumela, u-Shift+Enter ukwenza umgca omtsha',
+    suggestions: 'Iingcebiso',
+    popularQuestions: 'Imibuzo ebuzwa kakhulu',
+    tips: 'Iingcebiso zeziphumo ezingcono',
+    tipSpecific: 'Cacisa okukhethayo (uhlahlo-lwabiwo mali, indlela yokuphila, njl.)',
+    tipNeighborhoods: 'Buza malunga neendawo ezithile ukuze ufumane iinkcukacha',
+    tipPriorities: 'Chaza izinto eziphambili kuwe (ukhuseleko, uthutho, njl.)',
+    openFailed: 'Ayikwazanga ukuvula loo ncoko',
+    deleted: 'Incoko icinyiwe',
+    error: 'Uxolo, kukho impazamo. Nceda uzame kwakhona.'
+  },
+  message: {
+    stages: {
+      understanding: 'Ndiyawuqonda umbuzo wakho...',
+      neighborhoods: 'Ndikhangela iindawo ezifanelekileyo...',
+      writing: 'Ndibhala impendulo...'
+    },
+    relevantNeighborhoods: '📍 Iindawo ezifanelekileyo:',
+    safety: 'Ukhuseleko: {score}/10',
+    transit: 'Uthutho: {score}/100',
+    rent: 'R{rent}/ngenyanga',
+    stopped: 'Imisiwe',
+    interrupted: 'Impendulo iphazamisekile',
+    searchConfidence: 'Ukuqiniseka kokhangelo: {percent}%',
+    copy: 'Kopa umyalezo',
+    helpful: 'Luncedo',
+    notHelpful: 'Aluncedi',
+    readAloud: 'Funda ngokuvakalayo',
+    stopReading: 'Yeka ukufunda'
+  },
+  conversations: {
+    newChat: 'Incoko entsha',
+    title: 'Iincoko',
+    signIn: 'Ngena ukuze ugcine iincoko zakho uziqhubeke kamva.',
+    empty: 'Iincoko zakho ziya kuvela apha.',
+    rename: 'Tshintsha igama',
+    delete: 'Cima'
+  },
+  criteria: {
+    title: 'Ukhangela:',
+    edit: 'Cofa ukuze uhlele',
+    save: 'Gcina',
+    update: 'Hlaziya iziphumo',
+    rerun: 'Ndibonise iziphumo zale migaqo',
+    maxRent: 'Ukuya kwi-R{value}',
+    minRent: 'Ukusuka kwi-R{value}',
+    studio: 'Istudiyo',
+    bedrooms: 'Amagumbi okulala: {count}',
+    area: 'E-{value}',
+    commute: 'Uhambo oluya e-{value}',
+    commuteWithin: 'Kwi-{km} km ukusuka e-{value}',
+    schools: 'Izikolo ezilungileyo',
+    familyFriendly: 'Ilungele iintsapho',
+    safety: 'Ukhuseleko {value}+',
+    nearSea: 'Kufutshane nolwandle',
+    transit: 'Uthutho olulungileyo',
+    quiet: 'Kuzolile',
+    familySize: 'Usapho lwaba-{count}',
+    propertyTypes: {
+      apartment: 'Iflethi',
+      house: 'Indlu',
+      townhouse: 'Indlu yedolophu',
+      studio: 'Istudiyo',
+      penthouse: 'Iflethi ephezulu',
+      cottage: 'Indlwana'
+    }
+  },
+  voice: {
+    start: 'Thetha umyalezo wakho',
+    stop: 'Yeka ukurekhoda',
+    listening: 'Ndiyamamela...',
+    transcribing: 'Ndiyabhala...',
+    notAllowed: 'Vumela imakrofoni ukuze usebenzise ilizwi',
+    transcriptionFailed: 'Andikwazanga ukubhala oko ukurekhodileyo',
+    languageNotSupported: 'Ibhrawuza yakho ayikwazi ukuqonda intetho ngolu lwimi',
+    failed: 'Ilizwi alifumaneki ngoku',
+    speakReplies: 'Funda iimpendulo ngokuvakalayo',
+    muteReplies: 'Yeka ukufunda iimpendulo ngokuvakalayo'
+  },
+  sources: {
+    title: 'Imithombo',
+    source: 'Umthombo: {value}',
+    field: 'Intsimi: {value}',
+    value: 'Ixabiso: {value}'
+  },
+  map: {
+    active: 'Iyasebenza',
+    tabs: { transport: 'Uthutho', healthcare: 'Impilo', education: 'Imfundo', crime: 'Ulwaphulo-mthetho' },
+    titles: { transport: 'Uthutho', healthcare: 'Ukhathalelo lwempilo', education: 'Imfundo', crime: 'Ukhuseleko' },
+    show: { routes: 'Bonisa iindlela', hospitals: 'Bonisa izibhedlele', schools: 'Bonisa izikolo', hotspots: 'Bonisa iindawo ezinobungozi' },
+    counts: { routes: 'Iindlela ezi-{count}', facilities: 'Iindawo zempilo ezi-{count}', schools: 'Izikolo ezi-{count}', incidents: 'Iziganeko ezi-{count}' },
+    filters: {
+      clear: 'Cima izihluzi',
+      active: 'Izihluzi ezisebenzayo:',
+      byDistrict: 'Hluza ngesithili',
+      from: 'Ukusuka: {value}',
+      to: 'Ukuya: {value}',
+      type: 'Uhlobo: {value}',
+      district: 'Isithili: {value}',
+      language: 'Ulwimi: {value}'
+    },
+    stats: {
+      types: 'Iintlobo: {count}',
+      districts: 'Izithili: {count}'
+    },
+    taxi: {
+      title: 'Iindlela zeeteksi',
+      show: 'Bonisa iindlela zeeteksi',
+      byOrigin: 'Hluza ngendawo yokuqala',
+      originPlaceholder: 'Khetha indawo yokuqala',
+      byDestination: 'Hluza ngendawo oya kuyo',
+      destinationPlaceholder: 'Khetha indawo oya kuyo',
+      statistics: 'Amanani eendlela',
+      origins: 'Iindawo zokuqala ezi-{count}',
+      destinations: 'Iindawo zokuya ezi-{count}',
+      averageKm: 'Umndilili we-{km} km'
+    },
+    planner: {
+      title: 'Cwangcisa uhambo',
+      from: 'Ukusuka',
+      to: 'Ukuya',
+      fromPlaceholder: 'umz. eKhayelitsha',
+      toPlaceholder: 'umz. eClaremont',
+      swap: 'Tshintshanisa',
+      plan: 'Cwangcisa',
+      clear: 'Cima',
+      noJourney: 'Akukho hambo ngeteksi lufunyenweyo phakathi kwezi ndawo',
+      failed: 'Akukwazekanga ukucwangcisa uhambo',
+      oneTaxi: 'Iteksi e-1 · {km} km · ~{minutes} imiz',
+      taxis: 'Iiteksi ezi-{count} · {km} km · ~{minutes} imiz',
+      walk: 'Hamba ngeenyawo {km} km uye e-{to}',
+      ride: 'Iteksi ye-{origin} – {destination} ukusuka e-{from} ukuya e-{to} ({km} km)'
+    },
+    healthcare: {
+      byType: 'Hluza ngohlobo',
+      typePlaceholder: 'Khetha uhlobo lwendawo',
+      districtPlaceholder: 'Khetha isithili',
+      statistics: 'Amanani empilo:',
+      total: 'Iindawo zizonke: {count}',
+      legend: 'Iintlobo zeendawo:',
+      hospitals: 'Izibhedlele',
+      clinics: 'Iikliniki',
+      chc: 'CHC'
+    },
+    education: {
+      byType: 'Hluza ngohlobo lwesikolo',
+      typePlaceholder: 'Khetha uhlobo lwesikolo',
+      districtPlaceholder: 'Khetha isithili semfundo',
+      byLanguage: 'Hluza ngolwimi',
+      languagePlaceholder: 'Khetha ulwimi lokufundisa',
+      statistics: 'Amanani emfundo:',
+      total: 'Izikolo zizonke: {count}',
+      legend: 'Iintlobo zezikolo:',
+      secondary: 'Izikolo zamabanga aphakamileyo',
+      combined: 'Izikolo ezidibeneyo',
+      primary: 'Izikolo zamabanga aphantsi',
+      intermediate: 'Izikolo eziphakathi'
+    },
+    crime: {
+      modes: { both: 'Zombini', heatmap: 'Imephu yokushisa', clusters: 'Amaqela' },
+      byCategory: 'Hluza ngodidi',
+      anyCategory: 'Naluphi na udidi',
+      bySeverity: 'Hluza ngobuzaza',
+      anySeverity: 'Nabuphi na ubuzaza',
+      byTimeOfDay: 'Hluza ngexesha losuku',
+      anyTime: 'Nanini na',
+      from: 'Ukusuka',
+      to: 'Ukuya',
+      statistics: 'Amanani eendawo ezinobungozi:',
+      incidents: 'Iziganeko: {count}',
+      mostRecentOnly: 'Iziganeko: {count} (ezona zamva kuphela)',
+      clusters: 'Amaqela: {count}',
+      density: 'Ubuninzi bolwaphulo-mthetho:',
+      low: 'Phantsi',
+      high: 'Phezulu',
+      clusterLegend: 'Iqela (cofa ufumane iinkcukacha)',
+      categories: { VIOLENT: 'Ubundlobongela', PROPERTY: 'Ipropati', DRUG: 'Iziyobisi', OTHER: 'Ezinye' },
+      severities: { LOW: 'Phantsi', MEDIUM: 'Phakathi', HIGH: 'Phezulu' },
+      timesOfDay: { MORNING: 'Kusasa', AFTERNOON: 'Emva kwemini', EVENING: 'Ngokuhlwa', NIGHT: 'Ebusuku' },
+      days: {
+        MONDAY: 'NgoMvulo',
+        TUESDAY: 'NgoLwesibini',
+        WEDNESDAY: 'NgoLwesithathu',
+        THURSDAY: 'NgoLwesine',
+        FRIDAY: 'NgoLwesihlanu',
+        SATURDAY: 'NgoMgqibelo',
+        SUNDAY: 'NgeCawe'
+      },
+      hotspot: {
+        title: 'Indawo enobungozi #{id}',
+        incidents: 'Iziganeko:',
+        area: 'Indawo:',
+        mostCommon: 'Ezona zixhaphakileyo:',
+        peak: 'Incopho:',
+        peakTime: '{day} {time}',
+        within: 'Malunga ne-{meters} m ukusuka embindini ophawuliweyo'
+      }
+    },
+    commute: {
+      title: 'Imimandla yokuhamba',
+      workplace: 'Indawo yokusebenza',
+      workplacePlaceholder: 'umz. eClaremont',
+      useMapCentre: 'Sebenzisa umbindi wemephu',
+      within: 'Ngaphakathi',
+      minutes: '{minutes} imiz',
+      show: 'Bonisa',
+      failed: 'Akukwazekanga ukulayisha imimandla yokuhamba',
+      from: 'Ngeteksi nangeenyawo ukusuka e-{name}',
+      band: '≤{minutes} imiz',
+      quickest: 'Uhambo olukhawulezayo',
+      about: '~{minutes} imiz'
+    }
+  }
+}
+
+export default xh
@@ -1,7 +1,6 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
 import {
   Box,
-  Paper,
   Typography,
   TextField,
   IconButton,
@@ -12,36 +11,71 @@ import {
   CardContent,
   CircularProgress,
   Alert,
-  Divider
+  Divider,
+  Tooltip
 } from '@mui/material'
 import {
   Send as SendIcon,
+  Stop as StopIcon,
   Clear as ClearIcon,
   SmartToy as BotIcon,
   Person as PersonIcon,
-  Lightbulb as LightbulbIcon
+  Lightbulb as LightbulbIcon,
+  RecordVoiceOver as SpeakRepliesIcon,
+  VoiceOverOff as MuteRepliesIcon
 } from '@mui/icons-material'
-import { useQuery, useMutation } from 'react-query'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
 import { Helmet } from 'react-helmet-async'
 import { v4 as uuidv4 } from 'uuid'
+import toast from 'react-hot-toast'
 
-import { chatAPI } from '../services/api'
+import { chatAPI, conversationsAPI } from '../services/api'
 import { useAppStore } from '../store/appStore'
-import ChatInterface from '../components/Chat/ChatInterface'
+import useAuthStore from '../store/authStore'
 import MessageBubble from '../components/Chat/MessageBubble'
+import ConversationSidebar from '../components/Chat/ConversationSidebar'
+import CriteriaChips from '../components/Chat/CriteriaChips'
+import VoiceInputButton from '../components/Chat/VoiceInputButton'
+import { useSpeechOutput } from '../hooks/useSpeech'
+import { useTranslation } from '../i18n'
+
+// Stored conversation message -> chat message as MessageBubble renders it
+const toChatMessage = (message) => ({
+  id: message._id,
+  role: message.role,
+  content: message.content,
+  timestamp: message.createdAt,
+  relevantNeighborhoods: message.neighborhoods?.length ? message.neighborhoods : null,
+  citations: message.citations || [],
+  cancelled: message.status === 'cancelled'
+})
 
 const ChatBot = () => {
   const {
     chatMessages,
     addChatMessage,
+    updateChatMessage,
     clearChatMessages,
+    setChatMessages,
     chatSessionId,
-    setChatSessionId
+    setChatSessionId,
+    chatConversationId,
+    setChatConversationId,
+    chatDialogue,
+    setChatDialogue,
+    chatSpeakReplies,
+    setChatSpeakReplies
   } = useAppStore()
+  const user = useAuthStore((state) => state.user)
+  const queryClient = useQueryClient()
+  const { t, language } = useTranslation()
+  const { supported: canSpeak, speakingId, speak, stop: stopSpeaking } = useSpeechOutput()
 
   const [inputMessage, setInputMessage] = useState('')
-  const [isTyping, setIsTyping] = useState(false)
+  const [isStreaming, setIsStreaming] = useState(false)
+  const [loadingConversation, setLoadingConversation] = useState(false)
   const messagesEndRef = useRef(null)
+  const streamControllerRef = useRef(null)
 
   // Initialize session ID
   useEffect(() => {
@@ -53,64 +87,167 @@ const ChatBot = () => {
   // Get chat suggestions
   const { data: suggestions } = useQuery('chat-suggestions', chatAPI.getSuggestions)
 
-  // Send message mutation
-  const sendMessageMutation = useMutation(
-    ({ message, context, sessionId }) => chatAPI.sendMessage(message, context, sessionId),
+  // Saved conversations (signed-in users only)
+  const { data: conversationsData, isLoading: conversationsLoading } = useQuery(
+    ['chat-conversations', user?.id],
+    async () => {
+      const response = await conversationsAPI.getAll()
+      return response.data
+    },
     {
-      onMutate: () => {
-        setIsTyping(true)
-      },
-      onSuccess: (response) => {
-        const aiMessage = {
-          role: 'assistant',
-          content: response.data.response,
-          relevantNeighborhoods: response.data.relevantNeighborhoods,
-          intent: response.data.intent
-        }
-        addChatMessage(aiMessage)
-        setIsTyping(false)
-      },
-      onError: (error) => {
-        const errorMessage = {
-          role: 'assistant',
-          content: 'Sorry, I encountered an error. Please try again.',
-          isError: true
+      enabled: !!user
+    }
+  )
+  const conversations = conversationsData?.conversations || []
+
+  const openConversation = useCallback(async (conversationId) => {
+    streamControllerRef.current?.abort()
+    setLoadingConversation(true)
+    try {
+      const response = await conversationsAPI.getById(conversationId)
+      setChatMessages(response.data.conversation.messages.map(toChatMessage))
+      setChatDialogue(response.data.conversation.dialogue || null)
+      setChatConversationId(conversationId)
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setChatConversationId(null)
+        queryClient.invalidateQueries('chat-conversations')
+      }
+      toast.error(t('chat.openFailed'))
+    } finally {
+      setLoadingConversation(false)
+    }
+  }, [queryClient, t, setChatMessages, setChatDialogue, setChatConversationId])
+
+  // Chat messages aren't kept across reloads, so reload the conversation the
+  // user was in; signing out leaves it. Runs once per signed-in user.
+  const restoredForRef = useRef(null)
+  useEffect(() => {
+    const userKey = user?.id || 'anonymous'
+    if (restoredForRef.current === userKey) return
+    restoredForRef.current = userKey
+
+    if (!chatConversationId) return
+    if (!user) {
+      setChatConversationId(null)
+    } else if (chatMessages.length === 0) {
+      openConversation(chatConversationId)
+    }
+  }, [user, chatConversationId, chatMessages.length, openConversation, setChatConversationId])
+
+  const renameConversation = useMutation(
+    ({ id, title }) => conversationsAPI.rename(id, title),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('chat-conversations')
+      }
+    }
+  )
+
+  const deleteConversation = useMutation(
+    (id) => conversationsAPI.remove(id),
+    {
+      onSuccess: (response, id) => {
+        queryClient.invalidateQueries('chat-conversations')
+        if (id === chatConversationId) {
+          handleClearChat()
         }
-        addChatMessage(errorMessage)
-        setIsTyping(false)
+        toast.success(t('chat.deleted'))
       }
     }
   )
 
+  // Stop any reply still streaming when leaving the page
+  useEffect(() => () => streamControllerRef.current?.abort(), [])
+
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [chatMessages, isTyping])
+  }, [chatMessages])
+
+  // text defaults to what is typed in the input
+  const handleSendMessage = async (text = inputMessage) => {
+    const message = text.trim()
+    if (!message || isStreaming) return
+
+    // Prepare context (last 5 completed messages)
+    const context = chatMessages
+      .filter(msg => msg.content && !msg.isError)
+      .slice(-5)
+      .map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }))
+
+    // Add user message and a placeholder the reply streams into
+    addChatMessage({ role: 'user', content: message })
+    const replyId = uuidv4()
+    addChatMessage({ id: replyId, role: 'assistant', content: '', streaming: true, stage: 'understanding' })
 
-  const handleSendMessage = async () => {
-    if (!inputMessage.trim()) return
+    if (text === inputMessage) setInputMessage('')
+    setIsStreaming(true)
+    const controller = new AbortController()
+    streamControllerRef.current = controller
 
-    // Add user message
-    const userMessage = {
-      role: 'user',
-      content: inputMessage.trim()
+    try {
+      await chatAPI.streamMessage(message, context, chatSessionId, {
+        signal: controller.signal,
+        conversationId: user ? chatConversationId : null,
+        language,
+        dialogue: chatDialogue,
+        onEvent: (event, data) => {
+          if (event === 'understanding') {
+            updateChatMessage(replyId, { understanding: data, stage: 'neighborhoods' })
+          } else if (event === 'neighborhoods') {
+            updateChatMessage(replyId, {
+              relevantNeighborhoods: data.relevantNeighborhoods,
+              personalized: data.personalized,
+              stage: 'writing'
+            })
+          } else if (event === 'tool') {
+            updateChatMessage(replyId, data.status === 'running'
+              ? { stage: 'tool', toolLabel: data.label }
+              : { stage: 'writing' })
+          } else if (event === 'token') {
+            updateChatMessage(replyId, (reply) => ({ content: reply.content + data.text }))
+          } else if (event === 'done') {
+            updateChatMessage(replyId, {
+              content: data.response,
+              citations: data.citations,
+              toolCalls: data.toolCalls,
+              language: data.language
+            })
+            if (chatSpeakReplies) speak(replyId, data.response, data.language)
+            if (data.dialogue) setChatDialogue(data.dialogue)
+            if (data.conversationId) {
+              setChatConversationId(data.conversationId)
+              queryClient.invalidateQueries('chat-conversations')
+            }
+          } else if (event === 'error') {
+            throw new Error(data.message)
+          }
+        }
+      })
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateChatMessage(replyId, { cancelled: true })
+      } else {
+        // Keep whatever arrived before the failure
+        updateChatMessage(replyId, (reply) => reply.content
+          ? { interrupted: true }
+          : { content: t('chat.error'), isError: true })
+      }
+    } finally {
+      updateChatMessage(replyId, { streaming: false, stage: null })
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null
+        setIsStreaming(false)
+      }
     }
-    addChatMessage(userMessage)
-
-    // Prepare context (last 5 messages)
-    const context = chatMessages.slice(-5).map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }))
-
-    // Send to API
-    sendMessageMutation.mutate({
-      message: inputMessage.trim(),
-      context,
-      sessionId: chatSessionId
-    })
-
-    setInputMessage('')
+  }
+
+  const handleCancelReply = () => {
+    streamControllerRef.current?.abort()
   }
 
   const handleKeyPress = (e) => {
@@ -124,24 +261,38 @@ const ChatBot = () => {
     setInputMessage(suggestion)
   }
 
+  // Dictated text is added to whatever was already typed
+  const handleVoiceText = (text) => {
+    setInputMessage((current) => (current.trim() ? `${current.trim()} ${text}` : text))
+  }
+
+  const handleSpeak = (message) => {
+    if (speakingId === message.id) stopSpeaking()
+    else speak(message.id, message.content, message.language || language)
+  }
+
+  const handleToggleSpeakReplies = () => {
+    if (chatSpeakReplies) stopSpeaking()
+    setChatSpeakReplies(!chatSpeakReplies)
+  }
+
+  // Also starts a new conversation for signed-in users
   const handleClearChat = () => {
+    streamControllerRef.current?.abort()
+    stopSpeaking()
     clearChatMessages()
+    setChatConversationId(null)
+    setChatDialogue(null)
     setChatSessionId(uuidv4())
   }
 
-  const quickSuggestions = [
-    "Find family-friendly neighborhoods under R3500/month",
-    "Show me safe areas with good public transportation",
-    "What are the best neighborhoods for young professionals?",
-    "Find quiet residential areas with parks",
-    "Which neighborhoods have the best restaurants?"
-  ]
+  const quickSuggestions = t('chat.quickSuggestions')
 
   return (
     <>
       <Helmet>
-        <title>AI Chat Assistant - City Insights AI</title>
-        <meta name="description" content="Ask questions about neighborhoods using natural language AI chat" />
+        <title>{t('chat.pageTitle')}</title>
+        <meta name="description" content={t('chat.metaDescription')} />
       </Helmet>
 
       <Box sx={{
@@ -164,22 +315,36 @@ const ChatBot = () => {
               <BotIcon color="primary" sx={{ fontSize: 24 }} />
               <Box>
                 <Typography variant="h5" fontWeight={600}>
-                  AI Chat Assistant
+                  {t('chat.title')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                  Ask me anything about neighborhoods in natural language
+                  {t('chat.subtitle')}
                 </Typography>
               </Box>
             </Box>
-            <Button
-              variant="outlined"
-              size="small"
-              startIcon={<ClearIcon />}
-              onClick={handleClearChat}
-              disabled={chatMessages.length === 0}
-            >
-              Clear Chat
-            </Button>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {canSpeak && (
+                <Tooltip title={chatSpeakReplies ? t('voice.muteReplies') : t('voice.speakReplies')}>
+                  <IconButton
+                    size="small"
+                    color={chatSpeakReplies ? 'primary' : 'default'}
+                    onClick={handleToggleSpeakReplies}
+                    aria-pressed={chatSpeakReplies}
+                  >
+                    {chatSpeakReplies ? <SpeakRepliesIcon /> : <MuteRepliesIcon />}
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Button
+                variant="outlined"
+                size="small"
+                startIcon={<ClearIcon />}
+                onClick={handleClearChat}
+                disabled={chatMessages.length === 0}
+              >
+                {t('chat.clear')}
+              </Button>
+            </Box>
           </Box>
         </Box>
 
@@ -190,6 +355,26 @@ const ChatBot = () => {
           overflow: 'hidden',
           minHeight: 0
         }}>
+          {/* Conversation history */}
+          <Box sx={{
+            width: 260,
+            borderRight: 1,
+            borderColor: 'divider',
+            display: { xs: 'none', md: 'block' },
+            flexShrink: 0
+          }}>
+            <ConversationSidebar
+              conversations={conversations}
+              activeId={chatConversationId}
+              isLoading={conversationsLoading}
+              signedIn={!!user}
+              onSelect={openConversation}
+              onNew={handleClearChat}
+              onRename={(id, title) => renameConversation.mutate({ id, title })}
+              onDelete={(id) => deleteConversation.mutate(id)}
+            />
+          </Box>
+
           {/* Main Chat Area */}
           <Box sx={{
             flexGrow: 1,
@@ -205,22 +390,25 @@ const ChatBot = () => {
               p: 2,
               minHeight: 0
             }}>
-              {chatMessages.length === 0 ? (
+              {loadingConversation ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                  <CircularProgress />
+                </Box>
+              ) : chatMessages.length === 0 ? (
                 // Welcome Screen
                 <Box sx={{ textAlign: 'center', py: 4 }}>
                   <BotIcon sx={{ fontSize: 64, color: 'primary.main', mb: 2 }} />
                   <Typography variant="h5" gutterBottom>
-                    Welcome to City Insights AI Chat!
+                    {t('chat.welcome')}
                   </Typography>
                   <Typography variant="body1" color="text.secondary" sx={{ mb: 4, maxWidth: 600, mx: 'auto' }}>
-                    I'm here to help you discover the perfect neighborhood. Ask me about safety, 
-                    housing costs, amenities, or anything else you'd like to know!
+                    {t('chat.intro')}
                   </Typography>
 
                   {/* Quick Suggestions */}
                   <Box sx={{ mb: 4 }}>
                     <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1 }}>
-                      <LightbulbIcon /> Try asking:
+                      <LightbulbIcon /> {t('chat.tryAsking')}
                     </Typography>
                     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, maxWidth: 800, mx: 'auto' }}>
                       {quickSuggestions.map((suggestion, index) => (
@@ -247,23 +435,14 @@ const ChatBot = () => {
                 // Chat Messages
                 <Box sx={{ maxWidth: 800, mx: 'auto', width: '100%' }}>
                   {chatMessages.map((message, index) => (
-                    <MessageBubble key={index} message={message} />
+                    <MessageBubble
+                      key={message.id || index}
+                      message={message}
+                      onSpeak={canSpeak && message.role === 'assistant' ? () => handleSpeak(message) : undefined}
+                      speaking={speakingId === message.id}
+                    />
                   ))}
-                  
-                  {/* Typing Indicator */}
-                  {isTyping && (
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
-                      <BotIcon color="primary" />
-                      <Paper sx={{ p: 2, backgroundColor: 'grey.100' }}>
-                        <Box sx={{ display: 'flex', gap: 0.5 }}>
-                          <CircularProgress size={8} />
-                          <CircularProgress size={8} sx={{ animationDelay: '0.2s' }} />
-                          <CircularProgress size={8} sx={{ animationDelay: '0.4s' }} />
-                        </Box>
-                      </Paper>
-                    </Box>
-                  )}
-                  
+
                   <div ref={messagesEndRef} />
                 </Box>
               )}
@@ -278,43 +457,68 @@ const ChatBot = () => {
               flexShrink: 0
             }}>
               <Box sx={{ maxWidth: 800, mx: 'auto' }}>
+                <CriteriaChips
+                  criteria={chatDialogue?.criteria}
+                  onChange={(criteria) => setChatDialogue({ ...chatDialogue, criteria })}
+                  onSearch={() => handleSendMessage(t('criteria.rerun'))}
+                  disabled={isStreaming}
+                />
                 <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-end' }}>
                   <TextField
                     fullWidth
                     multiline
                     maxRows={4}
-                    placeholder="Ask me about neighborhoods..."
+                    placeholder={t('chat.placeholder')}
                     value={inputMessage}
                     onChange={(e) => setInputMessage(e.target.value)}
                     onKeyPress={handleKeyPress}
-                    disabled={sendMessageMutation.isLoading}
+                    disabled={isStreaming}
                     sx={{
                       '& .MuiOutlinedInput-root': {
                         borderRadius: 3
                       }
                     }}
                   />
-                  <IconButton
-                    color="primary"
-                    onClick={handleSendMessage}
-                    disabled={!inputMessage.trim() || sendMessageMutation.isLoading}
-                    sx={{ 
-                      backgroundColor: 'primary.main',
-                      color: 'white',
-                      '&:hover': {
-                        backgroundColor: 'primary.dark'
-                      },
-                      '&.Mui-disabled': {
-                        backgroundColor: 'grey.300'
-                      }
-                    }}
-                  >
-                    <SendIcon />
-                  </IconButton>
+                  <VoiceInputButton onText={handleVoiceText} disabled={isStreaming} />
+                  {isStreaming ? (
+                    <Tooltip title={t('chat.stop')}>
+                      <IconButton
+                        color="error"
+                        onClick={handleCancelReply}
+                        sx={{
+                          backgroundColor: 'error.main',
+                          color: 'white',
+                          '&:hover': {
+                            backgroundColor: 'error.dark'
+                          }
+                        }}
+                      >
+                        <StopIcon />
+                      </IconButton>
+                    </Tooltip>
+                  ) : (
+                    <IconButton
+                      color="primary"
+                      onClick={() => handleSendMessage()}
+                      disabled={!inputMessage.trim()}
+                      sx={{ 
+                        backgroundColor: 'primary.main',
+                        color: 'white',
+                        '&:hover': {
+                          backgroundColor: 'primary.dark'
+                        },
+                        '&.Mui-disabled': {
+                          backgroundColor: 'grey.300'
+                        }
+                      }}
+                    >
+                      <SendIcon />
+                    </IconButton>
+                  )}
                 </Box>
                 
                 <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                  Press Enter to send, Shift+Enter for new line
+                  {t('chat.sendHint')}
                 </Typography>
               </Box>
             </Box>
@@ -331,13 +535,13 @@ const ChatBot = () => {
             flexShrink: 0
           }}>
             <Typography variant="h6" gutterBottom>
-              Suggestions
+              {t('chat.suggestions')}
             </Typography>
             
             {suggestions?.data?.suggestions && (
               <Box sx={{ mb: 3 }}>
                 <Typography variant="subtitle2" gutterBottom>
-                  Popular Questions
+                  {t('chat.popularQuestions')}
                 </Typography>
                 <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
                   {suggestions.data.suggestions.slice(0, 5).map((suggestion, index) => (
@@ -364,17 +568,17 @@ const ChatBot = () => {
             <Divider sx={{ my: 2 }} />
 
             <Typography variant="subtitle2" gutterBottom>
-              Tips for Better Results
+              {t('chat.tips')}
             </Typography>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
               <Alert severity="info" sx={{ fontSize: '0.8rem' }}>
-                Be specific about your preferences (budget, lifestyle, etc.)
+                {t('chat.tipSpecific')}
               </Alert>
               <Alert severity="success" sx={{ fontSize: '0.8rem' }}>
-                Ask about specific neighborhoods for detailed insights
+                {t('chat.tipNeighborhoods')}
               </Alert>
               <Alert severity="warning" sx={{ fontSize: '0.8rem' }}>
-                Mention your priorities (safety, transit, nightlife, etc.)
+                {t('chat.tipPriorities')}
               </Alert>
             </Box>
           </Box>
@@ -40,6 +40,7 @@ import { useAppStore } from '../store/appStore'
 import ComparisonTable from '../components/Analytics/ComparisonTable'
 import TrendChart from '../components/Analytics/TrendChart'
 import InsightCards from '../components/Analytics/InsightCards'
+import SourceChips from '../components/Sources/SourceChips'
 import ComparisonChart from '../components/Analytics/ComparisonChart'
 import SuburbSelectionModal from '../components/Comparator/SuburbSelectionModal'
 
@@ -403,12 +404,18 @@ const Comparator = () => {
                             >
                               <ReactMarkdown>{analyticsComparison.data.insights}</ReactMarkdown>
                             </Box>
+                            <SourceChips citations={analyticsComparison.data.citations} />
                           </Paper>
                         </CardContent>
                       </Card>
                     </Grid>
                   )}
 
+                  {/* Headline figures with the records they come from */}
+                  <Grid item xs={12}>
+                    <InsightCards neighborhoods={selectedNeighborhoods} />
+                  </Grid>
+
                   {/* Quick Comparison Score Cards */}
                   <Grid item xs={12}>
                     <ComparisonChart
@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
   Box,
@@ -12,7 +12,11 @@ import {
   Chip,
   IconButton,
   Divider,
-  Paper
+  Paper,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip
 } from '@mui/material'
 import {
   Favorite as FavoriteIcon,
@@ -20,13 +24,58 @@ import {
   Home as HomeIcon,
   LocationOn as LocationIcon,
   Clear as ClearIcon,
-  Visibility as ViewIcon
+  Visibility as ViewIcon,
+  EditNote as EditNoteIcon,
+  Delete as DeleteIcon,
+  PlayArrow as RunIcon,
+  Bookmark as BookmarkIcon,
+  Sync as SyncIcon,
+  NotificationsActive as AlertsOnIcon,
+  NotificationsOff as AlertsOffIcon
 } from '@mui/icons-material'
-import { useQuery } from 'react-query'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
 import { Helmet } from 'react-helmet-async'
+import toast from 'react-hot-toast'
 
-import { neighborhoodAPI, houseRentalsAPI } from '../services/api'
+import { neighborhoodAPI, houseRentalsAPI, savedSearchesAPI } from '../services/api'
 import useFavoritesStore from '../store/favoritesStore'
+import useAuthStore from '../store/authStore'
+import NotesTagsDialog from '../components/Favorites/NotesTagsDialog'
+
+// Notes and tags saved with a favorite
+const FavoriteDetails = ({ details, onEdit }) => {
+  if (!onEdit) return null
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      {details?.notes && (
+        <Typography variant="body2" sx={{ whiteSpace: 'pre-line', mb: 1 }}>
+          {details.notes}
+        </Typography>
+      )}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
+        {details?.tags?.map(tag => (
+          <Chip key={tag} label={`#${tag}`} size="small" variant="outlined" />
+        ))}
+        <Button size="small" startIcon={<EditNoteIcon />} onClick={onEdit}>
+          {details?.notes || details?.tags?.length ? 'Edit notes' : 'Add notes'}
+        </Button>
+      </Box>
+    </Box>
+  )
+}
+
+const describeSavedSearch = (savedSearch) => {
+  const { filters = {} } = savedSearch
+  const parts = []
+  if (savedSearch.query) parts.push(`"${savedSearch.query}"`)
+  if (filters.location) parts.push(filters.location)
+  if (filters.bedrooms !== undefined) parts.push(filters.bedrooms === 0 ? 'Studio' : `${filters.bedrooms} bed`)
+  if (filters.category) parts.push(filters.category)
+  if (filters.furnished) parts.push(filters.furnished)
+  if (filters.maxPrice) parts.push(`≤ R${Number(filters.maxPrice).toLocaleString('en-ZA')}`)
+  return parts.join(' • ') || 'All listings'
+}
 
 const Favorites = () => {
   const navigate = useNavigate()
@@ -36,10 +85,44 @@ const Favorites = () => {
     toggleNeighborhoodFavorite,
     toggleRentalFavorite,
     clearAllFavorites,
-    getFavoritesCount
+    getFavoritesCount,
+    getFavoriteDetails,
+    updateFavoriteDetails,
+    syncWithServer,
+    syncing
   } = useFavoritesStore()
+  const user = useAuthStore((state) => state.user)
+  const queryClient = useQueryClient()
+
+  // { kind: 'favorite', itemType, itemId, title } or { kind: 'search', savedSearch }
+  const [editing, setEditing] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  // Fetch saved searches (signed-in users only)
+  const { data: savedSearchesData } = useQuery(
+    ['saved-searches', user?.id],
+    async () => {
+      const response = await savedSearchesAPI.getAll()
+      return response.data
+    },
+    {
+      enabled: !!user
+    }
+  )
+  const savedSearches = savedSearchesData?.savedSearches || []
+
+  const deleteSavedSearch = useMutation(
+    (id) => savedSearchesAPI.remove(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('saved-searches')
+        toast.success('Saved search deleted')
+      }
+    }
+  )
 
   const favoritesCount = getFavoritesCount()
+  const hasContent = favoritesCount.total > 0 || savedSearches.length > 0
   const favoriteNeighborhoodIds = Array.from(favoriteNeighborhoods)
   const favoriteRentalIds = Array.from(favoriteRentals)
 
@@ -52,7 +135,7 @@ const Favorites = () => {
         limit: 100,
         ids: favoriteNeighborhoodIds 
       })
-      return response
+      return response.data
     },
     {
       enabled: favoriteNeighborhoodIds.length > 0
@@ -95,6 +178,75 @@ const Favorites = () => {
     navigate(`/rentals/${rental._id}`)
   }
 
+  const toggleAlerts = useMutation(
+    (savedSearch) => savedSearchesAPI.update(savedSearch._id, { alertsEnabled: !savedSearch.alertsEnabled }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('saved-searches')
+        toast.success(response.data.savedSearch.alertsEnabled ? 'Alerts on for new matches' : 'Alerts off')
+      }
+    }
+  )
+
+  const handleRunSavedSearch = (savedSearch) => {
+    savedSearchesAPI.update(savedSearch._id, { lastRunAt: new Date().toISOString() })
+      .catch(() => {})
+    navigate('/rentals', { state: { savedSearch } })
+  }
+
+  const handleSaveEdit = async (values) => {
+    setSaving(true)
+    try {
+      if (editing.kind === 'favorite') {
+        await updateFavoriteDetails(editing.itemType, editing.itemId, values)
+      } else {
+        await savedSearchesAPI.update(editing.savedSearch._id, values)
+        queryClient.invalidateQueries('saved-searches')
+      }
+      toast.success('Saved')
+      setEditing(null)
+    } catch (error) {
+      // API errors are reported by the response interceptor
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const editFavorite = (itemType, itemId, title) => {
+    setEditing({ kind: 'favorite', itemType, itemId, title })
+  }
+
+  const editDialog = (
+    <NotesTagsDialog
+      open={!!editing}
+      title={editing?.kind === 'search' ? 'Edit saved search' : `Notes for ${editing?.title || ''}`}
+      showName={editing?.kind === 'search'}
+      showAlertsToggle={editing?.kind === 'search' && editing.savedSearch.scope === 'rentals'}
+      initialValues={
+        editing?.kind === 'search'
+          ? editing.savedSearch
+          : editing ? getFavoriteDetails(editing.itemType, editing.itemId) || {} : {}
+      }
+      saving={saving}
+      onClose={() => setEditing(null)}
+      onSave={handleSaveEdit}
+    />
+  )
+
+  const syncBanner = user ? null : (
+    <Alert
+      severity="info"
+      sx={{ mb: 3 }}
+      action={
+        <Button color="inherit" size="small" onClick={() => navigate('/login', { state: { from: '/favorites' } })}>
+          Sign in
+        </Button>
+      }
+    >
+      Favorites are stored in this browser only. Sign in to keep them in sync across devices and add notes and tags.
+    </Alert>
+  )
+
   const handleCompareNeighborhoods = () => {
     const neighborhoods = neighborhoodsData?.neighborhoods?.slice(0, 3) || []
     if (neighborhoods.length >= 2) {
@@ -103,7 +255,7 @@ const Favorites = () => {
     }
   }
 
-  if (favoritesCount.total === 0) {
+  if (!hasContent) {
     return (
       <>
         <Helmet>
@@ -116,6 +268,8 @@ const Favorites = () => {
             ❤️ My Favorites
           </Typography>
 
+          {syncBanner}
+
           <Paper sx={{ p: 4, textAlign: 'center', mt: 4 }}>
             <FavoriteBorderIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
             <Typography variant="h5" gutterBottom>
@@ -162,10 +316,20 @@ const Favorites = () => {
             </Typography>
             <Typography variant="body1" color="text.secondary">
               {favoritesCount.neighborhoods} neighborhoods • {favoritesCount.rentals} rental properties
+              {user && ` • ${savedSearches.length} saved searches`}
             </Typography>
           </Box>
           
           <Box sx={{ display: 'flex', gap: 2 }}>
+            {user && (
+              <Tooltip title="Sync with your account">
+                <span>
+                  <IconButton onClick={() => syncWithServer()} disabled={syncing} size="small">
+                    <SyncIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            )}
             {favoriteNeighborhoods.size >= 2 && (
               <Button
                 variant="outlined"
@@ -187,6 +351,83 @@ const Favorites = () => {
           </Box>
         </Box>
 
+        {syncBanner}
+
+        {/* Saved Searches */}
+        {savedSearches.length > 0 && (
+          <Box sx={{ mb: 6 }}>
+            <Typography variant="h5" gutterBottom fontWeight="bold">
+              🔖 Saved Searches ({savedSearches.length})
+            </Typography>
+
+            <Paper>
+              <List disablePadding>
+                {savedSearches.map((savedSearch, index) => (
+                  <React.Fragment key={savedSearch._id}>
+                    {index > 0 && <Divider component="li" />}
+                    <ListItem
+                      secondaryAction={
+                        <Box>
+                          <Tooltip title="Run search">
+                            <IconButton onClick={() => handleRunSavedSearch(savedSearch)}>
+                              <RunIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title={savedSearch.alertsEnabled ? 'Turn off new-listing alerts' : 'Alert me about new listings'}>
+                            <IconButton
+                              color={savedSearch.alertsEnabled ? 'primary' : 'default'}
+                              onClick={() => toggleAlerts.mutate(savedSearch)}
+                              disabled={savedSearch.scope !== 'rentals'}
+                            >
+                              {savedSearch.alertsEnabled ? <AlertsOnIcon /> : <AlertsOffIcon />}
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Edit">
+                            <IconButton onClick={() => setEditing({ kind: 'search', savedSearch })}>
+                              <EditNoteIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton
+                              color="error"
+                              onClick={() => deleteSavedSearch.mutate(savedSearch._id)}
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          </Tooltip>
+                        </Box>
+                      }
+                      sx={{ pr: 24 }}
+                    >
+                      <BookmarkIcon color="primary" sx={{ mr: 2 }} />
+                      <ListItemText
+                        primary={savedSearch.name}
+                        secondary={
+                          <>
+                            {describeSavedSearch(savedSearch)}
+                            {savedSearch.notes && (
+                              <Typography component="span" variant="body2" display="block" sx={{ mt: 0.5 }}>
+                                {savedSearch.notes}
+                              </Typography>
+                            )}
+                            {savedSearch.tags?.length > 0 && (
+                              <Box component="span" sx={{ display: 'flex', gap: 0.5, mt: 0.5 }}>
+                                {savedSearch.tags.map(tag => (
+                                  <Chip key={tag} label={`#${tag}`} size="small" variant="outlined" component="span" />
+                                ))}
+                              </Box>
+                            )}
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  </React.Fragment>
+                ))}
+              </List>
+            </Paper>
+          </Box>
+        )}
+
         {/* Favorite Neighborhoods */}
         {favoriteNeighborhoods.size > 0 && (
           <Box sx={{ mb: 6 }}>
@@ -219,6 +460,11 @@ const Favorites = () => {
                           {neighborhood.borough}
                         </Typography>
                         
+                        <FavoriteDetails
+                          details={getFavoriteDetails('neighborhood', neighborhood._id)}
+                          onEdit={user ? () => editFavorite('neighborhood', neighborhood._id, neighborhood.name) : null}
+                        />
+
                         <Box sx={{ mb: 2 }}>
                           <Chip
                             label={`Safety: ${neighborhood.safetyScore || 'N/A'}/10`}
@@ -288,6 +534,11 @@ const Favorites = () => {
                         <Typography variant="h5" color="primary" fontWeight="bold" gutterBottom>
                           {formatPrice(rental.price)}/month
                         </Typography>
+
+                        <FavoriteDetails
+                          details={getFavoriteDetails('rental', rental._id)}
+                          onEdit={user ? () => editFavorite('rental', rental._id, rental.title) : null}
+                        />
                         
                         <Box sx={{ mb: 2 }}>
                           <Chip
@@ -321,6 +572,8 @@ const Favorites = () => {
           </Box>
         )}
       </Container>
+
+      {editDialog}
     </>
   )
 }
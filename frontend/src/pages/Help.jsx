@@ -63,7 +63,7 @@ const Help = () => {
     },
     {
       question: "Can I save my favorite neighborhoods?",
-      answer: "Currently, you can add neighborhoods to your comparison list during your session. For permanent saving and user accounts, this feature is planned for future updates. Use the comparison feature to keep track of areas you're interested in."
+      answer: "Yes. Tap the heart icon on any neighborhood or rental to add it to My Favorites. Without an account, favorites are kept in your browser. Sign in to sync favorites across devices, add notes and tags to them, and save rental searches from the Rental Explorer so you can re-run them later. Favorites saved before signing in are merged into your account on login."
     },
     {
       question: "How do I interpret the demographic data?",
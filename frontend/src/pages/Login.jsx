@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Container,
+  Card,
+  CardContent,
+  Typography,
+  Tabs,
+  Tab,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material'
+import { LocationCity as LocationCityIcon } from '@mui/icons-material'
+import { Helmet } from 'react-helmet-async'
+import { useNavigate, useLocation } from 'react-router-dom'
+import toast from 'react-hot-toast'
+
+import useAuthStore from '../store/authStore'
+import { handleApiError } from '../services/api'
+
+const Login = () => {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { login, signup } = useAuthStore()
+
+  const [mode, setMode] = useState('login')
+  const [form, setForm] = useState({ name: '', email: '', password: '' })
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const redirectTo = location.state?.from || '/dashboard'
+
+  const handleChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value })
+  }
+
+  const handleModeChange = (event, value) => {
+    setMode(value)
+    setError(null)
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+
+    try {
+      const user = mode === 'login'
+        ? await login(form.email, form.password)
+        : await signup(form.email, form.password, form.name || undefined)
+
+      toast.success(`Welcome${user.name ? `, ${user.name}` : ''}!`)
+      navigate(redirectTo, { replace: true })
+    } catch (err) {
+      const { message, details } = handleApiError(err)
+      setError(details?.[0]?.msg ? `${message}: ${details[0].path || details[0].param} ${details[0].msg}` : message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>{mode === 'login' ? 'Sign In' : 'Create Account'} - City Insights AI</title>
+      </Helmet>
+
+      <Container maxWidth="sm" sx={{ py: 6 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', mb: 3 }}>
+          <LocationCityIcon sx={{ mr: 1, fontSize: 36, color: 'primary.main' }} />
+          <Typography variant="h4" fontWeight={700} color="primary.main">
+            City Insights AI
+          </Typography>
+        </Box>
+
+        <Card>
+          <Tabs value={mode} onChange={handleModeChange} variant="fullWidth">
+            <Tab label="Sign In" value="login" />
+            <Tab label="Create Account" value="signup" />
+          </Tabs>
+
+          <CardContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {mode === 'login'
+                ? 'Sign in to get personalized recommendations and keep your favorites across devices.'
+                : 'Create an account to save favorites and searches and get recommendations tailored to you.'}
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <Box component="form" onSubmit={handleSubmit}>
+              {mode === 'signup' && (
+                <TextField
+                  fullWidth
+                  label="Name"
+                  margin="normal"
+                  value={form.name}
+                  onChange={handleChange('name')}
+                  autoComplete="name"
+                />
+              )}
+              <TextField
+                fullWidth
+                required
+                type="email"
+                label="Email"
+                margin="normal"
+                value={form.email}
+                onChange={handleChange('email')}
+                autoComplete="email"
+              />
+              <TextField
+                fullWidth
+                required
+                type="password"
+                label="Password"
+                margin="normal"
+                value={form.password}
+                onChange={handleChange('password')}
+                autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                helperText={mode === 'signup' ? 'At least 8 characters' : undefined}
+                inputProps={{ minLength: mode === 'signup' ? 8 : undefined }}
+              />
+
+              <Button
+                fullWidth
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={submitting}
+                startIcon={submitting ? <CircularProgress size={20} color="inherit" /> : null}
+                sx={{ mt: 3 }}
+              >
+                {mode === 'login' ? 'Sign In' : 'Create Account'}
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      </Container>
+    </>
+  )
+}
+
+export default Login
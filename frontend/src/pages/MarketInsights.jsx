@@ -15,6 +15,8 @@ import { useQuery } from 'react-query'
 import ReactMarkdown from 'react-markdown'
 import { neighborhoodAPI, houseRentalsAPI } from '../services/api'
 import TrendChart from '../components/Analytics/TrendChart'
+import RentHistoryPanel from '../components/Analytics/RentHistoryPanel'
+import SourceChips from '../components/Sources/SourceChips'
 
 const MarketInsights = () => {
 
@@ -56,6 +58,9 @@ const MarketInsights = () => {
   const insights = typeof insightsText === 'string' ? insightsText :
                   typeof insightsText === 'object' && insightsText?.insights ? insightsText.insights :
                   'No detailed analysis available.'
+  const citations = marketData?.aiAnalysis?.citations ||
+                    marketData?.data?.aiAnalysis?.citations ||
+                    []
   const dataPoints = marketData?.data?.dataPoints || marketData?.overview?.totalDataPoints
   const comprehensiveData = marketData?.data || marketData
 
@@ -131,7 +136,7 @@ const MarketInsights = () => {
   }
 
   const prepareNeighborhoodSafetyChart = () => {
-    if (!neighborhoodsData?.neighborhoods) {
+    if (!neighborhoodsData?.data?.neighborhoods) {
       // Return sample Cape Town safety distribution
       return [
         { name: 'Very Safe (8-10)', value: 12 },
@@ -151,7 +156,7 @@ const MarketInsights = () => {
     }
 
     let processedCount = 0
-    neighborhoodsData.neighborhoods.forEach(neighborhood => {
+    neighborhoodsData.data.neighborhoods.forEach(neighborhood => {
       // Check multiple possible locations for safety score
       const safety = neighborhood.safety?.safetyScore ||
                     neighborhood.safetyScore ||
@@ -247,6 +252,11 @@ const MarketInsights = () => {
             />
           </Grid>
 
+          {/* Observed rent history */}
+          <Grid item xs={12}>
+            <RentHistoryPanel neighborhoods={neighborhoodsData?.data?.neighborhoods || []} />
+          </Grid>
+
           {/* Safety Score Distribution */}
           <Grid item xs={12}>
             <TrendChart
@@ -787,6 +797,7 @@ const MarketInsights = () => {
                       {insights}
                     </ReactMarkdown>
                   </Box>
+                  <SourceChips citations={citations} />
                 </Paper>
               </CardContent>
             </Card>
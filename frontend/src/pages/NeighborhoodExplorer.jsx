@@ -18,7 +18,8 @@ import {
   useTheme,
   useMediaQuery,
   CircularProgress,
-  Alert
+  Alert,
+  Tooltip
 } from '@mui/material'
 import {
   FilterList as FilterIcon,
@@ -70,6 +71,41 @@ const DebouncedNumberInput = ({ label, value, onChange, inputProps, ...props })
   )
 }
 
+const RANKER_LABELS = [
+  { key: 'keyword', label: 'Keywords', color: 'primary' },
+  { key: 'filters', label: 'Filters', color: 'success' },
+  { key: 'vector', label: 'Semantic', color: 'secondary' }
+]
+
+// Per-ranker scores and reasons returned by hybrid search
+const MatchBreakdown = ({ breakdown, reasons }) => (
+  <Box sx={{ mt: 1.5, p: 1, backgroundColor: 'grey.50', borderRadius: 1 }}>
+    <Typography variant="caption" sx={{ fontWeight: 600, display: 'block', mb: 0.5 }}>
+      Why this matched
+    </Typography>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 0.5 }}>
+      {RANKER_LABELS.filter(({ key }) => breakdown[key]).map(({ key, label, color }) => (
+        <Tooltip
+          key={key}
+          title={`Rank #${breakdown[key].rank} · adds ${breakdown[key].contribution} to a total of ${breakdown.fused}`}
+        >
+          <Chip
+            label={`${label} ${Math.round(breakdown[key].normalizedScore * 100)}%`}
+            size="small"
+            color={color}
+            variant="outlined"
+          />
+        </Tooltip>
+      ))}
+    </Box>
+    {reasons?.map((reason, idx) => (
+      <Typography key={idx} variant="caption" color="text.secondary" display="block">
+        • {reason}
+      </Typography>
+    ))}
+  </Box>
+)
+
 const NeighborhoodExplorer = () => {
   const theme = useTheme()
   const isMobile = useMediaQuery(theme.breakpoints.down('md'))
@@ -92,6 +128,7 @@ const NeighborhoodExplorer = () => {
   const [neighborhoods, setNeighborhoods] = useState([])
   const [loading, setLoading] = useState(false)
   const [searchExplanation, setSearchExplanation] = useState(null)
+  const [searchRanking, setSearchRanking] = useState(null)
 
   // Get filter options
   const { data: filterOptions } = useQuery('filter-options', searchAPI.getFilters)
@@ -109,16 +146,20 @@ const NeighborhoodExplorer = () => {
           limit: 50
         })
         setNeighborhoods(response.data.results || [])
+        setSearchRanking(response.data.ranking || null)
+        setSearchExplanation(null)
       } else if (Object.values(searchFilters).some(v => v)) {
         // Use neighborhood search with just filters
         response = await neighborhoodAPI.search(searchFilters)
         setNeighborhoods(response.data.neighborhoods || [])
         setSearchExplanation(response.data.explanation || null)
+        setSearchRanking(null)
       } else {
         // Get all neighborhoods
         response = await neighborhoodAPI.getAll({ limit: 50 })
         setNeighborhoods(response.data.neighborhoods || [])
         setSearchExplanation(null)
+        setSearchRanking(null)
       }
     } catch (error) {
       console.error('Search failed:', error)
@@ -354,6 +395,12 @@ const NeighborhoodExplorer = () => {
                 Results ({neighborhoods.length})
               </Typography>
 
+              {searchRanking?.rankers?.vector?.error && (
+                <Typography variant="caption" color="text.secondary" display="block">
+                  Semantic ranking is unavailable; results are ranked by keywords and filters.
+                </Typography>
+              )}
+
               {/* AI Search Explanation */}
               {searchExplanation && (
                 <Box sx={{ mt: 1, p: 2, backgroundColor: 'primary.50', borderRadius: 1, border: '1px solid', borderColor: 'primary.200' }}>
@@ -529,6 +576,13 @@ const NeighborhoodExplorer = () => {
                             ))}
                           </Box>
                         )}
+
+                        {neighborhood.scoreBreakdown && (
+                          <MatchBreakdown
+                            breakdown={neighborhood.scoreBreakdown}
+                            reasons={neighborhood.matchReasons}
+                          />
+                        )}
                       </CardContent>
                     </Card>
                   ))}
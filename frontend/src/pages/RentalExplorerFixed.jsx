@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import {
   Box,
   Container,
@@ -15,44 +15,72 @@ import {
   Chip,
   CircularProgress,
   Alert,
-  Pagination
+  Pagination,
+  FormControlLabel,
+  Switch
 } from '@mui/material'
 import {
   Search as SearchIcon,
   FilterList as FilterIcon,
-  Clear as ClearIcon
+  Clear as ClearIcon,
+  BookmarkAdd as BookmarkAddIcon
 } from '@mui/icons-material'
-import { useQuery } from 'react-query'
+import { useQuery, useQueryClient } from 'react-query'
 import { Helmet } from 'react-helmet-async'
+import toast from 'react-hot-toast'
 
-import { houseRentalsAPI } from '../services/api'
+import { houseRentalsAPI, savedSearchesAPI } from '../services/api'
 import RentalCard from '../components/Rentals/RentalCard'
+import NotesTagsDialog from '../components/Favorites/NotesTagsDialog'
+import useAuthStore from '../store/authStore'
+
+const DEFAULT_FILTERS = {
+  location: '',
+  minPrice: 0,
+  maxPrice: 100000,
+  bedrooms: '',
+  propertyType: '',
+  category: '',
+  furnished: '',
+  petsAllowed: '',
+  semantic: false
+}
+
+const SEMANTIC_RESULTS_LIMIT = 48
 
 const RentalExplorerFixed = () => {
   const navigate = useNavigate()
-  const [filters, setFilters] = useState({
-    location: '',
-    minPrice: 0,
-    maxPrice: 100000,
-    bedrooms: '',
-    propertyType: '',
-    category: '',
-    furnished: ''
-  })
+  const location = useLocation()
+  const queryClient = useQueryClient()
+  const user = useAuthStore((state) => state.user)
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
 
   const [searchQuery, setSearchQuery] = useState('')
   const [page, setPage] = useState(1)
   const [favorites, setFavorites] = useState(new Set())
   const [appliedFilters, setAppliedFilters] = useState({})
   const [showFilters, setShowFilters] = useState(false)
+  const [saveDialogOpen, setSaveDialogOpen] = useState(false)
+  const [savingSearch, setSavingSearch] = useState(false)
 
   const itemsPerPage = 12
 
-  // Load initial data on mount
+  // Load initial data on mount, restoring a saved search if one was opened
   useEffect(() => {
+    const savedSearch = location.state?.savedSearch
+    if (savedSearch) {
+      const { q, ...savedFilters } = savedSearch.filters || {}
+      setFilters({ ...DEFAULT_FILTERS, ...savedFilters })
+      setSearchQuery(savedSearch.query || '')
+      setAppliedFilters({
+        ...savedFilters,
+        ...(savedSearch.query ? { q: savedSearch.query } : {})
+      })
+      return
+    }
     // Trigger initial load by setting empty applied filters
     setAppliedFilters({});
-  }, []);
+  }, [location.state]);
 
   // Fetch rentals with current filters
   const {
@@ -63,8 +91,23 @@ const RentalExplorerFixed = () => {
   } = useQuery(
     ['rentals', appliedFilters, page],
     () => {
+      // Semantic search ranks the best matches instead of paging through all listings
+      if (appliedFilters.semantic && appliedFilters.q) {
+        const { q, minPrice, maxPrice, bedrooms, furnished, petsAllowed } = appliedFilters
+        return houseRentalsAPI.semanticSearch({
+          q,
+          minPrice,
+          maxPrice,
+          bedrooms,
+          furnished,
+          petsAllowed,
+          limit: SEMANTIC_RESULTS_LIMIT
+        })
+      }
+
+      const { semantic, ...listingFilters } = appliedFilters
       const params = {
-        ...appliedFilters,
+        ...listingFilters,
         limit: itemsPerPage,
         offset: (page - 1) * itemsPerPage,
         sortBy: 'price',
@@ -105,7 +148,7 @@ const RentalExplorerFixed = () => {
     
     // Remove empty filters but keep minPrice=0
     Object.keys(newFilters).forEach(key => {
-      if (newFilters[key] === '' || (key !== 'minPrice' && newFilters[key] === 0)) {
+      if (newFilters[key] === '' || newFilters[key] === false || (key !== 'minPrice' && newFilters[key] === 0)) {
         delete newFilters[key];
       }
     });
@@ -115,15 +158,7 @@ const RentalExplorerFixed = () => {
   }
 
   const handleClearFilters = () => {
-    setFilters({
-      location: '',
-      minPrice: 0,
-      maxPrice: 100000,
-      bedrooms: '',
-      propertyType: '',
-      category: '',
-      furnished: ''
-    })
+    setFilters(DEFAULT_FILTERS)
     setSearchQuery('')
     setAppliedFilters({})
     setPage(1)
@@ -139,6 +174,29 @@ const RentalExplorerFixed = () => {
     setFavorites(newFavorites)
   }
 
+  const handleSaveSearch = async ({ name, notes, tags, alertsEnabled }) => {
+    const { q, ...savedFilters } = appliedFilters
+    setSavingSearch(true)
+    try {
+      await savedSearchesAPI.create({
+        name,
+        notes,
+        tags,
+        alertsEnabled,
+        scope: 'rentals',
+        query: q || '',
+        filters: savedFilters
+      })
+      queryClient.invalidateQueries('saved-searches')
+      toast.success('Search saved')
+      setSaveDialogOpen(false)
+    } catch (error) {
+      // API errors are reported by the response interceptor
+    } finally {
+      setSavingSearch(false)
+    }
+  }
+
   const handleViewRental = (rental) => {
     navigate(`/rentals/${rental._id}`)
   }
@@ -155,6 +213,15 @@ const RentalExplorerFixed = () => {
   const totalPages = rentalsData?.pagination?.total ?
     Math.ceil(rentalsData.pagination.total / itemsPerPage) : 1
 
+  const isSemanticResult = !!rentalsData?.searchType
+
+  // Vector scores are (1 + cosine) / 2; show the cosine as a percentage
+  const formatMatch = (rental) => (
+    rentalsData.searchType === 'vector'
+      ? `${Math.round(Math.max(0, 2 * rental.score - 1) * 100)}% match`
+      : 'Keyword match'
+  )
+
 
 
   return (
@@ -181,7 +248,9 @@ const RentalExplorerFixed = () => {
           <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
             <TextField
               fullWidth
-              placeholder="Search by location, property type, or features..."
+              placeholder={filters.semantic
+                ? 'Describe your ideal place, e.g. sunny flat near the sea with a garden for my dog'
+                : 'Search by location, property type, or features...'}
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
@@ -195,6 +264,16 @@ const RentalExplorerFixed = () => {
               Search
             </Button>
           </Box>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={filters.semantic}
+                onChange={(e) => handleFilterChange('semantic', e.target.checked)}
+              />
+            }
+            label="Smart search: rank listings by how well they match your description"
+            sx={{ mt: -2, mb: 2 }}
+          />
 
           {/* Simple Filters */}
           <Grid container spacing={2}>
@@ -243,6 +322,48 @@ const RentalExplorerFixed = () => {
               </FormControl>
             </Grid>
 
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Max Price (R)"
+                value={filters.maxPrice}
+                onChange={(e) => handleFilterChange('maxPrice', e.target.value === '' ? '' : Number(e.target.value))}
+                inputProps={{ min: 0, step: 500 }}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={6} md={3}>
+              <FormControl fullWidth>
+                <InputLabel>Furnished</InputLabel>
+                <Select
+                  value={filters.furnished}
+                  onChange={(e) => handleFilterChange('furnished', e.target.value)}
+                  label="Furnished"
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  <MenuItem value="Unfurnished">Unfurnished</MenuItem>
+                  <MenuItem value="Semi-furnished">Semi-furnished</MenuItem>
+                  <MenuItem value="Fully furnished">Fully furnished</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} sm={6} md={3}>
+              <FormControl fullWidth>
+                <InputLabel>Pets</InputLabel>
+                <Select
+                  value={filters.petsAllowed}
+                  onChange={(e) => handleFilterChange('petsAllowed', e.target.value)}
+                  label="Pets"
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  <MenuItem value="true">Pets allowed</MenuItem>
+                  <MenuItem value="false">No pets</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
             <Grid item xs={12} sm={6} md={3}>
               <Box sx={{ display: 'flex', gap: 1 }}>
                 <Button
@@ -266,15 +387,33 @@ const RentalExplorerFixed = () => {
         </Paper>
 
         {/* Results Summary */}
-        {rentalsData && rentalsData.pagination && (
-          <Box sx={{ mb: 3 }}>
-            <Typography variant="h6" gutterBottom>
-              {rentalsData.pagination.total || 0} Properties Found
-            </Typography>
-            {statsData && (
-              <Typography variant="body2" color="text.secondary">
-                Average price: {formatPrice(Math.round(statsData.overview?.averagePrice || 0))}/month
+        {rentalsData && (rentalsData.pagination || isSemanticResult) && (
+          <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+            <Box>
+              <Typography variant="h6" gutterBottom>
+                {isSemanticResult
+                  ? `${rentalsData.count} Best Matches`
+                  : `${rentalsData.pagination.total || 0} Properties Found`}
               </Typography>
+              {rentalsData.searchType === 'text' && (
+                <Typography variant="body2" color="text.secondary">
+                  Smart search is unavailable right now, so these are keyword matches.
+                </Typography>
+              )}
+              {statsData && (
+                <Typography variant="body2" color="text.secondary">
+                  Average price: {formatPrice(Math.round(statsData.overview?.averagePrice || 0))}/month
+                </Typography>
+              )}
+            </Box>
+            {user && (
+              <Button
+                variant="outlined"
+                startIcon={<BookmarkAddIcon />}
+                onClick={() => setSaveDialogOpen(true)}
+              >
+                Save Search
+              </Button>
             )}
           </Box>
         )}
@@ -299,6 +438,15 @@ const RentalExplorerFixed = () => {
             <Grid container spacing={3}>
               {rentalsData.rentals.map((rental) => (
                 <Grid item xs={12} sm={6} md={4} lg={3} key={rental._id}>
+                  {isSemanticResult && rental.score !== undefined && (
+                    <Chip
+                      label={formatMatch(rental)}
+                      size="small"
+                      color="primary"
+                      variant="outlined"
+                      sx={{ mb: 1 }}
+                    />
+                  )}
                   <RentalCard
                     rental={rental}
                     onFavorite={handleFavorite}
@@ -339,6 +487,17 @@ const RentalExplorerFixed = () => {
           </Box>
         )}
       </Container>
+
+      <NotesTagsDialog
+        open={saveDialogOpen}
+        title="Save this search"
+        showName
+        showAlertsToggle
+        initialValues={{ name: appliedFilters.q || appliedFilters.location || '', alertsEnabled: true }}
+        saving={savingSearch}
+        onClose={() => setSaveDialogOpen(false)}
+        onSave={handleSaveSearch}
+      />
     </>
   )
 }
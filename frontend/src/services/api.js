@@ -25,12 +25,70 @@ api.interceptors.request.use(
   }
 )
 
+// Token storage shared by the request interceptor and the auth store
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem('authToken'),
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  setTokens: ({ accessToken, refreshToken }) => {
+    localStorage.setItem('authToken', accessToken)
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken)
+    }
+  },
+  clearTokens: () => {
+    localStorage.removeItem('authToken')
+    localStorage.removeItem('refreshToken')
+  },
+}
+
+// Concurrent 401s share a single refresh request
+let refreshPromise = null
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, {
+        refreshToken: tokenStorage.getRefreshToken()
+      })
+      .then((response) => {
+        tokenStorage.setTokens(response.data)
+        return response.data.accessToken
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error
+
+    // Retry once with a fresh access token when the current one has expired
+    if (
+      response?.status === 401 &&
+      config &&
+      !config._retry &&
+      !config.url?.startsWith('/auth/') &&
+      tokenStorage.getRefreshToken()
+    ) {
+      config._retry = true
+      try {
+        const accessToken = await refreshAccessToken()
+        config.headers.Authorization = `Bearer ${accessToken}`
+        return api(config)
+      } catch (refreshError) {
+        tokenStorage.clearTokens()
+        window.dispatchEvent(new Event('auth:expired'))
+        return Promise.reject(error)
+      }
+    }
+
     const message = error.response?.data?.message || error.message || 'An error occurred'
     
     // Don't show toast for certain errors
@@ -44,6 +102,23 @@ api.interceptors.response.use(
 )
 
 // API endpoints
+export const authAPI = {
+  // Create an account
+  signup: (email, password, name) => api.post('/auth/signup', { email, password, name }),
+
+  // Log in with email and password
+  login: (email, password) => api.post('/auth/login', { email, password }),
+
+  // Exchange a refresh token for a new token pair
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+
+  // Revoke refresh tokens for the current user
+  logout: () => api.post('/auth/logout'),
+
+  // Get the current user's profile
+  me: () => api.get('/auth/me'),
+}
+
 export const neighborhoodAPI = {
   // Get all neighborhoods
   getAll: (params = {}) => api.get('/neighborhoods', { params }),
@@ -84,10 +159,80 @@ export const searchAPI = {
   getPopular: () => api.get('/search/popular'),
 }
 
+// Read a Server-Sent Events body, calling onEvent(event, data) for each event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      const data = []
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart())
+      })
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')))
+    }
+  }
+}
+
 export const chatAPI = {
-  // Send chat message
-  sendMessage: (message, context = [], sessionId = null) => 
-    api.post('/chat', { message, context, sessionId }),
+  // Send chat message. Signed-in users' turns are saved to conversationId,
+  // or to a new conversation whose id comes back in the response
+  // dialogue is the search state returned with the previous reply
+  sendMessage: (message, context = [], sessionId = null, conversationId = null, language = null, dialogue = null) =>
+    api.post('/chat', { message, context, sessionId, ...(conversationId && { conversationId }), ...(language && { language }), ...(dialogue && { dialogue }) }),
+
+  // Send chat message and receive the reply as it is generated. onEvent gets
+  // 'understanding', 'neighborhoods', 'token', 'done' and 'error' events;
+  // aborting signal cancels generation on the server. language (the UI
+  // language) is a hint for messages too short to detect a language from;
+  // dialogue is the search state from the previous `done` event.
+  streamMessage: async (message, context = [], sessionId = null, { signal, onEvent, conversationId, language, dialogue } = {}) => {
+    const send = (token) => fetch(`${api.defaults.baseURL}/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify({ message, context, sessionId, ...(conversationId && { conversationId }), ...(language && { language }), ...(dialogue && { dialogue }) }),
+      signal
+    })
+
+    let response = await send(tokenStorage.getAccessToken())
+
+    // fetch bypasses the axios interceptor, so refresh an expired token here
+    if (response.status === 401 && tokenStorage.getRefreshToken()) {
+      response = await send(await refreshAccessToken())
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.message || body.error || `Chat request failed (${response.status})`)
+    }
+
+    await readEventStream(response, onEvent)
+  },
+
+  // Transcribe a voice recording for browsers without speech recognition
+  transcribe: (audio, language = null) => {
+    const form = new FormData()
+    form.append('audio', audio, `speech.${(audio.type.split('/')[1] || 'webm').split(';')[0]}`)
+    if (language) form.append('language', language)
+    // The browser fills in the multipart boundary
+    return api.post('/chat/transcribe', form, { headers: { 'Content-Type': 'multipart/form-data' }, timeout: 90000 })
+  },
   
   // Neighborhood-specific query
   neighborhoodQuery: (query, filters = {}) => 
@@ -97,11 +242,25 @@ export const chatAPI = {
   getSuggestions: () => api.get('/chat/suggestions'),
 }
 
+export const conversationsAPI = {
+  // List the user's chat conversations, most recent first
+  getAll: (params = {}) => api.get('/conversations', { params }),
+
+  // Get a conversation with its messages
+  getById: (id) => api.get(`/conversations/${id}`),
+
+  // Rename a conversation
+  rename: (id, title) => api.patch(`/conversations/${id}`, { title }),
+
+  // Delete a conversation
+  remove: (id) => api.delete(`/conversations/${id}`),
+}
+
 export const analyticsAPI = {
-  // Get trend data
-  getTrends: (neighborhood, months = 12, metric = 'crime') =>
-    api.get(`/analytics/trends/${neighborhood}`, {
-      params: { months, metric }
+  // Get trend data (bedrooms applies to the housing metric; 4 means 4+)
+  getTrends: (neighborhood, months = 12, metric = 'crime', bedrooms = undefined) =>
+    api.get(`/analytics/trends/${encodeURIComponent(neighborhood)}`, {
+      params: { months, metric, bedrooms }
     }),
 
   // Compare analytics
@@ -143,6 +302,37 @@ export const taxiRoutesAPI = {
 
   // Get route statistics
   getStats: () => api.get('/taxi-routes/stats'),
+
+  // Plan a journey between two ranks, neighborhoods or "lat,lng" points
+  plan: (from, to, limit = 3) => api.get('/taxi-routes/plan', {
+    params: { from, to, limit }
+  }),
+}
+
+export const insightsAPI = {
+  // Area reachable from a place within a number of minutes by taxi and on foot
+  getIsochrone: (from, minutes = 60) => api.get('/insights/isochrone', {
+    params: { from, minutes }
+  }),
+
+  // Score neighborhoods by commute time to a workplace
+  scoreCommute: (workplace, maxMinutes = 60, limit) =>
+    api.post('/insights/commute', { workplace, maxMinutes, limit }),
+}
+
+export const crimeAPI = {
+  // Crime density grid and clusters; category, severity and timeOfDay take
+  // arrays, from and to are dates
+  getHotspots: ({ category, severity, timeOfDay, from, to, ...params } = {}) => api.get('/crime/hotspots', {
+    params: {
+      ...params,
+      from: from || undefined,
+      to: to || undefined,
+      category: category?.length ? category.join(',') : undefined,
+      severity: severity?.length ? severity.join(',') : undefined,
+      timeOfDay: timeOfDay?.length ? timeOfDay.join(',') : undefined
+    }
+  }),
 }
 
 export const hospitalsAPI = {
@@ -227,6 +417,12 @@ export const houseRentalsAPI = {
     return response.data;
   },
 
+  // Natural-language search ranked by vector similarity, with hard filters
+  semanticSearch: async (params = {}) => {
+    const response = await api.get('/house-rentals/semantic-search', { params });
+    return response.data;
+  },
+
   // Get rental by ID
   getById: async (id) => {
     const response = await api.get(`/house-rentals/${id}`);
@@ -258,6 +454,63 @@ export const houseRentalsAPI = {
   }
 }
 
+export const favoritesAPI = {
+  // List favorites (optionally by type: 'neighborhood' | 'rental', or tag)
+  getAll: (params = {}) => api.get('/favorites', { params }),
+
+  // Add an item to favorites
+  add: (itemType, itemId, extras = {}) => api.post('/favorites', { itemType, itemId, ...extras }),
+
+  // Update notes/tags on a favorite
+  update: (id, changes) => api.patch(`/favorites/${id}`, changes),
+
+  // Remove a favorite by the item it references
+  removeItem: (itemType, itemId) => api.delete(`/favorites/item/${itemType}/${itemId}`),
+
+  // Remove all favorites
+  clear: () => api.delete('/favorites'),
+
+  // Merge locally stored favorites into the account
+  merge: (neighborhoods = [], rentals = []) => api.post('/favorites/merge', { neighborhoods, rentals }),
+}
+
+export const savedSearchesAPI = {
+  // List saved searches
+  getAll: (params = {}) => api.get('/saved-searches', { params }),
+
+  // Get saved search by ID
+  getById: (id) => api.get(`/saved-searches/${id}`),
+
+  // Save a search
+  create: (savedSearch) => api.post('/saved-searches', savedSearch),
+
+  // Update a saved search
+  update: (id, changes) => api.patch(`/saved-searches/${id}`, changes),
+
+  // Delete a saved search
+  remove: (id) => api.delete(`/saved-searches/${id}`),
+
+  // Check a saved search for new matching rentals now
+  check: (id) => api.post(`/saved-searches/${id}/check`),
+}
+
+export const notificationsAPI = {
+  // List notifications
+  getAll: (params = {}) => api.get('/notifications', { params }),
+
+  // Get unread notification count
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+
+  // Mark a notification as read
+  markRead: (id) => api.patch(`/notifications/${id}/read`),
+
+  // Mark all notifications as read
+  markAllRead: () => api.post('/notifications/read-all'),
+
+  // Delete a notification
+  remove: (id) => api.delete(`/notifications/${id}`),
+}
+
 // Utility functions
 export const handleApiError = (error) => {
   console.error('API Error:', error)
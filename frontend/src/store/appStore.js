@@ -27,6 +27,13 @@ export const useAppStore = create(
       // Chat state
       chatMessages: [],
       chatSessionId: null,
+      // Server-side conversation the chat continues (signed-in users)
+      chatConversationId: null,
+      // Search criteria gathered across chat turns and the pending follow-up
+      // question, sent back with each message
+      chatDialogue: null,
+      // Read assistant replies aloud as they arrive
+      chatSpeakReplies: false,
       
       // Map state
       mapCenter: { lat: -33.9249, lng: 18.4241 }, // Cape Town default
@@ -92,15 +99,34 @@ export const useAppStore = create(
         set({
           chatMessages: [...chatMessages, {
             ...message,
-            id: Date.now(),
-            timestamp: new Date()
+            id: message.id || Date.now(),
+            timestamp: message.timestamp || new Date()
           }]
         })
       },
+
+      // changes is an object or a function of the current message
+      updateChatMessage: (id, changes) => {
+        const { chatMessages } = get()
+        set({
+          chatMessages: chatMessages.map(message => message.id === id
+            ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) }
+            : message)
+        })
+      },
       
       clearChatMessages: () => set({ chatMessages: [] }),
+
+      // Replace the chat with a resumed conversation
+      setChatMessages: (messages) => set({ chatMessages: messages }),
       
       setChatSessionId: (sessionId) => set({ chatSessionId: sessionId }),
+
+      setChatConversationId: (conversationId) => set({ chatConversationId: conversationId }),
+
+      setChatDialogue: (dialogue) => set({ chatDialogue: dialogue }),
+
+      setChatSpeakReplies: (speakReplies) => set({ chatSpeakReplies: speakReplies }),
       
       // Map
       setMapCenter: (center) => set({ mapCenter: center }),
@@ -122,6 +148,8 @@ export const useAppStore = create(
         },
         chatMessages: [],
         chatSessionId: null,
+        chatConversationId: null,
+        chatDialogue: null,
         error: null
       })
     }),
@@ -133,7 +161,10 @@ export const useAppStore = create(
         selectedNeighborhoods: state.selectedNeighborhoods,
         searchFilters: state.searchFilters,
         mapCenter: state.mapCenter,
-        mapZoom: state.mapZoom
+        mapZoom: state.mapZoom,
+        // Messages are reloaded from the server on return
+        chatConversationId: state.chatConversationId,
+        chatSpeakReplies: state.chatSpeakReplies
       })
     }
   )
@@ -0,0 +1,64 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { authAPI, tokenStorage } from '../services/api'
+import useFavoritesStore from './favoritesStore'
+
+// Authenticated user session. Tokens live in localStorage under the keys
+// read by the API request interceptor; only the profile is persisted here.
+const useAuthStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      user: null,
+
+      // Actions
+      setSession: ({ user, accessToken, refreshToken }) => {
+        tokenStorage.setTokens({ accessToken, refreshToken })
+        set({ user })
+        // Upload favorites saved while signed out, then adopt the server's list
+        useFavoritesStore.getState().syncWithServer({ merge: true })
+      },
+
+      login: async (email, password) => {
+        const response = await authAPI.login(email, password)
+        get().setSession(response.data)
+        return response.data.user
+      },
+
+      signup: async (email, password, name) => {
+        const response = await authAPI.signup(email, password, name)
+        get().setSession(response.data)
+        return response.data.user
+      },
+
+      logout: async () => {
+        try {
+          await authAPI.logout()
+        } catch (error) {
+          // Tokens are cleared locally even if the server is unreachable
+        }
+        get().clearSession()
+      },
+
+      clearSession: () => {
+        tokenStorage.clearTokens()
+        set({ user: null })
+        useFavoritesStore.getState().resetLocalFavorites()
+      },
+
+      isAuthenticated: () => !!get().user && !!tokenStorage.getAccessToken()
+    }),
+    {
+      name: 'cape-town-insights-auth', // localStorage key
+      partialize: (state) => ({ user: state.user })
+    }
+  )
+)
+
+// The API layer signals when a refresh fails so the session can be dropped
+window.addEventListener('auth:expired', () => {
+  useAuthStore.setState({ user: null })
+  useFavoritesStore.getState().resetLocalFavorites()
+})
+
+export default useAuthStore
@@ -1,5 +1,16 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import { favoritesAPI, tokenStorage } from '../services/api'
+
+const SET_KEYS = {
+  neighborhood: 'favoriteNeighborhoods',
+  rental: 'favoriteRentals'
+}
+
+const detailKey = (itemType, itemId) => `${itemType}:${itemId}`
+
+// Favorites are mirrored to the server whenever the user is signed in
+const isSignedIn = () => !!tokenStorage.getAccessToken()
 
 // Favorites store for neighborhoods and rental properties
 const useFavoritesStore = create(
@@ -8,28 +19,153 @@ const useFavoritesStore = create(
       // State
       favoriteNeighborhoods: new Set(),
       favoriteRentals: new Set(),
+      // Server-side favorite id, notes and tags keyed by `${itemType}:${itemId}`
+      favoriteDetails: {},
+      syncing: false,
+      lastSyncedAt: null,
+
+      // Replace local state with the server's list of favorites
+      applyServerFavorites: (favorites) => {
+        const favoriteNeighborhoods = new Set()
+        const favoriteRentals = new Set()
+        const favoriteDetails = {}
+
+        favorites.forEach((favorite) => {
+          const itemId = String(favorite.itemId)
+          if (favorite.itemType === 'neighborhood') {
+            favoriteNeighborhoods.add(itemId)
+          } else {
+            favoriteRentals.add(itemId)
+          }
+          favoriteDetails[detailKey(favorite.itemType, itemId)] = {
+            id: favorite.id,
+            notes: favorite.notes,
+            tags: favorite.tags
+          }
+        })
+
+        set({
+          favoriteNeighborhoods,
+          favoriteRentals,
+          favoriteDetails,
+          lastSyncedAt: new Date().toISOString()
+        })
+      },
+
+      // Pull favorites from the server. With merge, local favorites saved
+      // while signed out are uploaded first so nothing is lost on login.
+      syncWithServer: async ({ merge = false } = {}) => {
+        if (!isSignedIn() || get().syncing) return
+
+        set({ syncing: true })
+        try {
+          const response = merge
+            ? await favoritesAPI.merge(
+              Array.from(get().favoriteNeighborhoods),
+              Array.from(get().favoriteRentals)
+            )
+            : await favoritesAPI.getAll()
+          get().applyServerFavorites(response.data.favorites)
+        } catch (error) {
+          console.error('Failed to sync favorites:', error)
+        } finally {
+          set({ syncing: false })
+        }
+      },
+
+      // Toggle an item locally and mirror the change to the server
+      toggleFavorite: async (itemType, itemId) => {
+        const setKey = SET_KEYS[itemType]
+        const favorites = new Set(get()[setKey])
+        const wasFavorited = favorites.has(itemId)
+
+        if (wasFavorited) {
+          favorites.delete(itemId)
+        } else {
+          favorites.add(itemId)
+        }
+        set({ [setKey]: favorites })
+
+        if (!isSignedIn()) return
+
+        try {
+          if (wasFavorited) {
+            await favoritesAPI.removeItem(itemType, itemId)
+            const favoriteDetails = { ...get().favoriteDetails }
+            delete favoriteDetails[detailKey(itemType, itemId)]
+            set({ favoriteDetails })
+          } else {
+            const response = await favoritesAPI.add(itemType, itemId)
+            const { favorite } = response.data
+            set({
+              favoriteDetails: {
+                ...get().favoriteDetails,
+                [detailKey(itemType, itemId)]: {
+                  id: favorite.id,
+                  notes: favorite.notes,
+                  tags: favorite.tags
+                }
+              }
+            })
+          }
+        } catch (error) {
+          // Roll back the optimistic update
+          const rollback = new Set(get()[setKey])
+          if (wasFavorited) {
+            rollback.add(itemId)
+          } else {
+            rollback.delete(itemId)
+          }
+          set({ [setKey]: rollback })
+        }
+      },
+
+      // Save notes and tags on a favorite (signed-in users only)
+      updateFavoriteDetails: async (itemType, itemId, changes) => {
+        const key = detailKey(itemType, itemId)
+        const details = get().favoriteDetails[key]
+        if (!details?.id) return null
+
+        const response = await favoritesAPI.update(details.id, changes)
+        const { favorite } = response.data
+        set({
+          favoriteDetails: {
+            ...get().favoriteDetails,
+            [key]: { id: favorite.id, notes: favorite.notes, tags: favorite.tags }
+          }
+        })
+        return favorite
+      },
+
+      getFavoriteDetails: (itemType, itemId) => {
+        return get().favoriteDetails[detailKey(itemType, itemId)] || null
+      },
+
+      // Forget everything stored locally, e.g. when signing out
+      resetLocalFavorites: () => {
+        set({
+          favoriteNeighborhoods: new Set(),
+          favoriteRentals: new Set(),
+          favoriteDetails: {},
+          lastSyncedAt: null
+        })
+      },
       
       // Actions for neighborhoods
       addNeighborhoodToFavorites: (neighborhoodId) => {
-        const favorites = new Set(get().favoriteNeighborhoods)
-        favorites.add(neighborhoodId)
-        set({ favoriteNeighborhoods: favorites })
+        if (!get().favoriteNeighborhoods.has(neighborhoodId)) {
+          get().toggleFavorite('neighborhood', neighborhoodId)
+        }
       },
       
       removeNeighborhoodFromFavorites: (neighborhoodId) => {
-        const favorites = new Set(get().favoriteNeighborhoods)
-        favorites.delete(neighborhoodId)
-        set({ favoriteNeighborhoods: favorites })
+        if (get().favoriteNeighborhoods.has(neighborhoodId)) {
+          get().toggleFavorite('neighborhood', neighborhoodId)
+        }
       },
       
       toggleNeighborhoodFavorite: (neighborhoodId) => {
-        const favorites = new Set(get().favoriteNeighborhoods)
-        if (favorites.has(neighborhoodId)) {
-          favorites.delete(neighborhoodId)
-        } else {
-          favorites.add(neighborhoodId)
-        }
-        set({ favoriteNeighborhoods: favorites })
+        get().toggleFavorite('neighborhood', neighborhoodId)
       },
       
       isNeighborhoodFavorited: (neighborhoodId) => {
@@ -38,25 +174,19 @@ const useFavoritesStore = create(
       
       // Actions for rental properties
       addRentalToFavorites: (rentalId) => {
-        const favorites = new Set(get().favoriteRentals)
-        favorites.add(rentalId)
-        set({ favoriteRentals: favorites })
+        if (!get().favoriteRentals.has(rentalId)) {
+          get().toggleFavorite('rental', rentalId)
+        }
       },
       
       removeRentalFromFavorites: (rentalId) => {
-        const favorites = new Set(get().favoriteRentals)
-        favorites.delete(rentalId)
-        set({ favoriteRentals: favorites })
+        if (get().favoriteRentals.has(rentalId)) {
+          get().toggleFavorite('rental', rentalId)
+        }
       },
       
       toggleRentalFavorite: (rentalId) => {
-        const favorites = new Set(get().favoriteRentals)
-        if (favorites.has(rentalId)) {
-          favorites.delete(rentalId)
-        } else {
-          favorites.add(rentalId)
-        }
-        set({ favoriteRentals: favorites })
+        get().toggleFavorite('rental', rentalId)
       },
       
       isRentalFavorited: (rentalId) => {
@@ -64,11 +194,11 @@ const useFavoritesStore = create(
       },
       
       // Utility actions
-      clearAllFavorites: () => {
-        set({ 
-          favoriteNeighborhoods: new Set(),
-          favoriteRentals: new Set()
-        })
+      clearAllFavorites: async () => {
+        get().resetLocalFavorites()
+        if (isSignedIn()) {
+          await favoritesAPI.clear()
+        }
       },
       
       getFavoriteNeighborhoodsArray: () => {
@@ -89,22 +219,20 @@ const useFavoritesStore = create(
     }),
     {
       name: 'cape-town-insights-favorites', // localStorage key
-      // Custom serialization to handle Sets
-      serialize: (state) => {
-        return JSON.stringify({
-          ...state,
-          favoriteNeighborhoods: Array.from(state.favoriteNeighborhoods),
-          favoriteRentals: Array.from(state.favoriteRentals)
-        })
-      },
-      deserialize: (str) => {
-        const parsed = JSON.parse(str)
-        return {
-          ...parsed,
-          favoriteNeighborhoods: new Set(parsed.favoriteNeighborhoods || []),
-          favoriteRentals: new Set(parsed.favoriteRentals || [])
-        }
-      }
+      // Sets are not JSON serializable, so persist them as arrays
+      partialize: (state) => ({
+        favoriteNeighborhoods: Array.from(state.favoriteNeighborhoods),
+        favoriteRentals: Array.from(state.favoriteRentals),
+        favoriteDetails: state.favoriteDetails,
+        lastSyncedAt: state.lastSyncedAt
+      }),
+      merge: (persisted = {}, current) => ({
+        ...current,
+        ...persisted,
+        favoriteNeighborhoods: new Set(persisted.favoriteNeighborhoods || []),
+        favoriteRentals: new Set(persisted.favoriteRentals || []),
+        favoriteDetails: persisted.favoriteDetails || {}
+      })
     }
   )
 )
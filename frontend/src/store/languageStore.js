@@ -0,0 +1,38 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../i18n/languages'
+
+// First supported language the browser asks for, e.g. 'af' for 'af-ZA'
+const browserLanguage = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+  const codes = LANGUAGES.map(language => language.code)
+  return preferred
+    .map(tag => String(tag || '').toLowerCase().split('-')[0])
+    .find(code => codes.includes(code)) || DEFAULT_LANGUAGE
+}
+
+const applyDocumentLanguage = (language) => {
+  if (typeof document !== 'undefined') document.documentElement.lang = language
+}
+
+// UI language. Also sent with chat messages as a hint for short or mixed
+// messages the server cannot detect a language from.
+const useLanguageStore = create(
+  persist(
+    (set) => ({
+      language: browserLanguage(),
+
+      setLanguage: (language) => {
+        applyDocumentLanguage(language)
+        set({ language })
+      }
+    }),
+    {
+      name: 'city-insights-language', // localStorage key
+      onRehydrateStorage: () => (state) => applyDocumentLanguage(state?.language || DEFAULT_LANGUAGE)
+    }
+  )
+)
+
+export default useLanguageStore